@@ -34,17 +34,127 @@ const config = {
     }
   },
   
+  // Storage backend - B2 in production; local filesystem or any S3-compatible service for dev/migrations
+  // Buckets keep their logical names (video, thumbnail, ...) and the B2_*_BUCKET_NAME values on every driver
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'b2', // 'b2', 'local' or 's3'
+    b2: {
+      // {bucket} and {file} are replaced - match this to the bucket's region
+      publicUrlTemplate: process.env.B2_PUBLIC_URL_TEMPLATE || 'https://{bucket}.s3.eu-central-003.backblazeb2.com/{file}'
+    },
+    local: {
+      rootDir: process.env.STORAGE_LOCAL_DIR || `${process.env.DATA_DIR || './data'}/storage`,
+      publicUrl: process.env.STORAGE_LOCAL_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}/storage`
+    },
+    s3: {
+      endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO; unset for AWS
+      region: process.env.S3_REGION || 'us-east-1',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      publicUrlTemplate: process.env.S3_PUBLIC_URL_TEMPLATE // defaults to the endpoint/AWS URL for the bucket
+    }
+  },
+  
+  // Authentication - Supabase access tokens in the Authorization header
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== 'false', // 'false' disables ownership checks (local development only)
+    jwtSecret: process.env.SUPABASE_JWT_SECRET, // Verify HS256 tokens locally; otherwise tokens are checked with Supabase Auth
+    adminRole: process.env.AUTH_ADMIN_ROLE || 'admin', // app_metadata.role (or app_metadata.roles[]) that grants admin access
+    ownerColumn: process.env.VIDEO_OWNER_COLUMN || 'user_id', // videos column holding the owner's user ID
+    // Admin API keys for maintenance endpoints: "label:scope1|scope2:key", comma-separated
+    // Scopes: maintenance, monitoring, diagnostics (or * for all)
+    adminApiKeys: process.env.ADMIN_API_KEYS ?
+      process.env.ADMIN_API_KEYS.split(',').map(entry => entry.trim()).filter(Boolean) : [],
+    auditLogFile: process.env.ADMIN_AUDIT_LOG || null, // Defaults to {DATA_DIR}/admin-audit.log
+    auditLogMaxBytes: (parseInt(process.env.ADMIN_AUDIT_LOG_MAX_MB) || 10) * 1024 * 1024 // Rotated to .1 beyond this size
+  },
+  
   // Coconut.co Transcoding Configuration
   coconut: {
     apiKey: process.env.COCONUT_API_KEY,
-    webhookUrl: process.env.COCONUT_WEBHOOK_URL  // e.g. https://rushes-backend.onrender.com/api/coconut/webhook
+    webhookUrl: process.env.COCONUT_WEBHOOK_URL,  // e.g. https://rushes-backend.onrender.com/api/coconut/webhook
+    webhookSecret: process.env.COCONUT_WEBHOOK_SECRET || null // Signs per-job webhook tokens (defaults to the API key)
+  },
+  
+  // HLS Transcoding - which transcoder packages uploads into HLS
+  hls: {
+    transcoder: process.env.HLS_TRANSCODER || 'coconut', // 'coconut' (hosted API) or 'local' (FFmpeg on this server)
+    segmentSeconds: Math.min(Math.max(parseInt(process.env.HLS_SEGMENT_SECONDS) || 6, 2), 10),
+    transcodeTimeoutMs: parseInt(process.env.HLS_TRANSCODE_TIMEOUT_MS) || 4 * 60 * 60 * 1000, // Per rendition, 4 hours
+    maxConcurrentTranscodes: Math.min(parseInt(process.env.HLS_MAX_CONCURRENT_TRANSCODES) || 1, 4), // Own queue slots, not shared with other jobs
+    defaultProfile: process.env.HLS_DEFAULT_PROFILE || 'default', // Ladder profile when an upload does not pick one
+    // Encoding ladder profiles, selectable per upload (hlsProfile) or per video (hls_profile column).
+    // codec: 'h264' or 'hevc'; quality: Coconut quality 1-5; crf is used by the local transcoder.
+    // audio (optional): { normalize, audioOnly } to override config.hls.audio for the profile.
+    // Renditions above the source resolution are always skipped.
+    profiles: {
+      default: {
+        description: 'H.264 High, 480p-2160p',
+        codec: 'h264',
+        quality: 5,
+        rungs: [
+          { name: '480p', height: 480, maxrate: '2000k', bufsize: '4000k', crf: 21 },
+          { name: '720p', height: 720, maxrate: '4000k', bufsize: '8000k', crf: 21 },
+          { name: '1080p', height: 1080, maxrate: '14000k', bufsize: '28000k', crf: 20 },
+          { name: '2160p', height: 2160, maxrate: '24000k', bufsize: '48000k', crf: 20 }
+        ]
+      },
+      archival: {
+        description: 'H.264 High at high bitrates for masters and review copies',
+        codec: 'h264',
+        quality: 5,
+        rungs: [
+          { name: '720p', height: 720, maxrate: '8000k', bufsize: '16000k', crf: 18 },
+          { name: '1080p', height: 1080, maxrate: '25000k', bufsize: '50000k', crf: 17 },
+          { name: '2160p', height: 2160, maxrate: '50000k', bufsize: '100000k', crf: 17 }
+        ]
+      },
+      'mobile-lite': {
+        description: 'H.264 up to 720p at low bitrates for phones on cellular',
+        codec: 'h264',
+        quality: 4,
+        audio: { audioOnly: true },
+        rungs: [
+          { name: '360p', height: 360, maxrate: '800k', bufsize: '1600k', crf: 24 },
+          { name: '480p', height: 480, maxrate: '1200k', bufsize: '2400k', crf: 24 },
+          { name: '720p', height: 720, maxrate: '2500k', bufsize: '5000k', crf: 23 }
+        ]
+      },
+      hevc: {
+        description: 'HEVC (H.265) in fMP4 segments, about half the H.264 bitrate',
+        codec: 'hevc',
+        quality: 5,
+        rungs: [
+          { name: '720p', height: 720, maxrate: '2500k', bufsize: '5000k', crf: 24 },
+          { name: '1080p', height: 1080, maxrate: '7000k', bufsize: '14000k', crf: 23 },
+          { name: '2160p', height: 2160, maxrate: '14000k', bufsize: '28000k', crf: 23 }
+        ]
+      }
+    },
+    // Audio outputs (local transcoder only) - profiles and jobs can override normalize/audioOnly
+    audio: {
+      normalize: process.env.HLS_AUDIO_NORMALIZE === 'true', // EBU R128 analysis + loudness-normalized AAC
+      audioOnly: process.env.HLS_AUDIO_ONLY_VARIANT === 'true', // Extra AAC-only variant in master.m3u8
+      targetLufs: Math.min(Math.max(parseFloat(process.env.HLS_AUDIO_TARGET_LUFS) || -23, -70), -5), // EBU R128: -23 LUFS
+      truePeakDbtp: parseFloat(process.env.HLS_AUDIO_TRUE_PEAK) <= 0 ? Math.max(parseFloat(process.env.HLS_AUDIO_TRUE_PEAK), -9) : -1, // Max true peak, dBTP
+      loudnessRange: 11, // Target LRA passed to loudnorm
+      audioOnlyBitrate: process.env.HLS_AUDIO_ONLY_BITRATE || '64k'
+    },
+    // Reconciler - checks videos left in 'processing' with the transcoder and fixes their status
+    reconcile: {
+      enabled: process.env.ENABLE_HLS_RECONCILER !== 'false',
+      intervalMinutes: Math.max(parseInt(process.env.HLS_RECONCILE_INTERVAL_MINUTES) || 15, 5), // Min 5 minutes
+      stuckAfterMinutes: Math.max(parseInt(process.env.HLS_STUCK_AFTER_MINUTES) || 120, 15), // No HLS update for this long
+      batchSize: 25 // Videos checked per run
+    }
   },
   
   // Upload Configuration - Enhanced with security limits
   upload: {
     // Memory management
     chunkSize: parseInt(process.env.CHUNK_SIZE) || 25 * 1024 * 1024, // 25MB chunks
-    maxConcurrentChunks: parseInt(process.env.MAX_CONCURRENT_CHUNKS) || 1,
+    maxConcurrentChunks: Math.min(parseInt(process.env.MAX_CONCURRENT_CHUNKS) || 4, 10), // Multipart parts forwarded to B2 at once per upload
     
     // Retry and timeout settings
     retryAttempts: Math.min(parseInt(process.env.RETRY_ATTEMPTS) || 3, 5), // Max 5 retries
@@ -176,17 +286,64 @@ const config = {
     jobRetentionTime: parseInt(process.env.JOB_RETENTION_TIME) || 30 * 60 * 1000, // 30 minutes
     processingIntervalMs: Math.max(parseInt(process.env.BACKGROUND_JOB_INTERVAL) || 2000, 1000), // Min 1 second
     maxRetryAttempts: Math.min(parseInt(process.env.MAX_JOB_RETRY_ATTEMPTS) || 3, 5),
-    retryDelayMs: Math.max(parseInt(process.env.JOB_RETRY_DELAY) || 5000, 1000) // Min 1 second
+    retryDelayMs: Math.max(parseInt(process.env.JOB_RETRY_DELAY) || 5000, 1000), // Min 1 second
+    queueStore: process.env.QUEUE_STORE || 'file' // 'file' (survives restarts) or 'memory'
+  },
+  
+  // Persistence Configuration - point DATA_DIR at a persistent disk in production
+  persistence: {
+    dataDir: process.env.DATA_DIR || './data'
+  },
+  
+  // Orphaned file cleanup (POST /video/cleanup/orphaned)
+  cleanup: {
+    // Files younger than this are never treated as orphans - their upload or DB write may still be in flight
+    gracePeriodMs: Math.max(parseFloat(process.env.ORPHAN_GRACE_PERIOD_HOURS) || 24, 1) * 60 * 60 * 1000,
+    // "table.column" holding subtitle URLs; the subtitle bucket is skipped if it cannot be read
+    subtitleSource: process.env.ORPHAN_SUBTITLE_SOURCE || 'videos.subtitle_url',
+    maxReports: parseInt(process.env.ORPHAN_MAX_REPORTS) || 50 // Oldest stored reports are pruned
+  },
+  
+  // Soft delete - DELETE /video/:videoId hides files and purges them after the retention window
+  softDelete: {
+    enabled: process.env.SOFT_DELETE_RETENTION_DAYS !== '0', // 0 deletes immediately (previous behaviour)
+    retentionDays: Math.max(parseFloat(process.env.SOFT_DELETE_RETENTION_DAYS) || 7, 1 / 24) // Restore window before files are purged (min 1 hour)
+  },
+  
+  // Bulk deletion - POST /video/bulk-delete
+  bulkDelete: {
+    concurrency: Math.min(Math.max(parseInt(process.env.BULK_DELETE_CONCURRENCY) || 3, 1), 10), // Videos deleted at the same time (max 10)
+    maxVideos: Math.max(parseInt(process.env.BULK_DELETE_MAX_VIDEOS) || 500, 1) // Video IDs accepted per request
+  },
+  
+  // Playback - GET /video/:videoId/playback hands out signed URLs so the buckets can be private
+  playback: {
+    urlTtlSeconds: Math.min(Math.max(parseInt(process.env.PLAYBACK_URL_TTL_SECONDS) || 3600, 60), 604800), // Default lifetime (max 1 week, the B2 limit)
+    maxUrlTtlSeconds: Math.min(Math.max(parseInt(process.env.PLAYBACK_URL_MAX_TTL_SECONDS) || 86400, 60), 604800), // Longest lifetime a client may ask for
+    access: ['public', 'authenticated', 'owner'].includes(process.env.PLAYBACK_ACCESS) ? process.env.PLAYBACK_ACCESS : 'public', // Who may get URLs
+    hlsPlaylistCacheSeconds: Math.max(parseInt(process.env.HLS_PLAYLIST_CACHE_SECONDS ?? 30) || 0, 0) // Rewritten playlists served from memory (0 = off)
+  },
+  
+  // Background sweeper - abandoned large files, stale local upload files and scheduled orphan scans
+  sweeper: {
+    enabled: process.env.ENABLE_SWEEPER !== 'false',
+    intervalMinutes: Math.max(parseInt(process.env.SWEEPER_INTERVAL_MINUTES) || 60, 5), // Min 5 minutes
+    staleFileHours: Math.max(parseInt(process.env.STALE_UPLOAD_FILE_HOURS) || 24, 1), // uploads/chunks and uploads/temp
+    orphanScanSchedule: process.env.ORPHAN_SCAN_SCHEDULE || null, // Cron expression, e.g. "0 3 * * *"; unset = no scheduled scan
+    orphanScanDryRun: process.env.ORPHAN_SCAN_DRY_RUN !== 'false', // Scheduled scans only report unless set to 'false'
+    maxHistory: 20 // Sweeper runs kept for /sweeper/status
   },
   
   // Multipart Upload Configuration
   multipart: {
     enabled: process.env.ENABLE_MULTIPART_UPLOADS !== 'false',
+    directUploads: process.env.ENABLE_DIRECT_B2_UPLOADS === 'true', // Clients upload parts straight to B2
     defaultPartUrlCount: Math.min(parseInt(process.env.DEFAULT_PART_URL_COUNT) || 5, 20),
     maxPartsPerUpload: Math.min(parseInt(process.env.MAX_MULTIPART_PARTS) || 10000, 10000), // B2 limit
     partUrlExpirationHours: Math.min(parseInt(process.env.PART_URL_EXPIRATION_BUFFER) || 23, 23),
     autoCleanupIncompleteUploads: process.env.AUTO_CLEANUP_INCOMPLETE_UPLOADS !== 'false',
-    incompleteUploadCleanupHours: Math.min(parseInt(process.env.INCOMPLETE_UPLOAD_CLEANUP_HOURS) || 24, 168) // Max 1 week
+    incompleteUploadCleanupHours: Math.min(parseInt(process.env.INCOMPLETE_UPLOAD_CLEANUP_HOURS) || 24, 168), // Max 1 week
+    sessionStore: process.env.UPLOAD_SESSION_STORE || 'file' // 'file' (resumable across restarts) or 'memory'
   },
   
   // Memory Management Configuration
@@ -210,6 +367,7 @@ const config = {
 };
 
 // Required environment variables for security validation
+// B2 credentials and bucket IDs - only required when files are stored in B2 (STORAGE_DRIVER=b2)
 const requiredEnvVars = [
   'B2_ACCOUNT_ID',
   'B2_APPLICATION_KEY',
@@ -232,7 +390,9 @@ const optionalEnvVars = [
   'B2_HLS_APP_KEY_ID',
   'B2_HLS_APP_KEY',
   'COCONUT_API_KEY',
-  'COCONUT_WEBHOOK_URL'
+  'COCONUT_WEBHOOK_URL',
+  'HLS_TRANSCODER',
+  'STORAGE_DRIVER'
 ];
 
 /**
@@ -318,8 +478,20 @@ function getEnvironmentOverrides() {
 function validateEnvironment() {
   logger.info('Ã°Å¸â€Â Starting environment validation...');
   
-  // Check for required variables
-  const missing = requiredEnvVars.filter(varName => !process.env[varName]);
+  // Check for required variables (the local and S3 drivers run without B2 credentials)
+  const usesB2 = !['local', 's3'].includes(config.storage.driver);
+  const missing = usesB2 ? requiredEnvVars.filter(varName => !process.env[varName]) : [];
+  
+  if (config.storage.driver === 'local') {
+    logger.info(`🗄️ Local storage driver: files are stored in ${config.storage.local.rootDir} and served at ${config.storage.local.publicUrl}`);
+    if (process.env.NODE_ENV === 'production') {
+      logger.warn('⚠️ WARNING: STORAGE_DRIVER=local is intended for development and tests');
+    }
+  }
+  
+  if (!usesB2 && config.hls.transcoder === 'coconut' && process.env.COCONUT_API_KEY) {
+    logger.warn('⚠️ WARNING: Coconut writes HLS output to B2 - set HLS_TRANSCODER=local to keep HLS in the configured storage');
+  }
   
   // Validate B2 credentials format (basic check)
   if (process.env.B2_ACCOUNT_ID && !/^[a-fA-F0-9]{12}$/.test(process.env.B2_ACCOUNT_ID)) {
@@ -354,7 +526,11 @@ function validateEnvironment() {
     supabaseKey: process.env.SUPABASE_SERVICE_ROLE_KEY ? 'Ã¢Å“â€¦ Set' : 'Ã¢Å¡Â Ã¯Â¸Â Optional - Missing',
     hlsBucketId: process.env.B2_HLS_BUCKET_ID ? '✅ Set' : '⚠️ Optional - Missing',
     coconutApiKey: process.env.COCONUT_API_KEY ? '✅ Set' : '⚠️ Optional - Missing',
-    coconutWebhookUrl: process.env.COCONUT_WEBHOOK_URL ? '✅ Set' : '⚠️ Optional - Missing'
+    coconutWebhookUrl: process.env.COCONUT_WEBHOOK_URL ? '✅ Set' : '⚠️ Optional - Missing',
+    hlsTranscoder: config.hls.transcoder,
+    storageDriver: config.storage.driver,
+    authEnabled: config.auth.enabled,
+    adminApiKeys: config.auth.adminApiKeys.length
   });
 
   // Security configuration summary
@@ -364,14 +540,14 @@ function validateEnvironment() {
     trustProxy: config.security.trustProxy ? 'Ã¢Å“â€¦ Enabled' : 'Ã¢ÂÅ’ Disabled',
     allowedOrigins: config.security.cors.allowedOrigins ? config.security.cors.allowedOrigins.length : 0,
     maxFileSize: `${Math.floor(config.upload.maxFileSize / 1024 / 1024 / 1024)}GB`,
-    maxConcurrentUploads: config.upload.maxConcurrentChunks
+    concurrentPartsPerUpload: config.upload.maxConcurrentChunks
   });
 
   // Upload configuration summary
   logger.info('Ã¢Â¬â€ Ã¯Â¸Â Upload configuration:', {
     maxFileSize: `${Math.floor(config.upload.maxFileSize / 1024 / 1024 / 1024)}GB`,
     chunkSize: `${Math.floor(config.upload.chunkSize / 1024 / 1024)}MB`,
-    concurrentChunks: config.upload.maxConcurrentChunks,
+    concurrentPartsPerUpload: config.upload.maxConcurrentChunks,
     timeout: `${Math.floor(config.upload.timeoutMs / 1000)}s`,
     retryAttempts: config.upload.retryAttempts,
     method: 'enhanced-secure-streaming'
@@ -397,6 +573,17 @@ function validateEnvironment() {
     }
   });
 
+  // Auth settings have their own consequences when missing
+  if (process.env.AUTH_ENABLED === undefined) {
+    logger.warn('⚠️ WARNING: AUTH_ENABLED is not set. Authentication is on by default: upload and video routes answer 401 without a Supabase access token. Set AUTH_ENABLED=false to keep anonymous access.');
+  }
+  if (config.auth.enabled && !config.auth.jwtSecret) {
+    logger.warn('⚠️ WARNING: SUPABASE_JWT_SECRET is not set. Access tokens will be verified with Supabase Auth on every request.');
+  }
+  if (config.auth.adminApiKeys.length === 0) {
+    logger.warn('⚠️ WARNING: ADMIN_API_KEYS is not set. Maintenance, monitoring and diagnostics routes will reject API keys.');
+  }
+
   // Validate numeric environment variables
   const numericVars = {
     'PORT': process.env.PORT,
@@ -472,6 +659,15 @@ function getSanitizedConfig() {
     sanitized.b2.applicationKey = sanitized.b2.applicationKey ? '***REDACTED***' : undefined;
   }
   
+  if (sanitized.auth) {
+    sanitized.auth.jwtSecret = sanitized.auth.jwtSecret ? '***REDACTED***' : undefined;
+    sanitized.auth.adminApiKeys = sanitized.auth.adminApiKeys.map(entry => entry.split(':').slice(0, 2).join(':'));
+  }
+  
+  if (sanitized.storage && sanitized.storage.s3) {
+    sanitized.storage.s3.secretAccessKey = sanitized.storage.s3.secretAccessKey ? '***REDACTED***' : undefined;
+  }
+  
   if (sanitized.supabase) {
     sanitized.supabase.serviceRoleKey = sanitized.supabase.serviceRoleKey ? '***REDACTED***' : undefined;
     sanitized.supabase.url = sanitized.supabase.url ? 
@@ -498,7 +694,7 @@ function validateConfig() {
   }
   
   if (config.upload.maxConcurrentChunks > 5) {
-    warnings.push('High concurrent chunk limit may impact server stability');
+    warnings.push('More than 5 concurrent parts per upload may impact server stability');
   }
   
   if (config.upload.retryAttempts > 5) {
@@ -517,6 +713,10 @@ function validateConfig() {
     errors.push('No CORS origins configured');
   }
   
+  if (!Object.prototype.hasOwnProperty.call(config.hls.profiles, config.hls.defaultProfile)) {
+    errors.push(`HLS_DEFAULT_PROFILE '${config.hls.defaultProfile}' is not one of: ${Object.keys(config.hls.profiles).join(', ')}`);
+  }
+  
   // Log warnings and errors
   warnings.forEach(warning => logger.warn(`Ã¢Å¡Â Ã¯Â¸Â CONFIG: ${warning}`));
   errors.forEach(error => logger.error(`Ã¢ÂÅ’ CONFIG: ${error}`));
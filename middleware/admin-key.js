@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { recordAuditEvent } = require('../utils/audit-log');
+const { authenticate } = require('./auth');
+
+/**
+ * Admin API key middleware
+ * Maintenance, monitoring and diagnostics endpoints require an "x-api-key" header holding
+ * one of the ADMIN_API_KEYS with the route's scope. Every attempt - allowed or denied -
+ * is written to the audit log. Keys are enforced whenever ADMIN_API_KEYS is set, even with
+ * AUTH_ENABLED=false; only a development setup with neither leaves these routes open.
+ */
+
+const API_KEY_HEADER = 'x-api-key';
+const ADMIN_SCOPES = ['maintenance', 'monitoring', 'diagnostics'];
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+/**
+ * Parse ADMIN_API_KEYS entries ("label:scope1|scope2:key")
+ * Keys are kept only as SHA-256 digests so lookups compare fixed-length values
+ * @param {string[]} entries - Raw entries from config
+ * @returns {Array} - [{ label, scopes, digest }]
+ */
+function parseAdminKeys(entries) {
+  return entries.map(entry => {
+    const [label, scopeList, ...keyParts] = entry.split(':');
+    const key = keyParts.join(':');
+    const scopes = (scopeList || '').split('|').map(scope => scope.trim()).filter(Boolean);
+    const unknownScopes = scopes.filter(scope => scope !== '*' && !ADMIN_SCOPES.includes(scope));
+
+    if (!label || !key || scopes.length === 0 || unknownScopes.length > 0) {
+      logger.warn(`⚠️ Ignoring invalid ADMIN_API_KEYS entry "${label || '(no label)'}" - expected label:scope1|scope2:key with scopes ${ADMIN_SCOPES.join(', ')} or *`);
+      return null;
+    }
+    if (key.length < 32) {
+      logger.warn(`⚠️ Admin API key "${label}" is shorter than 32 characters`);
+    }
+    return { label, scopes, digest: hashKey(key) };
+  }).filter(Boolean);
+}
+
+const adminKeys = parseAdminKeys(config.auth.adminApiKeys);
+
+/**
+ * Find the admin key matching a presented value
+ * @param {string} presented - Value of the x-api-key header
+ * @returns {Object|null} - Matching key
+ */
+function findAdminKey(presented) {
+  const digest = hashKey(presented);
+  // Compare against every key so timing does not reveal which one matched
+  return adminKeys.reduce((match, adminKey) => (
+    crypto.timingSafeEqual(digest, adminKey.digest) ? adminKey : match
+  ), null);
+}
+
+/**
+ * Audit fields shared by every entry for a request
+ */
+function describeRequest(req, scope) {
+  return {
+    scope: scope,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ip: req.ip,
+    userAgent: req.headers['user-agent'] || null
+  };
+}
+
+/**
+ * Let the request through and audit it once the response is sent
+ */
+function allow(req, res, next, scope, actor) {
+  res.on('finish', () => {
+    recordAuditEvent({ ...describeRequest(req, scope), ...actor, outcome: 'allowed', statusCode: res.statusCode });
+  });
+  next();
+}
+
+/**
+ * Reject the request and audit the attempt
+ */
+function deny(req, res, scope, status, reason, actor = {}) {
+  logger.warn(`🔒 Admin access denied for ${req.method} ${req.originalUrl} from ${req.ip}: ${reason}`);
+  recordAuditEvent({ ...describeRequest(req, scope), ...actor, outcome: 'denied', reason: reason, statusCode: status });
+  res.status(status).json({
+    error: status === 401 ? 'Admin API key required' : 'Insufficient scope',
+    details: reason
+  });
+}
+
+/**
+ * Middleware factory
+ * @param {string} scope - Required scope (maintenance, monitoring or diagnostics)
+ * @param {Object} options - Options
+ * @param {boolean} options.allowAdminUser - Also accept a Supabase access token from an admin user
+ * @returns {Function} - Express middleware
+ */
+function requireAdminKey(scope, { allowAdminUser = false } = {}) {
+  if (!ADMIN_SCOPES.includes(scope)) {
+    throw new Error(`Unknown admin scope: ${scope}`);
+  }
+
+  return (req, res, next) => {
+    req.adminKey = null;
+
+    if (!config.auth.enabled && config.auth.adminApiKeys.length === 0) {
+      return allow(req, res, next, scope, { keyLabel: null, reason: 'auth disabled and no admin keys configured' });
+    }
+
+    const presented = req.headers[API_KEY_HEADER];
+
+    // Admin users can only be recognized while authentication is on
+    if (!presented && allowAdminUser && config.auth.enabled && req.headers.authorization) {
+      return authenticate(req, res, () => {
+        const actor = { userId: req.user.id };
+        if (!req.user.isAdmin) {
+          return deny(req, res, scope, 403, 'User is not an admin', actor);
+        }
+        allow(req, res, next, scope, actor);
+      });
+    }
+
+    if (!presented || typeof presented !== 'string') {
+      return deny(req, res, scope, 401, `Send an admin API key with the "${scope}" scope in the ${API_KEY_HEADER} header`);
+    }
+
+    const adminKey = findAdminKey(presented);
+    if (!adminKey) {
+      return deny(req, res, scope, 401, 'Unknown admin API key');
+    }
+
+    const actor = { keyLabel: adminKey.label };
+    if (!adminKey.scopes.includes(scope) && !adminKey.scopes.includes('*')) {
+      return deny(req, res, scope, 403, `Key "${adminKey.label}" lacks the "${scope}" scope`, actor);
+    }
+
+    req.adminKey = { label: adminKey.label, scopes: adminKey.scopes };
+    allow(req, res, next, scope, actor);
+  };
+}
+
+/**
+ * Accept either an admin API key with the scope or a user's access token
+ * For endpoints users call on their own data that admin tooling also drives; handlers
+ * tell the two apart by req.adminKey (set for keys) and req.user (set for users)
+ * @param {string} scope - Scope required when an API key is sent
+ * @returns {Function} - Express middleware
+ */
+function requireUserOrAdminKey(scope) {
+  const keyCheck = requireAdminKey(scope);
+  return (req, res, next) => {
+    if (req.headers[API_KEY_HEADER]) {
+      req.user = null;
+      return keyCheck(req, res, next);
+    }
+    req.adminKey = null;
+    authenticate(req, res, next);
+  };
+}
+
+module.exports = {
+  requireAdminKey,
+  requireUserOrAdminKey,
+  ADMIN_SCOPES
+};
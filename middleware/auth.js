@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { getServiceClient } = require('../services/supabase');
+
+/**
+ * Authentication middleware
+ * Verifies the Supabase JWT from "Authorization: Bearer <token>" and attaches req.user:
+ *   { id, email, role, isAdmin }
+ * HS256 tokens are verified locally when SUPABASE_JWT_SECRET is set; other tokens are
+ * checked with Supabase Auth. AUTH_ENABLED=false turns every check off (local development).
+ */
+
+/**
+ * Extract the bearer token from a request
+ * @param {Object} req - Express request
+ * @returns {string|null} - Token
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+/**
+ * Verify an HS256 JWT with the project's JWT secret
+ * @param {string} token - JWT
+ * @param {string} secret - SUPABASE_JWT_SECRET
+ * @returns {Object|null} - Claims, or null if the token uses another algorithm
+ */
+function verifyHs256Token(token, secret) {
+  const [headerPart, payloadPart, signaturePart] = token.split('.');
+  if (!headerPart || !payloadPart || !signaturePart) {
+    throw new Error('Malformed token');
+  }
+
+  const header = JSON.parse(Buffer.from(headerPart, 'base64url').toString('utf8'));
+  if (header.alg !== 'HS256') {
+    return null;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${headerPart}.${payloadPart}`).digest();
+  const actual = Buffer.from(signaturePart, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const claims = JSON.parse(Buffer.from(payloadPart, 'base64url').toString('utf8'));
+  if (!claims.exp || claims.exp * 1000 < Date.now()) {
+    throw new Error('Token expired');
+  }
+  return claims;
+}
+
+/**
+ * Build req.user from a user ID, email and app_metadata
+ * @returns {Object} - { id, email, role, isAdmin }
+ */
+function buildUser(id, email, appMetadata) {
+  const metadata = appMetadata || {};
+  const roles = [].concat(metadata.role || [], metadata.roles || []);
+  return {
+    id: id,
+    email: email || null,
+    role: metadata.role || null,
+    isAdmin: roles.includes(config.auth.adminRole)
+  };
+}
+
+/**
+ * Resolve the user behind a token
+ * @param {string} token - Supabase access token
+ * @returns {Promise<Object>} - User for req.user
+ */
+async function verifyToken(token) {
+  if (config.auth.jwtSecret) {
+    const claims = verifyHs256Token(token, config.auth.jwtSecret);
+    if (claims) {
+      if (!claims.sub) {
+        throw new Error('Token has no subject');
+      }
+      return buildUser(claims.sub, claims.email, claims.app_metadata);
+    }
+  }
+
+  const supabase = getServiceClient();
+  if (!supabase) {
+    const error = new Error('Authentication is not configured (set SUPABASE_JWT_SECRET or Supabase credentials)');
+    error.status = 503;
+    throw error;
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data || !data.user) {
+    throw new Error(error ? error.message : 'Invalid token');
+  }
+  return buildUser(data.user.id, data.user.email, data.user.app_metadata);
+}
+
+/**
+ * Middleware factory
+ * @param {boolean} required - Reject requests without a token
+ * @returns {Function} - Express middleware
+ */
+function createAuthMiddleware(required) {
+  return async (req, res, next) => {
+    req.user = null;
+
+    if (!config.auth.enabled) {
+      return next();
+    }
+
+    const token = getBearerToken(req);
+    if (!token) {
+      if (!required) {
+        return next();
+      }
+      return res.status(401).json({
+        error: 'Authentication required',
+        details: 'Send a Supabase access token as "Authorization: Bearer <token>"'
+      });
+    }
+
+    try {
+      req.user = await verifyToken(token);
+      next();
+    } catch (error) {
+      logger.warn(`🔒 Rejected token from ${req.ip}: ${error.message}`);
+      res.status(error.status || 401).json({
+        error: error.status === 503 ? 'Authentication unavailable' : 'Invalid or expired token',
+        details: error.message
+      });
+    }
+  };
+}
+
+// Requires a valid token
+const authenticate = createAuthMiddleware(true);
+
+// Attaches req.user when a token is sent, but lets anonymous requests through
+const optionalAuth = createAuthMiddleware(false);
+
+/**
+ * Require an admin user (use after authenticate)
+ */
+function requireAdmin(req, res, next) {
+  if (!config.auth.enabled || (req.user && req.user.isAdmin)) {
+    return next();
+  }
+  res.status(403).json({ error: 'Admin access required' });
+}
+
+/**
+ * Check whether a user may act on a resource owned by ownerId
+ * Always true when authentication is disabled
+ * @param {Object|null} user - req.user
+ * @param {string|null} ownerId - Owner user ID (null = no recorded owner, admin only)
+ * @returns {boolean} - True if the user is the owner or an admin
+ */
+function canAccess(user, ownerId) {
+  if (!config.auth.enabled) {
+    return true;
+  }
+  if (!user) {
+    return false;
+  }
+  return user.isAdmin || (!!ownerId && ownerId === user.id);
+}
+
+module.exports = {
+  authenticate,
+  optionalAuth,
+  requireAdmin,
+  canAccess
+};
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+
+/**
+ * Local Storage Routes
+ * Serves the files written by the local storage driver (STORAGE_DRIVER=local) at the
+ * URLs it hands out: {STORAGE_LOCAL_PUBLIC_URL}/{bucketName}/{fileName}.
+ * Range requests work, so players can seek and ffprobe can read remote metadata.
+ */
+
+const rootDir = path.resolve(config.storage.local.rootDir);
+fs.mkdirSync(rootDir, { recursive: true });
+
+// Signed download URLs carry ?download=<name> - send the file as an attachment, like B2's b2ContentDisposition
+router.use((req, res, next) => {
+  if (typeof req.query.download === 'string' && req.query.download) {
+    res.attachment(req.query.download);
+  }
+  next();
+});
+
+router.use(express.static(rootDir, {
+  index: false,
+  dotfiles: 'deny', // Unfinished large files live in .large-files
+  setHeaders: (res) => {
+    // Players on other origins must be able to load videos, thumbnails and HLS segments
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  }
+}));
+
+router.use((req, res) => {
+  res.status(404).json({ error: 'File not found' });
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 const rateLimit = require('express-rate-limit');
+const { config } = require('../config');
 const { 
   initUploadStatus, 
   updateUploadStatus, 
@@ -19,8 +20,13 @@ const uploadProcessor = require('../services/upload-processor');
 const b2Service = require('../services/b2');
 const ffmpegService = require('../services/ffmpeg');
 const multipartUploader = require('../services/multipart-uploader'); // Now streaming proxy version
-const coconutService = require('../services/coconut');
-const { updateHlsStatus } = require('../services/supabase');
+const transcoderService = require('../services/transcoder');
+const { findVideoByContentHash, getVideoOwner } = require('../services/supabase');
+const { startHlsProgress } = require('../services/hls-progress');
+const { getLadderProfile, resolveLadderAudio } = require('../services/hls-ladder');
+const { normalizeSha256 } = require('../utils/content-hash');
+const { getStorage } = require('../services/storage');
+const { authenticate, canAccess } = require('../middleware/auth');
 
 // Security: Rate limiting configurations
 const strictRateLimit = rateLimit({
@@ -164,7 +170,8 @@ router.post('/video', generalRateLimit, validateUploadInput, async (req, res) =>
       // Include other result fields
       uploadComplete: result.uploadComplete,
       publishReady: result.publishReady,
-      fileSizeMB: result.fileSizeMB
+      fileSizeMB: result.fileSizeMB,
+      contentSha256: result.contentSha256 || null
     });
     
   } catch (error) {
@@ -287,11 +294,11 @@ router.post('/complete-chunks', moderateRateLimit, async (req, res) => {
     });
     
     // Assemble chunks using chunk assembler service
-    const finalFilePath = await chunkAssembler.assembleChunks(uploadId, sanitizedTotalChunks, sanitizedFilename);
+    const { filePath: finalFilePath, contentSha256 } = await chunkAssembler.assembleChunks(uploadId, sanitizedTotalChunks, sanitizedFilename);
     console.log(`Ã¢Å“â€¦ Chunks assembled into: ${finalFilePath}`);
     
     // Process the assembled file using upload processor service
-    const result = await uploadProcessor.processVideo(uploadId, finalFilePath, sanitizedFilename, sanitizedVideoId);
+    const result = await uploadProcessor.processVideo(uploadId, finalFilePath, sanitizedFilename, sanitizedVideoId, { contentSha256 });
     
     console.log(`Ã¢Å“â€¦ Chunked upload processing completed: ${uploadId}`);
     console.log(`Ã°Å¸â€œÅ  Result metadata:`, JSON.stringify(result.metadata, null, 2));
@@ -323,21 +330,22 @@ router.post('/complete-chunks', moderateRateLimit, async (req, res) => {
     console.log(`Ã°Å¸â€œÅ  Final metadata being sent:`, JSON.stringify(metadata, null, 2));
     
     
-    // Trigger HLS transcoding via Coconut (fire-and-forget, non-blocking)
+    // Trigger HLS transcoding via the configured transcoder (fire-and-forget, non-blocking)
     let hlsStatus = null;
     let transcodeJobId = null;
+    let hlsProfile = null;
     if (sanitizedVideoId && result.videoUrl) {
       try {
-        const hlsResult = await coconutService.createHlsJob(sanitizedVideoId, result.videoUrl);
+        // Chunked uploads have no profile field - the video's hls_profile or the default applies
+        const ladder = await transcoderService.resolveVideoLadder(sanitizedVideoId);
+        const hlsResult = await transcoderService.createHlsJob(sanitizedVideoId, result.videoUrl, { ladder });
         if (hlsResult) {
           hlsStatus = 'processing';
           transcodeJobId = hlsResult.jobId;
-          console.log(`🎬 HLS transcode job created: ${hlsResult.jobId} for video ${sanitizedVideoId}`);
+          hlsProfile = ladder.profile;
+          console.log(`🎬 HLS transcode job created: ${hlsResult.jobId} for video ${sanitizedVideoId} (${ladder.profile} profile)`);
           // Write processing status directly to Supabase so frontend can react via Realtime
-          await updateHlsStatus(sanitizedVideoId, {
-            hls_status: 'processing',
-            transcode_job_id: hlsResult.jobId
-          });
+          await startHlsProgress(sanitizedVideoId, hlsResult.jobId, ladder);
         }
       } catch (hlsError) {
         console.error(`⚠️ HLS transcode trigger failed (non-fatal):`, hlsError.message);
@@ -355,9 +363,11 @@ router.post('/complete-chunks', moderateRateLimit, async (req, res) => {
       uploadComplete: result.uploadComplete,
       publishReady: result.publishReady,
       fileSizeMB: result.fileSizeMB,
+      contentSha256: result.contentSha256 || null,
       // HLS transcoding status for frontend to store in Supabase
       hlsStatus: hlsStatus,
-      transcodeJobId: transcodeJobId
+      transcodeJobId: transcodeJobId,
+      hlsProfile: hlsProfile
     });
 
     
@@ -379,12 +389,66 @@ router.post('/complete-chunks', moderateRateLimit, async (req, res) => {
 // NEW STREAMING PROXY MULTIPART UPLOAD FUNCTIONALITY
 // ============================================================================
 
+/**
+ * Only the user who initialized a multipart upload (or an admin) may use it
+ * Use after authenticate. The upload ID comes from the route, the body or the x-upload-id header;
+ * unknown uploads are passed on so each route keeps its own 404. A b2FileId in the body or the
+ * x-b2-file-id header must be the session's own - the routes pass it on to B2.
+ */
+function requireUploadOwner(req, res, next) {
+  const uploadId = sanitizeInput(req.params.uploadId || (req.body && req.body.uploadId) || req.headers['x-upload-id']);
+  const session = uploadId ? multipartUploader.getUploadInfo(uploadId) : null;
+  
+  if (!session) {
+    return next();
+  }
+  
+  if (!canAccess(req.user, session.userId)) {
+    return res.status(403).json({
+      error: 'Not authorized to use this upload',
+      uploadId: uploadId
+    });
+  }
+  
+  const b2FileId = sanitizeInput((req.body && req.body.b2FileId) || req.headers['x-b2-file-id']);
+  if (b2FileId && b2FileId !== session.b2FileId) {
+    return res.status(409).json({
+      error: 'b2FileId does not belong to this upload',
+      uploadId: uploadId
+    });
+  }
+  
+  next();
+}
+
+/**
+ * Check that the caller may write to a video record
+ * A video that does not exist yet is allowed - the upload creates it.
+ * @param {Object} req - Authenticated request
+ * @param {string} videoId - Video ID from the client
+ * @returns {Promise<Object|null>} - { status, error } to send, or null if allowed
+ */
+async function checkVideoWriteAccess(req, videoId) {
+  if (!videoId || !config.auth.enabled || (req.user && req.user.isAdmin)) {
+    return null;
+  }
+  
+  const owner = await getVideoOwner(videoId);
+  if (!owner) {
+    return { status: 503, error: 'Could not verify the video owner, try again later' };
+  }
+  if (owner.exists && !canAccess(req.user, owner.ownerId)) {
+    return { status: 403, error: 'Not authorized to upload to this video' };
+  }
+  return null;
+}
+
 /**
  * NEW: Initialize Streaming Proxy B2 Multipart Upload
  * POST /upload/multipart/initialize
  * Sets up B2 upload but returns server endpoints instead of B2 URLs
  */
-router.post('/multipart/initialize', strictRateLimit, validateUploadInput, async (req, res) => {
+router.post('/multipart/initialize', strictRateLimit, authenticate, validateUploadInput, async (req, res) => {
   // Check if multipart uploads are enabled
   if (!ENABLE_MULTIPART_UPLOADS) {
     return res.status(503).json({
@@ -396,7 +460,7 @@ router.post('/multipart/initialize', strictRateLimit, validateUploadInput, async
   let uploadId;
   
   try {
-    const { fileName, fileSize, contentType, videoId, chunkSize } = req.body;
+    const { fileName, fileSize, contentType, videoId, chunkSize, uploadMode, contentSha256, allowDuplicate, hlsProfile, hlsAudio } = req.body;
     
     // Sanitize inputs
     const sanitizedFileName = sanitizeInput(fileName);
@@ -404,6 +468,61 @@ router.post('/multipart/initialize', strictRateLimit, validateUploadInput, async
     const sanitizedContentType = sanitizeInput(contentType);
     const sanitizedVideoId = sanitizeInput(videoId);
     const sanitizedChunkSize = sanitizeInput(chunkSize);
+    const sanitizedUploadMode = sanitizeInput(uploadMode) || 'proxy';
+    const normalizedSha256 = contentSha256 ? normalizeSha256(contentSha256) : null;
+    const sanitizedHlsProfile = sanitizeInput(hlsProfile) || null;
+    
+    // Validate HLS profile - optional, the video's hls_profile or HLS_DEFAULT_PROFILE is used otherwise
+    if (sanitizedHlsProfile) {
+      try {
+        getLadderProfile(sanitizedHlsProfile);
+      } catch (profileError) {
+        return res.status(400).json({
+          error: 'Invalid hlsProfile',
+          details: profileError.message
+        });
+      }
+    }
+    
+    // Validate HLS audio options - optional { normalize, audioOnly }, profile/config defaults otherwise
+    if (hlsAudio !== undefined && hlsAudio !== null) {
+      try {
+        resolveLadderAudio(hlsAudio);
+      } catch (audioError) {
+        return res.status(400).json({
+          error: 'Invalid hlsAudio',
+          details: audioError.message
+        });
+      }
+    }
+    
+    // Validate content hash - optional, but must be a hex SHA-256 when present
+    if (contentSha256 && !normalizedSha256) {
+      return res.status(400).json({
+        error: 'Invalid contentSha256. Must be a 64 character hex SHA-256 of the whole file.'
+      });
+    }
+    
+    // Validate upload mode - direct mode sends parts straight to B2
+    if (sanitizedUploadMode !== 'proxy' && sanitizedUploadMode !== 'direct') {
+      return res.status(400).json({
+        error: 'Invalid uploadMode. Must be "proxy" or "direct".'
+      });
+    }
+    
+    if (sanitizedUploadMode === 'direct' && !config.multipart.directUploads) {
+      return res.status(400).json({
+        error: 'Direct B2 uploads are disabled',
+        fallback: 'Omit uploadMode to use the streaming proxy'
+      });
+    }
+    
+    if (sanitizedUploadMode === 'direct' && !getStorage().capabilities.directUploads) {
+      return res.status(400).json({
+        error: `Direct uploads are not supported by the ${getStorage().name} storage driver`,
+        fallback: 'Omit uploadMode to use the streaming proxy'
+      });
+    }
     
     // Validate required fields
     if (!sanitizedFileName || !sanitizedFileSize) {
@@ -431,6 +550,58 @@ router.post('/multipart/initialize', strictRateLimit, validateUploadInput, async
       });
     }
     
+    const videoAccess = await checkVideoWriteAccess(req, sanitizedVideoId);
+    if (videoAccess) {
+      return res.status(videoAccess.status).json({
+        error: videoAccess.error,
+        videoId: sanitizedVideoId
+      });
+    }
+    
+    // Deduplication: the same file is already stored - offer it instead of uploading again.
+    // Signed-in callers only match their own videos and get the record back; without a user
+    // (AUTH_ENABLED=false) the response only says that a copy exists.
+    if (normalizedSha256 && allowDuplicate !== true) {
+      const existingVideo = await findVideoByContentHash(normalizedSha256, req.user ? req.user.id : null);
+      
+      if (existingVideo && !req.user) {
+        console.log(`♻️ Duplicate upload detected for ${sanitizedFileName}`);
+        
+        return res.json({
+          success: true,
+          duplicate: true,
+          uploadId: null,
+          contentSha256: normalizedSha256,
+          message: 'This file has already been uploaded - initialize again with allowDuplicate: true to upload anyway'
+        });
+      }
+      
+      if (existingVideo) {
+        console.log(`♻️ Duplicate upload detected for ${sanitizedFileName} - matches video ${existingVideo.id}`);
+        
+        return res.json({
+          success: true,
+          duplicate: true,
+          uploadId: null,
+          contentSha256: normalizedSha256,
+          existingVideo: {
+            videoId: existingVideo.id,
+            videoUrl: existingVideo.storage_url,
+            thumbnailUrl: existingVideo.thumbnail_url || null,
+            originalFileName: existingVideo.original_filename || null,
+            metadata: {
+              duration: parseFloat(existingVideo.duration) || 0,
+              width: parseInt(existingVideo.width) || 0,
+              height: parseInt(existingVideo.height) || 0,
+              thumbnailUrl: existingVideo.thumbnail_url || null,
+              videoUrl: existingVideo.storage_url
+            }
+          },
+          message: 'This file has already been uploaded - reuse existingVideo.videoUrl, or initialize again with allowDuplicate: true to upload anyway'
+        });
+      }
+    }
+    
     // Generate unique upload ID with more entropy
     uploadId = `multipart_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${Math.random().toString(36).substr(2, 9)}`;
     
@@ -439,7 +610,7 @@ router.post('/multipart/initialize', strictRateLimit, validateUploadInput, async
     // Initialize upload status tracking
     initUploadStatus(uploadId, {
       status: 'initializing',
-      uploadMethod: 'streaming_proxy',
+      uploadMethod: sanitizedUploadMode === 'direct' ? 'direct_multipart' : 'streaming_proxy',
       fileName: sanitizedFileName,
       fileSize: sanitizedFileSize,
       videoId: sanitizedVideoId,
@@ -448,23 +619,33 @@ router.post('/multipart/initialize', strictRateLimit, validateUploadInput, async
       userAgent: req.headers['user-agent']
     });
     
+    // Calculate estimated parts
+    const defaultChunkSize = sanitizedChunkSize || (25 * 1024 * 1024); // 25MB default
+    const estimatedParts = Math.ceil(sanitizedFileSize / defaultChunkSize);
+    
     // Initialize B2 large file upload with streaming proxy
     const b2Result = await multipartUploader.initializeMultipartUpload(
       uploadId,
       sanitizedFileName,
       sanitizedContentType || 'video/mp4',
       null, // Use default bucket
-      { clientIP: req.ip }
+      {
+        clientIP: req.ip,
+        userId: req.user ? req.user.id : null,
+        mode: sanitizedUploadMode,
+        videoId: sanitizedVideoId,
+        fileSize: sanitizedFileSize,
+        estimatedParts: estimatedParts,
+        contentSha256: normalizedSha256,
+        hlsProfile: sanitizedHlsProfile,
+        hlsAudio: hlsAudio || null
+      }
     );
     
-    // Calculate estimated parts
-    const defaultChunkSize = sanitizedChunkSize || (25 * 1024 * 1024); // 25MB default
-    const estimatedParts = Math.ceil(sanitizedFileSize / defaultChunkSize);
-    
     // Update status with B2 information
     updateUploadStatus(uploadId, {
       status: 'ready_for_upload',
-      stage: 'ready for streaming proxy chunk uploads',
+      stage: sanitizedUploadMode === 'direct' ? 'ready for direct B2 part uploads' : 'ready for streaming proxy chunk uploads',
       progress: 10,
       b2FileId: b2Result.b2FileId,
       fileName: b2Result.fileName,
@@ -480,14 +661,26 @@ router.post('/multipart/initialize', strictRateLimit, validateUploadInput, async
       fileName: b2Result.fileName,
       estimatedParts: estimatedParts,
       maxPartSize: 5 * 1024 * 1024 * 1024, // 5GB B2 limit
-      message: 'Streaming proxy multipart upload initialized successfully',
-      instructions: {
-        step1: 'Upload chunks to /upload/multipart/stream-chunk',
-        step2: 'Server will stream chunks directly to B2 (no CORS issues)',
-        step3: 'Call /upload/multipart/complete when all chunks are uploaded',
-        step4: 'Monitor progress via WebSocket or /upload/status endpoint',
-        benefits: 'Low server memory usage via streaming proxy'
-      }
+      uploadMode: sanitizedUploadMode,
+      duplicate: false,
+      contentSha256: normalizedSha256,
+      hlsProfile: sanitizedHlsProfile,
+      hlsAudio: hlsAudio || null,
+      ...(sanitizedUploadMode === 'direct' ? {
+        partUrls: b2Result.partUrls,
+        partUrlsExpireAt: b2Result.partUrlsExpireAt,
+        message: 'Direct B2 multipart upload initialized successfully',
+        instructions: b2Result.instructions
+      } : {
+        message: 'Streaming proxy multipart upload initialized successfully',
+        instructions: {
+          step1: 'Upload chunks to /upload/multipart/stream-chunk',
+          step2: 'Server will stream chunks directly to B2 (no CORS issues)',
+          step3: 'Call /upload/multipart/complete when all chunks are uploaded',
+          step4: 'Monitor progress via WebSocket or /upload/status endpoint',
+          benefits: 'Low server memory usage via streaming proxy'
+        }
+      })
     });
     
   } catch (error) {
@@ -511,7 +704,7 @@ router.post('/multipart/initialize', strictRateLimit, validateUploadInput, async
  * POST /upload/multipart/stream-chunk
  * Receives chunk from browser and streams directly to B2
  */
-router.post('/multipart/stream-chunk', moderateRateLimit, validateUploadInput, async (req, res) => {
+router.post('/multipart/stream-chunk', moderateRateLimit, authenticate, requireUploadOwner, validateUploadInput, async (req, res) => {
   try {
     const uploadId = sanitizeInput(req.headers['x-upload-id']);
     const b2FileId = sanitizeInput(req.headers['x-b2-file-id']);
@@ -536,9 +729,12 @@ router.post('/multipart/stream-chunk', moderateRateLimit, validateUploadInput, a
     // Validate upload exists and is in correct state
     const uploadStatus = getUploadStatus(uploadId);
     if (!uploadStatus) {
+      // Session survived a restart but status did not - client must resume first
+      const resumable = !!multipartUploader.getUploadInfo(uploadId);
       return res.status(404).json({
-        error: 'Upload not found or expired',
-        uploadId: uploadId
+        error: resumable ? 'Upload must be resumed before sending more chunks' : 'Upload not found or expired',
+        uploadId: uploadId,
+        resumable: resumable
       });
     }
     
@@ -549,6 +745,14 @@ router.post('/multipart/stream-chunk', moderateRateLimit, validateUploadInput, a
       });
     }
     
+    const session = multipartUploader.getUploadInfo(uploadId);
+    if (session && session.mode === 'direct') {
+      return res.status(400).json({
+        error: 'Upload is in direct mode - send parts to B2 using the issued part URLs',
+        uploadId: uploadId
+      });
+    }
+    
     updateUploadStatus(uploadId, {
       stage: `streaming chunk ${partNumber} to B2`,
       progress: Math.min(90, 10 + (partNumber * 2))
@@ -577,6 +781,16 @@ router.post('/multipart/stream-chunk', moderateRateLimit, validateUploadInput, a
   } catch (error) {
     console.error(`Ã¢ÂÅ’ Failed to stream chunk to B2:`, error);
     
+    // Backpressure - the part was not read, the client should send it again later
+    if (error.code === 'PART_SLOT_TIMEOUT') {
+      res.setHeader('Retry-After', '30');
+      return res.status(503).json({
+        error: 'Server busy, retry this chunk later',
+        details: error.message,
+        retryAfter: 30
+      });
+    }
+    
     res.status(500).json({
       error: 'Failed to stream chunk to B2',
       details: error.message
@@ -589,9 +803,9 @@ router.post('/multipart/stream-chunk', moderateRateLimit, validateUploadInput, a
  * POST /upload/multipart/complete
  * MODIFIED: Returns metadata in response
  */
-router.post('/multipart/complete', moderateRateLimit, async (req, res) => {
+router.post('/multipart/complete', moderateRateLimit, authenticate, requireUploadOwner, async (req, res) => {
   try {
-    const { uploadId, b2FileId, totalParts, originalFileName, videoId } = req.body;
+    const { uploadId, b2FileId, totalParts, originalFileName, videoId, partSha1Array } = req.body;
     
     // Sanitize inputs
     const sanitizedUploadId = sanitizeInput(uploadId);
@@ -643,6 +857,44 @@ router.post('/multipart/complete', moderateRateLimit, async (req, res) => {
       });
     }
     
+    // Direct mode: the server never saw the bytes, so the client reports the part SHA1s
+    const session = multipartUploader.getUploadInfo(sanitizedUploadId);
+    
+    // The video ID is written to (metadata, content hash, HLS job) - it must be one the caller owns
+    if (session && session.videoId && sanitizedVideoId && session.videoId !== sanitizedVideoId) {
+      return res.status(409).json({
+        error: 'videoId does not match the one given at initialize',
+        uploadId: sanitizedUploadId
+      });
+    }
+    const videoAccess = await checkVideoWriteAccess(req, sanitizedVideoId);
+    if (videoAccess) {
+      return res.status(videoAccess.status).json({
+        error: videoAccess.error,
+        videoId: sanitizedVideoId
+      });
+    }
+    
+    const uploadMode = session && session.mode === 'direct' ? 'direct' : 'proxy';
+    
+    if (uploadMode === 'direct') {
+      if (!Array.isArray(partSha1Array) || partSha1Array.length !== Number(sanitizedTotalParts)) {
+        return res.status(400).json({
+          error: 'Direct mode uploads require partSha1Array with one SHA1 per part',
+          expected: sanitizedTotalParts,
+          received: Array.isArray(partSha1Array) ? partSha1Array.length : 0
+        });
+      }
+      
+      try {
+        multipartUploader.recordClientPartSha1s(sanitizedUploadId, partSha1Array);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: validationError.message
+        });
+      }
+    }
+    
     updateUploadStatus(sanitizedUploadId, {
       status: 'finalizing',
       stage: 'finalizing B2 multipart upload',
@@ -692,32 +944,37 @@ router.post('/multipart/complete', moderateRateLimit, async (req, res) => {
     completeUploadStatus(sanitizedUploadId, {
       videoUrl: result.videoUrl,
       fileName: result.fileName,
-      uploadMethod: 'streaming_proxy',
+      uploadMethod: uploadMode === 'direct' ? 'direct_multipart' : 'streaming_proxy',
       partsUploaded: sanitizedTotalParts,
       publishReady: true,
       completedAt: new Date().toISOString(),
       fileSize: result.fileSize,
       metadata: metadata, // Use the properly structured metadata
-      thumbnailUrl: result.thumbnailUrl
+      thumbnailUrl: result.thumbnailUrl,
+      contentVerification: result.contentVerification
     });
     
     console.log(`Ã°Å¸Å½â€° Streaming proxy multipart upload completed successfully: ${sanitizedUploadId}`);
     
-    // Trigger HLS transcoding via Coconut (fire-and-forget, non-blocking)
+    // Trigger HLS transcoding via the configured transcoder (fire-and-forget, non-blocking)
     let hlsStatus = null;
     let transcodeJobId = null;
+    let hlsProfile = null;
     if (sanitizedVideoId && result.videoUrl) {
       try {
-        const hlsResult = await coconutService.createHlsJob(sanitizedVideoId, result.videoUrl);
+        // Profile and audio options chosen at /multipart/initialize, else the video's hls_profile or the defaults
+        const ladder = await transcoderService.resolveVideoLadder(sanitizedVideoId, {
+          profile: session ? session.hlsProfile : null,
+          audio: session ? session.hlsAudio : null
+        });
+        const hlsResult = await transcoderService.createHlsJob(sanitizedVideoId, result.videoUrl, { ladder });
         if (hlsResult) {
           hlsStatus = 'processing';
           transcodeJobId = hlsResult.jobId;
-          console.log(`🎬 HLS transcode job created: ${hlsResult.jobId} for video ${sanitizedVideoId}`);
+          hlsProfile = ladder.profile;
+          console.log(`🎬 HLS transcode job created: ${hlsResult.jobId} for video ${sanitizedVideoId} (${ladder.profile} profile)`);
           // Write processing status directly to Supabase so frontend can react via Realtime
-          await updateHlsStatus(sanitizedVideoId, {
-            hls_status: 'processing',
-            transcode_job_id: hlsResult.jobId
-          });
+          await startHlsProgress(sanitizedVideoId, hlsResult.jobId, ladder);
         }
       } catch (hlsError) {
         console.error(`⚠️ HLS transcode trigger failed (non-fatal):`, hlsError.message);
@@ -736,9 +993,12 @@ router.post('/multipart/complete', moderateRateLimit, async (req, res) => {
       // Include metadata in response for frontend - use the properly structured metadata
       metadata: metadata,
       thumbnailUrl: result.thumbnailUrl,
+      // Whole-file SHA-256 is verified in the background - poll /queue/job/:jobId or the upload status
+      contentVerification: result.contentVerification,
       // HLS transcoding status for frontend to store in Supabase
       hlsStatus: hlsStatus,
       transcodeJobId: transcodeJobId,
+      hlsProfile: hlsProfile,
       message: 'Upload completed successfully with metadata extracted'
     });
     
@@ -746,6 +1006,21 @@ router.post('/multipart/complete', moderateRateLimit, async (req, res) => {
     console.error(`Ã¢ÂÅ’ Failed to complete streaming proxy multipart upload:`, error);
     
     const { uploadId } = req.body;
+    
+    // Nothing was cancelled - the client resumes, sends the missing parts and completes again
+    if (error.code === 'PARTS_MISSING') {
+      updateUploadStatus(sanitizeInput(uploadId), {
+        status: 'ready_for_chunks',
+        stage: 'waiting for missing parts'
+      });
+      return res.status(409).json({
+        error: 'Upload is missing parts - resume it first',
+        details: error.message,
+        uploadId: uploadId || null,
+        resumable: true
+      });
+    }
+    
     if (uploadId) {
       failUploadStatus(sanitizeInput(uploadId), error);
     }
@@ -758,12 +1033,197 @@ router.post('/multipart/complete', moderateRateLimit, async (req, res) => {
   }
 });
 
+/**
+ * Get Additional Part URLs (Direct Mode)
+ * POST /upload/multipart/get-urls
+ * Issues another batch of B2 part upload URLs for a direct-mode upload
+ */
+router.post('/multipart/get-urls', moderateRateLimit, authenticate, requireUploadOwner, async (req, res) => {
+  try {
+    const { uploadId, b2FileId, count } = req.body;
+    
+    // Sanitize inputs
+    const sanitizedUploadId = sanitizeInput(uploadId);
+    const sanitizedB2FileId = sanitizeInput(b2FileId);
+    const sanitizedCount = count ? parseInt(sanitizeInput(count)) : config.multipart.defaultPartUrlCount;
+    
+    if (!sanitizedUploadId || !sanitizedB2FileId) {
+      return res.status(400).json({
+        error: 'Missing required fields: uploadId and b2FileId are required'
+      });
+    }
+    
+    if (isNaN(sanitizedCount) || sanitizedCount < 1 || sanitizedCount > 20) {
+      return res.status(400).json({
+        error: 'Invalid count value. Must be between 1 and 20.'
+      });
+    }
+    
+    const session = multipartUploader.getUploadInfo(sanitizedUploadId);
+    if (!session || session.b2FileId !== sanitizedB2FileId) {
+      return res.status(404).json({
+        error: 'Upload not found or expired',
+        uploadId: sanitizedUploadId
+      });
+    }
+    
+    if (session.mode !== 'direct') {
+      return res.status(400).json({
+        error: 'Part URLs are only issued for direct mode uploads',
+        uploadId: sanitizedUploadId
+      });
+    }
+    
+    const partUrlBatch = await multipartUploader.getDirectPartUrls(sanitizedUploadId, sanitizedCount);
+    
+    res.json({
+      success: true,
+      uploadId: sanitizedUploadId,
+      b2FileId: sanitizedB2FileId,
+      partUrls: partUrlBatch.partUrls,
+      partUrlsExpireAt: partUrlBatch.expiresAt
+    });
+    
+  } catch (error) {
+    console.error(`❌ Failed to issue direct part URLs:`, error);
+    
+    res.status(500).json({
+      error: 'Failed to get part URLs',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Resume Streaming Proxy Multipart Upload
+ * POST /upload/multipart/resume
+ * Rebuilds the part list from B2 and reports which part numbers are still missing
+ */
+router.post('/multipart/resume', moderateRateLimit, authenticate, requireUploadOwner, async (req, res) => {
+  try {
+    const { uploadId, b2FileId, totalParts } = req.body;
+    
+    // Sanitize inputs
+    const sanitizedUploadId = sanitizeInput(uploadId);
+    const sanitizedB2FileId = sanitizeInput(b2FileId);
+    const sanitizedTotalParts = totalParts ? parseInt(sanitizeInput(totalParts)) : null;
+    
+    if (!sanitizedUploadId) {
+      return res.status(400).json({
+        error: 'Missing required field: uploadId'
+      });
+    }
+    
+    if (sanitizedTotalParts !== null && (isNaN(sanitizedTotalParts) || sanitizedTotalParts < 1 || sanitizedTotalParts > 10000)) {
+      return res.status(400).json({
+        error: 'Invalid totalParts value. Must be between 1 and 10000.'
+      });
+    }
+    
+    if (!multipartUploader.getUploadInfo(sanitizedUploadId)) {
+      return res.status(404).json({
+        error: 'Upload not found or expired',
+        uploadId: sanitizedUploadId
+      });
+    }
+    
+    const result = await multipartUploader.resumeMultipartUpload(sanitizedUploadId, {
+      b2FileId: sanitizedB2FileId,
+      totalParts: sanitizedTotalParts
+    });
+    
+    // Status tracking is in-memory only - recreate it after a restart
+    const session = multipartUploader.getUploadInfo(sanitizedUploadId);
+    
+    // Direct mode clients need fresh part URLs for the parts that are still missing
+    if (session.mode === 'direct' && result.missingParts.length > 0) {
+      const partUrlBatch = await multipartUploader.getDirectPartUrls(
+        sanitizedUploadId,
+        Math.min(result.missingParts.length, config.multipart.defaultPartUrlCount)
+      );
+      result.partUrls = partUrlBatch.partUrls;
+      result.partUrlsExpireAt = partUrlBatch.expiresAt;
+    }
+    const resumeStatus = {
+      status: 'ready_for_upload',
+      stage: `resumed - ${result.missingParts.length} parts remaining`,
+      b2FileId: result.b2FileId,
+      fileName: result.fileName,
+      estimatedParts: result.totalParts,
+      partsUploaded: result.receivedParts.length
+    };
+    
+    if (getUploadStatus(sanitizedUploadId)) {
+      updateUploadStatus(sanitizedUploadId, resumeStatus);
+    } else {
+      initUploadStatus(sanitizedUploadId, {
+        ...resumeStatus,
+        uploadMethod: session.mode === 'direct' ? 'direct_multipart' : 'streaming_proxy',
+        fileSize: session.fileSize,
+        videoId: session.videoId,
+        progress: 10
+      });
+    }
+    
+    console.log(`♻️ Resumed streaming proxy multipart upload ${sanitizedUploadId}: ${result.missingParts.length} parts missing`);
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error(`❌ Failed to resume streaming proxy multipart upload:`, error);
+    
+    res.status(error.message.includes('does not match') ? 400 : 500).json({
+      error: 'Failed to resume upload',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * List Parts Received for a Streaming Proxy Multipart Upload
+ * GET /upload/multipart/:uploadId/parts
+ * Lets clients skip parts that already reached B2 after a network drop
+ */
+router.get('/multipart/:uploadId/parts', generalRateLimit, authenticate, requireUploadOwner, (req, res) => {
+  try {
+    const uploadId = sanitizeInput(req.params.uploadId);
+    
+    // Security: Validate uploadId format
+    if (!uploadId || uploadId.length > 100 || !/^[a-zA-Z0-9_-]+$/.test(uploadId)) {
+      return res.status(400).json({
+        error: 'Invalid upload ID format'
+      });
+    }
+    
+    const parts = multipartUploader.getUploadParts(uploadId);
+    if (!parts) {
+      return res.status(404).json({
+        error: 'Upload not found or expired',
+        uploadId: uploadId
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...parts
+    });
+    
+  } catch (error) {
+    console.error(`❌ Failed to list parts for multipart upload:`, error);
+    
+    res.status(500).json({
+      error: 'Failed to list upload parts',
+      details: error.message
+    });
+  }
+});
+
 /**
  * NEW: Cancel Streaming Proxy Multipart Upload
  * POST /upload/multipart/cancel
  * Cancels B2 upload and cleans up resources
  */
-router.post('/multipart/cancel', moderateRateLimit, async (req, res) => {
+router.post('/multipart/cancel', moderateRateLimit, authenticate, requireUploadOwner, async (req, res) => {
   try {
     const { uploadId, b2FileId } = req.body;
     
@@ -783,7 +1243,11 @@ router.post('/multipart/cancel', moderateRateLimit, async (req, res) => {
     const cancelled = await multipartUploader.cancelMultipartUpload(
       sanitizedUploadId, 
       sanitizedB2FileId,
-      { clientIP: req.ip }
+      {
+        clientIP: req.ip,
+        userId: req.user ? req.user.id : null,
+        isAdmin: !!(req.user && req.user.isAdmin)
+      }
     );
     
     if (cancelled) {
@@ -804,6 +1268,13 @@ router.post('/multipart/cancel', moderateRateLimit, async (req, res) => {
   } catch (error) {
     console.error(`Ã¢ÂÅ’ Failed to cancel streaming proxy multipart upload:`, error);
     
+    if (error.name === 'AuthorizationError') {
+      return res.status(403).json({
+        error: 'Not authorized to cancel this upload',
+        details: error.message
+      });
+    }
+    
     res.status(500).json({
       error: 'Failed to cancel upload',
       details: error.message
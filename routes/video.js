@@ -4,7 +4,17 @@ const b2Service = require('../services/b2');
 const logger = require('../utils/logger');
 const { config } = require('../config');
 const { createClient } = require('@supabase/supabase-js');
-const B2 = require('backblaze-b2');
+const { getStorage, getFileNameFromUrl } = require('../services/storage');
+const { authenticate, optionalAuth, canAccess } = require('../middleware/auth');
+const { extractVideoMetadataUnified } = require('../services/ffmpeg');
+const { getSignedPlaylist, getSignedHlsFileUrl } = require('../services/hls-proxy');
+const { streamStoredFile } = require('../services/stream-proxy');
+const transcoderService = require('../services/transcoder');
+const { startHlsProgress } = require('../services/hls-progress');
+const { requireAdminKey, requireUserOrAdminKey } = require('../middleware/admin-key');
+const { addJob, getJobStatus, cancelJob } = require('../utils/upload-queue');
+const { runOrphanCleanup, getCleanupReport, listCleanupReports, CLEANUP_BUCKETS } = require('../services/orphan-cleanup');
+const { deleteVideo, restoreVideo } = require('../services/video-deletion');
 
 
 // Initialize Supabase client
@@ -34,6 +44,243 @@ function getSupabaseClient() {
   return supabase;
 }
 
+/**
+ * Build a videos select list that includes the owner column when ownership is enforced
+ * @param {string} columns - Comma-separated columns
+ * @returns {string} - Columns for .select()
+ */
+function withOwnerColumn(columns) {
+  return config.auth.enabled ? `${columns}, ${config.auth.ownerColumn}` : columns;
+}
+
+/**
+ * Whether a .single() lookup failed only because no row matched
+ * Anything else (a missing column, a connection error) is a server error, not a missing video.
+ * @param {Object|null} error - Supabase error
+ * @returns {boolean} - True for PostgREST's "no rows" error
+ */
+function isNoRowError(error) {
+  return Boolean(error) && error.code === 'PGRST116';
+}
+
+/**
+ * Find the video whose storage_url ends in a file name
+ * LIKE metacharacters in the name are escaped, and the match is confirmed against the exact
+ * file name, so '%' or '_' in the request cannot select another video's row.
+ * @param {Object} supabase - Supabase client
+ * @param {string} columns - Columns for .select() (storage_url is added)
+ * @param {string} filename - File name in the video bucket
+ * @returns {Promise<Object>} - { video, error }
+ */
+async function findVideoByFileName(supabase, columns, filename) {
+  const escaped = filename.replace(/[\\%_]/g, '\\$&');
+  const { data, error } = await supabase
+    .from('videos')
+    .select(`${columns}, storage_url`)
+    .like('storage_url', `%/${escaped}`)
+    .limit(10);
+  
+  if (error) {
+    return { video: null, error };
+  }
+  return { video: (data || []).find(row => getFileNameFromUrl(row.storage_url) === filename) || null, error: null };
+}
+
+/**
+ * Check the caller against a video's owner
+ * @param {Object} req - Express request (after authenticate)
+ * @param {Object|null} video - Video record selected with withOwnerColumn()
+ * @returns {boolean} - True if the caller is the owner or an admin
+ */
+function canAccessVideo(req, video) {
+  return canAccess(req.user, video ? video[config.auth.ownerColumn] : null);
+}
+
+/**
+ * Check the caller against PLAYBACK_ACCESS
+ * @param {Object} req - Express request (after optionalAuth)
+ * @param {Object} video - Video record selected with withOwnerColumn()
+ * @returns {boolean} - True if the caller may get playback URLs
+ */
+function canPlayVideo(req, video) {
+  switch (config.playback.access) {
+    case 'public':
+      return true;
+    case 'authenticated':
+      return !config.auth.enabled || Boolean(req.user);
+    default:
+      return canAccessVideo(req, video);
+  }
+}
+
+/**
+ * Look up a video's record and source file name (download, stream and transcode routes)
+ * Soft-deleted videos count as not found.
+ * @param {string} videoId - Video ID
+ * @param {string} [extraColumns] - Additional columns to select, comma-separated
+ * @returns {Promise<Object>} - { video, fileName }, or { status, error } to send back
+ */
+async function findVideoFile(videoId, extraColumns = '') {
+  const supabase = getSupabaseClient();
+  if (!supabase) {
+    return { status: 500, error: "Database client not available" };
+  }
+
+  const { data, error } = await supabase
+    .from('videos')
+    .select(withOwnerColumn(`storage_url, original_filename, title${extraColumns ? `, ${extraColumns}` : ''}${config.softDelete.enabled ? ', deleted_at' : ''}`))
+    .eq('id', videoId)
+    .single();
+
+  if (error && !isNoRowError(error)) {
+    logger.error(`❌ Video lookup failed: ${videoId}`, error);
+    return { status: 500, error: "Failed to look up video" };
+  }
+  if (!data || data.deleted_at) {
+    return { status: 404, error: "Video not found" };
+  }
+
+  return { video: data, fileName: getFileNameFromUrl(data.storage_url) };
+}
+
+/**
+ * Signed playback URLs for a video
+ * GET /:videoId/playback?ttl=<seconds>
+ * 
+ * Returns time-limited inline URLs for the video file, thumbnail and HLS master playlist, so
+ * players keep working when the buckets are private. HLS segments are fetched by relative URL,
+ * so hls.token authorizes every file under the video's HLS prefix: append
+ * ?{hls.queryParam}={hls.token} to each segment and playlist request.
+ */
+router.get('/:videoId/playback', optionalAuth, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const ttlSeconds = Math.min(
+      Math.max(parseInt(req.query.ttl) || config.playback.urlTtlSeconds, 60),
+      config.playback.maxUrlTtlSeconds
+    );
+    
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      return res.status(500).json({ error: "Database client not available" });
+    }
+    
+    const { data, error } = await supabase
+      .from('videos')
+      .select(withOwnerColumn(`storage_url, thumbnail_url, hls_status${config.softDelete.enabled ? ', deleted_at' : ''}`))
+      .eq('id', videoId)
+      .single();
+    
+    if (error && !isNoRowError(error)) {
+      logger.error(`❌ Video lookup failed: ${videoId}`, error);
+      return res.status(500).json({ error: "Failed to look up video", details: error.message });
+    }
+    if (!data || data.deleted_at) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+    
+    if (!canPlayVideo(req, data)) {
+      return req.user
+        ? res.status(403).json({ error: "Not authorized to play this video" })
+        : res.status(401).json({ error: "Authentication required", details: 'Send a Supabase access token as "Authorization: Bearer <token>"' });
+    }
+    
+    const videoFileName = getFileNameFromUrl(data.storage_url);
+    const thumbnailFileName = getFileNameFromUrl(data.thumbnail_url);
+    const options = { validDurationInSeconds: ttlSeconds };
+    
+    let hls = null;
+    if (data.hls_status === 'ready') {
+      const prefix = `${videoId}/hls/`;
+      const prefixToken = await b2Service.getSignedPrefixToken(prefix, { ...options, bucket: 'hls' });
+      hls = {
+        manifestUrl: await b2Service.getSignedPlaybackUrl(`${prefix}master.m3u8`, { ...options, bucket: 'hls' }),
+        proxyUrl: `${req.baseUrl}/${videoId}/hls/master.m3u8`,
+        prefix: prefix,
+        queryParam: prefixToken ? prefixToken.queryParam : null,
+        token: prefixToken ? prefixToken.token : null
+      };
+    }
+    
+    res.json({
+      videoId: videoId,
+      ttlSeconds: ttlSeconds,
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+      videoUrl: videoFileName ? await b2Service.getSignedPlaybackUrl(videoFileName, { ...options, bucket: 'video' }) : null,
+      thumbnailUrl: thumbnailFileName ? await b2Service.getSignedPlaybackUrl(thumbnailFileName, { ...options, bucket: 'thumbnail' }) : null,
+      hls: hls
+    });
+    
+  } catch (error) {
+    logger.error(`❌ Playback URL error for video ${req.params.videoId}:`, error);
+    res.status(500).json({ error: "Failed to generate playback URLs" });
+  }
+});
+
+/**
+ * HLS playlist proxy
+ * GET /:videoId/hls/*
+ * 
+ * Serves master.m3u8 and the variant playlists with every segment URI signed, so players can
+ * stream from a private HLS bucket: point the player at /video/:videoId/hls/master.m3u8.
+ * Other files requested here (segments) are redirected to a signed URL.
+ * Access follows PLAYBACK_ACCESS; for authenticated or owner access the player must send the
+ * Authorization header with each request.
+ */
+router.get('/:videoId/hls/*', optionalAuth, async (req, res) => {
+  const { videoId } = req.params;
+  const hlsPath = req.params[0];
+  
+  try {
+    if (config.playback.access !== 'public') {
+      const supabase = getSupabaseClient();
+      if (!supabase) {
+        return res.status(500).json({ error: "Database client not available" });
+      }
+      
+      const { data, error } = await supabase
+        .from('videos')
+        .select(withOwnerColumn(`id${config.softDelete.enabled ? ', deleted_at' : ''}`))
+        .eq('id', videoId)
+        .single();
+      
+      if (error && !isNoRowError(error)) {
+        logger.error(`❌ Video lookup failed: ${videoId}`, error);
+        return res.status(500).json({ error: "Failed to look up video", details: error.message });
+      }
+      if (!data || data.deleted_at) {
+        return res.status(404).json({ error: "Video not found" });
+      }
+      if (!canPlayVideo(req, data)) {
+        return res.status(req.user ? 403 : 401).json({ error: "Not authorized to play this video" });
+      }
+    }
+    
+    if (!hlsPath.toLowerCase().endsWith('.m3u8')) {
+      return res.redirect(302, await getSignedHlsFileUrl(videoId, hlsPath));
+    }
+    
+    const playlist = await getSignedPlaylist(videoId, hlsPath);
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      // Never let a shared cache keep the signed URLs longer than the proxy does
+      'Cache-Control': `private, max-age=${config.playback.hlsPlaylistCacheSeconds}`,
+      'X-Cache': playlist.cached ? 'HIT' : 'MISS'
+    });
+    res.send(playlist.body);
+    
+  } catch (error) {
+    if (error.code === 'INVALID_PATH') {
+      return res.status(400).json({ error: "Invalid HLS path" });
+    }
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: "Playlist not found" });
+    }
+    logger.error(`❌ HLS proxy error for ${videoId}/${hlsPath}:`, error);
+    res.status(502).json({ error: "Failed to load playlist" });
+  }
+});
+
 /**
  * Download a video file via the browser's native download manager
  * GET /:videoId/download
@@ -41,7 +288,7 @@ function getSupabaseClient() {
  * Generates a signed B2 URL with Content-Disposition: attachment
  * and redirects the browser to it, triggering the native download queue.
  */
-router.get('/:videoId/download', async (req, res) => {
+router.get('/:videoId/download', authenticate, async (req, res) => {
   try {
     const { videoId } = req.params;
     
@@ -51,36 +298,19 @@ router.get('/:videoId/download', async (req, res) => {
     
     logger.info(`⬇️ Download requested for video: ${videoId}`);
     
-    // Get Supabase client
-    const supabase = getSupabaseClient();
-    if (!supabase) {
-      return res.status(500).json({ error: "Database client not available" });
+    const { video: data, fileName: b2FileName, status, error } = await findVideoFile(videoId);
+    if (error) {
+      return res.status(status).json({ error });
     }
     
-    // Look up the video in the database
-    const { data, error } = await supabase
-      .from('videos')
-      .select('storage_url, original_filename, title')
-      .eq('id', videoId)
-      .single();
-    
-    if (error || !data) {
-      logger.error(`❌ Video not found for download: ${videoId}`, error);
-      return res.status(404).json({ error: "Video not found" });
+    if (!canAccessVideo(req, data)) {
+      return res.status(403).json({ error: "Not authorized to download this video" });
     }
     
     if (!data.storage_url) {
       return res.status(404).json({ error: "Video file URL not found" });
     }
     
-    // Extract the B2 filename from the storage URL
-    let storageUrl = data.storage_url;
-    if (storageUrl.includes('?')) {
-      storageUrl = storageUrl.split('?')[0];
-    }
-    const parts = storageUrl.split('/');
-    const b2FileName = parts[parts.length - 1];
-    
     if (!b2FileName) {
       return res.status(404).json({ error: "Could not determine file name" });
     }
@@ -102,11 +332,137 @@ router.get('/:videoId/download', async (req, res) => {
   }
 });
 
+/**
+ * Stream a video's source file through the server
+ * GET /:videoId/stream (HEAD supported)
+ * 
+ * Range, If-Range and conditional headers are forwarded to storage and the bytes are piped
+ * back unbuffered with the upstream status (200, 206, 304 or 416), Content-Range, ETag and
+ * Last-Modified, so <video> elements can seek. Access follows PLAYBACK_ACCESS.
+ */
+router.get('/:videoId/stream', optionalAuth, async (req, res) => {
+  const { videoId } = req.params;
+  try {
+    const { video, fileName, status, error } = await findVideoFile(videoId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (!canPlayVideo(req, video)) {
+      return req.user
+        ? res.status(403).json({ error: "Not authorized to play this video" })
+        : res.status(401).json({ error: "Authentication required" });
+    }
+
+    if (!fileName) {
+      return res.status(404).json({ error: "Video file URL not found" });
+    }
+
+    const result = await streamStoredFile(req, res, 'video', fileName);
+
+    logger.debug(`📺 Streamed ${videoId} (${req.headers.range || 'full'}): HTTP ${result.status}, ${result.bytesSent} bytes${result.aborted ? ', client closed' : ''}`);
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error(`❌ Stream interrupted for video ${videoId}:`, error);
+      return res.destroy(error);
+    }
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: "Video file not found in storage" });
+    }
+    logger.error(`❌ Stream error for video ${videoId}:`, error);
+    res.status(502).json({ error: "Failed to stream video" });
+  }
+});
+
+/**
+ * Re-run HLS transcoding for a video
+ * POST /:videoId/transcode
+ * 
+ * Body (all optional):
+ *   - profile: ladder profile from config.hls.profiles (default: the ladder the video was last encoded with)
+ *   - ladder: rungs of that profile to encode, e.g. ["720p", { "name": "1080p", "maxrate": "10000k" }]
+ *   - audio: { normalize, audioOnly } loudness normalization and audio-only variant (local transcoder)
+ *   - force: start a new job even if one is still processing - a local job is cancelled, and progress
+ *     and completion reports from the old job (local or Coconut) are ignored
+ * 
+ * For failed transcodes, or stale ones the reconciler has not caught yet. Owner or admin only.
+ */
+router.post('/:videoId/transcode', authenticate, async (req, res) => {
+  const { videoId } = req.params;
+  try {
+    const { profile, ladder: ladderOverrides, audio, force } = req.body || {};
+
+    const { video, status, error } = await findVideoFile(videoId, 'hls_status, transcode_job_id, hls_profile, hls_ladder');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (!canAccessVideo(req, video)) {
+      return res.status(403).json({ error: "Not authorized to transcode this video" });
+    }
+
+    if (!video.storage_url) {
+      return res.status(404).json({ error: "Video file URL not found" });
+    }
+
+    let ladder;
+    try {
+      ladder = await transcoderService.resolveVideoLadder(videoId, { profile, ladder: ladderOverrides, audio }, video);
+    } catch (ladderError) {
+      if (ladderError.code === 'INVALID_LADDER') {
+        return res.status(400).json({ error: "Invalid ladder", details: ladderError.message });
+      }
+      throw ladderError;
+    }
+
+    if (video.hls_status === 'processing' && force !== true) {
+      return res.status(409).json({
+        error: "HLS transcoding already in progress",
+        details: "Pass force: true to start a new job anyway",
+        transcodeJobId: video.transcode_job_id || null
+      });
+    }
+
+    const hlsResult = await transcoderService.createHlsJob(videoId, video.storage_url, { ladder });
+    if (!hlsResult) {
+      return res.status(503).json({ error: "HLS transcoding is not available", details: "The transcoder is not configured or rejected the job" });
+    }
+
+    await startHlsProgress(videoId, hlsResult.jobId, ladder);
+
+    // Stop the job being replaced (a no-op for Coconut jobs, whose events are rejected by their nonce)
+    const supersededJobId = video.hls_status === 'processing' && video.transcode_job_id !== hlsResult.jobId
+      ? video.transcode_job_id || null
+      : null;
+    if (supersededJobId) {
+      cancelJob(supersededJobId, `Superseded by ${hlsResult.jobId}`);
+    }
+
+    logger.info(`🎬 HLS re-transcode started for video ${videoId}: ${hlsResult.jobId} (${ladder.profile} profile, previous status: ${video.hls_status || 'none'})`);
+
+    res.status(202).json({
+      videoId,
+      jobId: hlsResult.jobId,
+      hlsStatus: 'processing',
+      previousHlsStatus: video.hls_status || null,
+      supersededJobId,
+      profile: ladder.profile,
+      codec: ladder.codec,
+      ladder: ladder.rungs.map(rung => ({ name: rung.name, maxrate: rung.maxrate })),
+      audio: ladder.audio || null
+    });
+
+  } catch (error) {
+    logger.error(`❌ Transcode error for video ${videoId}:`, error);
+    res.status(500).json({ error: "Failed to start transcoding", details: error.message });
+  }
+});
+
 /**
  * Delete a video from Backblaze by filename
  * DELETE /file/:filename
  */
-router.delete('/file/:filename', async (req, res) => {
+router.delete('/file/:filename', authenticate, async (req, res) => {
   try {
     const { filename } = req.params;
     
@@ -116,8 +472,27 @@ router.delete('/file/:filename', async (req, res) => {
     
     logger.info(`ðŸ“Œ Attempting to delete video by filename: ${filename}`);
     
+    // Only the owner of the matching video (or an admin) may delete it; unknown files are admin-only
+    if (config.auth.enabled && !req.user.isAdmin) {
+      const supabase = getSupabaseClient();
+      if (!supabase) {
+        return res.status(500).json({ error: "Database client not available" });
+      }
+      
+      const { video, error } = await findVideoByFileName(supabase, withOwnerColumn('id'), filename);
+      
+      if (error) {
+        logger.error(`❌ Owner lookup failed for ${filename}:`, error);
+        return res.status(500).json({ error: "Failed to verify file ownership" });
+      }
+      
+      if (!canAccessVideo(req, video)) {
+        return res.status(403).json({ error: "Not authorized to delete this file" });
+      }
+    }
+    
     // Delete the file from B2
-    const deleted = await b2Service.deleteFile(filename, config.b2.buckets.video.id);
+    const deleted = await b2Service.deleteFile(filename, 'video');
     
     if (!deleted) {
       return res.status(404).json({ error: "File not found in B2 bucket" });
@@ -138,453 +513,384 @@ router.delete('/file/:filename', async (req, res) => {
  * Delete a video from Backblaze by video ID with two-phase delete
  * DELETE /:videoId
  * 
+ * With soft delete enabled (SOFT_DELETE_RETENTION_DAYS > 0) the video is marked deleted,
+ * its files are hidden and the sweeper purges them after the retention window.
+ * POST /:videoId/restore undoes it until then. ?permanent=true deletes immediately:
+ * 
  * Phase 1: Delete from B2 storage (video and thumbnail)
  * Phase 2: Delete from database (only if storage deletion succeeded)
+ * 
+ * The work is done by deleteVideo(), like bulk deletes; this maps its report to a status code.
  */
-router.delete('/:videoId', async (req, res) => {
-  const deletionReport = {
-    videoId: null,
-    videoDeletion: { attempted: false, success: false, filename: null, error: null },
-    thumbnailDeletion: { attempted: false, success: false, filename: null, error: null },
-    hlsDeletion: { attempted: false, success: false, filesDeleted: 0, error: null },
-    databaseDeletion: { attempted: false, success: false, error: null },
-    overallSuccess: false
-  };
+router.delete('/:videoId', authenticate, async (req, res) => {
+  const { videoId } = req.params;
+  const permanent = req.query.permanent === 'true';
+  
+  const report = await deleteVideo(videoId, {
+    user: req.user,
+    permanent: permanent,
+    requestedBy: req.user ? `user:${req.user.id}` : null
+  });
+  
+  // The video was not touched
+  if (report.error) {
+    const statusCodes = { NOT_FOUND: 404, NOT_AUTHORIZED: 403, ALREADY_DELETED: 409 };
+    const body = { error: report.error, report: report };
+    if (report.errorCode === 'ALREADY_DELETED') {
+      body.details = "Restore it with POST /video/:videoId/restore or delete it permanently with ?permanent=true";
+    }
+    return res.status(statusCodes[report.errorCode] || 500).json(body);
+  }
+  
+  if (report.overallSuccess) {
+    const message = report.mode === 'soft'
+      ? `Video ${videoId} deleted - it can be restored until ${report.softDeletion.purgeAfter}`
+      : `Video ${videoId} permanently deleted`;
+    logger.info(`🎉 ${message}`);
+    return res.json({ status: report.mode === 'soft' ? "deleted" : "success", message: message, report: report });
+  }
+  
+  // Two-phase delete stopped part way - the report says which files and whether the row remain
+  if (report.mode === 'permanent') {
+    logger.warn(`⚠️ Partial deletion for video ${videoId}`, report);
+    return res.status(207).json({ 
+      status: "partial_success", 
+      message: "Video deletion partially completed - check report for details",
+      report: report
+    });
+  }
+  
+  res.status(500).json({
+    error: report.softDeletion.error || report.databaseDeletion.error || "Failed to delete video",
+    report: report
+  });
+});
 
+/**
+ * Restore a soft-deleted video
+ * POST /:videoId/restore
+ * 
+ * Unhides the video, thumbnail and HLS files and clears deleted_at. Only possible until
+ * SOFT_DELETE_RETENTION_DAYS after the delete.
+ */
+router.post('/:videoId/restore', authenticate, async (req, res) => {
   try {
     const { videoId } = req.params;
-    deletionReport.videoId = videoId;
-    
-    if (!videoId) {
-      return res.status(400).json({ 
-        error: "Video ID is required",
-        report: deletionReport 
-      });
-    }
     
-    logger.info(`ðŸ“Œ Starting two-phase deletion for video ID: ${videoId}`);
-    
-    // Get Supabase client
     const supabase = getSupabaseClient();
     if (!supabase) {
-      return res.status(500).json({ 
-        error: "Supabase client not available",
-        report: deletionReport 
-      });
+      return res.status(500).json({ error: "Database client not available" });
     }
     
-    // PHASE 1: Get video data from database
-    logger.info(`ðŸ“‹ Phase 1: Retrieving video data from database`);
-    // FIXED: Removed 'url' from the select query - only use columns that exist
     const { data, error } = await supabase
       .from('videos')
-      .select('storage_url, original_filename, thumbnail_url, hls_status')
+      .select(withOwnerColumn('id, deleted_at'))
       .eq('id', videoId)
       .single();
     
-    if (error || !data) {
-      logger.error(`âŒ Video not found in database:`, error);
-      return res.status(404).json({ 
-        error: "Video not found in database",
-        report: deletionReport 
-      });
+    if (error && !isNoRowError(error)) {
+      logger.error(`❌ Video lookup failed: ${videoId}`, error);
+      return res.status(500).json({ error: "Failed to look up video", details: error.message });
     }
-    
-    // PHASE 2: Delete from B2 Storage
-    logger.info(`ðŸ—‘ï¸ Phase 2: Deleting files from B2 storage`);
-    
-    // Extract video filename
-    let videoFilename = null;
-    // FIXED: Only use storage_url since 'url' column doesn't exist
-    let sourceUrl = data.storage_url || '';
-    
-    if (sourceUrl) {
-      // Remove query parameters
-      if (sourceUrl.includes('?')) {
-        sourceUrl = sourceUrl.split('?')[0];
-      }
-      
-      // Get filename from URL
-      const parts = sourceUrl.split('/');
-      videoFilename = parts[parts.length - 1];
-      deletionReport.videoDeletion.filename = videoFilename;
-      
-      logger.info(`ðŸ“Œ Video filename to delete: ${videoFilename}`);
-    }
-    
-    // Delete video file from B2
-    if (videoFilename) {
-      deletionReport.videoDeletion.attempted = true;
-      try {
-        const videoDeleted = await b2Service.deleteFile(videoFilename, config.b2.buckets.video.id);
-        deletionReport.videoDeletion.success = videoDeleted;
-        
-        if (videoDeleted) {
-          logger.info(`âœ… Successfully deleted video file from B2: ${videoFilename}`);
-        } else {
-          logger.warn(`âš ï¸ Video file not found in B2: ${videoFilename}`);
-        }
-      } catch (videoError) {
-        logger.error(`âŒ Error deleting video from B2:`, videoError);
-        deletionReport.videoDeletion.error = videoError.message;
-      }
+    if (!data) {
+      return res.status(404).json({ error: "Video not found" });
     }
     
-    // Delete thumbnail file from B2
-    if (data.thumbnail_url) {
-      let thumbnailUrl = data.thumbnail_url;
-      if (thumbnailUrl.includes('?')) {
-        thumbnailUrl = thumbnailUrl.split('?')[0];
-      }
-      const thumbnailParts = thumbnailUrl.split('/');
-      const thumbnailFilename = thumbnailParts[thumbnailParts.length - 1];
-      
-      if (thumbnailFilename) {
-        deletionReport.thumbnailDeletion.filename = thumbnailFilename;
-        deletionReport.thumbnailDeletion.attempted = true;
-        
-        try {
-          logger.info(`ðŸ“Œ Attempting to delete thumbnail: ${thumbnailFilename}`);
-          const thumbnailDeleted = await b2Service.deleteFile(
-            thumbnailFilename, 
-            config.b2.buckets.thumbnail.id
-          );
-          deletionReport.thumbnailDeletion.success = thumbnailDeleted;
-          
-          if (thumbnailDeleted) {
-            logger.info(`âœ… Successfully deleted thumbnail from B2: ${thumbnailFilename}`);
-          } else {
-            logger.warn(`âš ï¸ Thumbnail file not found in B2: ${thumbnailFilename}`);
-          }
-        } catch (thumbError) {
-          logger.error(`âŒ Error deleting thumbnail from B2:`, thumbError);
-          deletionReport.thumbnailDeletion.error = thumbError.message;
-        }
-      }
+    if (!canAccessVideo(req, data)) {
+      return res.status(403).json({ error: "Not authorized to restore this video" });
     }
     
-    // PHASE 2b: Delete HLS files from HLS bucket (if HLS was enabled for this video)
-    if (data.hls_status && config.b2.buckets.hls && config.b2.buckets.hls.id) {
-      deletionReport.hlsDeletion.attempted = true;
-      try {
-        logger.info(`🎬 Deleting HLS files for video: ${videoId}`);
-        
-        // Initialize a B2 client for HLS bucket using bucket-specific credentials
-        const hlsBucket = config.b2.buckets.hls;
-        const hlsB2 = new B2({
-          applicationKeyId: hlsBucket.appKeyId,
-          applicationKey: hlsBucket.appKey,
-        });
-        await hlsB2.authorize();
-        
-        // List all files with prefix {videoId}/ in the HLS bucket
-        let hlsFilesDeleted = 0;
-        let startFileName = null;
-        let hasMore = true;
-        
-        while (hasMore) {
-          const listResponse = await hlsB2.listFileNames({
-            bucketId: hlsBucket.id,
-            prefix: `${videoId}/`,
-            maxFileCount: 1000,
-            startFileName: startFileName
-          });
-          
-          const files = listResponse.data.files;
-          
-          for (const file of files) {
-            try {
-              await hlsB2.deleteFileVersion({
-                fileId: file.fileId,
-                fileName: file.fileName
-              });
-              hlsFilesDeleted++;
-            } catch (delErr) {
-              logger.warn(`⚠️ Failed to delete HLS file ${file.fileName}:`, delErr.message);
-            }
-          }
-          
-          hasMore = files.length === 1000;
-          if (hasMore) {
-            startFileName = files[files.length - 1].fileName;
-          }
-        }
-        
-        deletionReport.hlsDeletion.filesDeleted = hlsFilesDeleted;
-        deletionReport.hlsDeletion.success = true;
-        logger.info(`✅ Deleted ${hlsFilesDeleted} HLS files for video ${videoId}`);
-        
-      } catch (hlsError) {
-        logger.error(`❌ HLS cleanup error:`, hlsError);
-        deletionReport.hlsDeletion.error = hlsError.message;
-      }
+    if (!data.deleted_at) {
+      return res.status(409).json({ error: "Video is not deleted" });
     }
     
-    // PHASE 3: Delete from database (only if at least one storage deletion succeeded)
-    const storageDeleted = deletionReport.videoDeletion.success || deletionReport.thumbnailDeletion.success;
-    const storageNotFound = !deletionReport.videoDeletion.success && !deletionReport.thumbnailDeletion.success && 
-                           deletionReport.videoDeletion.attempted && !deletionReport.videoDeletion.error;
-    
-    if (storageDeleted || storageNotFound) {
-      logger.info(`ðŸ’¾ Phase 3: Deleting video record from database`);
-      deletionReport.databaseDeletion.attempted = true;
-      
-      try {
-        const { error: deleteError } = await supabase
-          .from('videos')
-          .delete()
-          .eq('id', videoId);
-        
-        if (deleteError) {
-          logger.error(`âŒ Database deletion failed:`, deleteError);
-          deletionReport.databaseDeletion.error = deleteError.message;
-        } else {
-          deletionReport.databaseDeletion.success = true;
-          logger.info(`âœ… Successfully deleted video record from database`);
-        }
-      } catch (dbError) {
-        logger.error(`âŒ Database deletion error:`, dbError);
-        deletionReport.databaseDeletion.error = dbError.message;
-      }
-    } else {
-      logger.warn(`âš ï¸ Skipping database deletion due to storage deletion failures`);
-    }
-    
-    // Determine overall success
-    deletionReport.overallSuccess = (
-      (deletionReport.videoDeletion.success || !deletionReport.videoDeletion.attempted || storageNotFound) &&
-      (deletionReport.thumbnailDeletion.success || !deletionReport.thumbnailDeletion.attempted || storageNotFound) &&
-      deletionReport.databaseDeletion.success
-    );
-    
-    // Send appropriate response
-    if (deletionReport.overallSuccess) {
-      logger.info(`ðŸŽ‰ Video ${videoId} fully deleted from system`);
-      res.json({ 
-        status: "success", 
-        message: `Video ${videoId} successfully deleted`,
-        report: deletionReport
-      });
-    } else {
-      logger.warn(`âš ï¸ Partial deletion for video ${videoId}`, deletionReport);
-      res.status(207).json({ 
-        status: "partial_success", 
-        message: "Video deletion partially completed - check report for details",
-        report: deletionReport
-      });
-    }
+    const result = await restoreVideo(videoId);
+    res.json({
+      status: "restored",
+      message: `Video ${videoId} restored`,
+      ...result
+    });
     
   } catch (error) {
-    logger.error(`âŒ Unexpected error in delete endpoint:`, error);
-    res.status(500).json({ 
-      error: error.message,
-      report: deletionReport
+    const statusCodes = { NOT_RESTORABLE: 404, RESTORE_WINDOW_CLOSED: 410 };
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({ error: "Video cannot be restored", details: error.message });
+    }
+    logger.error(`❌ Restore failed for video ${req.params.videoId}:`, error);
+    res.status(500).json({ error: "Failed to restore video", details: error.message });
+  }
+});
+
+/**
+ * Who a request acts as, for job records and per-video owner checks
+ * Admin API keys (and requests with auth disabled) act as an admin
+ */
+function describeRequester(req) {
+  if (req.adminKey || !config.auth.enabled) {
+    return {
+      requester: { id: null, isAdmin: true },
+      requestedBy: req.adminKey ? `key:${req.adminKey.label}` : null
+    };
+  }
+  return {
+    requester: { id: req.user.id, isAdmin: req.user.isAdmin },
+    requestedBy: `user:${req.user.id}`
+  };
+}
+
+/**
+ * Bulk delete videos
+ * POST /bulk-delete
+ * 
+ * Queues a video_bulk_delete job that deletes the videos BULK_DELETE_CONCURRENCY at a time,
+ * exactly like DELETE /:videoId (soft delete unless permanent). Users may delete their own
+ * videos; admins and admin API keys with the maintenance scope may delete anyone's.
+ * 
+ * Body: { videoIds: [...] } or { userId } (every video the user owns), plus optional permanent
+ * Poll GET /bulk-delete/:jobId for progress and the per-video deletion reports.
+ */
+router.post('/bulk-delete', requireUserOrAdminKey('maintenance'), async (req, res) => {
+  const { videoIds, userId, permanent = false } = req.body || {};
+  
+  if ((videoIds === undefined) === (userId === undefined)) {
+    return res.status(400).json({
+      error: "Invalid bulk delete request",
+      details: "Send either videoIds (an array of video IDs) or userId"
+    });
+  }
+  
+  if (videoIds !== undefined && (!Array.isArray(videoIds) || videoIds.length === 0 ||
+      videoIds.some(id => typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,100}$/.test(id)))) {
+    return res.status(400).json({
+      error: "Invalid videoIds",
+      details: "videoIds must be a non-empty array of video IDs"
     });
   }
+  
+  if (videoIds !== undefined && videoIds.length > config.bulkDelete.maxVideos) {
+    return res.status(400).json({
+      error: "Too many videos",
+      details: `At most ${config.bulkDelete.maxVideos} videos can be deleted per request`
+    });
+  }
+  
+  if (userId !== undefined && (typeof userId !== 'string' || userId.length === 0 || userId.length > 100)) {
+    return res.status(400).json({ error: "Invalid userId" });
+  }
+  
+  const { requester, requestedBy } = describeRequester(req);
+  
+  if (userId !== undefined && !requester.isAdmin && userId !== requester.id) {
+    return res.status(403).json({ error: "Not authorized to delete another user's videos" });
+  }
+  
+  try {
+    const job = await addJob('video_bulk_delete', {
+      videoIds: videoIds !== undefined ? [...new Set(videoIds)] : null,
+      userId: userId || null,
+      permanent: permanent === true || permanent === 'true',
+      requester: requester,
+      requestedBy: requestedBy
+    }, { ownerId: requester.id });
+    
+    logger.info(`🗑️ Bulk delete queued: ${job.jobId} (${userId ? `videos of user ${userId}` : `${videoIds.length} videos`})`);
+    
+    res.status(202).json({
+      status: "queued",
+      jobId: job.jobId,
+      statusUrl: `/video/bulk-delete/${job.jobId}`
+    });
+  } catch (error) {
+    logger.error(`❌ Failed to queue bulk delete:`, error);
+    res.status(500).json({ error: "Failed to queue bulk delete", details: error.message });
+  }
+});
+
+/**
+ * Bulk delete job status
+ * GET /bulk-delete/:jobId
+ * 
+ * Returns progress while the job runs and, once it completes, a deletion report per video -
+ * the report DELETE /:videoId returns (both come from deleteVideo()).
+ */
+router.get('/bulk-delete/:jobId', requireUserOrAdminKey('maintenance'), (req, res) => {
+  const job = getJobStatus(req.params.jobId);
+  
+  if (!job || job.type !== 'video_bulk_delete') {
+    return res.status(404).json({ error: "Bulk delete job not found" });
+  }
+  
+  const { requester } = describeRequester(req);
+  if (!requester.isAdmin && job.data.requester.id !== requester.id) {
+    return res.status(403).json({ error: "Not authorized to view this job" });
+  }
+  
+  res.json({
+    jobId: job.jobId,
+    status: job.status,
+    progress_percent: job.progress_percent,
+    stage: job.stage || null,
+    userId: job.data.userId,
+    videoCount: job.data.videoIds ? job.data.videoIds.length : null,
+    permanent: job.data.permanent,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    completedAt: job.completedAt || null,
+    error: job.lastError || null,
+    result: job.result || null
+  });
 });
 
 /**
  * Cleanup orphaned files endpoint
  * POST /cleanup/orphaned
  * 
- * Finds and removes files in B2 that don't have corresponding database records
- * This should be run periodically as a maintenance task
+ * Finds files in the video, thumbnail, subtitle and HLS buckets that no database record
+ * references. Files younger than the grace period are protected. Send dryRun: true to get
+ * the candidate list without deleting. Every run is stored and can be fetched by reportId.
+ * 
+ * Body (all optional): { dryRun, gracePeriodHours, buckets: ['video', 'thumbnail', 'subtitle', 'hls'] }
  */
-router.post('/cleanup/orphaned', async (req, res) => {
-  const cleanupReport = {
-    videoBucket: {
-      totalFiles: 0,
-      orphanedFiles: 0,
-      deletedFiles: 0,
-      errors: []
-    },
-    thumbnailBucket: {
-      totalFiles: 0,
-      orphanedFiles: 0,
-      deletedFiles: 0,
-      errors: []
-    },
-    startTime: new Date().toISOString(),
-    endTime: null
-  };
-
-  try {
-    logger.info(`ðŸ§¹ Starting orphaned files cleanup`);
-    
-    const supabase = getSupabaseClient();
-    if (!supabase) {
-      return res.status(500).json({ error: "Supabase client not available" });
-    }
-    
-    // Initialize B2
-    const B2 = require('backblaze-b2');
-    const b2 = new B2({
-      applicationKeyId: config.b2.accountId,
-      applicationKey: config.b2.applicationKey,
+router.post('/cleanup/orphaned', requireAdminKey('maintenance', { allowAdminUser: true }), async (req, res) => {
+  const { dryRun = false, gracePeriodHours, buckets } = req.body || {};
+  
+  if (gracePeriodHours !== undefined && !(Number(gracePeriodHours) >= 1)) {
+    return res.status(400).json({
+      error: "Invalid gracePeriodHours",
+      details: "gracePeriodHours must be a number of at least 1"
     });
-    await b2.authorize();
-    
-    // Step 1: Get all video URLs from database
-    logger.info(`ðŸ“‹ Fetching all video records from database`);
-    // FIXED: Removed 'url' from the select query
-    const { data: videos, error: dbError } = await supabase
-      .from('videos')
-      .select('storage_url, thumbnail_url');
-    
-    if (dbError) {
-      throw new Error(`Database query failed: ${dbError.message}`);
-    }
-    
-    // Create sets of known filenames
-    const knownVideoFiles = new Set();
-    const knownThumbnailFiles = new Set();
-    
-    videos.forEach(video => {
-      // Extract video filename - FIXED: Only use storage_url
-      if (video.storage_url) {
-        const url = video.storage_url;
-        const filename = url.split('/').pop().split('?')[0];
-        if (filename) knownVideoFiles.add(filename);
-      }
-      
-      // Extract thumbnail filename
-      if (video.thumbnail_url) {
-        const filename = video.thumbnail_url.split('/').pop().split('?')[0];
-        if (filename) knownThumbnailFiles.add(filename);
-      }
+  }
+  
+  if (buckets !== undefined && (!Array.isArray(buckets) || buckets.some(bucket => !CLEANUP_BUCKETS.includes(bucket)))) {
+    return res.status(400).json({
+      error: "Invalid buckets",
+      details: `buckets must be an array of: ${CLEANUP_BUCKETS.join(', ')}`
+    });
+  }
+  
+  try {
+    const report = await runOrphanCleanup({
+      dryRun: dryRun === true || dryRun === 'true',
+      gracePeriodMs: gracePeriodHours !== undefined ? Number(gracePeriodHours) * 60 * 60 * 1000 : undefined,
+      buckets: buckets,
+      trigger: 'api',
+      requestedBy: req.adminKey ? `key:${req.adminKey.label}` : (req.user ? `user:${req.user.id}` : null)
     });
     
-    logger.info(`ðŸ“Š Found ${knownVideoFiles.size} videos and ${knownThumbnailFiles.size} thumbnails in database`);
-    
-    // Step 2: Clean up video bucket
-    logger.info(`ðŸ—‘ï¸ Checking video bucket for orphaned files`);
-    let startFileName = null;
-    let hasMoreVideos = true;
-    
-    while (hasMoreVideos) {
-      const listResponse = await b2.listFileNames({
-        bucketId: config.b2.buckets.video.id,
-        maxFileCount: 1000,
-        startFileName: startFileName
-      });
-      
-      const files = listResponse.data.files;
-      cleanupReport.videoBucket.totalFiles += files.length;
-      
-      for (const file of files) {
-        if (!knownVideoFiles.has(file.fileName)) {
-          cleanupReport.videoBucket.orphanedFiles++;
-          
-          try {
-            logger.info(`ðŸ—‘ï¸ Deleting orphaned video: ${file.fileName}`);
-            await b2.deleteFileVersion({
-              fileId: file.fileId,
-              fileName: file.fileName
-            });
-            cleanupReport.videoBucket.deletedFiles++;
-          } catch (deleteError) {
-            logger.error(`âŒ Failed to delete orphaned video ${file.fileName}:`, deleteError);
-            cleanupReport.videoBucket.errors.push({
-              fileName: file.fileName,
-              error: deleteError.message
-            });
-          }
-        }
-      }
-      
-      hasMoreVideos = files.length === 1000;
-      if (hasMoreVideos) {
-        startFileName = files[files.length - 1].fileName;
-      }
-    }
-    
-    // Step 3: Clean up thumbnail bucket
-    logger.info(`ðŸ—‘ï¸ Checking thumbnail bucket for orphaned files`);
-    startFileName = null;
-    let hasMoreThumbnails = true;
-    
-    while (hasMoreThumbnails) {
-      const listResponse = await b2.listFileNames({
-        bucketId: config.b2.buckets.thumbnail.id,
-        maxFileCount: 1000,
-        startFileName: startFileName
+    if (report.status === 'failed') {
+      return res.status(500).json({
+        error: report.error,
+        reportId: report.reportId,
+        report: report
       });
-      
-      const files = listResponse.data.files;
-      cleanupReport.thumbnailBucket.totalFiles += files.length;
-      
-      for (const file of files) {
-        if (!knownThumbnailFiles.has(file.fileName)) {
-          cleanupReport.thumbnailBucket.orphanedFiles++;
-          
-          try {
-            logger.info(`ðŸ—‘ï¸ Deleting orphaned thumbnail: ${file.fileName}`);
-            await b2.deleteFileVersion({
-              fileId: file.fileId,
-              fileName: file.fileName
-            });
-            cleanupReport.thumbnailBucket.deletedFiles++;
-          } catch (deleteError) {
-            logger.error(`âŒ Failed to delete orphaned thumbnail ${file.fileName}:`, deleteError);
-            cleanupReport.thumbnailBucket.errors.push({
-              fileName: file.fileName,
-              error: deleteError.message
-            });
-          }
-        }
-      }
-      
-      hasMoreThumbnails = files.length === 1000;
-      if (hasMoreThumbnails) {
-        startFileName = files[files.length - 1].fileName;
-      }
     }
     
-    cleanupReport.endTime = new Date().toISOString();
-    
-    logger.info(`âœ… Orphaned files cleanup completed`, {
-      videosDeleted: cleanupReport.videoBucket.deletedFiles,
-      thumbnailsDeleted: cleanupReport.thumbnailBucket.deletedFiles
-    });
-    
     res.json({
       status: "success",
-      message: "Orphaned files cleanup completed",
-      report: cleanupReport
+      message: report.dryRun ? "Orphaned files dry run completed - nothing was deleted" : "Orphaned files cleanup completed",
+      reportId: report.reportId,
+      report: report
     });
-    
   } catch (error) {
-    logger.error(`âŒ Error in cleanup endpoint:`, error);
-    cleanupReport.endTime = new Date().toISOString();
-    res.status(500).json({ 
-      error: error.message,
-      report: cleanupReport
-    });
+    logger.error(`❌ Error in cleanup endpoint:`, error);
+    res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * List stored orphaned file cleanup reports (newest first, without candidate lists)
+ * GET /cleanup/reports
+ */
+router.get('/cleanup/reports', requireAdminKey('maintenance', { allowAdminUser: true }), (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  res.json({ reports: listCleanupReports(limit) });
+});
+
+/**
+ * Get a stored orphaned file cleanup report
+ * GET /cleanup/reports/:reportId
+ */
+router.get('/cleanup/reports/:reportId', requireAdminKey('maintenance', { allowAdminUser: true }), (req, res) => {
+  const report = getCleanupReport(req.params.reportId);
+  if (!report) {
+    return res.status(404).json({ error: "Cleanup report not found" });
+  }
+  res.json({ report });
+});
+
 /**
  * Get video info (metadata)
  * GET /:filename/info
+ * 
+ * Returns the stored file's details (size, content type, upload time, SHA1) and the
+ * fields of the video record that points at it. ?probe=true also runs ffprobe on the
+ * stored file - only the video's owner or an admin may request that.
  */
-router.get('/:filename/info', async (req, res) => {
+router.get('/:filename/info', optionalAuth, async (req, res) => {
   try {
     const { filename } = req.params;
+    const probe = req.query.probe === 'true';
     
     if (!filename) {
       return res.status(400).json({ error: "Filename is required" });
     }
     
-    logger.info(`ðŸ“Œ Getting info for video: ${filename}`);
+    logger.info(`📌 Getting info for video: ${filename}`);
+    
+    const storage = getStorage();
+    const file = await storage.getFileInfo('video', filename);
+    if (!file) {
+      return res.status(404).json({ error: "Video file not found" });
+    }
+    
+    let video = null;
+    const supabase = getSupabaseClient();
+    if (supabase) {
+      const lookup = await findVideoByFileName(supabase, withOwnerColumn(`id, duration, width, height, hls_status, created_at${config.softDelete.enabled ? ', deleted_at' : ''}`), filename);
+      
+      if (lookup.error) {
+        logger.warn(`⚠️ Video record lookup failed for ${filename}: ${lookup.error.message}`);
+      }
+      video = lookup.video;
+    }
+    
+    if (video && video.deleted_at) {
+      return res.status(404).json({ error: "Video file not found" });
+    }
+    
+    let metadata = null;
+    if (probe) {
+      if (!canAccessVideo(req, video)) {
+        return res.status(403).json({ error: "Not authorized to probe this video" });
+      }
+      const sourceUrl = await storage.getSignedDownloadUrl('video', filename, { validDurationInSeconds: 600 });
+      metadata = await extractVideoMetadataUnified(sourceUrl);
+    }
     
     res.json({
       status: "success",
       filename,
-      url: `https://${config.b2.buckets.video.name}.s3.eu-central-003.backblazeb2.com/${filename}`,
-      uploaded: new Date().toISOString()
+      url: storage.getPublicUrl('video', filename),
+      uploaded: file.uploadTimestamp ? new Date(file.uploadTimestamp).toISOString() : null,
+      file: {
+        fileId: file.fileId,
+        size: file.contentLength,
+        contentType: file.contentType,
+        contentSha1: file.contentSha1,
+        uploadTimestamp: file.uploadTimestamp
+      },
+      video: video && {
+        id: video.id,
+        duration: video.duration,
+        width: video.width,
+        height: video.height,
+        hls_status: video.hls_status,
+        created_at: video.created_at
+      },
+      metadata: metadata
     });
   } catch (error) {
-    logger.error(`âŒ Error getting video info:`, error);
+    logger.error(`❌ Error getting video info:`, error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -18,8 +18,12 @@ const {
 } = require('./utils/status');
 
 // Import config validation and directory setup
-const { validateEnvironment } = require('./config');
+const { config, validateEnvironment } = require('./config');
 const { setupDirectories } = require('./utils/directory');
+const { requireAdminKey, requireUserOrAdminKey } = require('./middleware/admin-key');
+const { canAccess } = require('./middleware/auth');
+const { getHlsProgress } = require('./services/hls-progress');
+const { findMissingVideoColumns } = require('./services/supabase');
 
 // Create Express app
 const app = express();
@@ -120,7 +124,7 @@ app.use((req, res, next) => {
   }
   
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, HEAD');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, x-upload-id, x-chunk-index, x-total-chunks, x-chunk-size, x-file-name, x-file-type, x-total-size, x-b2-file-id, x-part-number, Cache-Control, Pragma');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, x-upload-id, x-chunk-index, x-total-chunks, x-chunk-size, x-file-name, x-file-type, x-total-size, x-b2-file-id, x-part-number, x-api-key, Cache-Control, Pragma');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Max-Age', '86400');
   
@@ -207,6 +211,26 @@ if (FEATURE_FLAGS.backgroundProcessing) {
   }
 }
 
+// Sweeper for abandoned large files, stale upload files and scheduled orphan scans
+let sweeper = null;
+
+try {
+  const { startSweeper } = require('./services/sweeper');
+  sweeper = startSweeper();
+} catch (error) {
+  console.error('❌ Failed to start sweeper:', error.message);
+}
+
+// Reconciler for videos stuck in hls_status 'processing'
+let hlsReconciler = null;
+
+try {
+  const { startHlsReconciler } = require('./services/hls-reconciler');
+  hlsReconciler = startHlsReconciler();
+} catch (error) {
+  console.error('❌ Failed to start HLS reconciler:', error.message);
+}
+
 // =============================================================================
 // ROUTES
 // =============================================================================
@@ -279,15 +303,8 @@ app.get('/cors-test', (req, res) => {
   });
 });
 
-// Debug routes (limited in production)
-app.get('/debug-routes', (req, res) => {
-  // Security: Limit debug info in production
-  if (process.env.NODE_ENV === 'production' && !req.headers['x-debug-token']) {
-    return res.status(403).json({
-      error: 'Debug information not available in production'
-    });
-  }
-  
+// Debug routes (admin API key with the diagnostics scope)
+app.get('/debug-routes', requireAdminKey('diagnostics'), (req, res) => {
   const routes = [];
   app._router.stack.forEach((middleware) => {
     if (middleware.route) {
@@ -334,16 +351,14 @@ if (FEATURE_FLAGS.multipartUploads) {
 }
 
 // =============================================================================
-// TEST ROUTES (Optional - limited in production)
+// TEST ROUTES (Optional - admin API key with the diagnostics scope)
 // =============================================================================
-if (process.env.NODE_ENV !== 'production') {
-  try {
-    const testRoutes = require('./routes/test');
-    app.use('/test', testRoutes);
-    console.log('Ã¢Å“â€¦ Test routes loaded successfully (development only)');
-  } catch (error) {
-    console.log('Ã°Å¸â€œÂ Test routes not found (optional)');
-  }
+try {
+  const testRoutes = require('./routes/test');
+  app.use('/test', requireAdminKey('diagnostics'), testRoutes);
+  console.log('Ã¢Å“â€¦ Test routes loaded successfully (diagnostics key required)');
+} catch (error) {
+  console.log('Ã°Å¸â€œÂ Test routes not found (optional)');
 }
 
 // =============================================================================
@@ -357,21 +372,43 @@ try {
   console.log('Ã°Å¸â€œÂ Video routes not found (optional)');
 }
 
+// =============================================================================
+// LOCAL STORAGE FILES (STORAGE_DRIVER=local)
+// =============================================================================
+if (config.storage.driver === 'local') {
+  try {
+    // Served at the path of STORAGE_LOCAL_PUBLIC_URL so stored URLs resolve to this server
+    const storagePath = new URL(config.storage.local.publicUrl).pathname.replace(/\/+$/, '') || '/storage';
+    const storageRoutes = require('./routes/storage');
+    app.use(storagePath, storageRoutes);
+    console.log(`✅ Local storage files served at ${storagePath}`);
+  } catch (error) {
+    console.error('❌ Failed to load local storage routes:', error.message);
+  }
+}
+
 // =============================================================================
 // COCONUT HLS WEBHOOK ROUTE
 // =============================================================================
 {
-  const { updateHlsStatus } = require('./services/supabase');
+  const { getStorage } = require('./services/storage');
+  const { verifyWebhookToken, recordWebhookEvent, finishWebhookEvent, getEventRendition } = require('./services/coconut-webhook');
+  const { updateHlsProgress, completeHlsProgress, failHlsProgress } = require('./services/hls-progress');
+  const { getHlsOutputUrl } = require('./services/coconut');
   const coconutWebhookLimiter = rateLimit({
     windowMs: 1 * 60 * 1000,
     max: 60,
     message: { error: 'Too many webhook requests' }
   });
 
+  // Authenticated by the per-job token createHlsJob() puts in the notification URL; every event is
+  // checked against the video's event log so redeliveries, stale jobs and late events change nothing.
+  // Ignored events are acknowledged with 200 so Coconut stops sending them; processing errors get 500
+  // so it retries
   app.post('/api/coconut/webhook', coconutWebhookLimiter, express.json(), async (req, res) => {
     try {
       const videoId = req.query.videoId;
-      const payload = req.body;
+      const payload = req.body || {};
 
       // Coconut wraps data in: { job_id, event, data: { status, progress, outputs, ... } }
       const eventType = payload.event;
@@ -380,55 +417,87 @@ try {
 
       console.log(`[Coconut Webhook] Received for video ${videoId}: event=${eventType}, job_id=${jobId}, progress=${jobData.progress || 'n/a'}`);
 
-      if (!videoId) {
-        console.error('[Coconut Webhook] Missing videoId query param');
-        return res.status(400).json({ error: 'Missing videoId' });
+      try {
+        verifyWebhookToken(req.query);
+      } catch (error) {
+        console.error(`[Coconut Webhook] Rejected: ${error.message}`);
+        return error.code === 'INVALID_REQUEST'
+          ? res.status(400).json({ error: 'Missing videoId' })
+          : res.status(401).json({ error: 'Invalid webhook token' });
       }
 
-      if (eventType === 'job.completed') {
-        // Extract HLS URL from outputs inside data
-        let hlsUrl = null;
-        if (jobData.outputs && Array.isArray(jobData.outputs)) {
-          const httpstreamOutput = jobData.outputs.find(o => o.type === 'httpstream');
-          if (httpstreamOutput && httpstreamOutput.urls) {
-            const hlsEntry = httpstreamOutput.urls.find(u => u.format === 'hls');
-            if (hlsEntry) hlsUrl = hlsEntry.url;
-          }
+      let recorded;
+      try {
+        recorded = recordWebhookEvent(videoId, req.query.nonce, payload);
+        if (recorded.duplicate) {
+          console.log(`[Coconut Webhook] Duplicate ${eventType} for video ${videoId} ignored`);
+          return res.status(200).json({ received: true, duplicate: true });
         }
-
-        // Fallback: construct URL from config
-        if (!hlsUrl) {
-          const hlsBucketName = process.env.B2_HLS_BUCKET_NAME || 'rushes-hls';
-          hlsUrl = `https://${hlsBucketName}.s3.eu-central-003.backblazeb2.com/${videoId}/hls/master.m3u8`;
+      } catch (error) {
+        if (error.code === 'STALE_JOB' || error.code === 'OUT_OF_ORDER') {
+          console.warn(`[Coconut Webhook] Ignored: ${error.message}`);
+          return res.status(200).json({ received: true, ignored: error.code });
         }
+        if (error.code === 'BUSY') {
+          console.warn(`[Coconut Webhook] Deferred: ${error.message}`);
+          return res.status(503).set('Retry-After', '30').json({ error: 'Event deferred', details: error.message });
+        }
+        throw error;
+      }
 
-        console.log(`[Coconut Webhook] HLS READY for video ${videoId}: ${hlsUrl}`);
-        await updateHlsStatus(videoId, {
-          hls_status: 'ready',
-          hls_url: hlsUrl,
-          transcode_job_id: jobId
-        });
-
-      } else if (eventType === 'job.failed' || eventType === 'job.error') {
-        console.error(`[Coconut Webhook] HLS FAILED for video ${videoId}:`, JSON.stringify(payload));
-        await updateHlsStatus(videoId, {
-          hls_status: 'failed',
-          transcode_job_id: jobId
-        });
-
-      } else {
-        // In-progress events like input.transferred, output.completed, etc.
-        console.log(`[Coconut Webhook] Event: ${eventType} for video ${videoId}`);
+      try {
+        await applyWebhookEvent(videoId, eventType, jobId, jobData, payload);
+      } catch (error) {
+        finishWebhookEvent(videoId, recorded.event, error);
+        throw error;
       }
+      finishWebhookEvent(videoId, recorded.event);
 
       res.status(200).json({ received: true });
 
     } catch (error) {
       console.error('[Coconut Webhook] Error:', error);
-      res.status(200).json({ received: true, error: error.message });
+      res.status(500).json({ error: 'Failed to process webhook', details: error.message });
     }
   });
 
+  /**
+   * Apply an accepted Coconut event to the video's HLS state
+   * Throws if the final ready/failed state could not be written, so the event is retried
+   */
+  async function applyWebhookEvent(videoId, eventType, jobId, jobData, payload) {
+    if (eventType === 'job.completed') {
+      // Extract HLS URL from outputs inside data
+      let hlsUrl = getHlsOutputUrl(jobData);
+
+      // Fallback: construct URL from config
+      if (!hlsUrl) {
+        hlsUrl = getStorage().getPublicUrl('hls', `${videoId}/hls/master.m3u8`);
+      }
+
+      console.log(`[Coconut Webhook] HLS READY for video ${videoId}: ${hlsUrl}`);
+      // Also reads the final variant list from master.m3u8 and notifies socket subscribers
+      if (await completeHlsProgress(videoId, { hlsUrl, jobId }) === false) {
+        throw new Error(`Could not record HLS ready state for video ${videoId}`);
+      }
+
+    } else if (eventType === 'job.failed' || eventType === 'job.error') {
+      console.error(`[Coconut Webhook] HLS FAILED for video ${videoId}:`, JSON.stringify(payload));
+      if (await failHlsProgress(videoId, { jobId, error: jobData.error || jobData.message || eventType }) === false) {
+        throw new Error(`Could not record HLS failure for video ${videoId}`);
+      }
+
+    } else {
+      // In-progress events like job.progress, input.transferred, output.completed, etc.
+      console.log(`[Coconut Webhook] Event: ${eventType} for video ${videoId}`);
+      await updateHlsProgress(videoId, {
+        progress: parseFloat(jobData.progress),
+        renditionReady: getEventRendition(payload),
+        jobId
+      });
+    }
+  }
+
   console.log('Coconut HLS webhook route loaded at POST /api/coconut/webhook');
 }
 
@@ -444,6 +513,53 @@ try {
   console.log('Ã°Å¸â€œÂ Swagger routes not found (optional)');
 }
 
+// =============================================================================
+// SWEEPER ROUTES (admin API key)
+// =============================================================================
+app.get('/sweeper/status', requireAdminKey('monitoring'), (req, res) => {
+  const { getSweeperStatus } = require('./services/sweeper');
+  res.json({
+    success: true,
+    ...getSweeperStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/sweeper/run', requireAdminKey('maintenance'), async (req, res) => {
+  try {
+    const { runSweep } = require('./services/sweeper');
+    const run = await runSweep('api');
+    res.json({ success: true, run });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Sweeper run failed',
+      details: error.message
+    });
+  }
+});
+
+app.get('/hls/reconcile/status', requireAdminKey('monitoring'), (req, res) => {
+  const { getHlsReconcilerStatus } = require('./services/hls-reconciler');
+  res.json({
+    success: true,
+    ...getHlsReconcilerStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/hls/reconcile/run', requireAdminKey('maintenance'), async (req, res) => {
+  try {
+    const { runHlsReconcile } = require('./services/hls-reconciler');
+    const run = await runHlsReconcile('api');
+    res.json({ success: true, run });
+  } catch (error) {
+    res.status(500).json({
+      error: 'HLS reconcile run failed',
+      details: error.message
+    });
+  }
+});
+
 // =============================================================================
 // BACKGROUND QUEUE MONITORING ROUTES (secured)
 // =============================================================================
@@ -458,7 +574,7 @@ if (FEATURE_FLAGS.backgroundProcessing) {
   });
   
   // Queue status endpoint
-  app.get('/queue/status', monitoringRateLimit, (req, res) => {
+  app.get('/queue/status', monitoringRateLimit, requireAdminKey('monitoring'), (req, res) => {
     try {
       const { getQueueStats } = require('./utils/upload-queue');
       const stats = getQueueStats();
@@ -468,13 +584,19 @@ if (FEATURE_FLAGS.backgroundProcessing) {
         ...stats,
         queuedJobs: stats.queuedJobs?.map(job => ({
           jobId: job.jobId,
+          type: job.type,
+          priority: job.priority,
           uploadId: job.uploadId,
           queuedAt: job.queuedAt,
-          attempts: job.attempts
+          attempts: job.attempts,
+          nextAttemptAt: job.nextAttemptAt
         })),
         activeJobs: stats.activeJobs?.map(job => ({
           jobId: job.jobId,
+          type: job.type,
+          priority: job.priority,
           uploadId: job.uploadId,
+          progress_percent: job.progress_percent,
           startedAt: job.startedAt,
           attempts: job.attempts
         }))
@@ -492,8 +614,8 @@ if (FEATURE_FLAGS.backgroundProcessing) {
     }
   });
   
-  // Job status endpoint
-  app.get('/queue/job/:jobId', monitoringRateLimit, (req, res) => {
+  // Job status endpoint - the job's owner, an admin user or a monitoring key
+  app.get('/queue/job/:jobId', monitoringRateLimit, requireUserOrAdminKey('monitoring'), (req, res) => {
     try {
       const jobId = req.params.jobId;
       
@@ -514,17 +636,29 @@ if (FEATURE_FLAGS.backgroundProcessing) {
         });
       }
       
-      // Security: Remove sensitive information
+      if (!req.adminKey && !canAccess(req.user, job.ownerId)) {
+        return res.status(403).json({
+          error: 'Not authorized to view this job',
+          jobId: jobId
+        });
+      }
+      
+      // Security: Remove sensitive information (job data and results stay server-side)
       const sanitizedJob = {
         jobId: job.jobId,
         type: job.type,
         status: job.status,
+        priority: job.priority,
         progress_percent: job.progress_percent,
+        stage: job.stage || null,
         attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
         createdAt: job.createdAt,
         startedAt: job.startedAt,
         completedAt: job.completedAt,
-        uploadId: job.data?.uploadId
+        failedAt: job.failedAt || null,
+        nextAttemptAt: job.nextAttemptAt || null,
+        lastError: job.lastError || null
       };
       
       res.json({
@@ -586,6 +720,12 @@ io.on('connection', (socket) => {
     
     console.log(`Ã°Å¸â€œÂº CLIENT SUBSCRIBED: ${clientId} to ${uploadId}`);
     socket.join(uploadId);
+
+    // Subscribing with a video ID also delivers its HLS transcode progress ('hls_status')
+    const hlsProgress = getHlsProgress(uploadId);
+    if (hlsProgress) {
+      socket.emit('hls_status', hlsProgress);
+    }
     
     // Send current status immediately
     const status = getUploadStatus(uploadId);
@@ -707,6 +847,14 @@ process.on('SIGTERM', () => {
   server.close(() => {
     console.log('Ã¢Å“â€¦ HTTP server closed');
     
+    if (sweeper) {
+      sweeper.stop();
+    }
+    
+    if (hlsReconciler) {
+      hlsReconciler.stop();
+    }
+    
     // Stop background processor
     if (backgroundProcessor) {
       backgroundProcessor.stop();
@@ -734,6 +882,14 @@ process.on('SIGINT', () => {
   server.close(() => {
     console.log('Ã¢Å“â€¦ HTTP server closed');
     
+    if (sweeper) {
+      sweeper.stop();
+    }
+    
+    if (hlsReconciler) {
+      hlsReconciler.stop();
+    }
+    
     // Stop background processor
     if (backgroundProcessor) {
       backgroundProcessor.stop();
@@ -792,6 +948,13 @@ async function initializeServer() {
     // Validate environment variables
     validateEnvironment();
     
+    // Refuse to start against a videos table without the columns the enabled features select
+    const missingColumns = await findMissingVideoColumns();
+    if (missingColumns && missingColumns.length > 0) {
+      const hint = missingColumns.includes('deleted_at') ? ' (or set SOFT_DELETE_RETENTION_DAYS=0 to turn off soft delete)' : '';
+      throw new Error(`videos table is missing column(s) ${missingColumns.join(', ')} - add them before starting${hint}`);
+    }
+    
     // Setup required directories
     await setupDirectories();
     
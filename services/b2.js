@@ -1,412 +1,399 @@
-const B2 = require('backblaze-b2');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const crypto = require('crypto');
+const path = require('path');
 const { config } = require('../config');
 const logger = require('../utils/logger');
 const { updateUploadStatus } = require('../utils/status');
 const memoryMonitor = require('../utils/memory-monitor');
+const { getStorage } = require('./storage');
 
-// Initialize Backblaze B2 client
-const b2 = new B2({
-  applicationKeyId: config.b2.accountId,
-  applicationKey: config.b2.applicationKey,
-});
+/**
+ * Storage upload helpers
+ * Historically B2-only; every call now goes through the configured storage driver
+ * (services/storage) so the same pipeline runs against B2, local disk or S3.
+ * Buckets are logical names: 'video', 'thumbnail', 'profile', 'subtitle', 'hls'.
+ */
 
 /**
  * OPTIMIZED: Upload file with minimal memory usage (25MB chunks max)
+ * @param {Object} file - { path, originalname, size, mimetype }
+ * @param {string} uploadId - Upload ID for status updates
+ * @param {Object} options - { deleteFile, bucket, contentType }
+ * @returns {Promise<string>} - Public URL of the stored file
  */
 async function uploadFileOptimized(file, uploadId, options = {}) {
   const {
     deleteFile = true,
-    bucketId = config.b2.buckets.video.id,
-    bucketName = config.b2.buckets.video.name,
+    bucket = 'video',
     contentType = 'video/mp4'
   } = options;
-  
+
+  const storage = getStorage();
   let fileHandle = null;
-  
+
   try {
-    // Authorize B2
-    await b2.authorize();
-    
     const fileStats = await fs.stat(file.path);
     const fileSize = fileStats.size;
-    
+
     // OPTIMIZED: Use smaller chunks (25MB) for better memory management
     const chunkSize = 25 * 1024 * 1024; // 25MB chunks
-    
-    logger.info(`Ã°Å¸â€œÅ’ Starting optimized upload: ${file.originalname} (${Math.round(fileSize / 1024 / 1024)}MB)`);
-    memoryMonitor.logMemoryUsage(`Before B2 upload ${uploadId}`);
-    
-    updateUploadStatus(uploadId, { 
+
+    logger.info(`📌 Starting optimized upload: ${file.originalname} (${Math.round(fileSize / 1024 / 1024)}MB)`);
+    memoryMonitor.logMemoryUsage(`Before storage upload ${uploadId}`);
+
+    updateUploadStatus(uploadId, {
       stage: 'initializing B2 upload',
-      progress: 85 
+      progress: 85
     });
-    
+
     // Calculate final URL
-    const fileUrl = `https://${bucketName}.s3.eu-central-003.backblazeb2.com/${file.originalname}`;
-    
+    const fileUrl = storage.getPublicUrl(bucket, file.originalname);
+
     // Open file handle for reading
     fileHandle = await fs.open(file.path, 'r');
-    
+
     if (fileSize > chunkSize) {
       // Large file upload with optimized chunking
-      logger.info(`Ã°Å¸â€œÅ’ Large file detected. Using chunked upload with ${Math.round(chunkSize / 1024 / 1024)}MB chunks`);
-      
-      const startFileResponse = await b2.startLargeFile({
-        bucketId: bucketId,
-        fileName: file.originalname,
-        contentType: contentType,
-      });
-      
-      const fileId = startFileResponse.data.fileId;
+      logger.info(`📌 Large file detected. Using chunked upload with ${Math.round(chunkSize / 1024 / 1024)}MB chunks`);
+
+      const { fileId } = await storage.startLargeFile(bucket, file.originalname, contentType);
       const totalParts = Math.ceil(fileSize / chunkSize);
       let partSha1Array = [];
-      
-      logger.info(`Ã°Å¸â€œÅ’ Uploading ${totalParts} parts of ~${Math.round(chunkSize / 1024 / 1024)}MB each`);
-      
+
+      logger.info(`📌 Uploading ${totalParts} parts of ~${Math.round(chunkSize / 1024 / 1024)}MB each`);
+
       // Process chunks sequentially to minimize memory usage
       for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
         const start = (partNumber - 1) * chunkSize;
         const end = Math.min(partNumber * chunkSize, fileSize);
         const currentChunkSize = end - start;
-        
+
         // CRITICAL: Read only this chunk into memory
         const buffer = Buffer.alloc(currentChunkSize);
         const { bytesRead } = await fileHandle.read(buffer, 0, currentChunkSize, start);
-        
+
         if (bytesRead !== currentChunkSize) {
           throw new Error(`Read ${bytesRead} bytes but expected ${currentChunkSize}`);
         }
-        
+
         // Calculate SHA-1 for this chunk
         const sha1Hash = crypto.createHash('sha1').update(buffer).digest('hex');
-        
+
         // Upload this chunk with retry logic
-        logger.debug(`Ã°Å¸â€œÅ’ Uploading part ${partNumber}/${totalParts} (${Math.round(currentChunkSize / 1024 / 1024)}MB)`);
-        
-        await uploadChunkWithRetry(fileId, partNumber, buffer, uploadId);
-        
+        logger.debug(`📌 Uploading part ${partNumber}/${totalParts} (${Math.round(currentChunkSize / 1024 / 1024)}MB)`);
+
+        await uploadChunkWithRetry(fileId, partNumber, buffer, sha1Hash);
+
         // Store hash
         partSha1Array.push(sha1Hash);
-        
+
         // CRITICAL: Clear buffer to free memory immediately
         buffer.fill(0);
-        
+
         // Force garbage collection if available
         if (global.gc) {
           global.gc();
         }
-        
+
         // Update progress
         const progressPercent = Math.min(97, 85 + Math.floor((partNumber / totalParts) * 12));
         updateUploadStatus(uploadId, {
           progress: progressPercent,
           stage: `uploaded part ${partNumber}/${totalParts}`
         });
-        
+
         // Log memory usage every 10 parts
         if (partNumber % 10 === 0) {
-          memoryMonitor.logMemoryUsage(`B2 upload part ${partNumber}/${totalParts}`);
+          memoryMonitor.logMemoryUsage(`Storage upload part ${partNumber}/${totalParts}`);
         }
       }
-      
+
       // Finalize the large file upload
-      logger.info(`Ã°Å¸â€œÅ’ Finalizing large file upload with ${partSha1Array.length} parts`);
-      updateUploadStatus(uploadId, { 
+      logger.info(`📌 Finalizing large file upload with ${partSha1Array.length} parts`);
+      updateUploadStatus(uploadId, {
         progress: 98,
-        stage: 'finalizing B2 upload' 
+        stage: 'finalizing B2 upload'
       });
-      
-      await b2.finishLargeFile({ fileId, partSha1Array });
-      
+
+      await storage.finishLargeFile(fileId, partSha1Array);
+
     } else {
       // Small file upload (< 25MB)
-      logger.info(`Ã°Å¸â€œÅ’ Small file detected (${Math.round(fileSize / 1024 / 1024)}MB). Using direct upload`);
-      
-      updateUploadStatus(uploadId, { 
+      logger.info(`📌 Small file detected (${Math.round(fileSize / 1024 / 1024)}MB). Using direct upload`);
+
+      updateUploadStatus(uploadId, {
         progress: 90,
-        stage: 'uploading small file directly' 
+        stage: 'uploading small file directly'
       });
-      
-      // Get upload URL
-      const uploadUrlData = await b2.getUploadUrl({ bucketId: bucketId });
-      
+
       // Read entire file for small files (acceptable for <25MB)
       const fileData = await fs.readFile(file.path);
-      
-      // Upload file
-      await b2.uploadFile({
-        uploadUrl: uploadUrlData.data.uploadUrl,
-        uploadAuthToken: uploadUrlData.data.authorizationToken,
-        fileName: file.originalname,
-        data: fileData,
-        contentType: contentType,
-      });
-      
-      logger.info(`Ã¢Å“â€¦ Small file upload complete`);
+
+      await storage.uploadBuffer(bucket, file.originalname, fileData, contentType);
+
+      logger.info(`✅ Small file upload complete`);
     }
-    
+
     // Close file handle
     if (fileHandle) {
       await fileHandle.close();
       fileHandle = null;
     }
-    
+
     // Clean up temp file immediately if requested
     if (deleteFile && fsSync.existsSync(file.path)) {
       await fs.unlink(file.path);
-      logger.info(`Ã°Å¸Â§Â¹ Cleaned up temp file: ${file.path}`);
+      logger.info(`🧹 Cleaned up temp file: ${file.path}`);
     }
-    
-    memoryMonitor.logMemoryUsage(`After B2 upload ${uploadId}`);
-    logger.info(`Ã¢Å“â€¦ B2 upload completed: ${fileUrl}`);
-    
+
+    memoryMonitor.logMemoryUsage(`After storage upload ${uploadId}`);
+    logger.info(`✅ Storage upload completed: ${fileUrl}`);
+
     return fileUrl;
-    
+
   } catch (error) {
-    logger.error(`Ã¢ÂÅ’ B2 upload failed for ${uploadId}:`, error);
-    
+    logger.error(`❌ Storage upload failed for ${uploadId}:`, error);
+
     // Clean up file handle
     if (fileHandle) {
       try {
         await fileHandle.close();
       } catch (closeError) {
-        logger.error(`Ã¢ÂÅ’ Error closing file handle:`, closeError);
+        logger.error(`❌ Error closing file handle:`, closeError);
       }
     }
-    
+
     // Clean up temp file on error
     if (deleteFile && fsSync.existsSync(file.path)) {
       try {
         await fs.unlink(file.path);
-        logger.info(`Ã°Å¸Â§Â¹ Cleaned up temp file after error: ${file.path}`);
+        logger.info(`🧹 Cleaned up temp file after error: ${file.path}`);
       } catch (cleanupError) {
-        logger.error(`Ã¢ÂÅ’ Failed to clean up temp file:`, cleanupError);
+        logger.error(`❌ Failed to clean up temp file:`, cleanupError);
       }
     }
-    
+
     throw error;
   }
 }
 
 /**
  * Upload a single chunk with retry logic and minimal memory usage
+ * A fresh part URL is requested on every attempt - B2 expects one after any failure
  */
-async function uploadChunkWithRetry(fileId, partNumber, buffer, uploadId, maxRetries = 3) {
+async function uploadChunkWithRetry(fileId, partNumber, buffer, sha1, maxRetries = 3) {
   let attempts = 0;
-  
+
   while (attempts < maxRetries) {
     try {
-      // Get upload URL for this part
-      const uploadPartUrl = await b2.getUploadPartUrl({ fileId });
-      
-      // Upload the part
-      const response = await b2.uploadPart({
+      const response = await getStorage().uploadPart({
+        fileId,
         partNumber,
-        uploadUrl: uploadPartUrl.data.uploadUrl,
-        uploadAuthToken: uploadPartUrl.data.authorizationToken,
         data: buffer,
+        sha1
       });
-      
-      logger.debug(`Ã¢Å“â€¦ Uploaded part ${partNumber} successfully`);
+
+      logger.debug(`✅ Uploaded part ${partNumber} successfully`);
       return response;
-      
+
     } catch (error) {
       attempts++;
-      logger.warn(`Ã¢Å¡Â Ã¯Â¸Â Failed to upload part ${partNumber} (attempt ${attempts}/${maxRetries}):`, error.message);
-      
+      logger.warn(`⚠️ Failed to upload part ${partNumber} (attempt ${attempts}/${maxRetries}):`, error.message);
+
       if (attempts >= maxRetries) {
-        logger.error(`Ã¢ÂÅ’ Part ${partNumber} failed after ${maxRetries} attempts`);
+        logger.error(`❌ Part ${partNumber} failed after ${maxRetries} attempts`);
         throw error;
       }
-      
+
       // Exponential backoff
       const backoffMs = 1000 * Math.pow(2, attempts);
-      logger.info(`Ã¢ÂÂ³ Retrying part ${partNumber} in ${backoffMs/1000} seconds...`);
+      logger.info(`⏳ Retrying part ${partNumber} in ${backoffMs/1000} seconds...`);
       await new Promise(resolve => setTimeout(resolve, backoffMs));
     }
   }
 }
 
+/**
+ * Upload a small local file (thumbnail, subtitle, frame) in one request
+ * @param {string} bucket - Logical bucket name
+ * @param {string} filePath - Local file path
+ * @param {string} fileName - Object name
+ * @param {string} contentType - MIME type
+ * @returns {Promise<string>} - Public URL
+ */
+async function uploadSmallFile(bucket, filePath, fileName, contentType) {
+  if (!fsSync.existsSync(filePath)) {
+    throw new Error(`File not found at: ${filePath}`);
+  }
+
+  const fileData = await fs.readFile(filePath);
+  const { url } = await getStorage().uploadBuffer(bucket, fileName, fileData, contentType);
+  return url;
+}
+
 /**
  * OPTIMIZED: Upload thumbnail with immediate cleanup
  */
 async function uploadThumbnail(filePath, fileName) {
   try {
-    await b2.authorize();
-    
-    const bucketId = config.b2.buckets.thumbnail.id;
-    const bucketName = config.b2.buckets.thumbnail.name;
-    
-    if (!fsSync.existsSync(filePath)) {
-      throw new Error(`Thumbnail file not found at: ${filePath}`);
-    }
-    
-    logger.info(`Ã°Å¸â€“Â¼Ã¯Â¸Â Uploading thumbnail: ${fileName}`);
-    
-    // Get upload URL
-    const uploadUrlData = await b2.getUploadUrl({ bucketId });
-    
-    // Read thumbnail file (small, usually <1MB)
-    const fileData = await fs.readFile(filePath);
-    
-    // Upload thumbnail
-    await b2.uploadFile({
-      uploadUrl: uploadUrlData.data.uploadUrl,
-      uploadAuthToken: uploadUrlData.data.authorizationToken,
-      fileName: fileName,
-      data: fileData,
-      contentType: "image/jpeg",
-    });
-    
-    // Construct thumbnail URL
-    const thumbnailUrl = `https://${bucketName}.s3.eu-central-003.backblazeb2.com/${fileName}`;
-    
-    logger.info(`Ã¢Å“â€¦ Thumbnail uploaded: ${thumbnailUrl}`);
+    logger.info(`🖼️ Uploading thumbnail: ${fileName}`);
+
+    // Thumbnails are small, usually <1MB
+    const thumbnailUrl = await uploadSmallFile('thumbnail', filePath, fileName, 'image/jpeg');
+
+    logger.info(`✅ Thumbnail uploaded: ${thumbnailUrl}`);
     return thumbnailUrl;
-    
+
   } catch (error) {
-    logger.error(`Ã¢ÂÅ’ Thumbnail upload failed:`, error);
+    logger.error(`❌ Thumbnail upload failed:`, error);
     throw error;
   }
 }
 
 /**
- * Upload subtitle file to B2 (VTT format)
+ * Upload subtitle file (VTT format)
  */
 async function uploadSubtitle(filePath, fileName) {
   try {
-    await b2.authorize();
-    
-    const bucketId = config.b2.buckets.subtitle.id;
-    const bucketName = config.b2.buckets.subtitle.name;
-    
-    if (!fsSync.existsSync(filePath)) {
-      throw new Error(`Subtitle file not found at: ${filePath}`);
-    }
-    
-    logger.info(`ðŸ“„ Uploading subtitle: ${fileName}`);
-    
-    // Get upload URL
-    const uploadUrlData = await b2.getUploadUrl({ bucketId });
-    
-    // Read subtitle file (small text file, usually <1MB)
-    const fileData = await fs.readFile(filePath);
-    
-    // Upload subtitle
-    await b2.uploadFile({
-      uploadUrl: uploadUrlData.data.uploadUrl,
-      uploadAuthToken: uploadUrlData.data.authorizationToken,
-      fileName: fileName,
-      data: fileData,
-      contentType: "text/vtt",
-    });
-    
-    // Construct subtitle URL
-    const subtitleUrl = `https://${bucketName}.s3.eu-central-003.backblazeb2.com/${fileName}`;
-    
-    logger.info(`âœ… Subtitle uploaded: ${subtitleUrl}`);
+    logger.info(`📄 Uploading subtitle: ${fileName}`);
+
+    // Subtitles are small text files, usually <1MB
+    const subtitleUrl = await uploadSmallFile('subtitle', filePath, fileName, 'text/vtt');
+
+    logger.info(`✅ Subtitle uploaded: ${subtitleUrl}`);
     return subtitleUrl;
-    
+
   } catch (error) {
-    logger.error(`âŒ Subtitle upload failed:`, error);
+    logger.error(`❌ Subtitle upload failed:`, error);
     throw error;
   }
 }
 
 /**
- * Upload frame image to B2 (JPEG format)
+ * Upload frame image (JPEG format)
+ * Requires a 'frame' bucket in config.b2.buckets
  */
 async function uploadFrame(filePath, fileName) {
   try {
-    await b2.authorize();
-    
-    const bucketId = config.b2.buckets.frame.id;
-    const bucketName = config.b2.buckets.frame.name;
-    
-    if (!fsSync.existsSync(filePath)) {
-      throw new Error(`Frame file not found at: ${filePath}`);
-    }
-    
-    logger.info(`ðŸ–¼ï¸ Uploading frame: ${fileName}`);
-    
-    // Get upload URL
-    const uploadUrlData = await b2.getUploadUrl({ bucketId });
-    
-    // Read frame file (small image, usually 1-5MB)
-    const fileData = await fs.readFile(filePath);
-    
-    // Upload frame
-    await b2.uploadFile({
-      uploadUrl: uploadUrlData.data.uploadUrl,
-      uploadAuthToken: uploadUrlData.data.authorizationToken,
-      fileName: fileName,
-      data: fileData,
-      contentType: "image/jpeg",
-    });
-    
-    // Construct frame URL
-    const frameUrl = `https://${bucketName}.s3.eu-central-003.backblazeb2.com/${fileName}`;
-    
-    logger.info(`âœ… Frame uploaded: ${frameUrl}`);
+    logger.info(`🖼️ Uploading frame: ${fileName}`);
+
+    // Frames are small images, usually 1-5MB
+    const frameUrl = await uploadSmallFile('frame', filePath, fileName, 'image/jpeg');
+
+    logger.info(`✅ Frame uploaded: ${frameUrl}`);
     return frameUrl;
-    
+
   } catch (error) {
-    logger.error(`âŒ Frame upload failed:`, error);
+    logger.error(`❌ Frame upload failed:`, error);
     throw error;
   }
 }
 
+// HLS output files: playlists, MPEG-TS segments (H.264) and fMP4 init/segments (HEVC)
+const HLS_CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.mp4': 'video/mp4',
+  '.m4s': 'video/iso.segment'
+};
+
+/**
+ * Upload a directory of HLS output (playlists and segments) to the HLS bucket
+ * Files are uploaded one at a time with retries
+ * @param {string} localDir - Local directory to upload (recursively)
+ * @param {string} remotePrefix - Key prefix in the HLS bucket (e.g. '{videoId}/hls')
+ * @param {Function} onProgress - Optional (uploadedFiles, totalFiles) callback
+ * @returns {Promise<Object>} - { baseUrl, files }
+ */
+async function uploadHlsDirectory(localDir, remotePrefix, onProgress = null) {
+  const storage = getStorage();
+
+  const listFiles = async (dir) => {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const nested = await Promise.all(entries.map(entry => {
+      const entryPath = `${dir}/${entry.name}`;
+      return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+    }));
+    return nested.flat();
+  };
+
+  const localFiles = await listFiles(localDir);
+  const uploaded = [];
+
+  logger.info(`📺 Uploading ${localFiles.length} HLS files to ${config.b2.buckets.hls.name}/${remotePrefix}`);
+
+  for (const localPath of localFiles) {
+    const fileName = `${remotePrefix}/${localPath.slice(localDir.length + 1)}`;
+    const contentType = HLS_CONTENT_TYPES[path.extname(localPath)] || 'application/octet-stream';
+    const fileData = await fs.readFile(localPath);
+
+    let attempts = 0;
+    while (true) {
+      try {
+        await storage.uploadBuffer('hls', fileName, fileData, contentType);
+        break;
+      } catch (error) {
+        attempts++;
+        if (attempts >= config.upload.retryAttempts) {
+          throw error;
+        }
+        logger.warn(`Retry ${attempts}/${config.upload.retryAttempts} for HLS file ${fileName}: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempts));
+      }
+    }
+
+    uploaded.push(fileName);
+    if (onProgress) {
+      onProgress(uploaded.length, localFiles.length);
+    }
+  }
+
+  const baseUrl = storage.getPublicUrl('hls', remotePrefix);
+  logger.info(`✅ HLS output uploaded: ${baseUrl}`);
+
+  return {
+    baseUrl: baseUrl,
+    files: uploaded
+  };
+}
+
 /**
- * Delete a file from B2 with improved error handling
+ * Delete a file from storage with improved error handling
+ * @param {string} fileName - Object name
+ * @param {string} bucket - Logical bucket name (defaults to 'video')
+ * @returns {Promise<boolean>} - False if the file did not exist
  */
-async function deleteFile(fileName, bucketId = config.b2.buckets.video.id) {
+async function deleteFile(fileName, bucket = 'video') {
   try {
-    await b2.authorize();
-    
-    logger.info(`Ã°Å¸â€”â€˜Ã¯Â¸Â Searching for file to delete: ${fileName}`);
-    
-    // Find the file
-    const listFilesResponse = await b2.listFileNames({
-      bucketId: bucketId,
-      prefix: fileName,
-      maxFileCount: 10
-    });
-    
-    const file = listFilesResponse.data.files.find(f => f.fileName === fileName);
-    
-    if (!file) {
-      logger.warn(`Ã¢Å¡Â Ã¯Â¸Â File not found for deletion: ${fileName}`);
+    logger.info(`🗑️ Deleting file: ${bucket}/${fileName}`);
+
+    const deleted = await getStorage().deleteFile(bucket, fileName);
+
+    if (!deleted) {
+      logger.warn(`⚠️ File not found for deletion: ${fileName}`);
       return false;
     }
-    
-    // Delete the file
-    await b2.deleteFileVersion({
-      fileId: file.fileId,
-      fileName: file.fileName
-    });
-    
-    logger.info(`Ã¢Å“â€¦ Successfully deleted: ${fileName}`);
+
+    logger.info(`✅ Successfully deleted: ${fileName}`);
     return true;
-    
+
   } catch (error) {
-    logger.error(`Ã¢ÂÅ’ Delete failed for ${fileName}:`, error);
+    logger.error(`❌ Delete failed for ${fileName}:`, error);
     throw error;
   }
 }
 
 /**
- * Test B2 connection
+ * Test storage connection
  */
 async function testConnection() {
   try {
-    await b2.authorize();
-    logger.info('Ã¢Å“â€¦ B2 connection successful');
+    await getStorage().testConnection();
+    logger.info(`✅ Storage connection successful (${getStorage().name})`);
     return true;
   } catch (error) {
-    logger.error('Ã¢ÂÅ’ B2 connection failed:', error);
+    logger.error('❌ Storage connection failed:', error);
     throw error;
   }
 }
@@ -414,45 +401,31 @@ async function testConnection() {
 /**
  * Generate a signed download URL with Content-Disposition: attachment
  * This forces the browser to trigger its native download manager
- * 
- * @param {string} fileName - The file name in the B2 bucket
+ *
+ * @param {string} fileName - The file name in the bucket
  * @param {string} originalFilename - The original filename to use in the download
  * @param {object} options - Optional settings
- * @param {string} options.bucketId - B2 bucket ID (defaults to video bucket)
- * @param {string} options.bucketName - B2 bucket name (defaults to video bucket)
+ * @param {string} options.bucket - Logical bucket name (defaults to 'video')
  * @param {number} options.validDurationInSeconds - URL validity (default 3600 = 1 hour)
  * @returns {string} Signed download URL
  */
 async function getSignedDownloadUrl(fileName, originalFilename, options = {}) {
   const {
-    bucketId = config.b2.buckets.video.id,
-    bucketName = config.b2.buckets.video.name,
+    bucket = 'video',
     validDurationInSeconds = 3600
   } = options;
 
   try {
-    const authResponse = await b2.authorize();
-    const downloadUrl = authResponse.data.downloadUrl;
-
     // Build Content-Disposition header value
     // Use RFC 5987 encoding for non-ASCII filenames
     const safeFilename = originalFilename.replace(/[^\x20-\x7E]/g, '_');
     const contentDisposition = `attachment; filename="${safeFilename}"; filename*=UTF-8''${encodeURIComponent(originalFilename)}`;
 
-    // Get download authorization token with Content-Disposition baked in
-    const authTokenResponse = await b2.getDownloadAuthorization({
-      bucketId: bucketId,
-      fileNamePrefix: fileName,
-      validDurationInSeconds: validDurationInSeconds,
-      b2ContentDisposition: contentDisposition
+    const signedUrl = await getStorage().getSignedDownloadUrl(bucket, fileName, {
+      validDurationInSeconds,
+      contentDisposition
     });
 
-    const authToken = authTokenResponse.data.authorizationToken;
-
-    // Construct the signed download URL using B2 native API format
-    // IMPORTANT: b2ContentDisposition must appear in BOTH the auth request AND the download URL
-    const signedUrl = `${downloadUrl}/file/${bucketName}/${encodeURIComponent(fileName)}?Authorization=${encodeURIComponent(authToken)}&b2ContentDisposition=${encodeURIComponent(contentDisposition)}`;
-
     logger.info(`🔗 Generated signed download URL for: ${fileName} (expires in ${validDurationInSeconds}s)`);
     return signedUrl;
 
@@ -462,13 +435,67 @@ async function getSignedDownloadUrl(fileName, originalFilename, options = {}) {
   }
 }
 
+/**
+ * Generate a signed URL for inline playback (no Content-Disposition)
+ * Works on private buckets - players load it like a public URL until it expires
+ *
+ * @param {string} fileName - The file name in the bucket
+ * @param {object} options - Optional settings
+ * @param {string} options.bucket - Logical bucket name (defaults to 'video')
+ * @param {number} options.validDurationInSeconds - URL validity (default: PLAYBACK_URL_TTL_SECONDS)
+ * @returns {string} Signed playback URL
+ */
+async function getSignedPlaybackUrl(fileName, options = {}) {
+  const {
+    bucket = 'video',
+    validDurationInSeconds = config.playback.urlTtlSeconds
+  } = options;
+
+  try {
+    const signedUrl = await getStorage().getSignedDownloadUrl(bucket, fileName, { validDurationInSeconds });
+    logger.debug(`🔗 Generated signed playback URL for: ${bucket}/${fileName} (expires in ${validDurationInSeconds}s)`);
+    return signedUrl;
+  } catch (error) {
+    logger.error(`❌ Failed to generate signed playback URL for ${fileName}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Generate a token that authorizes every file under a prefix
+ * HLS players request many segments by relative URL; appending the token to each request
+ * (as ?{queryParam}={token}) lets them read a private HLS bucket
+ *
+ * @param {string} prefix - File name prefix (e.g. '{videoId}/hls/')
+ * @param {object} options - Optional settings
+ * @param {string} options.bucket - Logical bucket name (defaults to 'hls')
+ * @param {number} options.validDurationInSeconds - Token validity (default: PLAYBACK_URL_TTL_SECONDS)
+ * @returns {Object|null} { queryParam, token }, or null if the storage driver has no prefix tokens
+ */
+async function getSignedPrefixToken(prefix, options = {}) {
+  const {
+    bucket = 'hls',
+    validDurationInSeconds = config.playback.urlTtlSeconds
+  } = options;
+
+  try {
+    return await getStorage().getSignedPrefixToken(bucket, prefix, { validDurationInSeconds });
+  } catch (error) {
+    logger.error(`❌ Failed to generate prefix token for ${bucket}/${prefix}:`, error);
+    throw error;
+  }
+}
+
 module.exports = {
   uploadFileOptimized,
   uploadFile: uploadFileOptimized, // Alias for backward compatibility
   uploadThumbnail,
   uploadSubtitle,
   uploadFrame,
+  uploadHlsDirectory,
   deleteFile,
   getSignedDownloadUrl,
+  getSignedPlaybackUrl,
+  getSignedPrefixToken,
   testConnection
-};
\ No newline at end of file
+};
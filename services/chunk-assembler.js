@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const { updateUploadStatus } = require('../utils/status');
 const { generateUniqueFilename, getUploadPath, ensureDirectory } = require('../utils/directory');
+const { createContentHasher } = require('../utils/content-hash');
 
 /**
  * Chunk Assembler Service
@@ -62,7 +63,7 @@ async function saveChunk(req, uploadId, chunkIndex, totalChunks) {
  * @param {string} uploadId - Unique upload identifier
  * @param {number} totalChunks - Total number of chunks to assemble
  * @param {string} originalFilename - Original filename from client
- * @returns {Promise<string>} - Path to assembled file
+ * @returns {Promise<Object>} - { filePath, contentSha256 } of the assembled file
  */
 // services/chunk-assembler.js - Replace assembleChunks function
 
@@ -78,6 +79,7 @@ async function assembleChunks(uploadId, totalChunks, originalFilename) {
   
   const writeStream = fs.createWriteStream(finalFilePath);
   let assembledBytes = 0;
+  const contentHasher = createContentHasher();
   
   try {
     // STREAMING ASSEMBLY - Don't load chunks into memory
@@ -96,6 +98,7 @@ async function assembleChunks(uploadId, totalChunks, originalFilename) {
       await new Promise((resolve, reject) => {
         chunkReadStream.on('data', (data) => {
           writeStream.write(data);
+          contentHasher.update(data);
           assembledBytes += data.length;
         });
         
@@ -132,8 +135,12 @@ async function assembleChunks(uploadId, totalChunks, originalFilename) {
       });
     });
     
-    console.log(`✅ File assembly complete: ${finalFilePath} (${assembledBytes} bytes)`);
-    return finalFilePath;
+    const contentSha256 = contentHasher.digest('hex');
+    console.log(`✅ File assembly complete: ${finalFilePath} (${assembledBytes} bytes, sha256 ${contentSha256})`);
+    return {
+      filePath: finalFilePath,
+      contentSha256: contentSha256
+    };
     
   } catch (error) {
     // Clean up on error
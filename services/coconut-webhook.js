@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const path = require('path');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { getDataPath, readJsonFile, writeJsonFileAtomic } = require('../utils/persistence');
+
+/**
+ * Coconut webhook authentication and event log
+ *
+ * Coconut does not sign its notifications, so createHlsJob() embeds a per-job token in the
+ * notification URL: ?videoId=...&nonce=...&token=HMAC-SHA256(secret, "videoId:nonce"). The nonce
+ * is new for every job and recorded here, so a request is only trusted if it carries a valid
+ * token for the video's current job. The secret is COCONUT_WEBHOOK_SECRET (falls back to
+ * COCONUT_API_KEY). Authenticated events are appended to DATA_DIR/coconut-events/{videoId}.json, which
+ * is also what duplicate and out-of-order checks run against. An accepted event only counts once
+ * the route reports it processed (finishWebhookEvent), so a delivery that failed is applied again
+ * when Coconut retries it.
+ */
+
+const EVENTS_DIR = 'coconut-events';
+const MAX_EVENTS = 200;
+const TERMINAL_EVENTS = ['job.completed', 'job.failed', 'job.error'];
+
+// An event still marked processing after this long was interrupted (e.g. by a restart)
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Error with a code the webhook route maps to an HTTP status
+ */
+function webhookError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Secret the per-job tokens are signed with
+ * @returns {string|null} - Secret, or null if Coconut is not configured
+ */
+function getWebhookSecret() {
+  return config.coconut.webhookSecret || config.coconut.apiKey || null;
+}
+
+/**
+ * Token for one job's notification URL
+ * @param {string} videoId - Video ID
+ * @param {string} nonce - Per-job nonce
+ * @returns {string} - Hex HMAC
+ */
+function signWebhookToken(videoId, nonce) {
+  return crypto.createHmac('sha256', getWebhookSecret()).update(`${videoId}:${nonce}`).digest('hex');
+}
+
+/**
+ * Path of a video's event log
+ * @param {string} videoId - Video ID
+ * @returns {string} - File path
+ */
+function getEventLogPath(videoId) {
+  return getDataPath(path.join(EVENTS_DIR, `${videoId}.json`));
+}
+
+/**
+ * Empty event log for a job
+ * @param {string} videoId - Video ID
+ * @param {string} nonce - Per-job nonce
+ * @returns {Object} - Event log
+ */
+function createEventLog(videoId, nonce) {
+  return {
+    videoId,
+    nonce,
+    jobId: null,
+    createdAt: new Date().toISOString(),
+    terminalEvent: null,
+    lastProgress: null,
+    events: []
+  };
+}
+
+/**
+ * Build the notification URL for a new job and record its nonce as the video's current job
+ * Events from earlier jobs for the same video are rejected from then on.
+ * @param {string} webhookUrl - COCONUT_WEBHOOK_URL
+ * @param {string} videoId - Video ID
+ * @returns {string} - Notification URL with videoId, nonce and token
+ */
+function createNotificationUrl(webhookUrl, videoId) {
+  const nonce = crypto.randomBytes(12).toString('hex');
+  const token = signWebhookToken(videoId, nonce);
+
+  // Earlier jobs' events stay in the log for reference
+  const filePath = getEventLogPath(videoId);
+  const previous = readJsonFile(filePath, null);
+  const log = createEventLog(videoId, nonce);
+  log.events = previous && Array.isArray(previous.events) ? previous.events : [];
+  writeJsonFileAtomic(filePath, log);
+
+  const url = new URL(webhookUrl);
+  url.searchParams.set('videoId', videoId);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('token', token);
+  return url.toString();
+}
+
+/**
+ * Check a webhook request's token
+ * @param {Object} query - Request query ({ videoId, nonce, token })
+ * @throws {Error} - code INVALID_REQUEST or INVALID_TOKEN
+ */
+function verifyWebhookToken(query) {
+  const { videoId, nonce, token } = query;
+  if (!videoId || !/^[A-Za-z0-9_-]+$/.test(String(videoId))) {
+    throw webhookError('Missing or invalid videoId', 'INVALID_REQUEST');
+  }
+  if (!getWebhookSecret()) {
+    throw webhookError('Webhook secret not configured', 'INVALID_TOKEN');
+  }
+  if (typeof nonce !== 'string' || typeof token !== 'string' || !nonce || !token) {
+    throw webhookError('Missing webhook token', 'INVALID_TOKEN');
+  }
+
+  const expected = Buffer.from(signWebhookToken(videoId, nonce), 'hex');
+  const received = Buffer.from(token, 'hex');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw webhookError('Invalid webhook token', 'INVALID_TOKEN');
+  }
+}
+
+/**
+ * Parse Coconut's progress value ("45%", "45.5", 45) into a number
+ * @param {any} progress - Raw progress
+ * @returns {number|null} - Percentage
+ */
+function parseProgress(progress) {
+  const value = parseFloat(progress);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Whether an accepted event is still being applied by another delivery
+ * @param {Object} event - Logged event
+ * @returns {boolean}
+ */
+function isInFlight(event) {
+  return event.outcome === 'processing' && Date.now() - Date.parse(event.receivedAt) < PROCESSING_TIMEOUT_MS;
+}
+
+/**
+ * Check an authenticated event against the video's log and record it
+ * Rejected events are recorded too (with the reason) but do not change the job's state.
+ * Accepted events are recorded as processing; a terminal event only ends the job once
+ * finishWebhookEvent() reports it processed.
+ * Runs synchronously so concurrent deliveries for the same video cannot interleave.
+ * @param {string} videoId - Video ID
+ * @param {string} nonce - Nonce from the notification URL
+ * @param {Object} payload - Webhook body ({ job_id, event, data })
+ * @returns {Object} - { duplicate: true } for a redelivery, otherwise { event } as recorded
+ * @throws {Error} - code STALE_JOB or OUT_OF_ORDER (recorded), or BUSY (not recorded, retry later)
+ */
+function recordWebhookEvent(videoId, nonce, payload) {
+  const filePath = getEventLogPath(videoId);
+  const data = payload.data || {};
+  const jobId = payload.job_id || data.id || null;
+  const eventType = payload.event || 'unknown';
+  const progress = parseProgress(data.progress);
+
+  // No log (e.g. DATA_DIR was wiped): the token is valid, so start one for this job
+  const log = readJsonFile(filePath, null) || createEventLog(videoId, nonce);
+
+  // Failed or interrupted deliveries do not count, so Coconut's retry is applied
+  const digest = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+  if (log.events.some(event => event.digest === digest && (event.rejected || event.outcome === 'processed' || isInFlight(event)))) {
+    return { duplicate: true };
+  }
+
+  // A second final event waits (unrecorded) until the first one has been applied or has failed
+  const pendingTerminal = log.events.find(event => !event.rejected && TERMINAL_EVENTS.includes(event.event) && isInFlight(event));
+  if (pendingTerminal && TERMINAL_EVENTS.includes(eventType) && log.nonce === nonce) {
+    throw webhookError(`${eventType} received while ${pendingTerminal.event} is being applied for video ${videoId}`, 'BUSY');
+  }
+
+  let rejection = null;
+  if (log.nonce !== nonce || (log.jobId && jobId && log.jobId !== jobId)) {
+    rejection = webhookError(`Event for a previous job of video ${videoId} (job ${jobId})`, 'STALE_JOB');
+  } else if (log.terminalEvent) {
+    rejection = webhookError(`${eventType} received after ${log.terminalEvent} for video ${videoId}`, 'OUT_OF_ORDER');
+  } else if (!TERMINAL_EVENTS.includes(eventType) && progress !== null && log.lastProgress !== null && progress < log.lastProgress) {
+    rejection = webhookError(`Progress ${progress}% received after ${log.lastProgress}% for video ${videoId}`, 'OUT_OF_ORDER');
+  }
+
+  const event = {
+    receivedAt: new Date().toISOString(),
+    event: eventType,
+    nonce,
+    jobId,
+    status: data.status || null,
+    progress,
+    digest,
+    rejected: rejection ? rejection.code : null,
+    outcome: rejection ? null : 'processing',
+    payload
+  };
+
+  if (!rejection) {
+    log.jobId = log.jobId || jobId;
+    if (progress !== null) {
+      log.lastProgress = Math.max(progress, log.lastProgress || 0);
+    }
+  }
+  log.events.push(event);
+  if (log.events.length > MAX_EVENTS) {
+    log.events.splice(0, log.events.length - MAX_EVENTS);
+  }
+
+  if (!writeJsonFileAtomic(filePath, log)) {
+    logger.warn(`⚠️ Coconut event for video ${videoId} not persisted`);
+  }
+
+  if (rejection) {
+    throw rejection;
+  }
+  return { event };
+}
+
+/**
+ * Record whether an accepted event was applied
+ * A processed terminal event ends the job: later events are rejected as out of order.
+ * A failed event is left for Coconut to retry.
+ * @param {string} videoId - Video ID
+ * @param {Object} event - Event returned by recordWebhookEvent()
+ * @param {Error|null} error - Processing error, or null on success
+ */
+function finishWebhookEvent(videoId, event, error = null) {
+  const filePath = getEventLogPath(videoId);
+  const log = readJsonFile(filePath, null);
+  const logged = log && log.events.find(entry => entry.digest === event.digest && entry.outcome === 'processing');
+  if (!logged) {
+    return;
+  }
+
+  logged.outcome = error ? 'failed' : 'processed';
+  if (error) {
+    logged.error = error.message;
+  } else if (TERMINAL_EVENTS.includes(logged.event) && log.nonce === logged.nonce) {
+    log.terminalEvent = logged.event;
+  }
+
+  if (!writeJsonFileAtomic(filePath, log)) {
+    logger.warn(`⚠️ Coconut event outcome for video ${videoId} not persisted`);
+  }
+}
+
+/**
+ * Rendition an output event is about, if Coconut names one
+ * Looks for a "720p"-style token in the output's key, variant or format
+ * @param {Object} payload - Webhook body
+ * @returns {string|null} - Rendition name
+ */
+function getEventRendition(payload) {
+  const data = payload.data || {};
+  if (!/^output\.(completed|finished)$/.test(payload.event || '')) {
+    return null;
+  }
+  const label = [data.key, data.variant, data.format].filter(value => typeof value === 'string').join(' ');
+  const match = /(\d{3,4}p)\b/.exec(label);
+  return match ? match[1] : null;
+}
+
+/**
+ * Read a video's event log
+ * @param {string} videoId - Video ID
+ * @returns {Object|null} - Log ({ videoId, nonce, jobId, terminalEvent, lastProgress, events }) or null
+ */
+function getWebhookEvents(videoId) {
+  if (!/^[A-Za-z0-9_-]+$/.test(String(videoId))) {
+    return null;
+  }
+  return readJsonFile(getEventLogPath(videoId), null);
+}
+
+module.exports = {
+  createNotificationUrl,
+  verifyWebhookToken,
+  recordWebhookEvent,
+  finishWebhookEvent,
+  getEventRendition,
+  getWebhookEvents,
+  TERMINAL_EVENTS
+};
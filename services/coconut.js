@@ -4,18 +4,19 @@
  * Triggers HLS transcoding jobs via Coconut's REST API after video upload.
  * Outputs adaptive bitrate HLS streams to a dedicated B2 bucket.
  * 
- * Uses H.264 High profile with explicit yuv420p pixel format to ensure
- * clean colour space conversion from HDR/10-bit sources.
+ * Uses an explicit yuv420p pixel format to ensure clean colour space
+ * conversion from HDR/10-bit sources.
  * Ultrafast mode DISABLED — was causing frame drops and audio desync.
  * 
- * Encoding ladder (Coconut never upscales, so we always send all variants):
- *   - 480p:  H.264 High, CRF quality=5, maxrate 2000k, yuv420p
- *   - 720p:  H.264 High, CRF quality=5, maxrate 4000k, yuv420p
- *   - 1080p: H.264 High, CRF quality=5, maxrate 14000k, yuv420p
- *   - 2160p: H.264 High, CRF quality=5, maxrate 24000k, yuv420p
+ * Encoding ladder: a named profile from config.hls.profiles (services/hls-ladder.js), chosen
+ * per upload or per video. H.264 profiles use the High profile, HEVC profiles vcodec=hevc.
+ * Coconut never upscales, so every rung of the profile is sent.
  */
 const logger = require('../utils/logger');
 const { config } = require('../config');
+const { getStorage } = require('./storage');
+const { createNotificationUrl } = require('./coconut-webhook');
+const { resolveLadder, getCodecSettings } = require('./hls-ladder');
 
 const COCONUT_API_URL = process.env.COCONUT_API_URL || 'https://api-eu-west-1.coconut.co/v2/jobs';
 
@@ -24,9 +25,11 @@ const COCONUT_API_URL = process.env.COCONUT_API_URL || 'https://api-eu-west-1.co
  * 
  * @param {string} videoId    - Supabase video record ID (used for output path)
  * @param {string} sourceUrl  - Public B2 URL of the uploaded source video
+ * @param {Object} [options]
+ * @param {Object} [options.ladder] - Ladder from resolveLadder() (default: HLS_DEFAULT_PROFILE)
  * @returns {Promise<Object>} - { jobId, hlsBaseUrl } on success
  */
-async function createHlsJob(videoId, sourceUrl) {
+async function createHlsJob(videoId, sourceUrl, options = {}) {
   const apiKey = config.coconut.apiKey;
   if (!apiKey) {
     logger.warn('[Coconut] API key not configured — skipping HLS transcode');
@@ -55,8 +58,15 @@ async function createHlsJob(videoId, sourceUrl) {
     return null;
   }
 
-  // Append videoId as query param so the webhook knows which video to update
-  const notificationUrl = `${webhookUrl}?videoId=${encodeURIComponent(videoId)}`;
+  // videoId tells the webhook which video to update; nonce + token prove the request belongs to this job
+  const notificationUrl = createNotificationUrl(webhookUrl, videoId);
+
+  const ladder = options.ladder || resolveLadder();
+  const codecOptions = getCodecSettings(ladder.codec).coconutOptions;
+  if (ladder.audio && (ladder.audio.normalize || ladder.audio.audioOnly)) {
+    logger.warn(`[Coconut] Loudness normalization and audio-only variants need HLS_TRANSCODER=local — ignored for video ${videoId}`);
+  }
+  const quality = ladder.quality || 5;
 
   const jobPayload = {
     input: {
@@ -79,14 +89,8 @@ async function createHlsJob(videoId, sourceUrl) {
         hls: {
           path: outputPath
         },
-        // H.264 High encoding ladder with explicit yuv420p for clean colour conversion
-        // Coconut skips any variant above source resolution
-        variants: [
-          'mp4:480p::quality=5,maxrate=2000k,vprofile=high,pix_fmt=yuv420p',
-          'mp4:720p::quality=5,maxrate=4000k,vprofile=high,pix_fmt=yuv420p',
-          'mp4:1080p::quality=5,maxrate=14000k,vprofile=high,pix_fmt=yuv420p',
-          'mp4:2160p::quality=5,maxrate=24000k,vprofile=high,pix_fmt=yuv420p'
-        ]
+        // Explicit yuv420p for clean colour conversion; Coconut skips any variant above source resolution
+        variants: ladder.rungs.map(rung => `mp4:${rung.name}::quality=${quality},maxrate=${rung.maxrate},${codecOptions}`)
       }
     }
   };
@@ -94,7 +98,10 @@ async function createHlsJob(videoId, sourceUrl) {
   logger.info(`[Coconut] Creating HLS job for video ${videoId}`, {
     sourceUrl,
     outputPath,
-    webhookUrl: notificationUrl
+    profile: ladder.profile,
+    codec: ladder.codec,
+    ladder: ladder.rungs.map(rung => `${rung.name}@${rung.maxrate}`),
+    webhookUrl
   });
 
   try {
@@ -121,7 +128,7 @@ async function createHlsJob(videoId, sourceUrl) {
     // Construct the expected master playlist URL
     const hlsBaseUrl = `https://f${hlsBucket.id.substring(0, 3)}.backblazeb2.com/file/${hlsBucket.name}/${videoId}/hls/master.m3u8`;
     // Also construct the S3-style URL which is more reliable
-    const hlsUrl = `https://${hlsBucket.name}.s3.eu-central-003.backblazeb2.com/${videoId}/hls/master.m3u8`;
+    const hlsUrl = getStorage().getPublicUrl('hls', `${videoId}/hls/master.m3u8`);
 
     logger.info(`[Coconut] Job created successfully`, {
       jobId,
@@ -141,6 +148,23 @@ async function createHlsJob(videoId, sourceUrl) {
   }
 }
 
+/**
+ * Master playlist URL reported in a job's outputs
+ * @param {Object} jobData - Job from the API or a webhook's data ({ outputs: [...] })
+ * @returns {string|null} - HLS URL, or null if Coconut did not report one
+ */
+function getHlsOutputUrl(jobData) {
+  if (!jobData || !Array.isArray(jobData.outputs)) {
+    return null;
+  }
+  const httpstreamOutput = jobData.outputs.find(o => o.type === 'httpstream');
+  if (!httpstreamOutput || !Array.isArray(httpstreamOutput.urls)) {
+    return null;
+  }
+  const hlsEntry = httpstreamOutput.urls.find(u => u.format === 'hls');
+  return hlsEntry ? hlsEntry.url : null;
+}
+
 /**
  * Get the status of a Coconut job
  * 
@@ -176,5 +200,6 @@ async function getJobStatus(jobId) {
 
 module.exports = {
   createHlsJob,
-  getJobStatus
+  getJobStatus,
+  getHlsOutputUrl
 };
\ No newline at end of file
@@ -458,6 +458,265 @@ async function extractFrameFromRemote(videoUrl, timestamp, framePath) {
   });
 }
 
+/**
+ * Run FFmpeg with the given arguments and report encode progress
+ * @param {string[]} args - FFmpeg arguments
+ * @param {Object} options - Run options
+ * @param {number} options.timeoutMs - Kill FFmpeg after this long (default config.ffmpeg.timeout)
+ * @param {number} options.durationSeconds - Source duration, used to turn FFmpeg's time= output into a percentage
+ * @param {Function} options.onProgress - Called with 0-100 as encoding advances
+ * @param {string} options.label - Log prefix
+ * @param {boolean} options.logFailures - Log non-zero exits (default true; off when the caller expects some)
+ * @returns {Promise<string>} - Last 4000 characters of FFmpeg's log output
+ */
+function runFfmpeg(args, options = {}) {
+  const {
+    timeoutMs = config.ffmpeg.timeout,
+    durationSeconds = 0,
+    onProgress = null,
+    label = 'FFmpeg',
+    logFailures = true
+  } = options;
+  
+  return new Promise((resolve, reject) => {
+    const ffmpegProcess = spawn(config.ffmpeg.binPath, args);
+    
+    // Keep only the tail of stderr - long encodes write megabytes of progress lines
+    let errorOutput = '';
+    let lastPercent = -1;
+    
+    ffmpegProcess.stderr.on('data', (data) => {
+      const output = data.toString();
+      errorOutput = (errorOutput + output).slice(-4000);
+      logger.debug(`[${label}] ${output}`);
+      
+      if (onProgress && durationSeconds > 0) {
+        const match = output.match(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/);
+        if (match) {
+          const seconds = parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]);
+          const percent = Math.min(100, Math.floor((seconds / durationSeconds) * 100));
+          if (percent !== lastPercent) {
+            lastPercent = percent;
+            onProgress(percent);
+          }
+        }
+      }
+    });
+    
+    const timeout = setTimeout(() => {
+      ffmpegProcess.kill('SIGKILL');
+      const error = new Error(`${label} timed out after ${Math.round(timeoutMs / 1000)} seconds`);
+      logger.error(error.message);
+      reject(error);
+    }, timeoutMs);
+    
+    ffmpegProcess.on('close', (code) => {
+      clearTimeout(timeout);
+      
+      if (code === 0) {
+        resolve(errorOutput);
+      } else {
+        const error = new Error(`${label} failed with code ${code}: ${errorOutput}`);
+        if (logFailures) {
+          logger.error(error.message);
+        }
+        reject(error);
+      }
+    });
+    
+    ffmpegProcess.on('error', (error) => {
+      clearTimeout(timeout);
+      logger.error(`❌ ${label} process error: ${error.message}`);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Encode one HLS rendition (index.m3u8 + segments) into outputDir
+ * H.264 renditions use .ts segments; HEVC renditions use fMP4 (init.mp4 + .m4s) tagged hvc1,
+ * which is what Apple players require for HEVC in HLS.
+ * @param {string} source - Local file path or remote URL
+ * @param {string} outputDir - Directory for the rendition playlist and segments
+ * @param {Object} rendition - Rendition settings
+ * @param {string} [rendition.codec] - 'h264' (default) or 'hevc'
+ * @param {string} rendition.scale - FFmpeg scale filter value (e.g. '-2:720')
+ * @param {string} rendition.maxrate - Peak video bitrate (e.g. '4000k')
+ * @param {string} rendition.bufsize - VBV buffer size (e.g. '8000k')
+ * @param {number} rendition.crf - Constant rate factor
+ * @param {string} [rendition.audioFilter] - Audio filter, e.g. from buildLoudnormFilter()
+ * @param {Object} options - runFfmpeg options plus segmentSeconds
+ * @returns {Promise<string>} - Path to the rendition playlist
+ */
+async function transcodeHlsRendition(source, outputDir, rendition, options = {}) {
+  const segmentSeconds = options.segmentSeconds || 6;
+  const playlistPath = path.join(outputDir, 'index.m3u8');
+  const hevc = rendition.codec === 'hevc';
+  
+  await ensureDirectory(outputDir);
+  
+  const videoCodecArgs = hevc
+    ? ['-c:v', 'libx265', '-profile:v', 'main', '-tag:v', 'hvc1']
+    : ['-c:v', 'libx264', '-profile:v', 'high'];
+  const segmentArgs = hevc
+    ? ['-hls_segment_type', 'fmp4', '-hls_fmp4_init_filename', 'init.mp4', '-hls_segment_filename', path.join(outputDir, 'segment_%05d.m4s')]
+    : ['-hls_segment_filename', path.join(outputDir, 'segment_%05d.ts')];
+  
+  await runFfmpeg([
+    '-y',
+    '-i', source,
+    '-map', '0:v:0',
+    '-map', '0:a:0?',                 // Audio is optional - silent rushes still package
+    '-vf', `scale=${rendition.scale}`,
+    ...videoCodecArgs,
+    '-pix_fmt', 'yuv420p',            // Clean conversion from HDR/10-bit sources, same as Coconut
+    '-preset', 'medium',
+    '-crf', String(rendition.crf),
+    '-maxrate', rendition.maxrate,
+    '-bufsize', rendition.bufsize,
+    '-sc_threshold', '0',
+    '-force_key_frames', `expr:gte(t,n_forced*${segmentSeconds})`, // Keyframe at every segment boundary
+    ...(rendition.audioFilter ? ['-af', rendition.audioFilter] : []),
+    '-c:a', 'aac',
+    '-b:a', '128k',
+    '-ac', '2',
+    '-ar', '48000',
+    '-f', 'hls',
+    '-hls_time', String(segmentSeconds),
+    '-hls_playlist_type', 'vod',
+    ...segmentArgs,
+    playlistPath
+  ], {
+    ...options,
+    label: options.label || 'FFmpeg HLS'
+  });
+  
+  return playlistPath;
+}
+
+/**
+ * Measure EBU R128 loudness with loudnorm's analysis pass (audio is decoded, video is skipped)
+ * @param {string} source - Local file path or remote URL
+ * @param {Object} target - { targetLufs, truePeakDbtp, loudnessRange } (config.hls.audio)
+ * @param {Object} options - runFfmpeg options
+ * @returns {Promise<Object|null>} - { integratedLufs, truePeakDbtp, loudnessRange, threshold, targetOffset },
+ *   null if the source has no audio. Values are null for digital silence.
+ */
+async function analyzeLoudness(source, target, options = {}) {
+  let output;
+  try {
+    output = await runFfmpeg([
+      '-hide_banner',
+      '-i', source,
+      '-map', '0:a:0?',
+      '-vn',
+      '-af', `loudnorm=I=${target.targetLufs}:TP=${target.truePeakDbtp}:LRA=${target.loudnessRange}:print_format=json`,
+      '-f', 'null',
+      '-'
+    ], {
+      ...options,
+      label: options.label || 'FFmpeg loudness',
+      logFailures: false
+    });
+  } catch (error) {
+    if (/does not contain any stream/i.test(error.message)) {
+      return null;
+    }
+    logger.error(error.message);
+    throw error;
+  }
+  
+  // loudnorm prints its measurements as a JSON object at the end of the log
+  const match = /\{[^{}]*"input_i"[^{}]*\}/.exec(output);
+  if (!match) {
+    throw new Error('Loudness analysis produced no measurements');
+  }
+  
+  const measured = JSON.parse(match[0]);
+  const value = (key) => {
+    const number = parseFloat(measured[key]);
+    return Number.isFinite(number) ? number : null;
+  };
+  
+  return {
+    integratedLufs: value('input_i'),
+    truePeakDbtp: value('input_tp'),
+    loudnessRange: value('input_lra'),
+    threshold: value('input_thresh'),
+    targetOffset: value('target_offset')
+  };
+}
+
+/**
+ * Second-pass loudnorm filter that applies measured loudness linearly (no dynamic compression)
+ * Falls back to loudnorm's own dynamic mode when measurements are missing
+ * @param {Object} target - { targetLufs, truePeakDbtp, loudnessRange } (config.hls.audio)
+ * @param {Object} loudness - Result of analyzeLoudness()
+ * @returns {string|null} - Filter for -af, or null for silence (nothing to normalize)
+ */
+function buildLoudnormFilter(target, loudness) {
+  if (!loudness || loudness.integratedLufs === null) {
+    return null;
+  }
+  
+  const filter = `loudnorm=I=${target.targetLufs}:TP=${target.truePeakDbtp}:LRA=${target.loudnessRange}`;
+  const { integratedLufs, truePeakDbtp, loudnessRange, threshold, targetOffset } = loudness;
+  if ([truePeakDbtp, loudnessRange, threshold, targetOffset].some(value => value === null)) {
+    return filter;
+  }
+  
+  return `${filter}:measured_I=${integratedLufs}:measured_TP=${truePeakDbtp}:measured_LRA=${loudnessRange}` +
+    `:measured_thresh=${threshold}:offset=${targetOffset}:linear=true`;
+}
+
+/**
+ * Encode an audio-only AAC HLS rendition (index.m3u8 + .ts segments) into outputDir
+ * @param {string} source - Local file path or remote URL
+ * @param {string} outputDir - Directory for the rendition playlist and segments
+ * @param {Object} rendition - Rendition settings
+ * @param {string} rendition.bitrate - AAC bitrate (e.g. '64k')
+ * @param {string} [rendition.audioFilter] - Audio filter, e.g. from buildLoudnormFilter()
+ * @param {Object} options - runFfmpeg options plus segmentSeconds
+ * @returns {Promise<string|null>} - Path to the rendition playlist, null if the source has no audio
+ */
+async function transcodeHlsAudioRendition(source, outputDir, rendition, options = {}) {
+  const segmentSeconds = options.segmentSeconds || 6;
+  const playlistPath = path.join(outputDir, 'index.m3u8');
+  
+  await ensureDirectory(outputDir);
+  
+  try {
+    await runFfmpeg([
+      '-y',
+      '-i', source,
+      '-map', '0:a:0?',
+      '-vn',
+      ...(rendition.audioFilter ? ['-af', rendition.audioFilter] : []),
+      '-c:a', 'aac',
+      '-b:a', rendition.bitrate,
+      '-ac', '2',
+      '-ar', '48000',
+      '-f', 'hls',
+      '-hls_time', String(segmentSeconds),
+      '-hls_playlist_type', 'vod',
+      '-hls_segment_filename', path.join(outputDir, 'segment_%05d.ts'),
+      playlistPath
+    ], {
+      ...options,
+      label: options.label || 'FFmpeg HLS audio',
+      logFailures: false
+    });
+  } catch (error) {
+    if (/does not contain any stream/i.test(error.message)) {
+      return null;
+    }
+    logger.error(error.message);
+    throw error;
+  }
+  
+  return playlistPath;
+}
+
 module.exports = {
   generateThumbnail,
   extractVideoMetadata,
@@ -466,5 +725,10 @@ module.exports = {
   extractThumbnailFromRemote,
   extractFrameFromRemote,
   createPlaceholderThumbnail,
+  runFfmpeg,
+  transcodeHlsRendition,
+  transcodeHlsAudioRendition,
+  analyzeLoudness,
+  buildLoudnormFilter,
   testFfmpeg
 };
\ No newline at end of file
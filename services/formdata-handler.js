@@ -7,6 +7,7 @@ const {
 } = require('../utils/status');
 const { generateUniqueFilename, getUploadPath, ensureDirectory } = require('../utils/directory');
 const uploadProcessor = require('./upload-processor');
+const { createContentHasher } = require('../utils/content-hash');
 
 /**
  * FormData Upload Handler Service
@@ -51,6 +52,7 @@ async function handleFormDataUpload(req, uploadId) {
       let writeStream;
       let totalBytesReceived = 0;
       let formFields = {};
+      const contentHasher = createContentHasher();
 
       // Initialize status
       initUploadStatus(uploadId, {
@@ -121,6 +123,7 @@ async function handleFormDataUpload(req, uploadId) {
           file.on('data', (chunk) => {
             try {
               totalBytesReceived += chunk.length;
+              contentHasher.update(chunk);
               
               // Update progress every 10MB
               if (totalBytesReceived % (10 * 1024 * 1024) < chunk.length) {
@@ -173,9 +176,11 @@ async function handleFormDataUpload(req, uploadId) {
             
             // Extract form fields for processing
             const videoId = formFields.videoId;
+            const contentSha256 = contentHasher.digest('hex');
+            console.log(`🔐 Content SHA-256: ${contentSha256}`);
             
             // Process the complete file using upload processor
-            uploadProcessor.processVideo(uploadId, tempFilePath, originalName, videoId)
+            uploadProcessor.processVideo(uploadId, tempFilePath, originalName, videoId, { contentSha256 })
               .then((result) => {
                 console.log(`✅ FormData processing finished for ${uploadId}`);
                 resolve(result);
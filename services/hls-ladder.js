@@ -0,0 +1,169 @@
+const { config } = require('../config');
+
+/**
+ * HLS encoding ladders shared by both transcoders
+ *
+ * Ladders come from the named profiles in config.hls.profiles. A resolved ladder is
+ * { profile, codec, quality, rungs, audio } and is what gets stored on the video (hls_ladder), so a
+ * re-transcode encodes the same rungs even if the profile is edited later. audio is
+ * { normalize, audioOnly } (config.hls.audio, then the profile, then the request).
+ * Coconut uses each rung's name and maxrate; the local transcoder also uses bufsize and crf.
+ */
+
+const MIN_MAXRATE_KBPS = 300;
+const MAX_MAXRATE_KBPS = 60000;
+
+// Per-codec settings: Coconut variant options, HLS CODECS attribute and segment container
+const HLS_CODEC_SETTINGS = {
+  h264: { coconutOptions: 'vprofile=high,pix_fmt=yuv420p', hlsCodecs: 'avc1.640028,mp4a.40.2', segmentType: 'mpegts' },
+  hevc: { coconutOptions: 'vcodec=hevc,pix_fmt=yuv420p', hlsCodecs: 'hvc1.1.6.L150.90,mp4a.40.2', segmentType: 'fmp4' }
+};
+
+/**
+ * Error for a bad profile or ladder override (routes answer 400)
+ */
+function ladderError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_LADDER';
+  return error;
+}
+
+/**
+ * Names of the configured profiles
+ * @returns {string[]} - Profile names
+ */
+function listLadderProfiles() {
+  return Object.keys(config.hls.profiles);
+}
+
+/**
+ * Look up a profile
+ * @param {string} [name] - Profile name (defaults to HLS_DEFAULT_PROFILE)
+ * @returns {Object} - { name, description, codec, quality, rungs }
+ * @throws {Error} - code INVALID_LADDER
+ */
+function getLadderProfile(name) {
+  const profileName = name || config.hls.defaultProfile;
+  const profile = Object.prototype.hasOwnProperty.call(config.hls.profiles, profileName)
+    ? config.hls.profiles[profileName]
+    : null;
+  if (!profile) {
+    throw ladderError(`Unknown HLS profile '${profileName}' (available: ${listLadderProfiles().join(', ')})`);
+  }
+  if (!HLS_CODEC_SETTINGS[profile.codec]) {
+    throw ladderError(`HLS profile '${profileName}' has unsupported codec '${profile.codec}'`);
+  }
+  return { name: profileName, ...profile };
+}
+
+/**
+ * Work out a job's audio outputs
+ * @param {Object} [overrides] - { normalize, audioOnly } booleans from the request
+ * @param {Object} [base] - Settings to override (default: config.hls.audio)
+ * @returns {Object} - { normalize, audioOnly }
+ * @throws {Error} - code INVALID_LADDER
+ */
+function resolveLadderAudio(overrides, base = config.hls.audio) {
+  if (overrides !== undefined && overrides !== null) {
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw ladderError('audio must be an object like { "normalize": true, "audioOnly": false }');
+    }
+    Object.keys(overrides).forEach(key => {
+      if (!['normalize', 'audioOnly'].includes(key) || typeof overrides[key] !== 'boolean') {
+        throw ladderError(`audio.${key} is not a boolean audio option (normalize, audioOnly)`);
+      }
+    });
+  }
+
+  const audio = { ...base, ...(overrides || {}) };
+  return {
+    normalize: Boolean(audio.normalize),
+    audioOnly: Boolean(audio.audioOnly)
+  };
+}
+
+/**
+ * Build a ladder from a profile and optional overrides
+ * Each override is a rung name ('720p') or { name, maxrate } to change that rung's bitrate cap;
+ * only the listed rungs are encoded. No overrides means every rung of the profile.
+ * @param {Array<string|Object>} [overrides] - Rungs to encode
+ * @param {string} [profileName] - Profile (defaults to HLS_DEFAULT_PROFILE)
+ * @param {Object} [audioOverrides] - { normalize, audioOnly } (see resolveLadderAudio)
+ * @returns {Object} - { profile, codec, quality, rungs: [{ name, height, maxrate, bufsize, crf }], audio }, lowest rung first
+ * @throws {Error} - code INVALID_LADDER
+ */
+function resolveLadder(overrides, profileName, audioOverrides) {
+  const profile = getLadderProfile(profileName);
+  const ladder = {
+    profile: profile.name,
+    codec: profile.codec,
+    quality: profile.quality,
+    rungs: null,
+    audio: resolveLadderAudio(audioOverrides, resolveLadderAudio(profile.audio))
+  };
+
+  if (overrides === undefined || overrides === null) {
+    ladder.rungs = profile.rungs.map(rung => ({ ...rung })).sort((a, b) => a.height - b.height);
+    return ladder;
+  }
+  if (!Array.isArray(overrides) || overrides.length === 0) {
+    throw ladderError('ladder must be a non-empty array of rung names or { name, maxrate } objects');
+  }
+
+  const rungs = new Map();
+  overrides.forEach(entry => {
+    const name = typeof entry === 'string' ? entry : entry && entry.name;
+    const base = profile.rungs.find(rung => rung.name === name);
+    if (!base) {
+      throw ladderError(`Unknown rung '${name}' for profile '${profile.name}' (available: ${profile.rungs.map(rung => rung.name).join(', ')})`);
+    }
+    if (rungs.has(name)) {
+      throw ladderError(`Rung '${name}' is listed twice`);
+    }
+
+    const rung = { ...base };
+    if (entry.maxrate !== undefined) {
+      const kbps = parseInt(String(entry.maxrate).replace(/k$/i, ''));
+      if (!/^\d+k?$/i.test(String(entry.maxrate)) || kbps < MIN_MAXRATE_KBPS || kbps > MAX_MAXRATE_KBPS) {
+        throw ladderError(`maxrate for ${name} must be between ${MIN_MAXRATE_KBPS}k and ${MAX_MAXRATE_KBPS}k`);
+      }
+      rung.maxrate = `${kbps}k`;
+      rung.bufsize = `${kbps * 2}k`;
+    }
+    rungs.set(name, rung);
+  });
+
+  ladder.rungs = [...rungs.values()].sort((a, b) => a.height - b.height);
+  return ladder;
+}
+
+/**
+ * Check a ladder recorded on a video (hls_ladder) before reusing it
+ * @param {any} ladder - Stored value
+ * @returns {boolean} - Whether it can be passed to a transcoder as-is
+ */
+function isRecordedLadder(ladder) {
+  return Boolean(ladder) &&
+    Boolean(HLS_CODEC_SETTINGS[ladder.codec]) &&
+    Array.isArray(ladder.rungs) &&
+    ladder.rungs.length > 0 &&
+    ladder.rungs.every(rung => rung && typeof rung.name === 'string' && Number.isFinite(rung.height) && rung.maxrate);
+}
+
+/**
+ * Settings for a ladder's codec
+ * @param {string} [codec] - 'h264' or 'hevc' (defaults to h264)
+ * @returns {Object} - { coconutOptions, hlsCodecs, segmentType }
+ */
+function getCodecSettings(codec) {
+  return HLS_CODEC_SETTINGS[codec] || HLS_CODEC_SETTINGS.h264;
+}
+
+module.exports = {
+  listLadderProfiles,
+  getLadderProfile,
+  resolveLadder,
+  resolveLadderAudio,
+  isRecordedLadder,
+  getCodecSettings
+};
@@ -0,0 +1,288 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const { emitToSubscribers } = require('../utils/status');
+const { getStorage } = require('./storage');
+const { updateHlsStatus } = require('./supabase');
+
+/**
+ * HLS transcode progress
+ *
+ * Both transcoders report here: Coconut through webhook events, the local transcoder from its
+ * queue job. Progress and finished renditions are written to the video (hls_progress,
+ * hls_variants) and pushed as 'hls_status' to Socket.IO clients subscribed to the video ID, so the
+ * frontend can show "HLS 60%, 720p ready". On completion hls_variants becomes the final variant
+ * list from master.m3u8: [{ name, width, height, bandwidth, codecs, playlistUrl }].
+ */
+
+// Progress-only updates are written to the database at most this often; socket clients get every one
+const PERSIST_INTERVAL_MS = 5000;
+
+// videoId -> { jobId, progress, renditions: { [name]: 'ready' }, lastPersistedAt, pendingWrite }
+const hlsProgress = new Map();
+
+/**
+ * Current state of a video's transcode, as sent to socket clients
+ * @param {string} videoId - Video ID
+ * @returns {Object|null} - { videoId, hlsStatus, progress, renditions, variants, hlsUrl } or null if none is running
+ */
+function getHlsProgress(videoId) {
+  const state = hlsProgress.get(videoId);
+  return state ? buildPayload(videoId, 'processing', state) : null;
+}
+
+/**
+ * Renditions finished so far, in the shape stored in hls_variants while processing
+ * @param {Object} state - Progress state
+ * @returns {Object[]} - [{ name, status }]
+ */
+function listRenditions(state) {
+  return Object.keys(state.renditions).map(name => ({ name, status: state.renditions[name] }));
+}
+
+/**
+ * Socket payload for a state
+ * @param {string} videoId - Video ID
+ * @param {string} hlsStatus - 'processing' | 'ready' | 'failed'
+ * @param {Object} state - Progress state
+ * @param {Object} [extra] - Fields to add or override (variants, hlsUrl, error)
+ * @returns {Object} - 'hls_status' payload
+ */
+function buildPayload(videoId, hlsStatus, state, extra = {}) {
+  return {
+    videoId,
+    hlsStatus,
+    progress: state.progress,
+    renditions: listRenditions(state),
+    variants: null,
+    hlsUrl: null,
+    timestamp: Date.now(),
+    ...extra
+  };
+}
+
+/**
+ * Whether a report comes from a job that has since been replaced (e.g. by a forced re-transcode)
+ * @param {string} videoId - Video ID
+ * @param {Object} [state] - Current progress state
+ * @param {string} [jobId] - Job ID the report came from
+ * @returns {boolean} - True if the report should be dropped
+ */
+function isSupersededReport(videoId, state, jobId) {
+  if (!state || !state.jobId || !jobId || state.jobId === jobId) {
+    return false;
+  }
+  logger.info(`⏭️ Ignoring HLS report from job ${jobId} for video ${videoId} - superseded by ${state.jobId}`);
+  return true;
+}
+
+/**
+ * Mark a video's transcode as started
+ * @param {string} videoId - Video ID
+ * @param {string} jobId - Transcoder job ID
+ * @param {Object} [ladder] - Ladder the job encodes, recorded as hls_profile/hls_ladder
+ * @returns {Promise<boolean>} - Whether the video was updated
+ */
+async function startHlsProgress(videoId, jobId, ladder) {
+  // A queued local job can start reporting before the upload route gets here - keep its progress
+  const existing = hlsProgress.get(videoId);
+  const state = existing && existing.jobId === jobId
+    ? existing
+    : { jobId, progress: 0, renditions: {}, lastPersistedAt: Date.now() };
+  hlsProgress.set(videoId, state);
+  emitToSubscribers(videoId, 'hls_status', buildPayload(videoId, 'processing', state));
+
+  const hlsData = {
+    hls_status: 'processing',
+    transcode_job_id: jobId,
+    hls_progress: state.progress,
+    hls_variants: listRenditions(state)
+  };
+  if (ladder) {
+    hlsData.hls_profile = ladder.profile;
+    hlsData.hls_ladder = ladder;
+  }
+  return updateHlsStatus(videoId, hlsData);
+}
+
+/**
+ * Record progress and/or a finished rendition
+ * @param {string} videoId - Video ID
+ * @param {Object} update - Update
+ * @param {number} [update.progress] - Overall percentage (never moves backwards)
+ * @param {string} [update.renditionReady] - Name of a rendition that finished (e.g. '720p')
+ * @param {string} [update.jobId] - Transcoder job ID; reports from a superseded job are dropped
+ * @returns {Promise<void>}
+ */
+async function updateHlsProgress(videoId, { progress, renditionReady, jobId } = {}) {
+  let state = hlsProgress.get(videoId);
+  if (isSupersededReport(videoId, state, jobId)) {
+    return;
+  }
+  if (!state) {
+    // Started before a restart, or by a path that did not call startHlsProgress()
+    state = { jobId: jobId || null, progress: 0, renditions: {}, lastPersistedAt: 0 };
+    hlsProgress.set(videoId, state);
+  }
+
+  const previousProgress = state.progress;
+  if (Number.isFinite(progress)) {
+    state.progress = Math.max(state.progress, Math.min(99, Math.floor(progress)));
+  }
+  const newRendition = Boolean(renditionReady) && !state.renditions[renditionReady];
+  if (newRendition) {
+    state.renditions[renditionReady] = 'ready';
+    logger.info(`🎬 HLS ${renditionReady} ready for video ${videoId}`);
+  }
+
+  if (state.progress === previousProgress && !newRendition) {
+    return;
+  }
+
+  emitToSubscribers(videoId, 'hls_status', buildPayload(videoId, 'processing', state));
+
+  if (newRendition || Date.now() - state.lastPersistedAt >= PERSIST_INTERVAL_MS) {
+    state.lastPersistedAt = Date.now();
+    const hlsData = {
+      hls_status: 'processing',
+      hls_progress: state.progress,
+      hls_variants: listRenditions(state)
+    };
+    // Chained so writes land in order and the final ready/failed write can wait for them
+    state.pendingWrite = (state.pendingWrite || Promise.resolve())
+      .then(() => updateHlsStatus(videoId, hlsData))
+      .catch(error => logger.warn(`⚠️ Failed to record HLS progress for video ${videoId}: ${error.message}`));
+    await state.pendingWrite;
+  }
+}
+
+/**
+ * Parse the variant streams of a master playlist
+ * @param {string} body - master.m3u8 contents
+ * @param {string} videoId - Video ID (playlist URIs are relative to {videoId}/hls/)
+ * @returns {Object[]} - [{ name, width, height, bandwidth, codecs, playlistUrl }]
+ */
+function parseMasterPlaylist(body, videoId) {
+  const lines = body.split(/\r?\n/).map(line => line.trim());
+  const variants = [];
+
+  lines.forEach((line, index) => {
+    if (!line.startsWith('#EXT-X-STREAM-INF:')) {
+      return;
+    }
+    const uri = lines.slice(index + 1).find(next => next && !next.startsWith('#'));
+    if (!uri) {
+      return;
+    }
+
+    const attribute = (name) => {
+      const match = new RegExp(`(?:^|[:,])${name}=("[^"]*"|[^,]*)`).exec(line);
+      return match ? match[1].replace(/^"|"$/g, '') : null;
+    };
+    const [width, height] = (attribute('RESOLUTION') || '').split('x').map(value => parseInt(value) || null);
+    const bandwidth = parseInt(attribute('BANDWIDTH')) || null;
+    const nameMatch = /(\d{3,4}p)/.exec(uri);
+
+    variants.push({
+      name: nameMatch ? nameMatch[1] : (width && height ? `${Math.min(width, height)}p` : path.posix.dirname(uri)),
+      width: width || null,
+      height: height || null,
+      bandwidth,
+      codecs: attribute('CODECS'),
+      playlistUrl: /^[a-z][a-z0-9+.-]*:/i.test(uri)
+        ? uri
+        : getStorage().getPublicUrl('hls', path.posix.normalize(`${videoId}/hls/${uri}`))
+    });
+  });
+
+  return variants;
+}
+
+/**
+ * Read the final variant list from a video's master playlist
+ * @param {string} videoId - Video ID
+ * @returns {Promise<Object[]>} - Variants
+ */
+async function fetchHlsVariants(videoId) {
+  const url = await getStorage().getSignedDownloadUrl('hls', `${videoId}/hls/master.m3u8`, { validDurationInSeconds: 60 });
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch master playlist for ${videoId}: HTTP ${response.status}`);
+  }
+  return parseMasterPlaylist(await response.text(), videoId);
+}
+
+/**
+ * Mark a video's HLS as ready and store the final variant list
+ * @param {string} videoId - Video ID
+ * @param {Object} result - Result
+ * @param {string} result.hlsUrl - master.m3u8 URL
+ * @param {string} [result.jobId] - Transcoder job ID
+ * @param {Object[]} [result.variants] - Variant list; read from master.m3u8 if omitted
+ * @returns {Promise<boolean|null>} - Whether the video was updated, or null if the job was superseded
+ */
+async function completeHlsProgress(videoId, { hlsUrl, jobId, variants }) {
+  if (isSupersededReport(videoId, hlsProgress.get(videoId), jobId)) {
+    return null;
+  }
+  const state = hlsProgress.get(videoId) || { progress: 0, renditions: {} };
+  hlsProgress.delete(videoId);
+  await state.pendingWrite;
+
+  let finalVariants = variants || null;
+  if (!finalVariants) {
+    try {
+      finalVariants = await fetchHlsVariants(videoId);
+    } catch (error) {
+      logger.warn(`⚠️ Could not read HLS variants for video ${videoId}: ${error.message}`);
+      finalVariants = listRenditions(state);
+    }
+  }
+
+  finalVariants.forEach(variant => { state.renditions[variant.name] = 'ready'; });
+  state.progress = 100;
+  emitToSubscribers(videoId, 'hls_status', buildPayload(videoId, 'ready', state, { variants: finalVariants, hlsUrl }));
+
+  const hlsData = {
+    hls_status: 'ready',
+    hls_url: hlsUrl,
+    hls_progress: 100,
+    hls_variants: finalVariants
+  };
+  if (jobId) {
+    hlsData.transcode_job_id = jobId;
+  }
+  return updateHlsStatus(videoId, hlsData);
+}
+
+/**
+ * Mark a video's HLS as failed
+ * @param {string} videoId - Video ID
+ * @param {Object} [details] - Details
+ * @param {string} [details.jobId] - Transcoder job ID
+ * @param {string} [details.error] - Error message for socket clients
+ * @returns {Promise<boolean|null>} - Whether the video was updated, or null if the job was superseded
+ */
+async function failHlsProgress(videoId, { jobId, error } = {}) {
+  if (isSupersededReport(videoId, hlsProgress.get(videoId), jobId)) {
+    return null;
+  }
+  const state = hlsProgress.get(videoId) || { progress: 0, renditions: {} };
+  hlsProgress.delete(videoId);
+  await state.pendingWrite;
+  emitToSubscribers(videoId, 'hls_status', buildPayload(videoId, 'failed', state, { error: error || null }));
+
+  const hlsData = { hls_status: 'failed' };
+  if (jobId) {
+    hlsData.transcode_job_id = jobId;
+  }
+  return updateHlsStatus(videoId, hlsData);
+}
+
+module.exports = {
+  startHlsProgress,
+  updateHlsProgress,
+  completeHlsProgress,
+  failHlsProgress,
+  getHlsProgress,
+  parseMasterPlaylist
+};
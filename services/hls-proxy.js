@@ -0,0 +1,177 @@
+const path = require('path');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { getStorage } = require('./storage');
+
+/**
+ * HLS playlist proxy
+ * Private HLS buckets break playback: master.m3u8 points at variant playlists and those at
+ * segments by relative URL, which the browser requests without authorization. GET
+ * /video/:videoId/hls/* serves the playlists from this server instead, rewriting every segment
+ * URI to a signed storage URL. Variant playlist URIs stay relative, so they resolve back to the
+ * proxy and get rewritten too. Rewritten playlists are cached for HLS_PLAYLIST_CACHE_SECONDS.
+ */
+
+const MAX_CACHE_ENTRIES = 500;
+
+// Playlist object name ({videoId}/hls/...) -> { body, expiresAt }
+const playlistCache = new Map();
+
+/**
+ * Error with a code the route maps to an HTTP status
+ */
+function proxyError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Resolve a path below a video's HLS prefix
+ * @param {string} videoId - Video ID
+ * @param {string} relativePath - Path below {videoId}/hls/
+ * @returns {string} - Object name in the HLS bucket
+ */
+function resolveHlsObject(videoId, relativePath) {
+  const prefix = `${videoId}/hls/`;
+  const objectName = path.posix.normalize(`${prefix}${relativePath}`);
+  if (!/^[A-Za-z0-9_-]+$/.test(String(videoId)) || !objectName.startsWith(prefix) || objectName === prefix) {
+    throw proxyError(`Invalid HLS path: ${relativePath}`, 'INVALID_PATH');
+  }
+  return objectName;
+}
+
+/**
+ * Build a function that signs object URLs in the HLS bucket
+ * One prefix token covers all of a video's files when the driver supports it; otherwise
+ * each URL is presigned on its own (S3 signs locally, local files need no signature)
+ * @param {string} videoId - Video ID
+ * @returns {Promise<Function>} - async (objectName) => URL
+ */
+async function createUrlSigner(videoId) {
+  const storage = getStorage();
+  const validDurationInSeconds = config.playback.urlTtlSeconds;
+  const prefixToken = await storage.getSignedPrefixToken('hls', `${videoId}/hls/`, { validDurationInSeconds });
+
+  if (prefixToken) {
+    return async (objectName) => {
+      const url = storage.getPublicUrl('hls', objectName);
+      return `${url}${url.includes('?') ? '&' : '?'}${prefixToken.queryParam}=${encodeURIComponent(prefixToken.token)}`;
+    };
+  }
+  return (objectName) => storage.getSignedDownloadUrl('hls', objectName, { validDurationInSeconds });
+}
+
+/**
+ * Rewrite the URIs in a playlist
+ * Segment, key and init-section URIs become signed storage URLs; playlist URIs (.m3u8) and
+ * absolute URLs are left alone
+ * @param {string} body - Playlist text
+ * @param {string} videoId - Video ID
+ * @param {string} playlistObject - Object name of the playlist (for resolving relative URIs)
+ * @returns {Promise<string>} - Rewritten playlist
+ */
+async function rewritePlaylist(body, videoId, playlistObject) {
+  const sign = await createUrlSigner(videoId);
+  const playlistDir = path.posix.dirname(playlistObject);
+  const hlsPrefix = `${videoId}/hls/`;
+
+  const rewriteUri = async (uri) => {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(uri) || uri.startsWith('/')) {
+      return uri;
+    }
+    const [uriPath] = uri.split(/[?#]/);
+    if (uriPath.toLowerCase().endsWith('.m3u8')) {
+      return uri;
+    }
+    const objectName = path.posix.normalize(path.posix.join(playlistDir, uriPath));
+    if (!objectName.startsWith(hlsPrefix)) {
+      return uri;
+    }
+    return sign(objectName);
+  };
+
+  const lines = await Promise.all(body.split(/\r?\n/).map(async (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return line;
+    }
+    if (trimmed.startsWith('#')) {
+      // URI="..." attributes on EXT-X-MEDIA, EXT-X-KEY, EXT-X-MAP, EXT-X-I-FRAME-STREAM-INF
+      const match = /URI="([^"]*)"/.exec(trimmed);
+      if (!match) {
+        return line;
+      }
+      const rewritten = await rewriteUri(match[1]);
+      return trimmed.replace(match[0], `URI="${rewritten}"`);
+    }
+    return rewriteUri(trimmed);
+  }));
+
+  return lines.join('\n');
+}
+
+/**
+ * Fetch a playlist from the HLS bucket
+ * @param {string} objectName - Object name
+ * @returns {Promise<string>} - Playlist text
+ */
+async function fetchPlaylist(objectName) {
+  const url = await getStorage().getSignedDownloadUrl('hls', objectName, { validDurationInSeconds: 60 });
+  const response = await fetch(url);
+  if (response.status === 404) {
+    throw proxyError(`Playlist not found: ${objectName}`, 'NOT_FOUND');
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch playlist ${objectName}: HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * Get a playlist with signed segment URIs, from the cache when fresh
+ * @param {string} videoId - Video ID
+ * @param {string} playlistPath - Path below {videoId}/hls/ (e.g. 'master.m3u8', '720p/index.m3u8')
+ * @returns {Promise<Object>} - { body, cached }
+ */
+async function getSignedPlaylist(videoId, playlistPath) {
+  const objectName = resolveHlsObject(videoId, playlistPath);
+  if (!objectName.toLowerCase().endsWith('.m3u8')) {
+    throw proxyError(`Not a playlist: ${playlistPath}`, 'INVALID_PATH');
+  }
+
+  const cached = playlistCache.get(objectName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { body: cached.body, cached: true };
+  }
+
+  const body = await rewritePlaylist(await fetchPlaylist(objectName), videoId, objectName);
+
+  if (config.playback.hlsPlaylistCacheSeconds > 0) {
+    playlistCache.delete(objectName);
+    playlistCache.set(objectName, { body, expiresAt: Date.now() + config.playback.hlsPlaylistCacheSeconds * 1000 });
+    // Map keeps insertion order, so the first key is the oldest entry
+    if (playlistCache.size > MAX_CACHE_ENTRIES) {
+      playlistCache.delete(playlistCache.keys().next().value);
+    }
+  }
+
+  logger.debug(`🎬 Rewrote HLS playlist ${objectName}`);
+  return { body, cached: false };
+}
+
+/**
+ * Signed URL for a non-playlist file requested through the proxy (segments, keys, subtitles)
+ * @param {string} videoId - Video ID
+ * @param {string} filePath - Path below {videoId}/hls/
+ * @returns {Promise<string>} - Signed URL
+ */
+async function getSignedHlsFileUrl(videoId, filePath) {
+  const objectName = resolveHlsObject(videoId, filePath);
+  return getStorage().getSignedDownloadUrl('hls', objectName, { validDurationInSeconds: config.playback.urlTtlSeconds });
+}
+
+module.exports = {
+  getSignedPlaylist,
+  getSignedHlsFileUrl
+};
@@ -0,0 +1,195 @@
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { getServiceClient } = require('./supabase');
+const { getStorage } = require('./storage');
+const { completeHlsProgress, failHlsProgress } = require('./hls-progress');
+
+/**
+ * HLS reconciler
+ * A lost webhook or a restart mid-transcode leaves videos in hls_status 'processing' forever.
+ * Every HLS_RECONCILE_INTERVAL_MINUTES this asks the transcoder about videos whose HLS status
+ * has not changed for HLS_STUCK_AFTER_MINUTES: finished jobs are marked ready, failed or
+ * vanished jobs are marked failed (retry with POST /video/:videoId/transcode), jobs that are
+ * still running are left alone.
+ */
+
+// Local transcoder jobs come from the queue ('hls' prefix); anything else is a Coconut job ID
+const LOCAL_JOB_PREFIX = 'hls_';
+
+let running = null;
+let lastRun = null;
+
+/**
+ * Ask the transcoder that owns a job how it is doing
+ * @param {string} jobId - transcode_job_id from the video
+ * @returns {Promise<Object>} - { state: 'processing'|'completed'|'failed'|'unknown', hlsUrl, error }
+ */
+async function getTranscodeJobState(jobId) {
+  if (jobId.startsWith(LOCAL_JOB_PREFIX)) {
+    const { getJobStatus } = require('../utils/upload-queue');
+    const job = getJobStatus(jobId);
+    if (!job) {
+      // Finished jobs are forgotten after a while and unpersisted queues lose jobs on restart
+      return { state: 'failed', error: 'Transcode job no longer exists' };
+    }
+    if (job.status === 'completed') {
+      return { state: 'completed', hlsUrl: job.result && job.result.hlsUrl };
+    }
+    if (job.status === 'failed') {
+      return { state: 'failed', error: job.error || 'Transcode job failed' };
+    }
+    return { state: 'processing' };
+  }
+
+  const coconut = require('./coconut');
+  const job = await coconut.getJobStatus(jobId);
+  if (!job) {
+    // API error or unknown job - leave it for the next run rather than guess
+    return { state: 'unknown' };
+  }
+
+  const status = String(job.status || '');
+  if (/completed/.test(status)) {
+    return { state: 'completed', hlsUrl: coconut.getHlsOutputUrl(job) };
+  }
+  if (/failed|error|canceled|cancelled/.test(status)) {
+    return { state: 'failed', error: (job.errors && JSON.stringify(job.errors)) || status };
+  }
+  return { state: 'processing' };
+}
+
+/**
+ * Check one stuck video and fix its status
+ * @param {Object} video - { id, transcode_job_id, updated_at }
+ * @returns {Promise<Object>} - { videoId, jobId, action, error }
+ */
+async function reconcileVideo(video) {
+  const videoId = video.id;
+  const jobId = video.transcode_job_id;
+
+  if (!jobId) {
+    await failHlsProgress(videoId, { error: 'No transcode job recorded' });
+    return { videoId, jobId: null, action: 'marked_failed', error: 'No transcode job recorded' };
+  }
+
+  const jobState = await getTranscodeJobState(jobId);
+
+  if (jobState.state === 'completed') {
+    const hlsUrl = jobState.hlsUrl || getStorage().getPublicUrl('hls', `${videoId}/hls/master.m3u8`);
+    await completeHlsProgress(videoId, { hlsUrl, jobId });
+    return { videoId, jobId, action: 'marked_ready', error: null };
+  }
+
+  if (jobState.state === 'failed') {
+    await failHlsProgress(videoId, { jobId, error: jobState.error });
+    return { videoId, jobId, action: 'marked_failed', error: jobState.error };
+  }
+
+  return { videoId, jobId, action: jobState.state === 'processing' ? 'still_processing' : 'unknown', error: null };
+}
+
+/**
+ * Find videos stuck in 'processing' and reconcile them (one run at a time)
+ * @param {string} trigger - What started the run ('interval', 'manual', ...)
+ * @returns {Promise<Object>} - { trigger, startTime, endTime, checked, results }
+ */
+async function runHlsReconcile(trigger = 'manual') {
+  if (running) {
+    return running;
+  }
+
+  running = (async () => {
+    const run = { trigger, startTime: new Date().toISOString(), endTime: null, checked: 0, results: [] };
+
+    const supabase = getServiceClient();
+    if (!supabase) {
+      logger.warn('⚠️ HLS reconciler skipped - Supabase not available');
+      run.endTime = new Date().toISOString();
+      return run;
+    }
+
+    const cutoff = new Date(Date.now() - config.hls.reconcile.stuckAfterMinutes * 60 * 1000).toISOString();
+    let query = supabase
+      .from('videos')
+      .select('id, transcode_job_id, updated_at')
+      .eq('hls_status', 'processing')
+      .lt('updated_at', cutoff);
+    if (config.softDelete.enabled) {
+      query = query.is('deleted_at', null);
+    }
+    const { data, error } = await query.order('updated_at', { ascending: true }).limit(config.hls.reconcile.batchSize);
+
+    if (error) {
+      throw new Error(`Failed to list processing videos: ${error.message}`);
+    }
+
+    for (const video of data || []) {
+      run.checked++;
+      try {
+        const result = await reconcileVideo(video);
+        run.results.push(result);
+        if (result.action === 'marked_ready' || result.action === 'marked_failed') {
+          logger.info(`🔁 HLS reconciler: video ${video.id} ${result.action} (job ${result.jobId || 'none'})`);
+        }
+      } catch (reconcileError) {
+        logger.error(`❌ HLS reconciler failed for video ${video.id}:`, reconcileError);
+        run.results.push({ videoId: video.id, jobId: video.transcode_job_id, action: 'error', error: reconcileError.message });
+      }
+    }
+
+    run.endTime = new Date().toISOString();
+    lastRun = run;
+    if (run.checked > 0) {
+      logger.info(`✅ HLS reconciler checked ${run.checked} stuck video(s)`);
+    }
+    return run;
+  })();
+
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+/**
+ * Start the reconciler timer
+ * @returns {Object} - { stop }
+ */
+function startHlsReconciler() {
+  if (!config.hls.reconcile.enabled) {
+    logger.info('🔁 HLS reconciler disabled (ENABLE_HLS_RECONCILER=false)');
+    return { stop: () => {} };
+  }
+
+  const timer = setInterval(() => {
+    runHlsReconcile('interval').catch(error => logger.error('❌ HLS reconciler run failed:', error));
+  }, config.hls.reconcile.intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  logger.info(`✅ HLS reconciler started (every ${config.hls.reconcile.intervalMinutes} min, stuck after ${config.hls.reconcile.stuckAfterMinutes} min)`);
+
+  return {
+    stop: () => clearInterval(timer)
+  };
+}
+
+/**
+ * Reconciler configuration and last run
+ * @returns {Object} - Status
+ */
+function getHlsReconcilerStatus() {
+  return {
+    enabled: config.hls.reconcile.enabled,
+    running: Boolean(running),
+    intervalMinutes: config.hls.reconcile.intervalMinutes,
+    stuckAfterMinutes: config.hls.reconcile.stuckAfterMinutes,
+    lastRun
+  };
+}
+
+module.exports = {
+  startHlsReconciler,
+  runHlsReconcile,
+  getHlsReconcilerStatus
+};
@@ -0,0 +1,468 @@
+/**
+ * Local FFmpeg HLS Transcoding Service
+ *
+ * Self-hosted alternative to services/coconut.js (select with HLS_TRANSCODER=local).
+ * Jobs run on the background queue, encode each rendition with FFmpeg, write a
+ * master.m3u8 and upload everything to the HLS bucket under /{videoId}/hls/ -
+ * the same layout Coconut produces, so playback URLs don't change.
+ *
+ * Encoding ladder: the job's resolved profile (services/hls-ladder.js, shared with Coconut).
+ * H.264 profiles package as MPEG-TS, HEVC profiles as fMP4; renditions above the source are skipped.
+ *
+ * Audio (ladder.audio, this transcoder only):
+ *   - normalize: EBU R128 analysis (loudnorm), integrated LUFS and true peak stored in
+ *     audio_loudness, then every rendition's AAC is normalized to HLS_AUDIO_TARGET_LUFS
+ *   - audioOnly: an extra AAC-only variant (audio/index.m3u8) for low-bandwidth playback
+ *
+ * The source is downloaded once into the job's work directory through a signed storage URL
+ * (private buckets work), and the probe, loudness pass and every encode read that copy.
+ *
+ * Encoding is CPU heavy - 2160p sources take several times their duration on small instances.
+ */
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { getUploadPath } = require('../utils/directory');
+const { registerJobHandler, addJob } = require('../utils/upload-queue');
+const ffmpegService = require('./ffmpeg');
+const b2Service = require('./b2');
+const { getStorage, getFileNameFromUrl } = require('./storage');
+const { updateHlsProgress, completeHlsProgress, failHlsProgress } = require('./hls-progress');
+const { updateAudioLoudness, getHlsSettings } = require('./supabase');
+const { resolveLadder, getCodecSettings } = require('./hls-ladder');
+
+const AUDIO_BITRATE = 128000;
+const AUDIO_CODECS = 'mp4a.40.2';
+
+// The signed URL only has to be valid when the download starts
+const SOURCE_URL_TTL_SECONDS = 3600;
+
+/**
+ * Queue a local HLS transcode - same contract as coconut.createHlsJob
+ * @param {string} videoId - Supabase video record ID (used for output path)
+ * @param {string} sourceUrl - Public B2 URL of the uploaded source video
+ * @param {Object} [options]
+ * @param {Object} [options.ladder] - Ladder from resolveLadder() (default: HLS_DEFAULT_PROFILE)
+ * @returns {Promise<Object|null>} - { jobId, hlsUrl } on success
+ */
+async function createHlsJob(videoId, sourceUrl, options = {}) {
+  if (!videoId || !sourceUrl) {
+    logger.error('[HLS] Missing videoId or sourceUrl', { videoId, sourceUrl });
+    return null;
+  }
+
+  // Only B2 addresses buckets by ID - the other drivers just need the bucket name
+  const hlsBucket = config.b2.buckets.hls;
+  if (!hlsBucket || (getStorage().name === 'b2' && !hlsBucket.id)) {
+    logger.warn('[HLS] HLS bucket not configured — skipping HLS transcode');
+    return null;
+  }
+
+  if (!config.backgroundProcessing.enabled) {
+    logger.warn('[HLS] Background processing is disabled — local HLS transcode cannot run');
+    return null;
+  }
+
+  try {
+    const job = await addJob('hls_transcode', {
+      videoId: videoId,
+      sourceUrl: sourceUrl,
+      ladder: options.ladder || resolveLadder()
+    });
+
+    const hlsUrl = getHlsUrl(videoId);
+    logger.info(`[HLS] Local transcode queued for video ${videoId}`, { jobId: job.jobId, hlsUrl });
+
+    return {
+      jobId: job.jobId,
+      hlsUrl
+    };
+
+  } catch (error) {
+    logger.error(`[HLS] Failed to queue local transcode:`, error);
+    return null;
+  }
+}
+
+/**
+ * Public URL of a video's master playlist in the HLS bucket
+ * @param {string} videoId - Video ID
+ * @returns {string} - master.m3u8 URL
+ */
+function getHlsUrl(videoId) {
+  return getStorage().getPublicUrl('hls', `${videoId}/hls/master.m3u8`);
+}
+
+/**
+ * Pick the ladder renditions for a source - never upscale
+ * Portrait sources are matched on their short side so a 1080x1920 phone clip gets the 1080p rung
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {Object} [ladder] - Ladder from resolveLadder() (default: HLS_DEFAULT_PROFILE)
+ * @returns {Object[]} - Renditions with codec, output dimensions and scale filter
+ */
+function selectRenditions(width, height, ladder = resolveLadder()) {
+  if (!width || !height) {
+    throw new Error('Source dimensions unknown - cannot build HLS ladder');
+  }
+
+  const portrait = height > width;
+  const shortSide = Math.min(width, height);
+  const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+  let rungs = ladder.rungs.filter(rung => rung.height <= shortSide);
+  if (rungs.length === 0) {
+    // Smaller than the lowest rung - keep a single rendition at source size
+    rungs = [{ ...ladder.rungs[0], name: `${even(shortSide)}p`, height: even(shortSide) }];
+  }
+
+  return rungs.map(rung => {
+    const longSide = even(rung.height * Math.max(width, height) / shortSide);
+    return {
+      ...rung,
+      codec: ladder.codec,
+      width: portrait ? rung.height : longSide,
+      outputHeight: portrait ? longSide : rung.height,
+      scale: portrait ? `${rung.height}:-2` : `-2:${rung.height}`
+    };
+  });
+}
+
+/**
+ * Audio-only rendition added after the video renditions
+ * @returns {Object} - { name, audioOnly, bitrate }
+ */
+function createAudioRendition() {
+  return { name: 'audio', audioOnly: true, bitrate: config.hls.audio.audioOnlyBitrate };
+}
+
+/**
+ * Peak bandwidth advertised for a rendition (video maxrate + audio, or the audio-only bitrate)
+ * @param {Object} rendition - Rendition from selectRenditions() or createAudioRendition()
+ * @returns {number} - Bits per second
+ */
+function getRenditionBandwidth(rendition) {
+  if (rendition.audioOnly) {
+    return parseInt(rendition.bitrate) * 1000;
+  }
+  return parseInt(rendition.maxrate) * 1000 + AUDIO_BITRATE;
+}
+
+/**
+ * Build the master playlist referencing each rendition's index.m3u8
+ * @param {Object[]} renditions - Renditions from selectRenditions(), optionally followed by createAudioRendition()
+ * @returns {string} - master.m3u8 contents
+ */
+function buildMasterPlaylist(renditions) {
+  // fMP4 segments (HEVC) need version 7
+  const fmp4 = renditions.some(rendition => getCodecSettings(rendition.codec).segmentType === 'fmp4');
+  const lines = ['#EXTM3U', `#EXT-X-VERSION:${fmp4 ? 7 : 3}`];
+
+  renditions.forEach(rendition => {
+    if (rendition.audioOnly) {
+      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${getRenditionBandwidth(rendition)},CODECS="${AUDIO_CODECS}"`);
+    } else {
+      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${getRenditionBandwidth(rendition)},RESOLUTION=${rendition.width}x${rendition.outputHeight},CODECS="${getCodecSettings(rendition.codec).hlsCodecs}"`);
+    }
+    lines.push(`${rendition.name}/index.m3u8`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Variant list stored on the video once HLS is ready (same shape as parsed from a master playlist)
+ * @param {string} videoId - Video ID
+ * @param {Object[]} renditions - Renditions from selectRenditions(), optionally followed by createAudioRendition()
+ * @returns {Object[]} - [{ name, width, height, bandwidth, codecs, playlistUrl }] (width/height null for audio)
+ */
+function describeVariants(videoId, renditions) {
+  return renditions.map(rendition => ({
+    name: rendition.name,
+    width: rendition.audioOnly ? null : rendition.width,
+    height: rendition.audioOnly ? null : rendition.outputHeight,
+    bandwidth: getRenditionBandwidth(rendition),
+    codecs: rendition.audioOnly ? AUDIO_CODECS : getCodecSettings(rendition.codec).hlsCodecs,
+    playlistUrl: getStorage().getPublicUrl('hls', `${videoId}/hls/${rendition.name}/index.m3u8`)
+  }));
+}
+
+/**
+ * Download the source video into the work directory
+ * @param {string} sourceUrl - Stored URL of the source (its file name is looked up in the video bucket)
+ * @param {string} filePath - Destination path
+ * @param {Function} onProgress - Called with 0-100 while bytes arrive
+ * @returns {Promise<number>} - Bytes downloaded
+ */
+async function downloadSource(sourceUrl, filePath, onProgress) {
+  const fileName = getFileNameFromUrl(sourceUrl);
+  if (!fileName) {
+    throw new Error(`Cannot tell the source file name from ${sourceUrl}`);
+  }
+
+  const url = await getStorage().getSignedDownloadUrl('video', fileName, { validDurationInSeconds: SOURCE_URL_TTL_SECONDS });
+  const response = await fetch(url);
+  if (!response.ok || !response.body) {
+    throw new Error(`Failed to download source ${fileName}: HTTP ${response.status}`);
+  }
+
+  const total = parseInt(response.headers.get('content-length')) || 0;
+  if (total > 0 && fs.statfsSync) {
+    const stats = fs.statfsSync(path.dirname(filePath));
+    if (stats.bavail * stats.bsize < total) {
+      await response.body.cancel().catch(() => {});
+      throw new Error(`Not enough disk space for source ${fileName} (${Math.ceil(total / 1024 / 1024)}MB)`);
+    }
+  }
+
+  let received = 0;
+  let lastPercent = -1;
+  const body = Readable.fromWeb(response.body);
+  body.on('data', (chunk) => {
+    received += chunk.length;
+    const percent = total > 0 ? Math.floor((received / total) * 100) : 0;
+    if (percent !== lastPercent) {
+      lastPercent = percent;
+      onProgress(percent);
+    }
+  });
+
+  await pipeline(body, fs.createWriteStream(filePath));
+  return received;
+}
+
+/**
+ * Measure a source's loudness, record it on the video and build the normalization filter
+ * @param {string} videoId - Video ID
+ * @param {string} source - Local copy of the source video
+ * @param {Object} options - runFfmpeg options
+ * @returns {Promise<Object>} - { hasAudio, loudness, audioFilter }
+ */
+async function measureLoudness(videoId, source, options) {
+  const target = config.hls.audio;
+  const measured = await ffmpegService.analyzeLoudness(source, target, options);
+  if (!measured) {
+    logger.info(`[HLS] Video ${videoId} has no audio - skipping loudness normalization`);
+    return { hasAudio: false, loudness: null, audioFilter: null };
+  }
+
+  const audioFilter = ffmpegService.buildLoudnormFilter(target, measured);
+  const loudness = {
+    ...measured,
+    normalized: Boolean(audioFilter),
+    targetLufs: target.targetLufs,
+    targetTruePeakDbtp: target.truePeakDbtp,
+    measuredAt: new Date().toISOString()
+  };
+
+  logger.info(`[HLS] Loudness for video ${videoId}: ${measured.integratedLufs} LUFS integrated, ${measured.truePeakDbtp} dBTP true peak`);
+  if (!await updateAudioLoudness(videoId, loudness)) {
+    logger.warn(`[HLS] Loudness measured but not recorded for video ${videoId}`);
+  }
+
+  return { hasAudio: true, loudness, audioFilter };
+}
+
+/**
+ * Stop a job that a forced re-transcode has replaced
+ * Checked between steps, so the old job neither keeps the CPU busy nor overwrites the new output.
+ * @param {Object} job - hls_transcode job
+ * @param {Function} isCancelled - Queue cancellation check
+ * @param {boolean} [checkRecord] - Also compare against the video's transcode_job_id (one query)
+ * @throws {Error} - code 'SUPERSEDED' if the job has been replaced
+ */
+async function assertCurrentJob(job, isCancelled, checkRecord = false) {
+  let current = null;
+  if (isCancelled()) {
+    current = 'a newer job';
+  } else if (checkRecord) {
+    // Covers replacements the local queue never saw (e.g. the job was re-queued after a restart)
+    const recorded = await getHlsSettings(job.data.videoId);
+    if (recorded && recorded.transcode_job_id && recorded.transcode_job_id !== job.jobId) {
+      current = recorded.transcode_job_id;
+    }
+  }
+
+  if (current) {
+    const error = new Error(`HLS job ${job.jobId} for video ${job.data.videoId} was superseded by ${current}`);
+    error.code = 'SUPERSEDED';
+    throw error;
+  }
+}
+
+/**
+ * Transcode a stored video into HLS, upload it and mark the video ready
+ * @param {Object} job - Job with data.videoId, data.sourceUrl and data.ladder
+ * @param {Object} context - Handler context
+ * @returns {Promise<Object>} - { hlsUrl, renditions, loudness }, or { superseded: true } if a newer job replaced it
+ */
+async function processHlsTranscodeJob(job, { reportProgress, isCancelled = () => false }) {
+  const { videoId, sourceUrl } = job.data;
+
+  if (!videoId || !sourceUrl) {
+    throw new Error('hls_transcode job requires videoId and sourceUrl');
+  }
+
+  const workDir = getUploadPath('temp', `hls_${videoId}_${Date.now()}`);
+  const outputDir = path.join(workDir, 'hls');
+  const sourcePath = path.join(workDir, `source${path.extname(getFileNameFromUrl(sourceUrl) || '') || '.mp4'}`);
+
+  // Job progress doubles as the video's HLS progress (stored on the video and pushed to its subscribers)
+  const report = (percent, stage, renditionReady) => {
+    reportProgress(percent, stage);
+    updateHlsProgress(videoId, { progress: percent, renditionReady, jobId: job.jobId })
+      .catch(error => logger.warn(`[HLS] Failed to record progress for video ${videoId}: ${error.message}`));
+  };
+
+  try {
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    report(1, 'downloading source');
+    const bytes = await downloadSource(sourceUrl, sourcePath, (percent) => {
+      report(1 + Math.floor((percent / 100) * 3), `downloading source (${percent}%)`);
+    });
+    logger.info(`[HLS] Downloaded source for video ${videoId} (${Math.round(bytes / 1024 / 1024)}MB)`);
+    await assertCurrentJob(job, isCancelled);
+
+    report(4, 'probing source');
+    const metadata = await ffmpegService.extractVideoMetadata(sourcePath);
+    const ladder = job.data.ladder || resolveLadder();
+    const audio = ladder.audio || {};
+    const renditions = selectRenditions(metadata.width, metadata.height, ladder);
+
+    logger.info(`[HLS] Transcoding video ${videoId} to ${renditions.map(r => r.name).join(', ')} (${ladder.profile || 'custom'} profile, ${ladder.codec})`);
+
+    // Loudness analysis takes 5-12% when normalizing; it decodes the audio only
+    let encodeStart = 5;
+    let audioResult = { hasAudio: true, loudness: null, audioFilter: null };
+    if (audio.normalize) {
+      report(5, 'measuring loudness');
+      audioResult = await measureLoudness(videoId, sourcePath, {
+        timeoutMs: config.hls.transcodeTimeoutMs,
+        durationSeconds: metadata.duration,
+        label: 'FFmpeg loudness',
+        onProgress: (percent) => report(Math.floor(5 + (percent / 100) * 7), `measuring loudness (${percent}%)`)
+      });
+      encodeStart = 12;
+    }
+
+    // Video encoding takes the rest up to 82% (85% without an audio-only variant), one slice per rendition;
+    // renditions run one at a time to bound CPU and memory
+    const withAudioOnly = audio.audioOnly && audioResult.hasAudio;
+    const slice = ((withAudioOnly ? 82 : 85) - encodeStart) / renditions.length;
+    for (let index = 0; index < renditions.length; index++) {
+      await assertCurrentJob(job, isCancelled);
+      const rendition = { ...renditions[index], audioFilter: audioResult.audioFilter };
+      const base = encodeStart + index * slice;
+
+      await ffmpegService.transcodeHlsRendition(sourcePath, path.join(outputDir, rendition.name), rendition, {
+        segmentSeconds: config.hls.segmentSeconds,
+        timeoutMs: config.hls.transcodeTimeoutMs,
+        durationSeconds: metadata.duration,
+        label: `FFmpeg HLS ${rendition.name}`,
+        onProgress: (percent) => {
+          report(Math.floor(base + (percent / 100) * slice), `encoding ${rendition.name} (${percent}%)`);
+        }
+      });
+
+      report(Math.floor(base + slice), `encoded ${rendition.name}`, rendition.name);
+    }
+
+    const outputs = [...renditions];
+    if (withAudioOnly) {
+      const audioRendition = createAudioRendition();
+      report(82, 'encoding audio-only variant');
+      const playlist = await ffmpegService.transcodeHlsAudioRendition(sourcePath, path.join(outputDir, audioRendition.name), {
+        ...audioRendition,
+        audioFilter: audioResult.audioFilter
+      }, {
+        segmentSeconds: config.hls.segmentSeconds,
+        timeoutMs: config.hls.transcodeTimeoutMs,
+        label: 'FFmpeg HLS audio'
+      });
+
+      if (playlist) {
+        outputs.push(audioRendition);
+        report(85, 'encoded audio-only variant', audioRendition.name);
+      } else {
+        logger.info(`[HLS] Video ${videoId} has no audio - skipping audio-only variant`);
+        fs.rmSync(path.join(outputDir, audioRendition.name), { recursive: true, force: true });
+      }
+    }
+
+    fs.writeFileSync(path.join(outputDir, 'master.m3u8'), buildMasterPlaylist(outputs));
+    fs.rmSync(sourcePath, { force: true });
+
+    await assertCurrentJob(job, isCancelled, true);
+    report(85, 'uploading HLS output');
+    await b2Service.uploadHlsDirectory(outputDir, `${videoId}/hls`, (uploaded, total) => {
+      report(85 + Math.floor((uploaded / total) * 13), `uploading HLS output (${uploaded}/${total})`);
+    });
+
+    await assertCurrentJob(job, isCancelled, true);
+    const hlsUrl = getHlsUrl(videoId);
+    const updated = await completeHlsProgress(videoId, {
+      hlsUrl,
+      jobId: job.jobId,
+      variants: describeVariants(videoId, outputs)
+    });
+
+    if (updated === null) {
+      logger.info(`[HLS] Job ${job.jobId} finished after being superseded - leaving video ${videoId} to the newer job`);
+      return { superseded: true };
+    }
+    if (!updated) {
+      logger.warn(`[HLS] Transcode finished but HLS status was not recorded for video ${videoId}`);
+    }
+
+    logger.info(`[HLS] HLS READY for video ${videoId}: ${hlsUrl}`);
+
+    return {
+      hlsUrl,
+      renditions: outputs.map(r => r.audioOnly
+        ? { name: r.name, audioOnly: true, bitrate: r.bitrate }
+        : { name: r.name, width: r.width, height: r.outputHeight, maxrate: r.maxrate }),
+      loudness: audioResult.loudness
+    };
+
+  } catch (error) {
+    if (error.code === 'SUPERSEDED') {
+      // Not a failure - no retry, and the video's status belongs to the newer job
+      logger.info(`[HLS] ${error.message} - stopping`);
+      return { superseded: true };
+    }
+    throw error;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Mark the video's HLS as failed once the job has used all its attempts
+ * @param {Object} job - The failed hls_transcode job
+ * @param {Error} error - The final error
+ */
+async function failHlsTranscode(job, error) {
+  logger.error(`[HLS] HLS FAILED for video ${job.data.videoId}: ${error.message}`);
+  await failHlsProgress(job.data.videoId, { jobId: job.jobId, error: error.message });
+}
+
+registerJobHandler('hls_transcode', processHlsTranscodeJob, {
+  idPrefix: 'hls',
+  maxAttempts: 2,
+  retryDelayMs: 60 * 1000,
+  defaultPriority: 'low',
+  estimatedProcessingTime: 'roughly 1-4x the video duration',
+  // Hours-long encodes get their own slots so thumbnails and other jobs are not held up
+  maxConcurrent: config.hls.maxConcurrentTranscodes,
+  onFailure: failHlsTranscode
+});
+
+module.exports = {
+  createHlsJob,
+  selectRenditions,
+  buildMasterPlaylist
+};
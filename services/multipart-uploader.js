@@ -1,5 +1,4 @@
 const b2Service = require('./b2');
-const B2 = require('backblaze-b2');
 const crypto = require('crypto');
 const { config } = require('../config');
 const logger = require('../utils/logger');
@@ -8,14 +7,10 @@ const memoryMonitor = require('../utils/memory-monitor');
 const fs = require('fs');
 const path = require('path');
 const { getUploadPath, ensureDirectory } = require('../utils/directory');
+const { createRecordStore } = require('../utils/persistence');
+const { getStorage } = require('./storage');
 
-// Initialize B2 client for multipart operations
-const b2 = new B2({
-  applicationKeyId: config.b2.accountId,
-  applicationKey: config.b2.applicationKey,
-});
-
-// Rate limiting for B2 API calls
+// Rate limiting for storage API calls (B2 throttles bursts)
 const b2ApiLimiter = {
   lastCall: 0,
   minInterval: 100, // Minimum 100ms between B2 API calls
@@ -33,9 +28,33 @@ const b2ApiLimiter = {
 // Store active multipart uploads with their B2 URLs
 const activeUploads = new Map();
 
+// Upload sessions are mirrored to disk so an unfinished B2 large file can be resumed after a restart.
+// A session changes on every part, so writes are batched; parts lost to a crash are rebuilt from listParts on resume.
+const SESSION_FLUSH_DELAY_MS = 2000;
+const sessionStore = createRecordStore({
+  type: config.multipart.sessionStore,
+  fileName: 'upload-sessions.json',
+  key: 'uploadId',
+  collection: 'sessions',
+  isValid: session => Boolean(session.b2FileId),
+  flushDelayMs: SESSION_FLUSH_DELAY_MS,
+  label: 'upload session'
+});
+
+// Per-upload part pools: in-flight part count, waiting parts and idle B2 upload URLs (runtime only)
+const partPools = new Map();
+
+// How long a part may wait for a free slot before the client is told to retry later
+const PART_SLOT_TIMEOUT_MS = 2 * 60 * 1000;
+const PART_SLOT_POLL_MS = 1000;
+
+// Upper bound for part URLs handed out in one direct-mode batch
+const MAX_PART_URL_BATCH = 20;
+
 /**
  * Streaming Proxy Multipart Upload Service
  * Browser uploads to server, server streams to B2 - minimal memory usage
+ * Optional direct mode: browser uploads parts straight to B2 with part URLs issued here
  */
 
 /**
@@ -43,11 +62,16 @@ const activeUploads = new Map();
  * @param {string} uploadId - Unique upload identifier
  * @param {string} fileName - Original filename (will be sanitized)
  * @param {string} contentType - File content type
- * @param {string} bucketId - B2 bucket ID (optional, defaults to video bucket)
+ * @param {string} bucket - Logical storage bucket (optional, defaults to 'video')
  * @param {Object} options - Additional options including user context
+ * @param {string} options.mode - 'proxy' (default) or 'direct' (client uploads parts to B2 itself)
+ * @param {string} options.contentSha256 - Whole-file SHA-256 claimed by the client, verified after completion
+ * @param {string} options.userId - Authenticated user starting the upload (recorded as the session owner)
+ * @param {string} options.hlsProfile - HLS ladder profile to transcode with once the upload completes
+ * @param {Object} options.hlsAudio - HLS audio options ({ normalize, audioOnly }) for that transcode
  * @returns {Promise<Object>} - B2 file ID and upload information
  */
-async function initializeMultipartUpload(uploadId, fileName, contentType = 'video/mp4', bucketId = null, options = {}) {
+async function initializeMultipartUpload(uploadId, fileName, contentType = 'video/mp4', bucket = null, options = {}) {
   try {
     // Input validation
     if (!uploadId || typeof uploadId !== 'string') {
@@ -72,16 +96,24 @@ async function initializeMultipartUpload(uploadId, fileName, contentType = 'vide
       throw new Error(`Invalid content type: ${contentType}`);
     }
     
-    logger.info(`🚀 Initializing streaming proxy B2 multipart upload: ${uploadId} for ${sanitizedFileName}`);
+    const mode = options.mode || 'proxy';
+    if (mode !== 'proxy' && mode !== 'direct') {
+      throw new Error(`Invalid upload mode: ${mode}`);
+    }
     
-    // Rate limit B2 API calls
-    await b2ApiLimiter.waitForNext();
+    if (mode === 'direct' && !config.multipart.directUploads) {
+      throw new Error('Direct B2 uploads are disabled');
+    }
     
-    // Authorize B2 if needed
-    await b2.authorize();
+    const storage = getStorage();
+    if (mode === 'direct' && !storage.capabilities.directUploads) {
+      throw new Error(`Direct uploads are not supported by the ${storage.name} storage driver`);
+    }
+    
+    logger.info(`🚀 Initializing streaming proxy B2 multipart upload: ${uploadId} for ${sanitizedFileName}`);
     
     // Use default video bucket if not specified
-    const targetBucketId = bucketId || config.b2.buckets.video.id;
+    const targetBucket = bucket || 'video';
     
     // Generate unique filename to prevent conflicts and add timestamp
     const timestamp = Date.now();
@@ -102,11 +134,7 @@ async function initializeMultipartUpload(uploadId, fileName, contentType = 'vide
     while (retryCount < maxRetries) {
       try {
         await b2ApiLimiter.waitForNext();
-        startFileResponse = await b2.startLargeFile({
-          bucketId: targetBucketId,
-          fileName: uniqueFileName,
-          contentType: contentType,
-        });
+        startFileResponse = await storage.startLargeFile(targetBucket, uniqueFileName, contentType);
         break;
       } catch (error) {
         retryCount++;
@@ -118,19 +146,65 @@ async function initializeMultipartUpload(uploadId, fileName, contentType = 'vide
       }
     }
     
-    const b2FileId = startFileResponse.data.fileId;
+    const b2FileId = startFileResponse.fileId;
     
     logger.info(`✅ B2 multipart upload initialized: ${b2FileId}`);
     
     // Store upload information for streaming proxy
     activeUploads.set(uploadId, {
+      uploadId: uploadId,
       b2FileId: b2FileId,
       fileName: uniqueFileName,
-      bucketId: targetBucketId,
-      partUrls: new Map(), // Will store part URLs as needed
+      originalFileName: sanitizedFileName,
+      contentType: contentType,
+      bucket: targetBucket,
+      mode: mode,
+      videoId: options.videoId || null,
+      userId: options.userId || null, // Owner - only they (or an admin) may use or cancel the upload
+      fileSize: options.fileSize || null,
+      estimatedParts: options.estimatedParts || null,
+      expectedSha256: options.contentSha256 || null,
+      hlsProfile: options.hlsProfile || null,
+      hlsAudio: options.hlsAudio || null,
+      parts: {}, // partNumber -> { sha1, size, uploadedAt } (persisted)
       partSha1Array: [], // Will store SHA1 hashes in order
-      createdAt: Date.now()
+      createdAt: Date.now(),
+      lastActivityAt: Date.now() // Last part, part URL request, resume or SHA1 report
     });
+    persistSession(uploadId);
+    
+    if (mode === 'direct') {
+      // Hand out the first batch of part URLs - the client asks for more via /multipart/get-urls
+      const partUrlBatch = await getDirectPartUrls(uploadId);
+      
+      updateUploadStatus(uploadId, {
+        status: 'ready_for_chunks',
+        stage: 'ready to receive parts directly in B2',
+        progress: 10,
+        b2FileId: b2FileId,
+        fileName: uniqueFileName,
+        uploadMethod: 'direct_multipart'
+      });
+      
+      memoryMonitor.logMemoryUsage(`After direct multipart init ${uploadId}`);
+      
+      return {
+        success: true,
+        uploadId: uploadId,
+        b2FileId: b2FileId,
+        fileName: uniqueFileName,
+        uploadMode: 'direct',
+        partUrls: partUrlBatch.partUrls,
+        partUrlsExpireAt: partUrlBatch.expiresAt,
+        message: 'Direct B2 multipart upload initialized',
+        instructions: {
+          step1: 'POST each part to a partUrls[].uploadUrl with Authorization, X-Bz-Part-Number and X-Bz-Content-Sha1 headers',
+          step2: 'Use each part URL for one part at a time; request more with /upload/multipart/get-urls',
+          step3: 'Call /upload/multipart/complete with partSha1Array when all parts are uploaded',
+          step4: 'Monitor progress via WebSocket'
+        }
+      };
+    }
     
     updateUploadStatus(uploadId, {
       status: 'ready_for_chunks',
@@ -148,6 +222,7 @@ async function initializeMultipartUpload(uploadId, fileName, contentType = 'vide
       uploadId: uploadId,
       b2FileId: b2FileId,
       fileName: uniqueFileName,
+      uploadMode: 'proxy',
       message: 'Streaming proxy multipart upload initialized',
       instructions: {
         step1: 'Upload chunks to /upload/multipart/stream-chunk',
@@ -190,93 +265,111 @@ async function streamChunkToB2(uploadId, b2FileId, partNumber, chunkData, option
       throw new Error('Upload not found or expired');
     }
     
-    logger.info(`📤 Streaming chunk ${partNumber} to B2 for ${uploadId}`);
-    
-    // Get or create part URL for this part number
-    let partUrl = uploadInfo.partUrls.get(partNumber);
-    if (!partUrl) {
-      await b2ApiLimiter.waitForNext();
-      const uploadPartUrlResponse = await b2.getUploadPartUrl({
-        fileId: b2FileId
-      });
-      
-      partUrl = {
-        uploadUrl: uploadPartUrlResponse.data.uploadUrl,
-        authorizationToken: uploadPartUrlResponse.data.authorizationToken
-      };
-      
-      uploadInfo.partUrls.set(partNumber, partUrl);
+    if (uploadInfo.b2FileId !== b2FileId) {
+      throw new Error('b2FileId does not belong to this upload');
     }
     
-    // Calculate SHA1 while streaming
-    const sha1Hash = crypto.createHash('sha1');
-    let totalBytes = 0;
-    
-    // Handle both Buffer and Stream inputs
-    if (Buffer.isBuffer(chunkData)) {
-      sha1Hash.update(chunkData);
-      totalBytes = chunkData.length;
-    } else {
-      // Stream case - calculate hash as we read
-      const chunks = [];
-      for await (const chunk of chunkData) {
-        chunks.push(chunk);
-        sha1Hash.update(chunk);
-        totalBytes += chunk.length;
-      }
-      chunkData = Buffer.concat(chunks);
+    if (uploadInfo.mode === 'direct') {
+      throw new Error('Upload is in direct mode - send parts to B2 using the issued part URLs');
     }
     
-    const sha1Result = sha1Hash.digest('hex');
+    logger.info(`📤 Streaming chunk ${partNumber} to B2 for ${uploadId}`);
     
-    // Upload to B2 with retry logic
-    let retryCount = 0;
-    const maxRetries = 3;
+    // Wait for a free slot before reading the body - queued parts stay in the socket buffer
+    const pool = await acquirePartSlot(uploadId);
     
-    while (retryCount < maxRetries) {
-      try {
-        await b2ApiLimiter.waitForNext();
-        
-        const uploadResponse = await b2.uploadPart({
-          partNumber: partNumber,
-          uploadUrl: partUrl.uploadUrl,
-          uploadAuthToken: partUrl.authorizationToken,
-          data: chunkData,
-        });
-        
-        // Store SHA1 in correct order
-        uploadInfo.partSha1Array[partNumber - 1] = sha1Result;
-        
-        updateUploadStatus(uploadId, {
-          stage: `streamed chunk ${partNumber} to B2`,
-          progress: Math.min(95, 10 + (partNumber * 2)) // Rough progress estimate
-        });
-        
-        logger.info(`✅ Successfully streamed chunk ${partNumber} (${Math.floor(totalBytes / 1024 / 1024)}MB) to B2`);
-        
-        // Force garbage collection
-        if (global.gc) {
-          global.gc();
+    try {
+      // Calculate SHA1 while streaming
+      const sha1Hash = crypto.createHash('sha1');
+      let totalBytes = 0;
+      
+      // Handle both Buffer and Stream inputs
+      if (Buffer.isBuffer(chunkData)) {
+        sha1Hash.update(chunkData);
+        totalBytes = chunkData.length;
+      } else {
+        // Stream case - calculate hash as we read
+        const chunks = [];
+        for await (const chunk of chunkData) {
+          chunks.push(chunk);
+          sha1Hash.update(chunk);
+          totalBytes += chunk.length;
         }
-        
-        memoryMonitor.logMemoryUsage(`After streaming chunk ${partNumber}`);
-        
-        return {
-          success: true,
-          partNumber: partNumber,
-          sha1: sha1Result,
-          size: totalBytes,
-          uploadResponse: uploadResponse
-        };
-        
-      } catch (error) {
-        retryCount++;
-        if (retryCount >= maxRetries) {
-          throw error;
+        chunkData = Buffer.concat(chunks);
+      }
+      
+      const sha1Result = sha1Hash.digest('hex');
+      
+      // Upload to B2 with retry logic
+      let retryCount = 0;
+      const maxRetries = 3;
+      let partUrl = null;
+      
+      while (retryCount < maxRetries) {
+        try {
+          partUrl = partUrl || await acquirePartUrl(pool, b2FileId);
+          
+          // Data goes to a B2 pod URL, not the API - no need for b2ApiLimiter here
+          const uploadResponse = await getStorage().uploadPart({
+            fileId: b2FileId,
+            partNumber: partNumber,
+            data: chunkData,
+            sha1: sha1Result,
+            partUrl: partUrl
+          });
+          
+          // URL is free again for the next part of this upload
+          pool.idleUrls.push(partUrl);
+          
+          // Store SHA1 in correct order
+          uploadInfo.partSha1Array[partNumber - 1] = sha1Result;
+          uploadInfo.parts[partNumber] = {
+            sha1: sha1Result,
+            size: totalBytes,
+            uploadedAt: new Date().toISOString()
+          };
+          persistSession(uploadId);
+          
+          // Parts can finish out of order - base progress on how many have arrived
+          const partsReceived = Object.keys(uploadInfo.parts).length;
+          updateUploadStatus(uploadId, {
+            stage: `streamed chunk ${partNumber} to B2`,
+            partsUploaded: partsReceived,
+            progress: uploadInfo.estimatedParts
+              ? Math.min(95, 10 + Math.floor((partsReceived / uploadInfo.estimatedParts) * 85))
+              : Math.min(95, 10 + (partsReceived * 2)) // Rough progress estimate
+          });
+          
+          logger.info(`✅ Successfully streamed chunk ${partNumber} (${Math.floor(totalBytes / 1024 / 1024)}MB) to B2 (${pool.active} parts in flight)`);
+          
+          // Force garbage collection
+          if (global.gc) {
+            global.gc();
+          }
+          
+          memoryMonitor.logMemoryUsage(`After streaming chunk ${partNumber}`);
+          
+          return {
+            success: true,
+            partNumber: partNumber,
+            sha1: sha1Result,
+            size: totalBytes,
+            uploadResponse: uploadResponse
+          };
+          
+        } catch (error) {
+          // B2 expects a fresh upload URL after any failed part upload
+          partUrl = null;
+          retryCount++;
+          if (retryCount >= maxRetries) {
+            throw error;
+          }
+          logger.warn(`Retry ${retryCount}/${maxRetries} for chunk ${partNumber}: ${error.message}`);
+          await new Promise(resolve => setTimeout(resolve, 1000 * retryCount));
         }
-        logger.warn(`Retry ${retryCount}/${maxRetries} for chunk ${partNumber}: ${error.message}`);
-        await new Promise(resolve => setTimeout(resolve, 1000 * retryCount));
       }
+    } finally {
+      releasePartSlot(pool);
     }
     
   } catch (error) {
@@ -285,6 +378,78 @@ async function streamChunkToB2(uploadId, b2FileId, partNumber, chunkData, option
   }
 }
 
+/**
+ * Issue a batch of B2 part upload URLs for a direct-mode upload
+ * Every URL accepts one part at a time and stays valid for partUrlExpirationHours
+ * @param {string} uploadId - Upload identifier
+ * @param {number} count - Number of URLs (defaults to config.multipart.defaultPartUrlCount)
+ * @returns {Promise<Object>} - { partUrls: [{ uploadUrl, authorizationToken }], expiresAt }
+ */
+async function getDirectPartUrls(uploadId, count = config.multipart.defaultPartUrlCount) {
+  const uploadInfo = activeUploads.get(uploadId);
+  if (!uploadInfo) {
+    throw new Error('Upload not found or expired');
+  }
+  
+  if (uploadInfo.mode !== 'direct') {
+    throw new Error('Part URLs are only issued for direct mode uploads');
+  }
+  
+  const batchSize = Math.max(1, Math.min(parseInt(count) || config.multipart.defaultPartUrlCount, MAX_PART_URL_BATCH));
+  const expiresAt = new Date(Date.now() + config.multipart.partUrlExpirationHours * 60 * 60 * 1000).toISOString();
+  const partUrls = [];
+  
+  for (let i = 0; i < batchSize; i++) {
+    await b2ApiLimiter.waitForNext();
+    partUrls.push(await getStorage().getUploadPartUrl(uploadInfo.b2FileId));
+  }
+  
+  // Direct clients send parts straight to B2, so URL requests are their only sign of life
+  persistSession(uploadId);
+  
+  logger.info(`🔗 Issued ${partUrls.length} direct part URLs for ${uploadId}`);
+  
+  return {
+    partUrls: partUrls,
+    expiresAt: expiresAt
+  };
+}
+
+/**
+ * Record the part SHA1s a direct-mode client reports at completion
+ * B2 verifies them again in finishLargeFile, so a wrong hash fails the upload there
+ * @param {string} uploadId - Upload identifier
+ * @param {Array<string>} partSha1Array - SHA1 per part, in part order
+ */
+function recordClientPartSha1s(uploadId, partSha1Array) {
+  const uploadInfo = activeUploads.get(uploadId);
+  if (!uploadInfo) {
+    throw new Error('Upload not found or expired');
+  }
+  
+  if (!Array.isArray(partSha1Array) || partSha1Array.length === 0 || partSha1Array.length > 10000) {
+    throw new Error('partSha1Array must be a non-empty array of SHA1 hashes');
+  }
+  
+  if (partSha1Array.some(hash => typeof hash !== 'string' || !/^[a-f0-9]{40}$/i.test(hash))) {
+    throw new Error('partSha1Array contains an invalid SHA1 hash');
+  }
+  
+  // Keep sizes already learned from B2 (e.g. via resume); the client only reports hashes
+  const previousParts = uploadInfo.parts || {};
+  uploadInfo.partSha1Array = partSha1Array.map(hash => hash.toLowerCase());
+  uploadInfo.parts = {};
+  uploadInfo.partSha1Array.forEach((sha1, index) => {
+    const previous = previousParts[index + 1] || {};
+    uploadInfo.parts[index + 1] = {
+      sha1: sha1,
+      size: previous.size || 0,
+      uploadedAt: previous.uploadedAt || new Date().toISOString()
+    };
+  });
+  persistSession(uploadId);
+}
+
 /**
  * Complete the multipart upload after all chunks are streamed
  * @param {string} uploadId - Upload identifier
@@ -300,28 +465,42 @@ async function streamChunkToB2(uploadId, b2FileId, partNumber, chunkData, option
  * MODIFIED: Extract metadata before returning response
  */
 async function completeMultipartUpload(uploadId, b2FileId, totalParts, originalFileName, videoId = null, context = {}) {
+  // Validate inputs - outside the try below, so a bad request never cancels anyone's large file
+  if (!uploadId || !b2FileId || !totalParts || !originalFileName) {
+    throw new Error('Missing required parameters for upload completion');
+  }
+  
+  if (totalParts < 1 || totalParts > 10000) {
+    throw new Error('Invalid total parts count');
+  }
+  
+  // Get upload info
+  const uploadInfo = activeUploads.get(uploadId);
+  if (!uploadInfo) {
+    throw new Error('Upload not found or expired');
+  }
+  
+  if (uploadInfo.b2FileId !== b2FileId) {
+    throw new Error('b2FileId does not belong to this upload');
+  }
+  
+  // Ensure we have all SHA1 hashes (drivers that complete by ETag only need every part present).
+  // The session may predate parts that were uploaded just before a restart - ask storage before giving up.
+  // Missing parts leave the upload resumable; nothing is cancelled.
+  const storage = getStorage();
+  if (countMissingParts(uploadInfo, totalParts, storage) > 0) {
+    applyStoredParts(uploadInfo, await listUploadedParts(uploadInfo.b2FileId));
+    persistSession(uploadId);
+  }
+  const missing = countMissingParts(uploadInfo, totalParts, storage);
+  if (missing > 0) {
+    const error = new Error(`Missing ${missing} of ${totalParts} parts - resume the upload and send them before completing`);
+    error.code = 'PARTS_MISSING';
+    throw error;
+  }
+  const partSha1Array = uploadInfo.partSha1Array.slice(0, totalParts);
+  
   try {
-    // Validate inputs
-    if (!uploadId || !b2FileId || !totalParts || !originalFileName) {
-      throw new Error('Missing required parameters for upload completion');
-    }
-    
-    if (totalParts < 1 || totalParts > 10000) {
-      throw new Error('Invalid total parts count');
-    }
-    
-    // Get upload info
-    const uploadInfo = activeUploads.get(uploadId);
-    if (!uploadInfo) {
-      throw new Error('Upload not found or expired');
-    }
-    
-    // Ensure we have all SHA1 hashes
-    const partSha1Array = uploadInfo.partSha1Array.slice(0, totalParts);
-    if (partSha1Array.length !== totalParts || partSha1Array.some(hash => !hash)) {
-      throw new Error(`Missing SHA1 hashes. Expected ${totalParts}, got ${partSha1Array.filter(h => h).length}`);
-    }
-    
     logger.info(`🏁 Completing streaming proxy multipart upload ${uploadId} with ${totalParts} parts`);
     
     updateUploadStatus(uploadId, {
@@ -340,14 +519,20 @@ async function completeMultipartUpload(uploadId, b2FileId, totalParts, originalF
     
     while (retryCount < maxRetries) {
       try {
-        finishResponse = await b2.finishLargeFile({
-          fileId: b2FileId,
-          partSha1Array: partSha1Array
-        });
+        finishResponse = await storage.finishLargeFile(b2FileId, partSha1Array);
         break;
       } catch (error) {
         retryCount++;
         if (retryCount >= maxRetries) {
+          // Storage will not assemble these parts - give up on the large file
+          forgetSession(uploadId);
+          try {
+            await b2ApiLimiter.waitForNext();
+            await storage.cancelLargeFile(b2FileId);
+            logger.info(`🧹 Cleaned up incomplete upload ${b2FileId}`);
+          } catch (cleanupError) {
+            logger.warn(`⚠️ Failed to cleanup incomplete upload ${b2FileId}:`, cleanupError.message);
+          }
           throw error;
         }
         logger.warn(`Retry ${retryCount}/${maxRetries} for B2 finishLargeFile: ${error.message}`);
@@ -356,14 +541,20 @@ async function completeMultipartUpload(uploadId, b2FileId, totalParts, originalF
     }
     
     // Construct the final video URL
-    const bucketName = config.b2.buckets.video.name;
-    const fileName = finishResponse.data.fileName;
-    const videoUrl = `https://${bucketName}.s3.eu-central-003.backblazeb2.com/${fileName}`;
+    const fileName = finishResponse.fileName;
+    const videoUrl = storage.getPublicUrl(uploadInfo.bucket || 'video', fileName);
     
     logger.info(`✅ Streaming proxy multipart upload completed: ${videoUrl}`);
     
     // Clean up active upload
-    activeUploads.delete(uploadId);
+    const expectedSha256 = uploadInfo.expectedSha256 || null;
+    forgetSession(uploadId);
+    
+    // The whole-file hash needs the assembled object, so it is computed in the background
+    const contentVerification = await queueContentVerification(uploadId, videoUrl, videoId, expectedSha256, {
+      bucket: uploadInfo.bucket || 'video',
+      fileName: fileName
+    }, uploadInfo.userId);
     
     updateUploadStatus(uploadId, {
       status: 'extracting_metadata',
@@ -459,49 +650,96 @@ async function completeMultipartUpload(uploadId, b2FileId, totalParts, originalF
       videoUrl: videoUrl,
       fileName: fileName,
       uploadId: uploadId,
-      fileSize: finishResponse.data.contentLength,
+      fileSize: finishResponse.contentLength,
       totalParts: totalParts,
       // Include metadata in response with proper structure
       metadata: metadata,
-      thumbnailUrl: thumbnailUrl || null
+      thumbnailUrl: thumbnailUrl || null,
+      contentVerification: contentVerification
     };
     
   } catch (error) {
     logger.error(`❌ Failed to complete streaming proxy multipart upload ${uploadId}:`, error);
-    
-    // Clean up on error
-    activeUploads.delete(uploadId);
-    
-    // Attempt cleanup of incomplete upload
-    try {
-      await b2ApiLimiter.waitForNext();
-      await b2.cancelLargeFile({ fileId: b2FileId });
-      logger.info(`🧹 Cleaned up incomplete upload ${b2FileId}`);
-    } catch (cleanupError) {
-      logger.warn(`⚠️ Failed to cleanup incomplete upload ${b2FileId}:`, cleanupError.message);
-    }
-    
     failUploadStatus(uploadId, error);
     throw error;
   }
 }
 
+/**
+ * Count parts a session still lacks for completion
+ * @param {Object} uploadInfo - Upload session
+ * @param {number} totalParts - Expected number of parts
+ * @param {Object} storage - Storage adapter
+ * @returns {number} - Missing parts (or part SHA1s, where the driver needs them)
+ */
+function countMissingParts(uploadInfo, totalParts, storage) {
+  if (storage.capabilities.partSha1Required) {
+    const hashes = (uploadInfo.partSha1Array || []).slice(0, totalParts);
+    return totalParts - hashes.filter(hash => hash).length;
+  }
+  return Math.max(0, totalParts - Object.keys(uploadInfo.parts || {}).length);
+}
+
+/**
+ * Replace a session's part list with the parts storage holds
+ * @param {Object} uploadInfo - Upload session
+ * @param {Array} storedParts - Parts from listUploadedParts()
+ */
+function applyStoredParts(uploadInfo, storedParts) {
+  uploadInfo.parts = {};
+  uploadInfo.partSha1Array = [];
+  storedParts.forEach(part => {
+    uploadInfo.parts[part.partNumber] = {
+      sha1: part.contentSha1,
+      size: part.contentLength,
+      uploadedAt: new Date(part.uploadTimestamp).toISOString()
+    };
+    uploadInfo.partSha1Array[part.partNumber - 1] = part.contentSha1;
+  });
+}
+
+/**
+ * Check that the caller may act on an upload session
+ * The session owner and admins may; sessions without an owner (anonymous or expired) are admin-only
+ * @param {Object|undefined} uploadInfo - Upload session
+ * @param {string} b2FileId - B2 file ID the caller named
+ * @param {Object} context - { userId, isAdmin }
+ * @throws {Error} - AuthorizationError when access is denied
+ */
+function assertUploadAccess(uploadInfo, b2FileId, context) {
+  if (!config.auth.enabled || context.isAdmin) {
+    return;
+  }
+  
+  const isOwner = uploadInfo && uploadInfo.userId && uploadInfo.userId === context.userId;
+  if (!isOwner || uploadInfo.b2FileId !== b2FileId) {
+    const error = new Error('Not authorized to modify this upload');
+    error.name = 'AuthorizationError';
+    throw error;
+  }
+}
+
 /**
  * Cancel/abort a multipart upload with authorization check
  * @param {string} uploadId - Upload identifier
  * @param {string} b2FileId - B2 file ID to cancel
  * @param {Object} context - User context for authorization
+ * @param {string} context.userId - Authenticated user ID
+ * @param {boolean} context.isAdmin - Admins may cancel any upload
  * @returns {Promise<boolean>} - Success status
+ * @throws {Error} - AuthorizationError when the caller does not own the upload
  */
 async function cancelMultipartUpload(uploadId, b2FileId, context = {}) {
+  assertUploadAccess(activeUploads.get(uploadId), b2FileId, context);
+  
   try {
     logger.info(`🛑 Cancelling streaming proxy multipart upload ${uploadId}`);
     
     // Clean up active upload
-    activeUploads.delete(uploadId);
+    forgetSession(uploadId);
     
     await b2ApiLimiter.waitForNext();
-    await b2.cancelLargeFile({ fileId: b2FileId });
+    await getStorage().cancelLargeFile(b2FileId);
     
     updateUploadStatus(uploadId, {
       status: 'cancelled',
@@ -518,6 +756,226 @@ async function cancelMultipartUpload(uploadId, b2FileId, context = {}) {
   }
 }
 
+/**
+ * Resume a streaming proxy upload, e.g. after a server restart or network drop
+ * B2 is the source of truth: the part list is rebuilt from listParts so parts
+ * that reached B2 but were never recorded locally are not uploaded twice.
+ * @param {string} uploadId - Upload identifier
+ * @param {Object} options - Resume options
+ * @param {string} options.b2FileId - B2 file ID the client holds (must match the session)
+ * @param {number} options.totalParts - Total parts the client intends to upload
+ * @returns {Promise<Object>} - Received and missing part numbers
+ */
+async function resumeMultipartUpload(uploadId, options = {}) {
+  try {
+    const uploadInfo = activeUploads.get(uploadId);
+    if (!uploadInfo) {
+      throw new Error('Upload not found or expired');
+    }
+    
+    if (options.b2FileId && options.b2FileId !== uploadInfo.b2FileId) {
+      throw new Error('b2FileId does not match upload session');
+    }
+    
+    logger.info(`♻️ Resuming streaming proxy multipart upload ${uploadId}`);
+    
+    applyStoredParts(uploadInfo, await listUploadedParts(uploadInfo.b2FileId));
+    
+    // Cached part URLs may belong to a previous authorization
+    partPools.delete(uploadId);
+    
+    if (options.totalParts) {
+      uploadInfo.estimatedParts = options.totalParts;
+    }
+    persistSession(uploadId);
+    
+    const summary = getPartSummary(uploadInfo);
+    
+    logger.info(`✅ Resumed upload ${uploadId}: ${summary.receivedParts.length} parts in B2, ${summary.missingParts.length} missing`);
+    
+    return {
+      success: true,
+      uploadId: uploadId,
+      b2FileId: uploadInfo.b2FileId,
+      fileName: uploadInfo.fileName,
+      ...summary
+    };
+    
+  } catch (error) {
+    logger.error(`❌ Failed to resume streaming proxy multipart upload ${uploadId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * List every part storage holds for an unfinished large file
+ * @param {string} b2FileId - Large file ID
+ * @returns {Promise<Array>} - Parts ({ partNumber, contentSha1, contentLength, uploadTimestamp }) ordered by part number
+ */
+async function listUploadedParts(b2FileId) {
+  const parts = [];
+  let startPartNumber = 1;
+  
+  while (startPartNumber) {
+    await b2ApiLimiter.waitForNext();
+    const response = await getStorage().listParts(b2FileId, {
+      startPartNumber: startPartNumber,
+      maxPartCount: 1000
+    });
+    
+    parts.push(...response.parts);
+    startPartNumber = response.nextPartNumber;
+  }
+  
+  return parts;
+}
+
+/**
+ * Summarize received and missing parts of a session
+ * Missing parts are counted up to the expected total, or the highest part received if unknown
+ * @param {Object} uploadInfo - Upload session
+ * @returns {Object} - { totalParts, receivedParts, missingParts, bytesReceived }
+ */
+function getPartSummary(uploadInfo) {
+  const receivedParts = Object.keys(uploadInfo.parts || {})
+    .map(partNumber => parseInt(partNumber))
+    .sort((a, b) => a - b)
+    .map(partNumber => ({
+      partNumber: partNumber,
+      ...uploadInfo.parts[partNumber]
+    }));
+  
+  const highestPart = receivedParts.length > 0 ? receivedParts[receivedParts.length - 1].partNumber : 0;
+  const totalParts = uploadInfo.estimatedParts || highestPart;
+  
+  const missingParts = [];
+  for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+    if (!uploadInfo.parts[partNumber]) {
+      missingParts.push(partNumber);
+    }
+  }
+  
+  return {
+    totalParts: totalParts || null,
+    receivedParts: receivedParts,
+    missingParts: missingParts,
+    bytesReceived: receivedParts.reduce((total, part) => total + part.size, 0)
+  };
+}
+
+/**
+ * Get the parts the server has already forwarded to B2 for an upload
+ * Read from the local session only - call resumeMultipartUpload() to reconcile with B2
+ * @param {string} uploadId - Upload identifier
+ * @returns {Object|null} - Part summary or null if the upload is unknown
+ */
+function getUploadParts(uploadId) {
+  const uploadInfo = activeUploads.get(uploadId);
+  if (!uploadInfo) {
+    return null;
+  }
+  
+  return {
+    uploadId: uploadId,
+    b2FileId: uploadInfo.b2FileId,
+    fileName: uploadInfo.fileName,
+    ...getPartSummary(uploadInfo)
+  };
+}
+
+/**
+ * Number of parts one upload may send to B2 at once, reduced under memory pressure
+ * @returns {number} - Allowed parts in flight (0 = wait)
+ */
+function getPartConcurrencyLimit() {
+  const pressure = memoryMonitor.checkMemoryPressure();
+  
+  if (pressure === 'critical') {
+    return 0;
+  }
+  if (pressure === 'warning') {
+    return 1;
+  }
+  return config.upload.maxConcurrentChunks;
+}
+
+/**
+ * Get (or create) the part pool for an upload
+ * @param {string} uploadId - Upload identifier
+ * @returns {Object} - Part pool
+ */
+function getPartPool(uploadId) {
+  if (!partPools.has(uploadId)) {
+    partPools.set(uploadId, {
+      active: 0,
+      waiting: [],
+      idleUrls: []
+    });
+  }
+  return partPools.get(uploadId);
+}
+
+/**
+ * Wait until the upload may send another part to B2
+ * Waiters are woken when a part finishes, and re-check memory pressure periodically
+ * @param {string} uploadId - Upload identifier
+ * @returns {Promise<Object>} - Part pool with the slot taken
+ */
+async function acquirePartSlot(uploadId) {
+  const pool = getPartPool(uploadId);
+  const startedAt = Date.now();
+  
+  while (pool.active >= getPartConcurrencyLimit()) {
+    if (Date.now() - startedAt > PART_SLOT_TIMEOUT_MS) {
+      const error = new Error('Server is busy (memory pressure or too many parts in flight), retry this part later');
+      error.code = 'PART_SLOT_TIMEOUT';
+      throw error;
+    }
+    
+    await new Promise(resolve => {
+      const wake = () => {
+        clearTimeout(timer);
+        pool.waiting = pool.waiting.filter(waiter => waiter !== wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, PART_SLOT_POLL_MS);
+      pool.waiting.push(wake);
+    });
+  }
+  
+  pool.active++;
+  return pool;
+}
+
+/**
+ * Free a part slot and wake the next waiting part
+ * @param {Object} pool - Part pool
+ */
+function releasePartSlot(pool) {
+  pool.active = Math.max(0, pool.active - 1);
+  
+  const next = pool.waiting[0];
+  if (next) {
+    next();
+  }
+}
+
+/**
+ * Take an idle B2 upload URL from the pool or request a new one
+ * Each URL can only carry one part at a time, so the pool grows to the concurrency limit
+ * @param {Object} pool - Part pool
+ * @param {string} b2FileId - B2 large file ID
+ * @returns {Promise<Object>} - { uploadUrl, authorizationToken }
+ */
+async function acquirePartUrl(pool, b2FileId) {
+  if (pool.idleUrls.length > 0) {
+    return pool.idleUrls.pop();
+  }
+  
+  await b2ApiLimiter.waitForNext();
+  return getStorage().getUploadPartUrl(b2FileId);
+}
+
 /**
  * Get upload information for streaming proxy
  * @param {string} uploadId - Upload identifier
@@ -527,6 +985,67 @@ function getUploadInfo(uploadId) {
   return activeUploads.get(uploadId) || null;
 }
 
+/**
+ * Persist an upload session (part URLs live in the runtime part pool and are not stored)
+ * Every caller is acting on a client request, so this also marks the session as active
+ * @param {string} uploadId - Upload identifier
+ */
+function persistSession(uploadId) {
+  const uploadInfo = activeUploads.get(uploadId);
+  if (!uploadInfo) {
+    return;
+  }
+  
+  uploadInfo.lastActivityAt = Date.now();
+  
+  try {
+    const { partSha1Array, ...session } = uploadInfo;
+    session.updatedAt = Date.now();
+    sessionStore.save(session);
+  } catch (error) {
+    logger.error(`❌ Failed to persist upload session ${uploadId}:`, error.message);
+  }
+}
+
+/**
+ * Drop an upload session from memory and from the session store
+ * @param {string} uploadId - Upload identifier
+ */
+function forgetSession(uploadId) {
+  activeUploads.delete(uploadId);
+  partPools.delete(uploadId);
+  try {
+    sessionStore.remove(uploadId);
+  } catch (error) {
+    logger.error(`❌ Failed to remove upload session ${uploadId}:`, error.message);
+  }
+}
+
+/**
+ * Reload persisted upload sessions after a restart
+ */
+function restoreSessions() {
+  const sessions = sessionStore.load();
+  
+  sessions.forEach(session => {
+    const parts = session.parts || {};
+    const partSha1Array = [];
+    Object.keys(parts).forEach(partNumber => {
+      partSha1Array[parseInt(partNumber) - 1] = parts[partNumber].sha1;
+    });
+    
+    activeUploads.set(session.uploadId, {
+      ...session,
+      parts: parts,
+      partSha1Array: partSha1Array
+    });
+  });
+  
+  if (sessions.length > 0) {
+    logger.info(`♻️ Restored ${sessions.length} multipart upload sessions from ${sessionStore.name} store`);
+  }
+}
+
 /**
  * Queue background processing for thumbnail generation and metadata
  * @param {string} uploadId - Upload identifier
@@ -569,6 +1088,55 @@ async function queueBackgroundProcessing(uploadId, videoUrl, originalFileName, v
   }
 }
 
+/**
+ * Queue whole-file SHA-256 verification of a finished multipart upload
+ * @param {string} uploadId - Upload identifier
+ * @param {string} videoUrl - Final video URL
+ * @param {string} videoId - Optional video ID the hash is recorded on
+ * @param {string} expectedSha256 - Hash the client sent at initialize, if any
+ * @param {Object} object - Stored object { bucket, fileName }, read through a signed URL
+ * @param {string} ownerId - Uploading user, who may poll the job
+ * @returns {Promise<Object>} - Verification job info
+ */
+async function queueContentVerification(uploadId, videoUrl, videoId, expectedSha256, object = {}, ownerId = null) {
+  if (!config.backgroundProcessing.enabled) {
+    return {
+      jobId: null,
+      status: 'skipped',
+      expectedSha256: expectedSha256
+    };
+  }
+  
+  try {
+    const { addJob } = require('../utils/upload-queue');
+    
+    const jobResult = await addJob('content_hash_verification', {
+      uploadId: uploadId,
+      videoUrl: videoUrl,
+      bucket: object.bucket || 'video',
+      fileName: object.fileName || null,
+      videoId: videoId,
+      expectedSha256: expectedSha256
+    }, { ownerId: ownerId });
+    
+    return {
+      jobId: jobResult.jobId,
+      status: 'queued',
+      expectedSha256: expectedSha256
+    };
+    
+  } catch (error) {
+    logger.error(`❌ Failed to queue content verification for ${uploadId}:`, error);
+    // Don't fail the upload - the file is already safely in B2
+    return {
+      jobId: null,
+      status: 'failed_to_queue',
+      expectedSha256: expectedSha256,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Utility functions
  */
@@ -606,27 +1174,65 @@ function generateSecureId() {
 }
 
 /**
- * Cleanup old active uploads (prevent memory leaks)
+ * When a session was last used - a long upload that is still sending parts is not abandoned
+ * however long ago it started
+ * @param {Object} uploadInfo - Upload session
+ * @returns {number} - Timestamp in milliseconds
+ */
+function getLastActivity(uploadInfo) {
+  // Sessions persisted before lastActivityAt existed still carry their part times
+  const partTimes = Object.values(uploadInfo.parts || {})
+    .map(part => Date.parse(part.uploadedAt))
+    .filter(time => !isNaN(time));
+  return Math.max(uploadInfo.createdAt || 0, uploadInfo.lastActivityAt || 0, uploadInfo.updatedAt || 0, ...partTimes);
+}
+
+/**
+ * Cleanup abandoned uploads (prevent memory leaks)
+ * A session is abandoned once it has been idle for INCOMPLETE_UPLOAD_CLEANUP_HOURS.
+ * The B2 side of abandoned uploads is cancelled by the sweeper (services/sweeper.js)
+ * @returns {number} - Number of sessions forgotten
  */
 function cleanupOldUploads() {
   const now = Date.now();
-  const maxAge = 24 * 60 * 60 * 1000; // 24 hours
+  const maxIdle = config.multipart.incompleteUploadCleanupHours * 60 * 60 * 1000;
+  let forgotten = 0;
   
   for (const [uploadId, uploadInfo] of activeUploads.entries()) {
-    if (now - uploadInfo.createdAt > maxAge) {
-      logger.info(`🧹 Cleaning up old upload: ${uploadId}`);
-      activeUploads.delete(uploadId);
+    if (now - getLastActivity(uploadInfo) > maxIdle) {
+      logger.info(`🧹 Cleaning up abandoned upload: ${uploadId}`);
+      forgetSession(uploadId);
+      forgotten++;
     }
   }
+  return forgotten;
+}
+
+/**
+ * Large file IDs that belong to a live upload session
+ * The sweeper must leave these alone even when B2 says they were started long ago
+ * @returns {Set<string>} - b2FileIds
+ */
+function getLiveLargeFileIds() {
+  return new Set([...activeUploads.values()].map(uploadInfo => uploadInfo.b2FileId).filter(Boolean));
 }
 
+// Restore sessions persisted before the last restart
+restoreSessions();
+
 // Clean up old uploads every hour
-setInterval(cleanupOldUploads, 60 * 60 * 1000);
+setInterval(cleanupOldUploads, 60 * 60 * 1000).unref();
 
 module.exports = {
   initializeMultipartUpload,
   streamChunkToB2,
   completeMultipartUpload,
   cancelMultipartUpload,
-  getUploadInfo
+  resumeMultipartUpload,
+  getDirectPartUrls,
+  recordClientPartSha1s,
+  getUploadInfo,
+  getUploadParts,
+  cleanupOldUploads,
+  getLiveLargeFileIds
 };
\ No newline at end of file
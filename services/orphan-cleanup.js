@@ -0,0 +1,322 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { getDataPath, readJsonFile, writeJsonFileAtomic } = require('../utils/persistence');
+const { getServiceClient } = require('./supabase');
+const { getStorage, getFileNameFromUrl } = require('./storage');
+
+/**
+ * Orphaned file cleanup
+ * Compares every object in the video, thumbnail, subtitle and HLS buckets with the
+ * Supabase records that reference them and deletes (or, in dry-run mode, lists) the
+ * objects nothing points at. Files younger than the grace period are never touched so
+ * uploads whose DB row has not been written yet survive. Every run is stored as a report
+ * in {DATA_DIR}/cleanup-reports and can be fetched by ID afterwards.
+ */
+
+const REPORTS_DIR = 'cleanup-reports';
+const PAGE_SIZE = 1000; // PostgREST returns at most 1000 rows per request by default
+
+// How each bucket decides whether an object is still referenced
+const CLEANUP_TARGETS = {
+  video: (fileName, refs) => refs.videoFiles.has(fileName),
+  thumbnail: (fileName, refs) => refs.thumbnailFiles.has(fileName),
+  subtitle: (fileName, refs) => refs.subtitleFiles.has(fileName),
+  // HLS output lives under {videoId}/hls/ - it belongs to the video while the row exists
+  hls: (fileName, refs) => refs.videoIds.has(String(fileName.split('/')[0]))
+};
+
+const CLEANUP_BUCKETS = Object.keys(CLEANUP_TARGETS);
+
+/**
+ * Read every row of a table, page by page
+ * @param {Object} supabase - Supabase client
+ * @param {string} table - Table name
+ * @param {string} columns - Columns to select
+ * @returns {Promise<Array>} - All rows
+ */
+async function fetchAllRows(supabase, table, columns) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Database query on ${table} failed: ${error.message}`);
+    }
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Collect the file names and video IDs the database still references
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Object>} - Reference sets; subtitleError is set if subtitles could not be read
+ */
+async function loadReferences(supabase) {
+  const videos = await fetchAllRows(supabase, 'videos', 'id, storage_url, thumbnail_url');
+
+  const refs = {
+    videoIds: new Set(videos.map(video => String(video.id))),
+    videoFiles: new Set(videos.map(video => getFileNameFromUrl(video.storage_url)).filter(Boolean)),
+    thumbnailFiles: new Set(videos.map(video => getFileNameFromUrl(video.thumbnail_url)).filter(Boolean)),
+    subtitleFiles: new Set(),
+    subtitleError: null
+  };
+
+  const [table, column] = config.cleanup.subtitleSource.split('.');
+  try {
+    if (!table || !column) {
+      throw new Error(`ORPHAN_SUBTITLE_SOURCE must be "table.column", got "${config.cleanup.subtitleSource}"`);
+    }
+    const rows = await fetchAllRows(supabase, table, column);
+    rows.forEach(row => {
+      const fileName = getFileNameFromUrl(row[column]);
+      if (fileName) refs.subtitleFiles.add(fileName);
+    });
+  } catch (error) {
+    refs.subtitleError = error.message;
+  }
+
+  return refs;
+}
+
+/**
+ * Scan one bucket and delete (or list) unreferenced objects
+ * @param {Object} storage - Storage adapter
+ * @param {string} bucket - Logical bucket name
+ * @param {Object} refs - Reference sets from loadReferences
+ * @param {Object} options - { dryRun, cutoff }
+ * @returns {Promise<Object>} - Bucket report
+ */
+async function scanBucket(storage, bucket, refs, { dryRun, cutoff }) {
+  const bucketReport = {
+    totalFiles: 0,
+    orphanedFiles: 0,
+    protectedFiles: 0,
+    deletedFiles: 0,
+    bytesReclaimable: 0,
+    candidates: [],
+    errors: [],
+    skipped: null
+  };
+
+  if (bucket === 'subtitle' && refs.subtitleError) {
+    // Without the subtitle references every subtitle would look orphaned
+    bucketReport.skipped = `Subtitle references unavailable: ${refs.subtitleError}`;
+    return bucketReport;
+  }
+
+  const isReferenced = CLEANUP_TARGETS[bucket];
+  let cursor = null;
+
+  try {
+    do {
+      const listResponse = await storage.listFiles(bucket, { maxFileCount: 1000, cursor: cursor });
+      bucketReport.totalFiles += listResponse.files.length;
+
+      for (const file of listResponse.files) {
+        if (isReferenced(file.fileName, refs)) {
+          continue;
+        }
+
+        // Files without a timestamp cannot be proven old enough, so they are protected too
+        if (!file.uploadTimestamp || file.uploadTimestamp > cutoff) {
+          bucketReport.protectedFiles++;
+          continue;
+        }
+
+        bucketReport.orphanedFiles++;
+        bucketReport.bytesReclaimable += file.contentLength || 0;
+        const candidate = {
+          fileName: file.fileName,
+          fileId: file.fileId,
+          contentLength: file.contentLength || 0,
+          uploadedAt: new Date(file.uploadTimestamp).toISOString(),
+          deleted: false
+        };
+        bucketReport.candidates.push(candidate);
+
+        if (dryRun) {
+          continue;
+        }
+
+        try {
+          logger.info(`🗑️ Deleting orphaned ${bucket} file: ${file.fileName}`);
+          await storage.deleteFile(bucket, file.fileName, file.fileId);
+          candidate.deleted = true;
+          bucketReport.deletedFiles++;
+        } catch (deleteError) {
+          logger.error(`❌ Failed to delete orphaned ${bucket} file ${file.fileName}:`, deleteError);
+          bucketReport.errors.push({ fileName: file.fileName, error: deleteError.message });
+        }
+      }
+
+      cursor = listResponse.nextCursor;
+    } while (cursor);
+  } catch (error) {
+    // A missing or unreachable bucket should not stop the other buckets
+    logger.error(`❌ Failed to scan ${bucket} bucket:`, error);
+    bucketReport.errors.push({ fileName: null, error: error.message });
+  }
+
+  return bucketReport;
+}
+
+/**
+ * Run an orphaned file cleanup and store its report
+ * @param {Object} options - Cleanup options
+ * @param {boolean} options.dryRun - List candidates without deleting anything
+ * @param {number} options.gracePeriodMs - Skip files uploaded more recently than this
+ * @param {string[]} options.buckets - Logical buckets to scan (default: all)
+ * @param {string} options.trigger - What started the run (e.g. 'api', 'schedule')
+ * @param {string} options.requestedBy - Admin key label or user ID, for the report
+ * @returns {Promise<Object>} - Stored report
+ */
+async function runOrphanCleanup(options = {}) {
+  const dryRun = options.dryRun === true;
+  const gracePeriodMs = Number.isFinite(options.gracePeriodMs) ? options.gracePeriodMs : config.cleanup.gracePeriodMs;
+  const buckets = options.buckets && options.buckets.length > 0 ? options.buckets : CLEANUP_BUCKETS;
+
+  const unknownBuckets = buckets.filter(bucket => !CLEANUP_BUCKETS.includes(bucket));
+  if (unknownBuckets.length > 0) {
+    throw new Error(`Unknown cleanup buckets: ${unknownBuckets.join(', ')}`);
+  }
+
+  const startedAt = Date.now();
+  const report = {
+    reportId: `cleanup_${startedAt}_${crypto.randomBytes(4).toString('hex')}`,
+    status: 'running',
+    dryRun: dryRun,
+    gracePeriodMs: gracePeriodMs,
+    protectedAfter: new Date(startedAt - gracePeriodMs).toISOString(),
+    trigger: options.trigger || 'api',
+    requestedBy: options.requestedBy || null,
+    storageDriver: null,
+    buckets: {},
+    totals: { totalFiles: 0, orphanedFiles: 0, protectedFiles: 0, deletedFiles: 0, bytesReclaimable: 0, errors: 0 },
+    startTime: new Date(startedAt).toISOString(),
+    endTime: null,
+    error: null
+  };
+
+  logger.info(`🧹 Starting orphaned files cleanup ${report.reportId}${dryRun ? ' (dry run)' : ''}`);
+
+  try {
+    const supabase = getServiceClient();
+    if (!supabase) {
+      throw new Error('Supabase client not available');
+    }
+
+    const storage = getStorage();
+    report.storageDriver = storage.name;
+
+    const refs = await loadReferences(supabase);
+    logger.info(`📊 Found ${refs.videoIds.size} videos, ${refs.videoFiles.size} video files and ${refs.thumbnailFiles.size} thumbnails in database`);
+
+    for (const bucket of buckets) {
+      const bucketReport = await scanBucket(storage, bucket, refs, { dryRun, cutoff: startedAt - gracePeriodMs });
+      report.buckets[bucket] = bucketReport;
+
+      ['totalFiles', 'orphanedFiles', 'protectedFiles', 'deletedFiles', 'bytesReclaimable'].forEach(field => {
+        report.totals[field] += bucketReport[field];
+      });
+      report.totals.errors += bucketReport.errors.length;
+    }
+
+    report.status = 'completed';
+    logger.info(`✅ Orphaned files cleanup ${report.reportId} completed`, {
+      dryRun: dryRun,
+      orphanedFiles: report.totals.orphanedFiles,
+      deletedFiles: report.totals.deletedFiles,
+      protectedFiles: report.totals.protectedFiles
+    });
+  } catch (error) {
+    logger.error(`❌ Orphaned files cleanup ${report.reportId} failed:`, error);
+    report.status = 'failed';
+    report.error = error.message;
+  }
+
+  report.endTime = new Date().toISOString();
+  saveReport(report);
+  return report;
+}
+
+/**
+ * Directory holding stored reports
+ */
+function getReportsDir() {
+  return getDataPath(REPORTS_DIR);
+}
+
+/**
+ * Store a report and prune the oldest beyond config.cleanup.maxReports
+ * @param {Object} report - Cleanup report
+ */
+function saveReport(report) {
+  writeJsonFileAtomic(path.join(getReportsDir(), `${report.reportId}.json`), report);
+
+  const reportIds = listReportIds();
+  reportIds.slice(config.cleanup.maxReports).forEach(reportId => {
+    try {
+      fs.unlinkSync(path.join(getReportsDir(), `${reportId}.json`));
+    } catch (error) {
+      logger.warn(`⚠️ Failed to prune cleanup report ${reportId}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Stored report IDs, newest first
+ * @returns {string[]} - Report IDs
+ */
+function listReportIds() {
+  const dir = getReportsDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .map(name => /^(cleanup_(\d+)_[a-f0-9]+)\.json$/.exec(name))
+    .filter(Boolean)
+    .sort((a, b) => Number(b[2]) - Number(a[2]))
+    .map(match => match[1]);
+}
+
+/**
+ * Get a stored report
+ * @param {string} reportId - Report ID
+ * @returns {Object|null} - Report, or null if unknown
+ */
+function getCleanupReport(reportId) {
+  if (!/^cleanup_\d+_[a-f0-9]+$/.test(String(reportId))) {
+    return null;
+  }
+  return readJsonFile(path.join(getReportsDir(), `${reportId}.json`), null);
+}
+
+/**
+ * List stored reports without their candidate lists
+ * @param {number} limit - Maximum reports to return
+ * @returns {Array} - Report summaries, newest first
+ */
+function listCleanupReports(limit = 20) {
+  return listReportIds().slice(0, limit)
+    .map(getCleanupReport)
+    .filter(Boolean)
+    .map(({ buckets, ...summary }) => summary);
+}
+
+module.exports = {
+  runOrphanCleanup,
+  getCleanupReport,
+  listCleanupReports,
+  CLEANUP_BUCKETS
+};
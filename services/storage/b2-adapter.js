@@ -0,0 +1,445 @@
+const B2 = require('backblaze-b2');
+const crypto = require('crypto');
+const { config } = require('../../config');
+const logger = require('../../utils/logger');
+const { resolveBucket, formatPublicUrl } = require('./index');
+
+// B2 account authorizations last 24 hours - renew a little early
+const AUTH_MAX_AGE_MS = 23 * 60 * 60 * 1000;
+
+/**
+ * Wrap a B2 client with cached authorization
+ * @param {string} applicationKeyId - Application key ID
+ * @param {string} applicationKey - Application key
+ * @returns {Object} - Authorized client helper
+ */
+function createClient(applicationKeyId, applicationKey) {
+  const b2 = new B2({ applicationKeyId, applicationKey });
+  let authorizedAt = 0;
+  let downloadUrl = null;
+
+  async function authorize(force = false) {
+    if (force || !authorizedAt || Date.now() - authorizedAt > AUTH_MAX_AGE_MS) {
+      const response = await b2.authorize();
+      downloadUrl = response.data.downloadUrl;
+      authorizedAt = Date.now();
+    }
+    return b2;
+  }
+
+  return {
+    b2,
+    authorize,
+    getDownloadUrl: () => downloadUrl,
+
+    /**
+     * Run a B2 API call, re-authorizing once if the cached token has expired
+     * @param {Function} fn - Receives the authorized B2 client
+     * @returns {Promise<*>} - Result of fn
+     */
+    async call(fn) {
+      await authorize();
+      try {
+        return await fn(b2);
+      } catch (error) {
+        if (error.response && error.response.status === 401) {
+          logger.warn('⚠️ B2 authorization expired, re-authorizing');
+          await authorize(true);
+          return fn(b2);
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Create the Backblaze B2 storage adapter
+ * @returns {Object} - Storage adapter
+ */
+function createB2Storage() {
+  const mainClient = createClient(config.b2.accountId, config.b2.applicationKey);
+  let hlsClient = null;
+
+  // Idle upload URLs per bucket - one URL carries one upload at a time
+  const uploadUrlPools = new Map();
+
+  /**
+   * Get the client for a bucket - the HLS bucket may use its own application key
+   * @param {string} bucket - Logical bucket name
+   * @returns {Object} - Client helper
+   */
+  function getClient(bucket) {
+    if (bucket !== 'hls') {
+      return mainClient;
+    }
+    if (!hlsClient) {
+      const hlsBucket = config.b2.buckets.hls;
+      hlsClient = hlsBucket.appKeyId && hlsBucket.appKey
+        ? createClient(hlsBucket.appKeyId, hlsBucket.appKey)
+        : mainClient;
+    }
+    return hlsClient;
+  }
+
+  function requireBucketId(bucket) {
+    const bucketConfig = resolveBucket(bucket);
+    if (!bucketConfig.id) {
+      throw new Error(`B2 bucket ID for '${bucket}' is not configured`);
+    }
+    return bucketConfig;
+  }
+
+  function getPublicUrl(bucket, fileName) {
+    return formatPublicUrl(config.storage.b2.publicUrlTemplate, resolveBucket(bucket).name, fileName);
+  }
+
+  async function uploadBuffer(bucket, fileName, data, contentType) {
+    const bucketConfig = requireBucketId(bucket);
+    const client = getClient(bucket);
+    const pool = uploadUrlPools.get(bucket) || [];
+    uploadUrlPools.set(bucket, pool);
+
+    let uploadUrlData = pool.pop();
+    if (!uploadUrlData) {
+      const response = await client.call(b2 => b2.getUploadUrl({ bucketId: bucketConfig.id }));
+      uploadUrlData = response.data;
+    }
+
+    // A failed upload URL is discarded - B2 expects a fresh one after any error
+    const response = await client.b2.uploadFile({
+      uploadUrl: uploadUrlData.uploadUrl,
+      uploadAuthToken: uploadUrlData.authorizationToken,
+      fileName: fileName,
+      data: data,
+      mime: contentType
+    });
+    pool.push(uploadUrlData);
+
+    return {
+      fileName: response.data.fileName,
+      fileId: response.data.fileId,
+      url: getPublicUrl(bucket, fileName)
+    };
+  }
+
+  async function startLargeFile(bucket, fileName, contentType) {
+    const bucketConfig = requireBucketId(bucket);
+    const response = await mainClient.call(b2 => b2.startLargeFile({
+      bucketId: bucketConfig.id,
+      fileName: fileName,
+      contentType: contentType
+    }));
+    return {
+      fileId: response.data.fileId,
+      fileName: response.data.fileName
+    };
+  }
+
+  async function getUploadPartUrl(fileId) {
+    const response = await mainClient.call(b2 => b2.getUploadPartUrl({ fileId }));
+    return {
+      uploadUrl: response.data.uploadUrl,
+      authorizationToken: response.data.authorizationToken
+    };
+  }
+
+  async function uploadPart({ fileId, partNumber, data, sha1, partUrl }) {
+    const target = partUrl || await getUploadPartUrl(fileId);
+    await mainClient.b2.uploadPart({
+      partNumber: partNumber,
+      uploadUrl: target.uploadUrl,
+      uploadAuthToken: target.authorizationToken,
+      data: data,
+      hash: sha1 || crypto.createHash('sha1').update(data).digest('hex')
+    });
+    return {
+      partNumber: partNumber,
+      size: data.length
+    };
+  }
+
+  async function finishLargeFile(fileId, partSha1Array) {
+    const response = await mainClient.call(b2 => b2.finishLargeFile({ fileId, partSha1Array }));
+    return {
+      fileId: response.data.fileId,
+      fileName: response.data.fileName,
+      contentLength: response.data.contentLength
+    };
+  }
+
+  async function cancelLargeFile(fileId) {
+    await mainClient.call(b2 => b2.cancelLargeFile({ fileId }));
+  }
+
+  async function listParts(fileId, { startPartNumber = 1, maxPartCount = 1000 } = {}) {
+    const response = await mainClient.call(b2 => b2.listParts({ fileId, startPartNumber, maxPartCount }));
+    return {
+      parts: (response.data.parts || []).map(part => ({
+        partNumber: part.partNumber,
+        contentSha1: part.contentSha1,
+        contentLength: part.contentLength,
+        uploadTimestamp: part.uploadTimestamp
+      })),
+      nextPartNumber: response.data.nextPartNumber || null
+    };
+  }
+
+  async function listFiles(bucket, { prefix = '', cursor = null, maxFileCount = 1000 } = {}) {
+    const bucketConfig = requireBucketId(bucket);
+    const response = await getClient(bucket).call(b2 => b2.listFileNames({
+      bucketId: bucketConfig.id,
+      prefix: prefix,
+      startFileName: cursor,
+      maxFileCount: maxFileCount
+    }));
+    return {
+      files: (response.data.files || []).map(file => ({
+        fileName: file.fileName,
+        fileId: file.fileId,
+        contentLength: file.contentLength,
+        uploadTimestamp: file.uploadTimestamp
+      })),
+      nextCursor: response.data.nextFileName || null
+    };
+  }
+
+  // backblaze-b2 does not implement b2_list_unfinished_large_files, so call the native API directly
+  async function listUnfinishedLargeFiles(bucket, { cursor = null, maxFileCount = 100 } = {}) {
+    const bucketConfig = requireBucketId(bucket);
+    const data = await mainClient.call(async b2 => {
+      const response = await fetch(`${b2.apiUrl}/b2api/v2/b2_list_unfinished_large_files`, {
+        method: 'POST',
+        headers: { Authorization: b2.authorizationToken },
+        body: JSON.stringify({
+          bucketId: bucketConfig.id,
+          ...(cursor && { startFileId: cursor }),
+          maxFileCount: maxFileCount
+        })
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const error = new Error(`b2_list_unfinished_large_files failed: ${body.message || response.status}`);
+        error.response = { status: response.status, data: body };
+        throw error;
+      }
+      return body;
+    });
+    return {
+      files: (data.files || []).map(file => ({
+        fileId: file.fileId,
+        fileName: file.fileName,
+        uploadTimestamp: file.uploadTimestamp
+      })),
+      nextCursor: data.nextFileId || null
+    };
+  }
+
+  // Large files have contentSha1 "none"; the SHA1 of the whole file is in fileInfo.large_file_sha1 when the uploader set it
+  async function getFileInfo(bucket, fileName) {
+    const bucketConfig = requireBucketId(bucket);
+    const response = await getClient(bucket).call(b2 => b2.listFileNames({
+      bucketId: bucketConfig.id,
+      startFileName: fileName,
+      maxFileCount: 1
+    }));
+    const file = (response.data.files || []).find(f => f.fileName === fileName);
+    if (!file) {
+      return null;
+    }
+    return {
+      fileName: file.fileName,
+      fileId: file.fileId,
+      contentLength: file.contentLength,
+      contentType: file.contentType,
+      contentSha1: file.contentSha1 && file.contentSha1 !== 'none'
+        ? file.contentSha1.replace(/^unverified:/, '')
+        : ((file.fileInfo && file.fileInfo.large_file_sha1) || null),
+      uploadTimestamp: file.uploadTimestamp
+    };
+  }
+
+  async function deleteFile(bucket, fileName, fileId = null) {
+    const client = getClient(bucket);
+    let targetFileId = fileId;
+
+    if (!targetFileId) {
+      const { files } = await listFiles(bucket, { prefix: fileName, maxFileCount: 10 });
+      const file = files.find(f => f.fileName === fileName);
+      if (!file) {
+        return false;
+      }
+      targetFileId = file.fileId;
+    }
+
+    await client.call(b2 => b2.deleteFileVersion({ fileId: targetFileId, fileName }));
+    return true;
+  }
+
+  /**
+   * All versions (uploads and hide markers) of one file name, newest first
+   */
+  async function listVersions(bucket, fileName) {
+    const bucketConfig = requireBucketId(bucket);
+    const response = await getClient(bucket).call(b2 => b2.listFileVersions({
+      bucketId: bucketConfig.id,
+      startFileName: fileName,
+      maxFileCount: 100
+    }));
+    return (response.data.files || []).filter(file => file.fileName === fileName);
+  }
+
+  // A hide marker makes the file invisible (downloads 404, listFileNames skips it) while keeping its data
+  async function hideFile(bucket, fileName) {
+    const versions = await listVersions(bucket, fileName);
+    if (versions.length === 0) {
+      return false;
+    }
+    if (versions[0].action !== 'hide') {
+      const bucketConfig = requireBucketId(bucket);
+      await getClient(bucket).call(b2 => b2.hideFile({ bucketId: bucketConfig.id, fileName }));
+    }
+    return true;
+  }
+
+  // Deleting the newest hide marker makes the previous version visible again
+  async function unhideFile(bucket, fileName) {
+    const versions = await listVersions(bucket, fileName);
+    if (versions.length === 0) {
+      return false;
+    }
+    if (versions[0].action === 'hide') {
+      await getClient(bucket).call(b2 => b2.deleteFileVersion({ fileId: versions[0].fileId, fileName }));
+    }
+    return true;
+  }
+
+  /**
+   * Files under a prefix whose newest version is a hide marker
+   * backblaze-b2 does not pass a prefix to b2_list_file_versions, so the listing starts at the
+   * prefix and stops once names leave it. The cursor also carries the last name of the previous
+   * page, because a page can start in the middle of one file's versions.
+   */
+  async function listHiddenFiles(bucket, { prefix = '', cursor = null, maxFileCount = 1000 } = {}) {
+    const bucketConfig = requireBucketId(bucket);
+    const start = cursor
+      ? JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+      : { fileName: prefix, fileId: undefined, lastName: null };
+
+    const response = await getClient(bucket).call(b2 => b2.listFileVersions({
+      bucketId: bucketConfig.id,
+      startFileName: start.fileName,
+      startFileId: start.fileId,
+      maxFileCount: maxFileCount
+    }));
+
+    const files = [];
+    let previousName = start.lastName;
+    let leftPrefix = false;
+    for (const version of response.data.files || []) {
+      if (!version.fileName.startsWith(prefix)) {
+        leftPrefix = true;
+        break;
+      }
+      // Versions come newest first, so only the first one seen for a name decides
+      if (version.fileName !== previousName && version.action === 'hide') {
+        files.push({
+          fileName: version.fileName,
+          fileId: version.fileId,
+          contentLength: 0,
+          uploadTimestamp: version.uploadTimestamp
+        });
+      }
+      previousName = version.fileName;
+    }
+
+    const next = !leftPrefix && response.data.nextFileName
+      ? { fileName: response.data.nextFileName, fileId: response.data.nextFileId, lastName: previousName }
+      : null;
+    return {
+      files: files,
+      nextCursor: next ? Buffer.from(JSON.stringify(next)).toString('base64url') : null
+    };
+  }
+
+  // Only a file whose newest version is a hide marker is purged - a newer upload under the same name is live data
+  async function purgeHiddenFile(bucket, fileName) {
+    const versions = await listVersions(bucket, fileName);
+    if (versions.length > 0 && versions[0].action !== 'hide') {
+      const error = new Error(`${fileName} is not hidden (newest version is "${versions[0].action}") - nothing was purged`);
+      error.code = 'NOT_HIDDEN';
+      throw error;
+    }
+    for (const version of versions) {
+      await getClient(bucket).call(b2 => b2.deleteFileVersion({ fileId: version.fileId, fileName }));
+    }
+    return versions.length > 0;
+  }
+
+  async function getSignedDownloadUrl(bucket, fileName, { validDurationInSeconds = 3600, contentDisposition = null } = {}) {
+    const bucketConfig = requireBucketId(bucket);
+    const client = getClient(bucket);
+
+    const authTokenResponse = await client.call(b2 => b2.getDownloadAuthorization({
+      bucketId: bucketConfig.id,
+      fileNamePrefix: fileName,
+      validDurationInSeconds: validDurationInSeconds,
+      ...(contentDisposition && { b2ContentDisposition: contentDisposition })
+    }));
+
+    // b2ContentDisposition must appear in BOTH the auth request AND the download URL
+    const encodedFileName = fileName.split('/').map(encodeURIComponent).join('/');
+    let signedUrl = `${client.getDownloadUrl()}/file/${bucketConfig.name}/${encodedFileName}?Authorization=${encodeURIComponent(authTokenResponse.data.authorizationToken)}`;
+    if (contentDisposition) {
+      signedUrl += `&b2ContentDisposition=${encodeURIComponent(contentDisposition)}`;
+    }
+    return signedUrl;
+  }
+
+  // One download authorization covers every file whose name starts with the prefix (e.g. all HLS segments of a video)
+  async function getSignedPrefixToken(bucket, prefix, { validDurationInSeconds = 3600 } = {}) {
+    const bucketConfig = requireBucketId(bucket);
+    const response = await getClient(bucket).call(b2 => b2.getDownloadAuthorization({
+      bucketId: bucketConfig.id,
+      fileNamePrefix: prefix,
+      validDurationInSeconds: validDurationInSeconds
+    }));
+    return { queryParam: 'Authorization', token: response.data.authorizationToken };
+  }
+
+  async function testConnection() {
+    await mainClient.authorize(true);
+    return true;
+  }
+
+  return {
+    name: 'b2',
+    capabilities: {
+      directUploads: true,
+      partSha1Required: true
+    },
+    getPublicUrl,
+    uploadBuffer,
+    startLargeFile,
+    getUploadPartUrl,
+    uploadPart,
+    finishLargeFile,
+    cancelLargeFile,
+    listParts,
+    listFiles,
+    listUnfinishedLargeFiles,
+    getFileInfo,
+    deleteFile,
+    hideFile,
+    unhideFile,
+    listHiddenFiles,
+    purgeHiddenFile,
+    getSignedDownloadUrl,
+    getSignedPrefixToken,
+    testConnection
+  };
+}
+
+module.exports = {
+  createB2Storage
+};
@@ -0,0 +1,130 @@
+const { config } = require('../../config');
+const logger = require('../../utils/logger');
+
+/**
+ * Pluggable object storage, selected by config.storage.driver (STORAGE_DRIVER)
+ *
+ * Buckets are addressed by their logical name ('video', 'thumbnail', 'profile',
+ * 'subtitle', 'hls', ...) and resolved through config.b2.buckets. Every adapter
+ * implements the same interface:
+ *
+ *   name                                         -> driver identifier for logging
+ *   capabilities                                 -> { directUploads, partSha1Required }
+ *   getPublicUrl(bucket, fileName)               -> public URL of an object
+ *   uploadBuffer(bucket, fileName, data, type)   -> { fileName, fileId, url }
+ *   startLargeFile(bucket, fileName, type)       -> { fileId, fileName }
+ *   getUploadPartUrl(fileId)                     -> { uploadUrl, authorizationToken } (null values if unused)
+ *   uploadPart({ fileId, partNumber, data, sha1, partUrl }) -> { partNumber, size }
+ *   finishLargeFile(fileId, partSha1Array)       -> { fileId, fileName, contentLength }
+ *   cancelLargeFile(fileId)                      -> void
+ *   listParts(fileId, { startPartNumber, maxPartCount })
+ *                                                -> { parts: [{ partNumber, contentSha1, contentLength, uploadTimestamp }], nextPartNumber }
+ *   listFiles(bucket, { prefix, cursor, maxFileCount })
+ *                                                -> { files: [{ fileName, fileId, contentLength, uploadTimestamp }], nextCursor }
+ *   listUnfinishedLargeFiles(bucket, { cursor, maxFileCount })
+ *                                                -> { files: [{ fileId, fileName, uploadTimestamp }], nextCursor }
+ *   getFileInfo(bucket, fileName)                -> { fileName, fileId, contentLength, contentType, contentSha1, uploadTimestamp },
+ *                                                   or null if the object does not exist (contentSha1 may be null)
+ *   deleteFile(bucket, fileName, fileId)         -> true, or false if the object does not exist
+ *   hideFile(bucket, fileName)                   -> true, or false if the object does not exist (soft delete:
+ *                                                   hidden objects are not served or listed but can be restored)
+ *   unhideFile(bucket, fileName)                 -> true, or false if there is nothing to restore
+ *   purgeHiddenFile(bucket, fileName)            -> true, or false if there was nothing to purge; never deletes a
+ *                                                   file that is visible again (B2 throws with code NOT_HIDDEN)
+ *   listHiddenFiles(bucket, { prefix, cursor, maxFileCount })
+ *                                                -> { files: [{ fileName, fileId, contentLength, uploadTimestamp }], nextCursor }
+ *                                                   of objects hidden by hideFile (listFiles never returns them)
+ *   getSignedDownloadUrl(bucket, fileName, { validDurationInSeconds, contentDisposition }) -> URL
+ *   getSignedPrefixToken(bucket, prefix, { validDurationInSeconds })
+ *                                                -> { queryParam, token } to append to URLs of objects under the
+ *                                                   prefix, or null if the driver cannot issue one
+ *   testConnection()                             -> true or throws
+ */
+
+const DRIVERS = {
+  b2: () => require('./b2-adapter').createB2Storage(),
+  local: () => require('./local-adapter').createLocalStorage(),
+  s3: () => require('./s3-adapter').createS3Storage()
+};
+
+let storage = null;
+
+/**
+ * Create the storage adapter selected by config.storage.driver
+ * @param {string} driver - Driver name ('b2', 'local' or 's3')
+ * @returns {Object} - Storage adapter
+ */
+function createStorage(driver = config.storage.driver) {
+  if (!DRIVERS[driver]) {
+    logger.warn(`⚠️ Unknown storage driver '${driver}', falling back to b2`);
+    return DRIVERS.b2();
+  }
+  return DRIVERS[driver]();
+}
+
+/**
+ * Get the shared storage adapter, creating it on first use
+ * @returns {Object} - Storage adapter
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+    logger.info(`🗄️ Storage driver: ${storage.name}`);
+  }
+  return storage;
+}
+
+/**
+ * Replace the shared storage adapter (e.g. a local adapter in tests)
+ * @param {Object} adapter - Storage adapter
+ */
+function setStorage(adapter) {
+  storage = adapter;
+}
+
+/**
+ * Resolve a logical bucket name to its configured id and name
+ * @param {string} bucket - Logical bucket name
+ * @returns {Object} - Bucket config ({ id, name, ... })
+ */
+function resolveBucket(bucket) {
+  const bucketConfig = config.b2.buckets[bucket];
+  if (!bucketConfig || !bucketConfig.name) {
+    throw new Error(`Storage bucket '${bucket}' is not configured`);
+  }
+  return bucketConfig;
+}
+
+/**
+ * Extract the object name from a stored public URL (last path segment, query removed)
+ * @param {string} url - Public URL
+ * @returns {string|null} - Object name
+ */
+function getFileNameFromUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+  const fileName = url.split('?')[0].split('/').pop();
+  return fileName ? decodeURIComponent(fileName) : null;
+}
+
+/**
+ * Fill a public URL template
+ * @param {string} template - Template with {bucket} and {file} placeholders
+ * @param {string} bucketName - Bucket name
+ * @param {string} fileName - Object name (may contain '/')
+ * @returns {string} - URL
+ */
+function formatPublicUrl(template, bucketName, fileName) {
+  const encodedFileName = fileName.split('/').map(encodeURIComponent).join('/');
+  return template.replace('{bucket}', bucketName).replace('{file}', encodedFileName);
+}
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createStorage,
+  resolveBucket,
+  getFileNameFromUrl,
+  formatPublicUrl
+};
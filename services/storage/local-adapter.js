@@ -0,0 +1,378 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { config } = require('../../config');
+const { resolveBucket, formatPublicUrl } = require('./index');
+
+// Unfinished large files live beside the buckets until they are finished or cancelled
+const LARGE_FILES_DIR = '.large-files';
+
+// Hidden (soft-deleted) objects are moved here, mirroring the bucket layout; dot directories are never served
+const TRASH_DIR = '.trash';
+
+// Content types for getFileInfo - the driver does not store them, so they follow the extension
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/x-m4v',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.vtt': 'text/vtt',
+  '.srt': 'application/x-subrip'
+};
+
+/**
+ * Create the local filesystem storage adapter
+ * Objects are stored at {rootDir}/{bucketName}/{fileName}; intended for development and tests
+ * @returns {Object} - Storage adapter
+ */
+function createLocalStorage() {
+  const rootDir = path.resolve(config.storage.local.rootDir);
+  const publicBase = config.storage.local.publicUrl.replace(/\/+$/, '');
+
+  /**
+   * Resolve an object path, refusing names that escape the bucket directory
+   * @param {string} bucket - Logical bucket name
+   * @param {string} fileName - Object name
+   * @returns {string} - Absolute path
+   */
+  function objectPath(bucket, fileName) {
+    const bucketDir = path.join(rootDir, resolveBucket(bucket).name);
+    const filePath = path.resolve(bucketDir, fileName);
+    if (!fileName || !filePath.startsWith(bucketDir + path.sep)) {
+      throw new Error(`Invalid object name: ${fileName}`);
+    }
+    return filePath;
+  }
+
+  function trashPath(bucket, fileName) {
+    const filePath = objectPath(bucket, fileName);
+    return path.join(rootDir, TRASH_DIR, path.relative(rootDir, filePath));
+  }
+
+  async function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  async function moveFile(from, to) {
+    await fs.promises.mkdir(path.dirname(to), { recursive: true });
+    await fs.promises.rename(from, to);
+  }
+
+  function largeFileDir(fileId) {
+    if (!/^[a-f0-9]{32}$/.test(String(fileId))) {
+      throw new Error(`Invalid large file ID: ${fileId}`);
+    }
+    return path.join(rootDir, LARGE_FILES_DIR, fileId);
+  }
+
+  function readLargeFileMeta(fileId) {
+    const metaPath = path.join(largeFileDir(fileId), 'meta.json');
+    if (!fs.existsSync(metaPath)) {
+      throw new Error(`Large file not found: ${fileId}`);
+    }
+    return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  }
+
+  function getPublicUrl(bucket, fileName) {
+    return formatPublicUrl(`${publicBase}/{bucket}/{file}`, resolveBucket(bucket).name, fileName);
+  }
+
+  async function uploadBuffer(bucket, fileName, data) {
+    const filePath = objectPath(bucket, fileName);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, data);
+    return {
+      fileName: fileName,
+      fileId: `${resolveBucket(bucket).name}/${fileName}`,
+      url: getPublicUrl(bucket, fileName)
+    };
+  }
+
+  async function startLargeFile(bucket, fileName, contentType) {
+    objectPath(bucket, fileName);
+    const fileId = crypto.randomBytes(16).toString('hex');
+    const dir = largeFileDir(fileId);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, 'meta.json'), JSON.stringify({
+      bucket: bucket,
+      fileName: fileName,
+      contentType: contentType,
+      startedAt: Date.now()
+    }));
+    return { fileId, fileName };
+  }
+
+  // Parts are written by this server, so there is no separate upload URL
+  async function getUploadPartUrl() {
+    return { uploadUrl: null, authorizationToken: null };
+  }
+
+  async function uploadPart({ fileId, partNumber, data, sha1 }) {
+    readLargeFileMeta(fileId);
+    const actualSha1 = crypto.createHash('sha1').update(data).digest('hex');
+    if (sha1 && sha1.toLowerCase() !== actualSha1) {
+      throw new Error(`SHA1 mismatch for part ${partNumber}`);
+    }
+
+    // Temp file + rename, sidecar first: a concurrent listParts() sees either no part or a complete one
+    const dir = largeFileDir(fileId);
+    await writeFileAtomic(path.join(dir, `part_${partNumber}.sha1`), actualSha1);
+    await writeFileAtomic(path.join(dir, `part_${partNumber}`), data);
+    return { partNumber, size: data.length };
+  }
+
+  async function listParts(fileId, { startPartNumber = 1, maxPartCount = 1000 } = {}) {
+    readLargeFileMeta(fileId);
+    const dir = largeFileDir(fileId);
+    const partNumbers = fs.readdirSync(dir)
+      .map(name => /^part_(\d+)$/.exec(name))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]))
+      .filter(partNumber => partNumber >= startPartNumber)
+      // A part left without its sidecar by a crash counts as not uploaded
+      .filter(partNumber => fs.existsSync(path.join(dir, `part_${partNumber}.sha1`)))
+      .sort((a, b) => a - b);
+
+    const page = partNumbers.slice(0, maxPartCount);
+    return {
+      parts: page.map(partNumber => {
+        const stats = fs.statSync(path.join(dir, `part_${partNumber}`));
+        return {
+          partNumber: partNumber,
+          contentSha1: fs.readFileSync(path.join(dir, `part_${partNumber}.sha1`), 'utf8'),
+          contentLength: stats.size,
+          uploadTimestamp: Math.floor(stats.mtimeMs)
+        };
+      }),
+      nextPartNumber: partNumbers.length > maxPartCount ? partNumbers[maxPartCount] : null
+    };
+  }
+
+  async function finishLargeFile(fileId, partSha1Array) {
+    const meta = readLargeFileMeta(fileId);
+    const dir = largeFileDir(fileId);
+
+    partSha1Array.forEach((sha1, index) => {
+      const sidecar = path.join(dir, `part_${index + 1}.sha1`);
+      if (!fs.existsSync(sidecar)) {
+        throw new Error(`Part ${index + 1} was never uploaded`);
+      }
+      if (sha1 && fs.readFileSync(sidecar, 'utf8') !== sha1.toLowerCase()) {
+        throw new Error(`SHA1 mismatch for part ${index + 1}`);
+      }
+    });
+
+    const filePath = objectPath(meta.bucket, meta.fileName);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Stream the parts into the final object so large files never sit in memory
+    const output = fs.createWriteStream(filePath);
+    for (let partNumber = 1; partNumber <= partSha1Array.length; partNumber++) {
+      await pipeline(fs.createReadStream(path.join(dir, `part_${partNumber}`)), output, { end: false });
+    }
+    await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+
+    await fs.promises.rm(dir, { recursive: true, force: true });
+
+    return {
+      fileId: fileId,
+      fileName: meta.fileName,
+      contentLength: fs.statSync(filePath).size
+    };
+  }
+
+  async function cancelLargeFile(fileId) {
+    await fs.promises.rm(largeFileDir(fileId), { recursive: true, force: true });
+  }
+
+  function listDirectory(bucketDir, bucketName, { prefix = '', cursor = null, maxFileCount = 1000 } = {}) {
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) {
+        return [];
+      }
+      return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const entryPath = path.join(dir, entry.name);
+        return entry.isDirectory() ? walk(entryPath) : [entryPath];
+      });
+    };
+
+    // Same ordering and cursor semantics as B2: sorted names, cursor is the first name of the next page
+    const names = walk(bucketDir)
+      .map(filePath => path.relative(bucketDir, filePath).split(path.sep).join('/'))
+      .filter(name => name.startsWith(prefix) && (!cursor || name >= cursor))
+      .sort();
+
+    const page = names.slice(0, maxFileCount);
+    return {
+      files: page.map(name => {
+        const stats = fs.statSync(path.join(bucketDir, name));
+        return {
+          fileName: name,
+          fileId: `${bucketName}/${name}`,
+          contentLength: stats.size,
+          uploadTimestamp: Math.floor(stats.mtimeMs)
+        };
+      }),
+      nextCursor: names.length > maxFileCount ? names[maxFileCount] : null
+    };
+  }
+
+  async function listFiles(bucket, options = {}) {
+    const bucketName = resolveBucket(bucket).name;
+    return listDirectory(path.join(rootDir, bucketName), bucketName, options);
+  }
+
+  async function listHiddenFiles(bucket, options = {}) {
+    const bucketName = resolveBucket(bucket).name;
+    return listDirectory(path.join(rootDir, TRASH_DIR, bucketName), bucketName, options);
+  }
+
+  async function listUnfinishedLargeFiles(bucket, { cursor = null, maxFileCount = 100 } = {}) {
+    const largeFilesDir = path.join(rootDir, LARGE_FILES_DIR);
+    if (!fs.existsSync(largeFilesDir)) {
+      return { files: [], nextCursor: null };
+    }
+
+    const fileIds = fs.readdirSync(largeFilesDir)
+      .filter(fileId => /^[a-f0-9]{32}$/.test(fileId) && (!cursor || fileId >= cursor))
+      .sort();
+
+    const files = [];
+    for (const fileId of fileIds) {
+      let meta;
+      try {
+        meta = readLargeFileMeta(fileId);
+      } catch (error) {
+        continue; // Cancelled while listing
+      }
+      if (meta.bucket !== bucket) {
+        continue;
+      }
+      if (files.length === maxFileCount) {
+        return { files, nextCursor: fileId };
+      }
+      files.push({ fileId: fileId, fileName: meta.fileName, uploadTimestamp: meta.startedAt });
+    }
+    return { files, nextCursor: null };
+  }
+
+  async function getFileInfo(bucket, fileName) {
+    const filePath = objectPath(bucket, fileName);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const stats = await fs.promises.stat(filePath);
+    const hash = crypto.createHash('sha1');
+    await pipeline(fs.createReadStream(filePath), hash);
+
+    return {
+      fileName: fileName,
+      fileId: `${resolveBucket(bucket).name}/${fileName}`,
+      contentLength: stats.size,
+      contentType: CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream',
+      contentSha1: hash.digest('hex'),
+      uploadTimestamp: Math.floor(stats.mtimeMs)
+    };
+  }
+
+  async function deleteFile(bucket, fileName) {
+    const filePath = objectPath(bucket, fileName);
+    if (!fs.existsSync(filePath)) {
+      return false;
+    }
+    await fs.promises.unlink(filePath);
+    return true;
+  }
+
+  async function hideFile(bucket, fileName) {
+    const filePath = objectPath(bucket, fileName);
+    const hiddenPath = trashPath(bucket, fileName);
+    if (fs.existsSync(filePath)) {
+      await moveFile(filePath, hiddenPath);
+      return true;
+    }
+    return fs.existsSync(hiddenPath);
+  }
+
+  async function unhideFile(bucket, fileName) {
+    const filePath = objectPath(bucket, fileName);
+    const hiddenPath = trashPath(bucket, fileName);
+    if (fs.existsSync(hiddenPath)) {
+      await moveFile(hiddenPath, filePath);
+      return true;
+    }
+    return fs.existsSync(filePath);
+  }
+
+  async function purgeHiddenFile(bucket, fileName) {
+    const hiddenPath = trashPath(bucket, fileName);
+    if (!fs.existsSync(hiddenPath)) {
+      return false;
+    }
+    await fs.promises.unlink(hiddenPath);
+    return true;
+  }
+
+  // Local files are public - the download name is passed along for the static route to honour
+  async function getSignedDownloadUrl(bucket, fileName, { contentDisposition = null } = {}) {
+    const url = getPublicUrl(bucket, fileName);
+    const match = contentDisposition && /filename\*=UTF-8''([^;]+)/.exec(contentDisposition);
+    return match ? `${url}?download=${match[1]}` : url;
+  }
+
+  // Local files are public - nothing to authorize
+  async function getSignedPrefixToken() {
+    return null;
+  }
+
+  async function testConnection() {
+    await fs.promises.mkdir(rootDir, { recursive: true });
+    await fs.promises.access(rootDir, fs.constants.W_OK);
+    return true;
+  }
+
+  return {
+    name: 'local',
+    rootDir: rootDir,
+    capabilities: {
+      directUploads: false,
+      partSha1Required: true
+    },
+    getPublicUrl,
+    uploadBuffer,
+    startLargeFile,
+    getUploadPartUrl,
+    uploadPart,
+    finishLargeFile,
+    cancelLargeFile,
+    listParts,
+    listFiles,
+    listUnfinishedLargeFiles,
+    getFileInfo,
+    deleteFile,
+    hideFile,
+    unhideFile,
+    listHiddenFiles,
+    purgeHiddenFile,
+    getSignedDownloadUrl,
+    getSignedPrefixToken,
+    testConnection
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
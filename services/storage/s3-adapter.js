@@ -0,0 +1,369 @@
+const { config } = require('../../config');
+const { resolveBucket, formatPublicUrl } = require('./index');
+
+/**
+ * Create the S3-compatible storage adapter (AWS S3, MinIO, Backblaze's S3 API, R2, ...)
+ * The AWS SDK is only loaded when this driver is selected
+ * @returns {Object} - Storage adapter
+ */
+function createS3Storage() {
+  const {
+    S3Client,
+    PutObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+    ListPartsCommand,
+    ListMultipartUploadsCommand,
+    ListObjectsV2Command,
+    HeadObjectCommand,
+    CopyObjectCommand,
+    DeleteObjectCommand,
+    GetObjectCommand,
+    HeadBucketCommand
+  } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  const s3Config = config.storage.s3;
+  const client = new S3Client({
+    region: s3Config.region,
+    endpoint: s3Config.endpoint || undefined,
+    forcePathStyle: s3Config.forcePathStyle,
+    ...(s3Config.accessKeyId && {
+      credentials: {
+        accessKeyId: s3Config.accessKeyId,
+        secretAccessKey: s3Config.secretAccessKey
+      }
+    })
+  });
+
+  const publicUrlTemplate = s3Config.publicUrlTemplate || (s3Config.endpoint
+    ? `${s3Config.endpoint.replace(/\/+$/, '')}/{bucket}/{file}`
+    : `https://{bucket}.s3.${s3Config.region}.amazonaws.com/{file}`);
+
+  // Hidden (soft-deleted) objects are moved under this prefix; listFiles skips it
+  const TRASH_PREFIX = '.trash/';
+
+  // S3 needs bucket, key and upload ID for every part call - pack them into one opaque file ID
+  function encodeFileId(target) {
+    return Buffer.from(JSON.stringify(target)).toString('base64url');
+  }
+
+  function decodeFileId(fileId) {
+    try {
+      const target = JSON.parse(Buffer.from(String(fileId), 'base64url').toString('utf8'));
+      if (target.bucket && target.key && target.uploadId) {
+        return target;
+      }
+    } catch (error) {
+      // Fall through to the error below
+    }
+    throw new Error(`Invalid large file ID: ${fileId}`);
+  }
+
+  const hexToBase64 = (hex) => Buffer.from(hex, 'hex').toString('base64');
+  const base64ToHex = (base64) => (base64 ? Buffer.from(base64, 'base64').toString('hex') : null);
+
+  function getPublicUrl(bucket, fileName) {
+    return formatPublicUrl(publicUrlTemplate, resolveBucket(bucket).name, fileName);
+  }
+
+  async function uploadBuffer(bucket, fileName, data, contentType) {
+    await client.send(new PutObjectCommand({
+      Bucket: resolveBucket(bucket).name,
+      Key: fileName,
+      Body: data,
+      ContentType: contentType
+    }));
+    return {
+      fileName: fileName,
+      fileId: `${resolveBucket(bucket).name}/${fileName}`,
+      url: getPublicUrl(bucket, fileName)
+    };
+  }
+
+  async function startLargeFile(bucket, fileName, contentType) {
+    const bucketName = resolveBucket(bucket).name;
+    const response = await client.send(new CreateMultipartUploadCommand({
+      Bucket: bucketName,
+      Key: fileName,
+      ContentType: contentType,
+      ChecksumAlgorithm: 'SHA1'
+    }));
+    return {
+      fileId: encodeFileId({ bucket: bucketName, key: fileName, uploadId: response.UploadId }),
+      fileName: fileName
+    };
+  }
+
+  // Parts are sent by this server, so there is no separate upload URL
+  async function getUploadPartUrl() {
+    return { uploadUrl: null, authorizationToken: null };
+  }
+
+  async function uploadPart({ fileId, partNumber, data, sha1 }) {
+    const target = decodeFileId(fileId);
+    await client.send(new UploadPartCommand({
+      Bucket: target.bucket,
+      Key: target.key,
+      UploadId: target.uploadId,
+      PartNumber: partNumber,
+      Body: data,
+      ...(sha1 && { ChecksumSHA1: hexToBase64(sha1) })
+    }));
+    return { partNumber, size: data.length };
+  }
+
+  async function listParts(fileId, { startPartNumber = 1, maxPartCount = 1000 } = {}) {
+    const target = decodeFileId(fileId);
+    const response = await client.send(new ListPartsCommand({
+      Bucket: target.bucket,
+      Key: target.key,
+      UploadId: target.uploadId,
+      PartNumberMarker: startPartNumber > 1 ? String(startPartNumber - 1) : undefined,
+      MaxParts: maxPartCount
+    }));
+    return {
+      parts: (response.Parts || []).map(part => ({
+        partNumber: part.PartNumber,
+        contentSha1: base64ToHex(part.ChecksumSHA1),
+        contentLength: part.Size,
+        uploadTimestamp: part.LastModified ? part.LastModified.getTime() : null,
+        etag: part.ETag
+      })),
+      nextPartNumber: response.IsTruncated ? parseInt(response.NextPartNumberMarker) + 1 : null
+    };
+  }
+
+  // S3 completes by ETag, so the part list is read back rather than relying on the caller's hashes
+  async function finishLargeFile(fileId) {
+    const target = decodeFileId(fileId);
+    const parts = [];
+    let startPartNumber = 1;
+
+    while (startPartNumber) {
+      const page = await listParts(fileId, { startPartNumber });
+      parts.push(...page.parts);
+      startPartNumber = page.nextPartNumber;
+    }
+
+    await client.send(new CompleteMultipartUploadCommand({
+      Bucket: target.bucket,
+      Key: target.key,
+      UploadId: target.uploadId,
+      MultipartUpload: {
+        Parts: parts.map(part => ({
+          PartNumber: part.partNumber,
+          ETag: part.etag,
+          ...(part.contentSha1 && { ChecksumSHA1: hexToBase64(part.contentSha1) })
+        }))
+      }
+    }));
+
+    return {
+      fileId: fileId,
+      fileName: target.key,
+      contentLength: parts.reduce((total, part) => total + (part.contentLength || 0), 0)
+    };
+  }
+
+  async function cancelLargeFile(fileId) {
+    const target = decodeFileId(fileId);
+    await client.send(new AbortMultipartUploadCommand({
+      Bucket: target.bucket,
+      Key: target.key,
+      UploadId: target.uploadId
+    }));
+  }
+
+  async function listFiles(bucket, { prefix = '', cursor = null, maxFileCount = 1000 } = {}) {
+    const bucketName = resolveBucket(bucket).name;
+    const response = await client.send(new ListObjectsV2Command({
+      Bucket: bucketName,
+      Prefix: prefix || undefined,
+      ContinuationToken: cursor || undefined,
+      MaxKeys: maxFileCount
+    }));
+    return {
+      files: (response.Contents || []).filter(object => !object.Key.startsWith(TRASH_PREFIX)).map(object => ({
+        fileName: object.Key,
+        fileId: `${bucketName}/${object.Key}`,
+        contentLength: object.Size,
+        uploadTimestamp: object.LastModified ? object.LastModified.getTime() : null
+      })),
+      nextCursor: response.IsTruncated ? response.NextContinuationToken : null
+    };
+  }
+
+  // The cursor packs S3's two markers (key and upload ID) into one opaque string
+  async function listUnfinishedLargeFiles(bucket, { cursor = null, maxFileCount = 100 } = {}) {
+    const bucketName = resolveBucket(bucket).name;
+    const marker = cursor ? JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) : {};
+    const response = await client.send(new ListMultipartUploadsCommand({
+      Bucket: bucketName,
+      KeyMarker: marker.key,
+      UploadIdMarker: marker.uploadId,
+      MaxUploads: maxFileCount
+    }));
+    return {
+      files: (response.Uploads || []).map(upload => ({
+        fileId: encodeFileId({ bucket: bucketName, key: upload.Key, uploadId: upload.UploadId }),
+        fileName: upload.Key,
+        uploadTimestamp: upload.Initiated ? upload.Initiated.getTime() : null
+      })),
+      nextCursor: response.IsTruncated
+        ? Buffer.from(JSON.stringify({ key: response.NextKeyMarker, uploadId: response.NextUploadIdMarker })).toString('base64url')
+        : null
+    };
+  }
+
+  async function objectExists(bucketName, key) {
+    try {
+      await client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key }));
+      return true;
+    } catch (error) {
+      if (error.$metadata && error.$metadata.httpStatusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async function moveObject(bucketName, fromKey, toKey) {
+    await client.send(new CopyObjectCommand({
+      Bucket: bucketName,
+      Key: toKey,
+      CopySource: `${bucketName}/${fromKey.split('/').map(encodeURIComponent).join('/')}`
+    }));
+    await client.send(new DeleteObjectCommand({ Bucket: bucketName, Key: fromKey }));
+  }
+
+  async function hideFile(bucket, fileName) {
+    const bucketName = resolveBucket(bucket).name;
+    if (await objectExists(bucketName, fileName)) {
+      await moveObject(bucketName, fileName, TRASH_PREFIX + fileName);
+      return true;
+    }
+    return objectExists(bucketName, TRASH_PREFIX + fileName);
+  }
+
+  async function unhideFile(bucket, fileName) {
+    const bucketName = resolveBucket(bucket).name;
+    if (await objectExists(bucketName, TRASH_PREFIX + fileName)) {
+      await moveObject(bucketName, TRASH_PREFIX + fileName, fileName);
+      return true;
+    }
+    return objectExists(bucketName, fileName);
+  }
+
+  async function purgeHiddenFile(bucket, fileName) {
+    return deleteFile(bucket, TRASH_PREFIX + fileName);
+  }
+
+  async function listHiddenFiles(bucket, { prefix = '', cursor = null, maxFileCount = 1000 } = {}) {
+    const bucketName = resolveBucket(bucket).name;
+    const response = await client.send(new ListObjectsV2Command({
+      Bucket: bucketName,
+      Prefix: TRASH_PREFIX + prefix,
+      ContinuationToken: cursor || undefined,
+      MaxKeys: maxFileCount
+    }));
+    return {
+      files: (response.Contents || []).map(object => ({
+        fileName: object.Key.slice(TRASH_PREFIX.length),
+        fileId: `${bucketName}/${object.Key}`,
+        contentLength: object.Size,
+        uploadTimestamp: object.LastModified ? object.LastModified.getTime() : null
+      })),
+      nextCursor: response.IsTruncated ? response.NextContinuationToken : null
+    };
+  }
+
+  // S3 has no SHA1 unless the object was uploaded with a SHA1 checksum; ETag is not a content hash for multipart uploads
+  async function getFileInfo(bucket, fileName) {
+    const bucketName = resolveBucket(bucket).name;
+    try {
+      const response = await client.send(new HeadObjectCommand({
+        Bucket: bucketName,
+        Key: fileName,
+        ChecksumMode: 'ENABLED'
+      }));
+      return {
+        fileName: fileName,
+        fileId: `${bucketName}/${fileName}`,
+        contentLength: response.ContentLength,
+        contentType: response.ContentType || null,
+        contentSha1: response.ChecksumSHA1 ? Buffer.from(response.ChecksumSHA1, 'base64').toString('hex') : null,
+        uploadTimestamp: response.LastModified ? response.LastModified.getTime() : null
+      };
+    } catch (error) {
+      if (error.$metadata && error.$metadata.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function deleteFile(bucket, fileName) {
+    const bucketName = resolveBucket(bucket).name;
+
+    // S3 deletes succeed for missing keys - check first so callers can tell "not found" apart
+    if (!(await objectExists(bucketName, fileName))) {
+      return false;
+    }
+
+    await client.send(new DeleteObjectCommand({ Bucket: bucketName, Key: fileName }));
+    return true;
+  }
+
+  async function getSignedDownloadUrl(bucket, fileName, { validDurationInSeconds = 3600, contentDisposition = null } = {}) {
+    const command = new GetObjectCommand({
+      Bucket: resolveBucket(bucket).name,
+      Key: fileName,
+      ...(contentDisposition && { ResponseContentDisposition: contentDisposition })
+    });
+    return getSignedUrl(client, command, { expiresIn: validDurationInSeconds });
+  }
+
+  // S3 presigned URLs are per object - there is no token that covers a prefix
+  async function getSignedPrefixToken() {
+    return null;
+  }
+
+  async function testConnection() {
+    await client.send(new HeadBucketCommand({ Bucket: resolveBucket('video').name }));
+    return true;
+  }
+
+  return {
+    name: 's3',
+    capabilities: {
+      directUploads: false,
+      partSha1Required: false
+    },
+    getPublicUrl,
+    uploadBuffer,
+    startLargeFile,
+    getUploadPartUrl,
+    uploadPart,
+    finishLargeFile,
+    cancelLargeFile,
+    listParts,
+    listFiles,
+    listUnfinishedLargeFiles,
+    getFileInfo,
+    deleteFile,
+    hideFile,
+    unhideFile,
+    listHiddenFiles,
+    purgeHiddenFile,
+    getSignedDownloadUrl,
+    getSignedPrefixToken,
+    testConnection
+  };
+}
+
+module.exports = {
+  createS3Storage
+};
@@ -0,0 +1,104 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const logger = require('../utils/logger');
+const { getStorage } = require('./storage');
+
+/**
+ * Byte-range streaming proxy
+ * Serves a stored object through this server: the client's Range and conditional headers are
+ * forwarded to storage and the response is piped back as it arrives, so nothing is buffered and
+ * players can seek. Status, Content-Range, ETag and the other entity headers pass through unchanged.
+ */
+
+// Request headers that decide which bytes (if any) storage sends back
+const FORWARDED_REQUEST_HEADERS = ['range', 'if-range', 'if-none-match', 'if-modified-since'];
+
+// Response headers the client needs to interpret a (partial) body
+const PASSTHROUGH_RESPONSE_HEADERS = [
+  'content-type',
+  'content-length',
+  'content-range',
+  'accept-ranges',
+  'etag',
+  'last-modified',
+  'cache-control'
+];
+
+// How long the storage URL used for one request stays valid
+const UPSTREAM_URL_TTL_SECONDS = 300;
+
+/**
+ * Stream a stored object to the client, honouring Range requests
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} bucket - Logical bucket name
+ * @param {string} fileName - Object name
+ * @returns {Promise<Object>} - { status, bytesSent, aborted }
+ */
+async function streamStoredFile(req, res, bucket, fileName) {
+  const url = await getStorage().getSignedDownloadUrl(bucket, fileName, { validDurationInSeconds: UPSTREAM_URL_TTL_SECONDS });
+
+  // Stop reading from storage as soon as the player goes away (seeks abort the previous range)
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  // fetch() adds Cache-Control: no-cache to conditional requests unless one is set, which would
+  // make storage ignore If-None-Match; pass the client's through instead
+  const headers = {
+    'accept-encoding': 'identity',
+    'cache-control': req.headers['cache-control'] || 'max-age=0'
+  };
+  FORWARDED_REQUEST_HEADERS.forEach(name => {
+    if (req.headers[name]) {
+      headers[name] = req.headers[name];
+    }
+  });
+
+  const upstream = await fetch(url, {
+    method: req.method === 'HEAD' ? 'HEAD' : 'GET',
+    headers: headers,
+    signal: controller.signal
+  });
+
+  // 416 carries a Content-Range the client needs; other storage errors are reported by the caller
+  if (upstream.status >= 400 && upstream.status !== 416) {
+    if (upstream.body) {
+      await upstream.body.cancel().catch(() => {});
+    }
+    const error = new Error(`Storage returned HTTP ${upstream.status} for ${bucket}/${fileName}`);
+    error.code = upstream.status === 404 ? 'NOT_FOUND' : 'UPSTREAM_ERROR';
+    throw error;
+  }
+
+  res.status(upstream.status);
+  PASSTHROUGH_RESPONSE_HEADERS.forEach(name => {
+    const value = upstream.headers.get(name);
+    if (value) {
+      res.setHeader(name, value);
+    }
+  });
+
+  if (!upstream.body || req.method === 'HEAD' || upstream.status === 304) {
+    res.end();
+    return { status: upstream.status, bytesSent: 0, aborted: false };
+  }
+
+  let bytesSent = 0;
+  const body = Readable.fromWeb(upstream.body);
+  body.on('data', chunk => { bytesSent += chunk.length; });
+
+  try {
+    await pipeline(body, res);
+    return { status: upstream.status, bytesSent, aborted: false };
+  } catch (error) {
+    if (controller.signal.aborted || error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.debug(`📺 Client closed stream of ${bucket}/${fileName} after ${bytesSent} bytes`);
+      return { status: upstream.status, bytesSent, aborted: true };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  streamStoredFile
+};
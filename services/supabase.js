@@ -4,6 +4,7 @@
  * otherwise it will operate in a fallback mode.
  */
 const logger = require('../utils/logger');
+const { config } = require('../config');
 const { createClient } = require('@supabase/supabase-js');
 
 // Initialize service client if credentials are available
@@ -199,6 +200,10 @@ async function isSupabaseAvailable() {
  * @param {string} hlsData.hls_status - 'processing' | 'ready' | 'failed'
  * @param {string} [hlsData.hls_url] - URL to master.m3u8 playlist
  * @param {string} [hlsData.transcode_job_id] - Coconut job ID
+ * @param {number} [hlsData.hls_progress] - Transcode progress percentage
+ * @param {Object[]} [hlsData.hls_variants] - Renditions ready so far, then the final variant list
+ * @param {string} [hlsData.hls_profile] - Ladder profile the job was started with
+ * @param {Object} [hlsData.hls_ladder] - Resolved ladder ({ profile, codec, quality, rungs }) for re-transcodes
  * @returns {Promise<boolean>} - Success status
  */
 async function updateHlsStatus(videoId, hlsData) {
@@ -224,6 +229,10 @@ async function updateHlsStatus(videoId, hlsData) {
     if (hlsData.hls_status !== undefined) updatePayload.hls_status = hlsData.hls_status;
     if (hlsData.hls_url !== undefined) updatePayload.hls_url = hlsData.hls_url;
     if (hlsData.transcode_job_id !== undefined) updatePayload.transcode_job_id = hlsData.transcode_job_id;
+    if (hlsData.hls_progress !== undefined) updatePayload.hls_progress = hlsData.hls_progress;
+    if (hlsData.hls_variants !== undefined) updatePayload.hls_variants = hlsData.hls_variants;
+    if (hlsData.hls_profile !== undefined) updatePayload.hls_profile = hlsData.hls_profile;
+    if (hlsData.hls_ladder !== undefined) updatePayload.hls_ladder = hlsData.hls_ladder;
 
     logger.info(`[Supabase] Updating HLS status for video ${videoId}:`, updatePayload);
 
@@ -267,10 +276,291 @@ async function updateHlsStatus(videoId, hlsData) {
   }
 }
 
+/**
+ * Record the whole-file SHA-256 of a video
+ * Like updateHlsStatus, the frontend may not have created the row yet, so retry once
+ * @param {string} videoId - ID of the video in Supabase
+ * @param {string} contentSha256 - Lowercase hex SHA-256 of the stored file
+ * @returns {Promise<boolean>} - Success status
+ */
+async function updateContentHash(videoId, contentSha256) {
+  if (!videoId || !contentSha256) {
+    logger.error('[Supabase] Missing videoId or hash for content hash update');
+    return false;
+  }
+
+  try {
+    if (!serviceClient) {
+      serviceClient = initServiceClient();
+    }
+
+    if (!serviceClient) {
+      logger.warn('[Supabase] Service client not available for content hash update');
+      return false;
+    }
+
+    const updatePayload = {
+      content_sha256: contentSha256,
+      updated_at: new Date().toISOString()
+    };
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const { data, error } = await serviceClient
+        .from('videos')
+        .update(updatePayload)
+        .eq('id', videoId)
+        .select('id');
+
+      if (error) {
+        logger.error(`[Supabase] Failed to update content hash:`, error);
+        return false;
+      }
+
+      if (data && data.length > 0) {
+        logger.info(`[Supabase] Content hash recorded for video ${videoId}`);
+        return true;
+      }
+
+      if (attempt === 1) {
+        logger.warn(`[Supabase] No record found for video ${videoId}, will retry content hash in 2s`);
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      }
+    }
+
+    logger.error(`[Supabase] Content hash update failed - video ${videoId} not found`);
+    return false;
+
+  } catch (error) {
+    logger.error(`[Supabase] Content hash update error:`, error);
+    return false;
+  }
+}
+
+/**
+ * Record a video's EBU R128 loudness measurements
+ * @param {string} videoId - ID of the video in Supabase
+ * @param {Object} loudness - { integratedLufs, truePeakDbtp, loudnessRange, normalized, targetLufs, ... }
+ * @returns {Promise<boolean>} - Success status
+ */
+async function updateAudioLoudness(videoId, loudness) {
+  if (!videoId || !loudness) {
+    logger.error('[Supabase] Missing videoId or loudness for audio loudness update');
+    return false;
+  }
+
+  try {
+    if (!serviceClient) {
+      serviceClient = initServiceClient();
+    }
+
+    if (!serviceClient) {
+      logger.warn('[Supabase] Service client not available for audio loudness update');
+      return false;
+    }
+
+    const { data, error } = await serviceClient
+      .from('videos')
+      .update({
+        audio_loudness: loudness,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', videoId)
+      .select('id');
+
+    if (error) {
+      logger.error(`[Supabase] Failed to update audio loudness:`, error);
+      return false;
+    }
+
+    if (!data || data.length === 0) {
+      logger.warn(`[Supabase] Audio loudness not recorded - video ${videoId} not found`);
+      return false;
+    }
+
+    logger.info(`[Supabase] Audio loudness recorded for video ${videoId}: ${loudness.integratedLufs} LUFS, ${loudness.truePeakDbtp} dBTP`);
+    return true;
+
+  } catch (error) {
+    logger.error(`[Supabase] Audio loudness update error:`, error);
+    return false;
+  }
+}
+
+/**
+ * Find an existing video with the same whole-file SHA-256
+ * @param {string} contentSha256 - Lowercase hex SHA-256
+ * @param {string} [ownerId] - Only match videos owned by this user (VIDEO_OWNER_COLUMN)
+ * @returns {Promise<Object|null>} - Matching video row, or null if none (or Supabase is unavailable)
+ */
+async function findVideoByContentHash(contentSha256, ownerId = null) {
+  if (!contentSha256) {
+    return null;
+  }
+
+  try {
+    if (!serviceClient) {
+      serviceClient = initServiceClient();
+    }
+
+    if (!serviceClient) {
+      logger.warn('[Supabase] Service client not available for content hash lookup');
+      return null;
+    }
+
+    let query = serviceClient
+      .from('videos')
+      .select('id, storage_url, thumbnail_url, duration, width, height, original_filename')
+      .eq('content_sha256', contentSha256)
+      .not('storage_url', 'is', null);
+
+    if (ownerId) {
+      query = query.eq(config.auth.ownerColumn, ownerId);
+    }
+
+    // Soft-deleted videos have hidden files - they cannot be reused
+    if (config.softDelete.enabled) {
+      query = query.is('deleted_at', null);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      logger.error(`[Supabase] Content hash lookup failed:`, error);
+      return null;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+
+  } catch (error) {
+    logger.error(`[Supabase] Content hash lookup error:`, error);
+    return null;
+  }
+}
+
+/**
+ * Read the HLS ladder settings recorded on a video
+ * The frontend may set hls_profile when it creates the row; hls_ladder and transcode_job_id are written when a job starts.
+ * @param {string} videoId - ID of the video in Supabase
+ * @returns {Promise<Object|null>} - { hls_profile, hls_ladder, transcode_job_id }, or null if not found (or Supabase is unavailable)
+ */
+async function getHlsSettings(videoId) {
+  if (!videoId) {
+    return null;
+  }
+
+  try {
+    if (!serviceClient) {
+      serviceClient = initServiceClient();
+    }
+
+    if (!serviceClient) {
+      logger.warn('[Supabase] Service client not available for HLS settings lookup');
+      return null;
+    }
+
+    const { data, error } = await serviceClient
+      .from('videos')
+      .select('hls_profile, hls_ladder, transcode_job_id')
+      .eq('id', videoId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`[Supabase] HLS settings lookup failed:`, error);
+      return null;
+    }
+
+    return data || null;
+
+  } catch (error) {
+    logger.error(`[Supabase] HLS settings lookup error:`, error);
+    return null;
+  }
+}
+
+/**
+ * Look up who owns a video (VIDEO_OWNER_COLUMN)
+ * @param {string} videoId - ID of the video in Supabase
+ * @returns {Promise<Object|null>} - { exists, ownerId }, or null if the lookup failed (or Supabase is unavailable)
+ */
+async function getVideoOwner(videoId) {
+  try {
+    if (!serviceClient) {
+      serviceClient = initServiceClient();
+    }
+
+    if (!serviceClient) {
+      logger.warn('[Supabase] Service client not available for video owner lookup');
+      return null;
+    }
+
+    const { data, error } = await serviceClient
+      .from('videos')
+      .select(`id, ${config.auth.ownerColumn}`)
+      .eq('id', videoId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`[Supabase] Video owner lookup failed:`, error);
+      return null;
+    }
+
+    return data
+      ? { exists: true, ownerId: data[config.auth.ownerColumn] || null }
+      : { exists: false, ownerId: null };
+
+  } catch (error) {
+    logger.error(`[Supabase] Video owner lookup error:`, error);
+    return null;
+  }
+}
+
+/**
+ * Find videos columns the configured features need but the table lacks
+ * Run at startup: a missing column would otherwise turn every lookup that selects it into an error.
+ * @returns {Promise<string[]|null>} - Missing columns, or null if the check could not run (Supabase unavailable)
+ */
+async function findMissingVideoColumns() {
+  const columns = ['hls_status', 'hls_url', 'transcode_job_id', 'hls_progress', 'hls_variants', 'hls_profile', 'hls_ladder'];
+  if (config.softDelete.enabled) {
+    columns.push('deleted_at');
+  }
+  if (config.auth.enabled) {
+    columns.push(config.auth.ownerColumn);
+  }
+
+  if (!serviceClient) {
+    serviceClient = initServiceClient();
+  }
+
+  if (!serviceClient) {
+    return null;
+  }
+
+  const missing = [];
+  for (const column of columns) {
+    const { error } = await serviceClient.from('videos').select(column).limit(1);
+    if (error && error.code === '42703') {
+      missing.push(column);
+    } else if (error) {
+      logger.warn(`[Supabase] Could not check videos columns: ${error.message}`);
+      return null;
+    }
+  }
+  return missing;
+}
+
 module.exports = {
   updateVideoMetadata,
   updateThumbnail,
   updateHlsStatus,
+  getHlsSettings,
+  getVideoOwner,
+  updateContentHash,
+  updateAudioLoudness,
+  findVideoByContentHash,
   isSupabaseAvailable,
-  getServiceClient: () => serviceClient
+  findMissingVideoColumns,
+  getServiceClient: () => serviceClient || (serviceClient = initServiceClient())
 };
\ No newline at end of file
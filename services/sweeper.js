@@ -0,0 +1,351 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { getDataPath, readJsonFile, writeJsonFileAtomic } = require('../utils/persistence');
+const { parseCronExpression } = require('../utils/cron');
+const { getStorage } = require('./storage');
+const multipartUploader = require('./multipart-uploader');
+const { runOrphanCleanup } = require('./orphan-cleanup');
+const { purgeExpiredDeletes } = require('./video-deletion');
+
+/**
+ * Background sweeper
+ * Every SWEEPER_INTERVAL_MINUTES it:
+ *   - forgets upload sessions idle for INCOMPLETE_UPLOAD_CLEANUP_HOURS and cancels unfinished
+ *     large files that no live session owns and that have had no part for that long
+ *   - removes files in uploads/chunks and uploads/temp untouched for STALE_UPLOAD_FILE_HOURS
+ *   - purges soft-deleted videos whose deleted_at is older than SOFT_DELETE_RETENTION_DAYS
+ * and, when ORPHAN_SCAN_SCHEDULE is set, runs the orphaned file scan on that cron schedule.
+ * Recent results are kept in {DATA_DIR}/sweeper-state.json for GET /sweeper/status.
+ */
+
+const STATE_FILE = 'sweeper-state.json';
+const SCHEDULE_TICK_MS = 60 * 1000;
+
+// Buckets that receive multipart (large file) uploads
+const LARGE_FILE_BUCKETS = ['video'];
+
+const state = readJsonFile(getDataPath(STATE_FILE), null) || {
+  lastSweep: null,
+  lastOrphanScan: null,
+  history: []
+};
+
+let running = null;
+
+function saveState() {
+  writeJsonFileAtomic(getDataPath(STATE_FILE), state);
+}
+
+/**
+ * Time of the newest part uploaded to a large file
+ * @param {Object} storage - Storage adapter
+ * @param {string} fileId - Large file ID
+ * @returns {Promise<number|null>} - Timestamp in milliseconds, or null if it has no parts
+ */
+async function getLastPartTimestamp(storage, fileId) {
+  let newest = null;
+  let startPartNumber = 1;
+
+  while (startPartNumber) {
+    const page = await storage.listParts(fileId, { startPartNumber: startPartNumber, maxPartCount: 1000 });
+    page.parts.forEach(part => {
+      if (part.uploadTimestamp && (newest === null || part.uploadTimestamp > newest)) {
+        newest = part.uploadTimestamp;
+      }
+    });
+    startPartNumber = page.nextPartNumber;
+  }
+
+  return newest;
+}
+
+/**
+ * Cancel unfinished large files that have been idle past the incomplete upload threshold
+ * Files owned by a live upload session are skipped; for the rest, the newest part (or the
+ * start time when there are no parts) must be older than the cutoff.
+ * @param {number} cutoff - Files idle since before this timestamp are cancelled
+ * @returns {Promise<Object>} - { scanned, cancelled, skippedLive, files, errors }
+ */
+async function sweepAbandonedLargeFiles(cutoff) {
+  const result = { scanned: 0, cancelled: 0, skippedLive: 0, sessionsForgotten: 0, files: [], errors: [] };
+  const storage = getStorage();
+
+  result.sessionsForgotten = multipartUploader.cleanupOldUploads();
+  const liveFileIds = multipartUploader.getLiveLargeFileIds();
+
+  for (const bucket of LARGE_FILE_BUCKETS) {
+    let cursor = null;
+    const candidates = [];
+
+    try {
+      do {
+        const page = await storage.listUnfinishedLargeFiles(bucket, { cursor: cursor, maxFileCount: 100 });
+        result.scanned += page.files.length;
+        page.files.forEach(file => {
+          if (liveFileIds.has(file.fileId)) {
+            result.skippedLive++;
+          } else if (file.uploadTimestamp && file.uploadTimestamp < cutoff) {
+            candidates.push(file);
+          }
+        });
+        cursor = page.nextCursor;
+      } while (cursor);
+    } catch (error) {
+      logger.error(`❌ Failed to list unfinished large files in ${bucket}:`, error);
+      result.errors.push({ bucket: bucket, fileName: null, error: error.message });
+      continue;
+    }
+
+    // Cancel after listing so the cursor is not invalidated mid-scan
+    for (const file of candidates) {
+      try {
+        const lastPartAt = await getLastPartTimestamp(storage, file.fileId);
+        if (lastPartAt && lastPartAt >= cutoff) {
+          continue;
+        }
+
+        logger.info(`🧹 Cancelling abandoned large file: ${file.fileName} (${file.fileId})`);
+        await storage.cancelLargeFile(file.fileId);
+        result.cancelled++;
+        result.files.push({
+          bucket: bucket,
+          fileName: file.fileName,
+          fileId: file.fileId,
+          startedAt: new Date(file.uploadTimestamp).toISOString(),
+          lastPartAt: lastPartAt ? new Date(lastPartAt).toISOString() : null
+        });
+      } catch (error) {
+        logger.error(`❌ Failed to cancel large file ${file.fileName}:`, error);
+        result.errors.push({ bucket: bucket, fileName: file.fileName, error: error.message });
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Newest modification time of a file, or of anything inside a directory
+ * @param {string} entryPath - File or directory path
+ * @returns {number} - mtime in milliseconds
+ */
+function newestMtime(entryPath) {
+  const stats = fs.statSync(entryPath);
+  if (!stats.isDirectory()) {
+    return stats.mtimeMs;
+  }
+  return fs.readdirSync(entryPath).reduce(
+    (newest, name) => Math.max(newest, newestMtime(path.join(entryPath, name))),
+    stats.mtimeMs
+  );
+}
+
+/**
+ * Remove stale entries from the local upload working directories
+ * @param {number} cutoff - Entries last modified before this timestamp are removed
+ * @returns {Promise<Object>} - { removed, bytesFreed, errors }
+ */
+async function sweepStaleLocalFiles(cutoff) {
+  const result = { removed: 0, bytesFreed: 0, errors: [] };
+  const directories = [...new Set(['uploads/chunks', 'uploads/temp', config.ffmpeg.tempDir].map(dir => path.resolve(dir)))];
+
+  for (const dir of directories) {
+    if (!fs.existsSync(dir)) {
+      continue;
+    }
+
+    for (const name of fs.readdirSync(dir)) {
+      const entryPath = path.join(dir, name);
+      try {
+        if (newestMtime(entryPath) >= cutoff) {
+          continue;
+        }
+        const stats = fs.statSync(entryPath);
+        await fs.promises.rm(entryPath, { recursive: true, force: true });
+        result.removed++;
+        result.bytesFreed += stats.isDirectory() ? 0 : stats.size;
+        logger.debug(`🧹 Removed stale upload file: ${entryPath}`);
+      } catch (error) {
+        // Entries can disappear while we look at them (an upload finishing) - that is fine
+        if (error.code !== 'ENOENT') {
+          result.errors.push({ path: entryPath, error: error.message });
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Record a finished run in the persisted history
+ * @param {Object} run - Run summary
+ */
+function recordRun(run) {
+  state.history.unshift(run);
+  state.history = state.history.slice(0, config.sweeper.maxHistory);
+  saveState();
+}
+
+/**
+ * Run one sweep: abandoned large files, stale local files and expired soft deletes
+ * @param {string} trigger - 'interval' or 'api'
+ * @returns {Promise<Object>} - Sweep result
+ */
+async function runSweep(trigger = 'interval') {
+  if (running) {
+    return running;
+  }
+
+  running = (async () => {
+    const startedAt = Date.now();
+    const run = {
+      type: 'sweep',
+      trigger: trigger,
+      startTime: new Date(startedAt).toISOString(),
+      endTime: null,
+      largeFiles: null,
+      localFiles: null,
+      softDeletes: null
+    };
+
+    logger.info(`🧹 Sweeper run started (${trigger})`);
+
+    if (config.multipart.autoCleanupIncompleteUploads) {
+      run.largeFiles = await sweepAbandonedLargeFiles(startedAt - config.multipart.incompleteUploadCleanupHours * 60 * 60 * 1000);
+    } else {
+      run.largeFiles = { skipped: 'AUTO_CLEANUP_INCOMPLETE_UPLOADS is false' };
+    }
+    run.localFiles = await sweepStaleLocalFiles(startedAt - config.sweeper.staleFileHours * 60 * 60 * 1000);
+
+    if (config.softDelete.enabled) {
+      run.softDeletes = await purgeExpiredDeletes();
+    } else {
+      run.softDeletes = { skipped: 'SOFT_DELETE_RETENTION_DAYS is 0' };
+    }
+
+    run.endTime = new Date().toISOString();
+    state.lastSweep = run.endTime;
+    recordRun(run);
+
+    logger.info(`✅ Sweeper run finished`, {
+      largeFilesCancelled: run.largeFiles.cancelled || 0,
+      localFilesRemoved: run.localFiles.removed,
+      softDeletesPurged: run.softDeletes.purged || 0
+    });
+    return run;
+  })();
+
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+/**
+ * Run the scheduled orphaned file scan and record a summary
+ * @returns {Promise<Object>} - Run summary with the cleanup report ID
+ */
+async function runScheduledOrphanScan() {
+  const report = await runOrphanCleanup({
+    dryRun: config.sweeper.orphanScanDryRun,
+    trigger: 'schedule',
+    requestedBy: 'sweeper'
+  });
+
+  state.lastOrphanScan = report.endTime;
+  const run = {
+    type: 'orphan_scan',
+    trigger: 'schedule',
+    startTime: report.startTime,
+    endTime: report.endTime,
+    reportId: report.reportId,
+    status: report.status,
+    dryRun: report.dryRun,
+    totals: report.totals
+  };
+  recordRun(run);
+  return run;
+}
+
+/**
+ * Start the sweeper timers
+ * @returns {Object} - { stop }
+ */
+function startSweeper() {
+  if (!config.sweeper.enabled) {
+    logger.info('🧹 Sweeper disabled (ENABLE_SWEEPER=false)');
+    if (config.softDelete.enabled) {
+      logger.warn('⚠️ Soft-deleted videos will not be purged while the sweeper is disabled');
+    }
+    return { stop: () => {} };
+  }
+
+  let schedule = null;
+  if (config.sweeper.orphanScanSchedule) {
+    try {
+      schedule = parseCronExpression(config.sweeper.orphanScanSchedule);
+    } catch (error) {
+      logger.error(`❌ ${error.message} - scheduled orphan scans are disabled`);
+    }
+  }
+
+  const sweepTimer = setInterval(() => {
+    runSweep('interval').catch(error => logger.error('❌ Sweeper run failed:', error));
+  }, config.sweeper.intervalMinutes * 60 * 1000);
+  sweepTimer.unref();
+
+  let lastScheduledMinute = null;
+  const scheduleTimer = schedule && setInterval(() => {
+    const now = new Date();
+    const minute = Math.floor(now.getTime() / SCHEDULE_TICK_MS);
+    if (minute === lastScheduledMinute || !schedule.matches(now)) {
+      return;
+    }
+    lastScheduledMinute = minute;
+    runScheduledOrphanScan().catch(error => logger.error('❌ Scheduled orphan scan failed:', error));
+  }, SCHEDULE_TICK_MS);
+  if (scheduleTimer) {
+    scheduleTimer.unref();
+  }
+
+  logger.info(`✅ Sweeper started (every ${config.sweeper.intervalMinutes} min${schedule ? `, orphan scan "${schedule.expression}"${config.sweeper.orphanScanDryRun ? ' dry run' : ''}` : ''})`);
+
+  return {
+    stop: () => {
+      clearInterval(sweepTimer);
+      if (scheduleTimer) {
+        clearInterval(scheduleTimer);
+      }
+    }
+  };
+}
+
+/**
+ * Sweeper configuration and recent results
+ * @returns {Object} - Status for GET /sweeper/status
+ */
+function getSweeperStatus() {
+  return {
+    enabled: config.sweeper.enabled,
+    running: Boolean(running),
+    intervalMinutes: config.sweeper.intervalMinutes,
+    incompleteUploadCleanupHours: config.multipart.autoCleanupIncompleteUploads ? config.multipart.incompleteUploadCleanupHours : null,
+    staleFileHours: config.sweeper.staleFileHours,
+    softDeleteRetentionDays: config.softDelete.enabled ? config.softDelete.retentionDays : null,
+    orphanScanSchedule: config.sweeper.orphanScanSchedule,
+    orphanScanDryRun: config.sweeper.orphanScanDryRun,
+    lastSweep: state.lastSweep,
+    lastOrphanScan: state.lastOrphanScan,
+    history: state.history
+  };
+}
+
+module.exports = {
+  startSweeper,
+  runSweep,
+  getSweeperStatus
+};
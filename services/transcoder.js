@@ -0,0 +1,94 @@
+/**
+ * HLS Transcoder Selection
+ *
+ * Routes call createHlsJob() here; HLS_TRANSCODER picks the implementation:
+ *   - coconut: hosted Coconut.co API, results arrive via /api/coconut/webhook (default)
+ *   - local:   FFmpeg on this server via the background queue (services/hls-transcoder.js)
+ */
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { resolveLadder, resolveLadderAudio, getLadderProfile, isRecordedLadder } = require('./hls-ladder');
+const { getHlsSettings } = require('./supabase');
+
+const TRANSCODERS = {
+  coconut: () => require('./coconut'),
+  local: () => require('./hls-transcoder')
+};
+
+/**
+ * Get the transcoder module selected by config.hls.transcoder
+ * @returns {Object} - Module exposing createHlsJob(videoId, sourceUrl, options)
+ */
+function getTranscoder() {
+  const name = config.hls.transcoder;
+  if (!TRANSCODERS[name]) {
+    logger.warn(`⚠️ Unknown HLS transcoder '${name}', falling back to coconut`);
+    return TRANSCODERS.coconut();
+  }
+  return TRANSCODERS[name]();
+}
+
+/**
+ * Start HLS transcoding with the configured transcoder
+ * @param {string} videoId - Supabase video record ID
+ * @param {string} sourceUrl - Public B2 URL of the uploaded source video
+ * @param {Object} [options]
+ * @param {Object} [options.ladder] - Ladder from resolveVideoLadder() (default: HLS_DEFAULT_PROFILE)
+ * @returns {Promise<Object|null>} - { jobId, hlsUrl } on success, null if skipped
+ */
+async function createHlsJob(videoId, sourceUrl, options = {}) {
+  return getTranscoder().createHlsJob(videoId, sourceUrl, options);
+}
+
+/**
+ * Work out which ladder a video should be encoded with
+ * An explicit profile wins. Otherwise the ladder recorded by the video's last job is reused
+ * (so re-transcodes are reproducible), then the video's hls_profile, then HLS_DEFAULT_PROFILE.
+ * Rung and audio overrides apply on top of whichever ladder is chosen.
+ * @param {string} videoId - Supabase video record ID
+ * @param {Object} [selection]
+ * @param {string} [selection.profile] - Profile name from the request or upload session
+ * @param {Array<string|Object>} [selection.ladder] - Rung overrides (see resolveLadder)
+ * @param {Object} [selection.audio] - { normalize, audioOnly } overrides (see resolveLadderAudio)
+ * @param {Object} [video] - Row with hls_profile and hls_ladder, if the caller has already read it
+ * @returns {Promise<Object>} - Ladder ({ profile, codec, quality, rungs, audio })
+ * @throws {Error} - code INVALID_LADDER for an unknown profile or bad overrides
+ */
+async function resolveVideoLadder(videoId, { profile, ladder: overrides, audio } = {}, video = null) {
+  if (profile) {
+    return resolveLadder(overrides, profile, audio);
+  }
+
+  // A recorded ladder is only reused while hls_profile still names it (the frontend may have changed it)
+  const recorded = video || await getHlsSettings(videoId);
+  if (recorded && (overrides === undefined || overrides === null) && isRecordedLadder(recorded.hls_ladder) &&
+      (!recorded.hls_profile || recorded.hls_profile === recorded.hls_ladder.profile)) {
+    const ladder = recorded.hls_ladder;
+    // Ladders recorded before audio outputs existed had none
+    return audio ? { ...ladder, audio: resolveLadderAudio(audio, ladder.audio || {}) } : ladder;
+  }
+
+  let recordedProfile = recorded && recorded.hls_profile;
+  if (recordedProfile) {
+    try {
+      getLadderProfile(recordedProfile);
+    } catch (error) {
+      // Profile removed from config since the video was recorded - not the caller's fault
+      logger.warn(`⚠️ Video ${videoId} has unknown HLS profile '${recordedProfile}', using ${config.hls.defaultProfile}`);
+      recordedProfile = null;
+    }
+  }
+
+  return resolveLadder(overrides, recordedProfile || undefined, audio);
+}
+
+// Load the local transcoder at startup so jobs rehydrated after a restart have a handler
+if (config.hls.transcoder === 'local') {
+  getTranscoder();
+}
+
+module.exports = {
+  createHlsJob,
+  resolveVideoLadder,
+  getTranscoder
+};
@@ -4,6 +4,7 @@ const { updateUploadStatus, completeUploadStatus, failUploadStatus } = require('
 const { generateUniqueFilename, getUploadPath } = require('../utils/directory');
 const b2Service = require('./b2');
 const ffmpegService = require('./ffmpeg');
+const { updateContentHash } = require('./supabase');
 
 /**
  * Upload Processor Service
@@ -17,9 +18,11 @@ const ffmpegService = require('./ffmpeg');
  * @param {string} tempFilePath - Path to the video file to process
  * @param {string} originalName - Original filename from client
  * @param {string} videoId - Optional video ID for frontend reference
+ * @param {Object} options - Additional processing options
+ * @param {string} options.contentSha256 - Whole-file SHA-256 computed while the file was received
  * @returns {Promise<Object>} - Processing result with URLs and metadata
  */
-async function processVideo(uploadId, tempFilePath, originalName, videoId) {
+async function processVideo(uploadId, tempFilePath, originalName, videoId, options = {}) {
   let thumbnailPath = null;
   let videoMetadata = null;
   
@@ -124,7 +127,7 @@ async function processVideo(uploadId, tempFilePath, originalName, videoId) {
       console.log(`🧹 Temp file cleaned up: ${tempFilePath}`);
     }
     
-    // Step 5: Complete with full data (no database update from server)
+    // Step 5: Complete with full data (only the content hash is written to the database)
     // Ensure metadata includes videoUrl and thumbnailUrl as expected by frontend
     const metadata = videoMetadata ? {
       duration: parseFloat(videoMetadata.duration) || 0,
@@ -148,10 +151,20 @@ async function processVideo(uploadId, tempFilePath, originalName, videoId) {
     
     console.log(`📊 Final metadata structure:`, JSON.stringify(metadata, null, 2));
     
+    // Record the content hash with the video so later uploads of the same file can reuse it
+    const contentSha256 = options.contentSha256 || null;
+    if (contentSha256 && videoId) {
+      const hashRecorded = await updateContentHash(videoId, contentSha256);
+      if (!hashRecorded) {
+        console.warn(`⚠️ Could not record content hash for video ${videoId} (non-fatal)`);
+      }
+    }
+    
     const finalData = {
       videoUrl,
       thumbnailUrl: thumbnailUrl,
       metadata: metadata,
+      contentSha256: contentSha256,
       uploadComplete: true,
       publishReady: true,
       completedAt: new Date().toISOString(),
@@ -0,0 +1,757 @@
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { registerJobHandler } = require('../utils/upload-queue');
+const { canAccess } = require('../middleware/auth');
+const { getServiceClient } = require('./supabase');
+const b2Service = require('./b2');
+const { getStorage, getFileNameFromUrl } = require('./storage');
+
+/**
+ * Video deletion
+ * DELETE /video/:videoId marks the row with deleted_at and hides the video, thumbnail and
+ * HLS files (B2 hide markers; the local and S3 drivers move them aside). The sweeper purges
+ * rows whose deleted_at is older than SOFT_DELETE_RETENTION_DAYS; until then
+ * POST /video/:videoId/restore undoes the delete. Restore and purge work from the row alone
+ * (its URLs plus the hidden files under its HLS prefix), so nothing depends on local state.
+ * Permanent deletes use the two-phase delete (storage first, then the row). POST /video/bulk-delete
+ * runs either for many videos in a video_bulk_delete job.
+ *
+ * A duplicate upload can reuse another video's storage_url and thumbnail_url, so a video or
+ * thumbnail file is only hidden or removed once no other row uses it (see findSharedFiles).
+ */
+
+const PAGE_SIZE = 1000; // PostgREST returns at most 1000 rows per request by default
+const PURGE_BATCH_SIZE = 100; // Expired soft deletes purged per sweeper run
+
+function hlsPrefix(videoId) {
+  return `${videoId}/hls/`;
+}
+
+/**
+ * End of the restore window for a soft delete
+ * @param {string|Date} deletedAt - The row's deleted_at
+ * @returns {Date} - When the video becomes due for purging
+ */
+function getPurgeAfter(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + config.softDelete.retentionDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Create an error with a code the routes map to an HTTP status
+ */
+function deletionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function requireSupabase() {
+  const supabase = getServiceClient();
+  if (!supabase) {
+    throw new Error('Supabase client not available');
+  }
+  return supabase;
+}
+
+/**
+ * List every stored file that belongs to a video
+ * @param {string} videoId - Video ID
+ * @param {Object} video - Row with storage_url, thumbnail_url and hls_status
+ * @returns {Promise<Array>} - [{ bucket, fileName }]
+ */
+async function listVideoFiles(videoId, video) {
+  const files = [];
+
+  const videoFileName = getFileNameFromUrl(video.storage_url);
+  if (videoFileName) {
+    files.push({ bucket: 'video', fileName: videoFileName });
+  }
+
+  const thumbnailFileName = getFileNameFromUrl(video.thumbnail_url);
+  if (thumbnailFileName) {
+    files.push({ bucket: 'thumbnail', fileName: thumbnailFileName });
+  }
+
+  if (video.hls_status) {
+    const storage = getStorage();
+    let cursor = null;
+    do {
+      const page = await storage.listFiles('hls', { prefix: hlsPrefix(videoId), cursor: cursor, maxFileCount: 1000 });
+      page.files.forEach(file => files.push({ bucket: 'hls', fileName: file.fileName }));
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  return files;
+}
+
+// Row columns holding the URL of each shareable file, by bucket
+const SHAREABLE_COLUMNS = { video: 'storage_url', thumbnail: 'thumbnail_url' };
+
+/**
+ * Find which of a video's files another row still uses
+ * @param {string} videoId - Video being deleted
+ * @param {Object} video - Row with storage_url and thumbnail_url
+ * @param {Object} options - Options
+ * @param {boolean} options.includeDeleted - Also count soft-deleted rows (they may still be restored)
+ * @returns {Promise<Set<string>>} - Buckets ('video', 'thumbnail') whose file must be kept
+ */
+async function findSharedFiles(videoId, video, { includeDeleted = false } = {}) {
+  const supabase = requireSupabase();
+  const shared = new Set();
+
+  for (const [bucket, column] of Object.entries(SHAREABLE_COLUMNS)) {
+    if (!video[column]) {
+      continue;
+    }
+
+    let query = supabase
+      .from('videos')
+      .select('id')
+      .eq(column, video[column])
+      .neq('id', videoId);
+
+    if (config.softDelete.enabled && !includeDeleted) {
+      query = query.is('deleted_at', null);
+    }
+
+    const { data, error } = await query.limit(1);
+    if (error) {
+      throw new Error(`Failed to check other videos using ${column}: ${error.message}`);
+    }
+    if (data.length > 0) {
+      logger.info(`🔗 Keeping ${bucket} file of video ${videoId} - also used by video ${data[0].id}`);
+      shared.add(bucket);
+    }
+  }
+
+  return shared;
+}
+
+/**
+ * List the files of a soft-deleted video from its row
+ * Video and thumbnail come from the row's URLs (they may have been kept visible for another
+ * row); HLS files are the hidden ones under the video's prefix
+ * @param {string} videoId - Video ID
+ * @param {Object} video - Row with storage_url and thumbnail_url
+ * @returns {Promise<Array>} - [{ bucket, fileName }]
+ */
+async function listDeletedVideoFiles(videoId, video) {
+  const storage = getStorage();
+  const files = [];
+
+  for (const [bucket, column] of Object.entries(SHAREABLE_COLUMNS)) {
+    const fileName = getFileNameFromUrl(video[column]);
+    if (fileName) {
+      files.push({ bucket: bucket, fileName: fileName });
+    }
+  }
+
+  let cursor = null;
+  do {
+    const page = await storage.listHiddenFiles('hls', { prefix: hlsPrefix(videoId), cursor: cursor, maxFileCount: 1000 });
+    page.files.forEach(file => files.push({ bucket: 'hls', fileName: file.fileName }));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return files;
+}
+
+/**
+ * Load the columns restore and purge need
+ * @param {string} videoId - Video ID
+ * @returns {Promise<Object|null>} - Row with deleted_at, storage_url and thumbnail_url
+ */
+async function loadDeletedVideo(videoId) {
+  const { data, error } = await requireSupabase()
+    .from('videos')
+    .select('id, deleted_at, storage_url, thumbnail_url')
+    .eq('id', videoId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database lookup failed: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Create an empty per-video deletion report
+ * @param {string} videoId - Video ID
+ * @returns {Object} - Report filled in by the deletion phases
+ */
+function createDeletionReport(videoId) {
+  return {
+    videoId: videoId,
+    mode: null,
+    videoDeletion: { attempted: false, success: false, filename: null, shared: false, error: null },
+    thumbnailDeletion: { attempted: false, success: false, filename: null, shared: false, error: null },
+    hlsDeletion: { attempted: false, success: false, filesDeleted: 0, error: null },
+    databaseDeletion: { attempted: false, success: false, error: null },
+    softDeletion: { attempted: false, success: false, deletedAt: null, purgeAfter: null, filesHidden: 0, error: null },
+    overallSuccess: false,
+    error: null,
+    errorCode: null
+  };
+}
+
+/**
+ * Permanently delete a video with the two-phase delete
+ * Storage files (video, thumbnail, HLS) go first; the database row is only removed
+ * if the storage deletion succeeded or the files were already gone
+ * @param {string} videoId - Video ID
+ * @param {Object} video - Row with storage_url, thumbnail_url and hls_status
+ * @param {Object} deletionReport - Report from createDeletionReport(), filled in place
+ * @returns {Promise<Object>} - The deletion report
+ */
+async function deleteVideoPermanently(videoId, video, deletionReport = createDeletionReport(videoId)) {
+  const supabase = requireSupabase();
+  deletionReport.mode = 'permanent';
+
+  // Files another row still uses are left in place (counted as deleted for this video)
+  const sharedFiles = await findSharedFiles(videoId, video, { includeDeleted: true });
+
+  // PHASE 2: Delete from B2 Storage
+  logger.info(`🗑️ Phase 2: Deleting files from B2 storage`);
+  
+  // Extract video filename
+  let videoFilename = null;
+  // FIXED: Only use storage_url since 'url' column doesn't exist
+  let sourceUrl = video.storage_url || '';
+  
+  if (sourceUrl) {
+    // Remove query parameters
+    if (sourceUrl.includes('?')) {
+      sourceUrl = sourceUrl.split('?')[0];
+    }
+    
+    // Get filename from URL
+    const parts = sourceUrl.split('/');
+    videoFilename = parts[parts.length - 1];
+    deletionReport.videoDeletion.filename = videoFilename;
+    
+    logger.info(`📌 Video filename to delete: ${videoFilename}`);
+  }
+  
+  // Delete video file from B2
+  if (videoFilename && sharedFiles.has('video')) {
+    deletionReport.videoDeletion.shared = true;
+    deletionReport.videoDeletion.success = true;
+  } else if (videoFilename) {
+    deletionReport.videoDeletion.attempted = true;
+    try {
+      const videoDeleted = await b2Service.deleteFile(videoFilename, 'video');
+      deletionReport.videoDeletion.success = videoDeleted;
+      
+      if (videoDeleted) {
+        logger.info(`✅ Successfully deleted video file from B2: ${videoFilename}`);
+      } else {
+        logger.warn(`⚠️ Video file not found in B2: ${videoFilename}`);
+      }
+    } catch (videoError) {
+      logger.error(`❌ Error deleting video from B2:`, videoError);
+      deletionReport.videoDeletion.error = videoError.message;
+    }
+  }
+  
+  // Delete thumbnail file from B2
+  if (video.thumbnail_url) {
+    let thumbnailUrl = video.thumbnail_url;
+    if (thumbnailUrl.includes('?')) {
+      thumbnailUrl = thumbnailUrl.split('?')[0];
+    }
+    const thumbnailParts = thumbnailUrl.split('/');
+    const thumbnailFilename = thumbnailParts[thumbnailParts.length - 1];
+    
+    if (thumbnailFilename && sharedFiles.has('thumbnail')) {
+      deletionReport.thumbnailDeletion.filename = thumbnailFilename;
+      deletionReport.thumbnailDeletion.shared = true;
+      deletionReport.thumbnailDeletion.success = true;
+    } else if (thumbnailFilename) {
+      deletionReport.thumbnailDeletion.filename = thumbnailFilename;
+      deletionReport.thumbnailDeletion.attempted = true;
+      
+      try {
+        logger.info(`📌 Attempting to delete thumbnail: ${thumbnailFilename}`);
+        const thumbnailDeleted = await b2Service.deleteFile(
+          thumbnailFilename, 
+          'thumbnail'
+        );
+        deletionReport.thumbnailDeletion.success = thumbnailDeleted;
+        
+        if (thumbnailDeleted) {
+          logger.info(`✅ Successfully deleted thumbnail from B2: ${thumbnailFilename}`);
+        } else {
+          logger.warn(`⚠️ Thumbnail file not found in B2: ${thumbnailFilename}`);
+        }
+      } catch (thumbError) {
+        logger.error(`❌ Error deleting thumbnail from B2:`, thumbError);
+        deletionReport.thumbnailDeletion.error = thumbError.message;
+      }
+    }
+  }
+  
+  // PHASE 2b: Delete HLS files from HLS bucket (if HLS was enabled for this video)
+  if (video.hls_status) {
+    deletionReport.hlsDeletion.attempted = true;
+    try {
+      logger.info(`🎬 Deleting HLS files for video: ${videoId}`);
+      
+      const storage = getStorage();
+      
+      // List all files with prefix {videoId}/ in the HLS bucket
+      let hlsFilesDeleted = 0;
+      let cursor = null;
+      
+      do {
+        const listResponse = await storage.listFiles('hls', {
+          prefix: `${videoId}/`,
+          maxFileCount: 1000,
+          cursor: cursor
+        });
+        
+        for (const file of listResponse.files) {
+          try {
+            await storage.deleteFile('hls', file.fileName, file.fileId);
+            hlsFilesDeleted++;
+          } catch (delErr) {
+            logger.warn(`⚠️ Failed to delete HLS file ${file.fileName}:`, delErr.message);
+          }
+        }
+        
+        cursor = listResponse.nextCursor;
+      } while (cursor);
+      
+      deletionReport.hlsDeletion.filesDeleted = hlsFilesDeleted;
+      deletionReport.hlsDeletion.success = true;
+      logger.info(`✅ Deleted ${hlsFilesDeleted} HLS files for video ${videoId}`);
+      
+    } catch (hlsError) {
+      logger.error(`❌ HLS cleanup error:`, hlsError);
+      deletionReport.hlsDeletion.error = hlsError.message;
+    }
+  }
+  
+  // PHASE 3: Delete from database (only if at least one storage deletion succeeded)
+  const storageDeleted = deletionReport.videoDeletion.success || deletionReport.thumbnailDeletion.success;
+  const storageNotFound = !deletionReport.videoDeletion.success && !deletionReport.thumbnailDeletion.success && 
+                         deletionReport.videoDeletion.attempted && !deletionReport.videoDeletion.error;
+  
+  if (storageDeleted || storageNotFound) {
+    logger.info(`💾 Phase 3: Deleting video record from database`);
+    deletionReport.databaseDeletion.attempted = true;
+    
+    try {
+      const { error: deleteError } = await supabase
+        .from('videos')
+        .delete()
+        .eq('id', videoId);
+      
+      if (deleteError) {
+        logger.error(`❌ Database deletion failed:`, deleteError);
+        deletionReport.databaseDeletion.error = deleteError.message;
+      } else {
+        deletionReport.databaseDeletion.success = true;
+        logger.info(`✅ Successfully deleted video record from database`);
+      }
+    } catch (dbError) {
+      logger.error(`❌ Database deletion error:`, dbError);
+      deletionReport.databaseDeletion.error = dbError.message;
+    }
+  } else {
+    logger.warn(`⚠️ Skipping database deletion due to storage deletion failures`);
+  }
+  
+  // Determine overall success
+  deletionReport.overallSuccess = (
+    (deletionReport.videoDeletion.success || !deletionReport.videoDeletion.attempted || storageNotFound) &&
+    (deletionReport.thumbnailDeletion.success || !deletionReport.thumbnailDeletion.attempted || storageNotFound) &&
+    deletionReport.databaseDeletion.success
+  );
+  
+
+  return deletionReport;
+}
+
+/**
+ * Soft delete a video: mark the row and hide its files
+ * Files another live video still uses stay visible and are listed in sharedFiles instead.
+ * If any file cannot be hidden, everything is rolled back and the error is rethrown
+ * @param {string} videoId - Video ID
+ * @param {Object} video - Row with storage_url, thumbnail_url, hls_status and deleted_at
+ * @param {Object} options - { requestedBy }
+ * @returns {Promise<Object>} - { videoId, deletedAt, purgeAfter, files, sharedFiles }
+ */
+async function softDeleteVideo(videoId, video, { requestedBy = null } = {}) {
+  if (video.deleted_at) {
+    throw deletionError('Video is already deleted', 'ALREADY_DELETED');
+  }
+
+  const supabase = requireSupabase();
+  const storage = getStorage();
+  const shared = await findSharedFiles(videoId, video);
+  const allFiles = await listVideoFiles(videoId, video);
+  const files = allFiles.filter(file => !shared.has(file.bucket));
+  const deletedAt = new Date();
+
+  // Mark the row first so the video disappears from reads while its files are being hidden
+  const { error: markError } = await supabase
+    .from('videos')
+    .update({ deleted_at: deletedAt.toISOString() })
+    .eq('id', videoId);
+
+  if (markError) {
+    throw new Error(`Failed to mark video as deleted: ${markError.message}`);
+  }
+
+  const hidden = [];
+  try {
+    for (const file of files) {
+      if (await storage.hideFile(file.bucket, file.fileName)) {
+        hidden.push(file);
+      }
+    }
+  } catch (error) {
+    logger.error(`❌ Failed to hide files for video ${videoId}, rolling back:`, error);
+    for (const file of hidden) {
+      await storage.unhideFile(file.bucket, file.fileName)
+        .catch(unhideError => logger.error(`❌ Rollback failed for ${file.bucket}/${file.fileName}:`, unhideError));
+    }
+    await supabase.from('videos').update({ deleted_at: null }).eq('id', videoId);
+    throw error;
+  }
+
+  const purgeAfter = getPurgeAfter(deletedAt).toISOString();
+  logger.info(`🗑️ Soft-deleted video ${videoId}${requestedBy ? ` for ${requestedBy}` : ''}: ${hidden.length} files hidden, purge after ${purgeAfter}`);
+  return {
+    videoId: videoId,
+    deletedAt: deletedAt.toISOString(),
+    purgeAfter: purgeAfter,
+    files: hidden,
+    sharedFiles: allFiles.filter(file => shared.has(file.bucket))
+  };
+}
+
+/**
+ * Undo a soft delete within the retention window
+ * @param {string} videoId - Video ID
+ * @returns {Promise<Object>} - { videoId, restoredFiles }
+ */
+async function restoreVideo(videoId) {
+  const video = await loadDeletedVideo(videoId);
+  if (!video || !video.deleted_at) {
+    throw deletionError('Video is not deleted or can no longer be restored', 'NOT_RESTORABLE');
+  }
+  const purgeAfter = getPurgeAfter(video.deleted_at);
+  if (Date.now() > purgeAfter.getTime()) {
+    throw deletionError(`The restore window closed at ${purgeAfter.toISOString()}`, 'RESTORE_WINDOW_CLOSED');
+  }
+
+  const storage = getStorage();
+
+  // A shared file may have been hidden since by the delete of the other video using it,
+  // so the row's video and thumbnail are unhidden whether or not this delete hid them
+  const files = await listDeletedVideoFiles(videoId, video);
+  const failed = [];
+  let restoredFiles = 0;
+  for (const file of files) {
+    try {
+      if (await storage.unhideFile(file.bucket, file.fileName)) {
+        restoredFiles++;
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to restore ${file.bucket}/${file.fileName}:`, error);
+      failed.push(`${file.bucket}/${file.fileName}: ${error.message}`);
+    }
+  }
+  if (failed.length > 0) {
+    // deleted_at stays set so the restore can be retried
+    throw new Error(`Failed to restore ${failed.length} files: ${failed.join('; ')}`);
+  }
+
+  const { error } = await requireSupabase()
+    .from('videos')
+    .update({ deleted_at: null })
+    .eq('id', videoId);
+
+  if (error) {
+    throw new Error(`Files restored but the database update failed: ${error.message}`);
+  }
+
+  logger.info(`♻️ Restored video ${videoId} (${restoredFiles} files)`);
+  return { videoId, restoredFiles };
+}
+
+/**
+ * Permanently remove a soft-deleted video: hidden files first, then the database row
+ * @param {string} videoId - Video ID
+ * @param {Object} options - Options
+ * @param {Date} options.deletedBefore - Only purge if the row was deleted before this (sweeper
+ *   passes its cutoff so a video restored and deleted again in the meantime is left alone)
+ * @returns {Promise<Object>} - Purge report
+ */
+async function purgeDeletedVideo(videoId, { deletedBefore = null } = {}) {
+  const video = await loadDeletedVideo(videoId);
+  if (!video) {
+    return { videoId, skipped: 'Video not found (already purged)' };
+  }
+  if (!video.deleted_at) {
+    return { videoId, skipped: 'Video is not soft-deleted' };
+  }
+  if (deletedBefore && new Date(video.deleted_at) >= deletedBefore) {
+    return { videoId, skipped: 'Video was deleted again and is still in its restore window' };
+  }
+
+  const storage = getStorage();
+
+  // Files another row still uses (live, or soft-deleted and restorable) are left for that row's purge
+  const shared = await findSharedFiles(videoId, video, { includeDeleted: true });
+  const files = (await listDeletedVideoFiles(videoId, video)).filter(file => !shared.has(file.bucket));
+
+  const report = { videoId, filesPurged: 0, filesMissing: 0, filesShared: shared.size, databaseDeleted: false, errors: [] };
+  for (const file of files) {
+    try {
+      // A video or thumbnail kept visible while it was shared is hidden first (no-op if already hidden)
+      if (file.bucket !== 'hls') {
+        await storage.hideFile(file.bucket, file.fileName);
+      }
+      if (await storage.purgeHiddenFile(file.bucket, file.fileName)) {
+        report.filesPurged++;
+      } else {
+        report.filesMissing++;
+      }
+    } catch (error) {
+      report.errors.push({ bucket: file.bucket, fileName: file.fileName, error: error.message });
+    }
+  }
+
+  if (report.errors.length > 0) {
+    // Leave the row in place so the next attempt picks up what is left
+    throw new Error(`Failed to purge ${report.errors.length} files for video ${videoId}: ${report.errors[0].error}`);
+  }
+
+  const { error: deleteError } = await requireSupabase().from('videos').delete().eq('id', videoId);
+  if (deleteError) {
+    throw new Error(`Files purged but the database delete failed: ${deleteError.message}`);
+  }
+  report.databaseDeleted = true;
+
+  logger.info(`✅ Purged soft-deleted video ${videoId} (${report.filesPurged} files)`);
+  return report;
+}
+
+/**
+ * Purge soft-deleted videos whose restore window has closed
+ * Driven by deleted_at in the database; the sweeper calls this on every run
+ * @param {Object} options - Options
+ * @param {number} options.limit - Videos purged per call (the rest wait for the next run)
+ * @returns {Promise<Object>} - { due, purged, skipped, errors }
+ */
+async function purgeExpiredDeletes({ limit = PURGE_BATCH_SIZE } = {}) {
+  const result = { due: 0, purged: 0, skipped: 0, errors: [] };
+  const cutoff = new Date(Date.now() - config.softDelete.retentionDays * 24 * 60 * 60 * 1000);
+
+  const { data, error } = await requireSupabase()
+    .from('videos')
+    .select('id')
+    .lt('deleted_at', cutoff.toISOString())
+    .order('deleted_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    logger.error(`❌ Failed to list expired soft deletes:`, error);
+    result.errors.push({ videoId: null, error: error.message });
+    return result;
+  }
+
+  result.due = data.length;
+  for (const row of data) {
+    try {
+      const report = await purgeDeletedVideo(row.id, { deletedBefore: cutoff });
+      if (report.databaseDeleted) {
+        result.purged++;
+      } else {
+        result.skipped++;
+      }
+    } catch (purgeError) {
+      logger.error(`❌ Failed to purge video ${row.id}:`, purgeError);
+      result.errors.push({ videoId: row.id, error: purgeError.message });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Delete one video - DELETE /video/:videoId and bulk delete jobs both go through here
+ * Soft delete when enabled, the two-phase delete with permanent (or when soft delete is off),
+ * and an immediate purge for a video that is already soft-deleted. The outcome is recorded
+ * instead of thrown; a video that was not touched gets error and errorCode
+ * (NOT_FOUND, NOT_AUTHORIZED, ALREADY_DELETED or LOOKUP_FAILED)
+ * @param {string} videoId - Video ID
+ * @param {Object} options - Options
+ * @param {Object|null} options.user - Requesting user ({ id, isAdmin }), checked against the owner
+ * @param {boolean} options.permanent - Skip the restore window
+ * @param {string} options.requestedBy - Recorded on soft deletes
+ * @returns {Promise<Object>} - Deletion report
+ */
+async function deleteVideo(videoId, { user = null, permanent = false, requestedBy = null } = {}) {
+  const deletionReport = createDeletionReport(videoId);
+
+  try {
+    const supabase = requireSupabase();
+    const columns = ['storage_url', 'thumbnail_url', 'hls_status'];
+    if (config.softDelete.enabled) columns.push('deleted_at');
+    if (config.auth.enabled) columns.push(config.auth.ownerColumn);
+
+    const { data: video, error } = await supabase
+      .from('videos')
+      .select(columns.join(', '))
+      .eq('id', videoId)
+      .maybeSingle();
+
+    if (error) {
+      deletionReport.error = `Database lookup failed: ${error.message}`;
+      deletionReport.errorCode = 'LOOKUP_FAILED';
+      return deletionReport;
+    }
+    if (!video) {
+      deletionReport.error = 'Video not found in database';
+      deletionReport.errorCode = 'NOT_FOUND';
+      return deletionReport;
+    }
+    if (!canAccess(user, video[config.auth.ownerColumn])) {
+      deletionReport.error = 'Not authorized to delete this video';
+      deletionReport.errorCode = 'NOT_AUTHORIZED';
+      return deletionReport;
+    }
+
+    if (config.softDelete.enabled && !permanent) {
+      deletionReport.mode = 'soft';
+      if (video.deleted_at) {
+        deletionReport.error = 'Video is already deleted';
+        deletionReport.errorCode = 'ALREADY_DELETED';
+        return deletionReport;
+      }
+
+      deletionReport.softDeletion.attempted = true;
+      try {
+        const softDeletion = await softDeleteVideo(videoId, video, { requestedBy });
+        deletionReport.softDeletion.success = true;
+        deletionReport.softDeletion.deletedAt = softDeletion.deletedAt;
+        deletionReport.softDeletion.purgeAfter = softDeletion.purgeAfter;
+        deletionReport.softDeletion.filesHidden = softDeletion.files.length;
+        deletionReport.overallSuccess = true;
+      } catch (softError) {
+        deletionReport.softDeletion.error = softError.message;
+      }
+      return deletionReport;
+    }
+
+    if (video.deleted_at) {
+      // Files are already hidden - purge them rather than running the two-phase delete
+      deletionReport.mode = 'purge';
+      deletionReport.databaseDeletion.attempted = true;
+      const purgeReport = await purgeDeletedVideo(videoId);
+      deletionReport.databaseDeletion.success = purgeReport.databaseDeleted === true;
+      deletionReport.databaseDeletion.error = purgeReport.skipped || null;
+      deletionReport.overallSuccess = deletionReport.databaseDeletion.success;
+      return deletionReport;
+    }
+
+    return await deleteVideoPermanently(videoId, video, deletionReport);
+  } catch (error) {
+    logger.error(`❌ Failed to delete video ${videoId}:`, error);
+    deletionReport.error = error.message;
+    return deletionReport;
+  }
+}
+
+/**
+ * IDs of every video owned by a user
+ * @param {string} userId - Owner's user ID
+ * @returns {Promise<string[]>} - Video IDs
+ */
+async function listUserVideoIds(userId) {
+  const supabase = requireSupabase();
+  const ids = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('videos')
+      .select('id')
+      .eq(config.auth.ownerColumn, userId)
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to list videos for user ${userId}: ${error.message}`);
+    }
+
+    ids.push(...data.map(row => String(row.id)));
+    if (data.length < PAGE_SIZE) {
+      return ids;
+    }
+  }
+}
+
+/**
+ * video_bulk_delete job - deletes a list of videos (or all of a user's) a few at a time
+ * Failures are recorded per video, so the job itself only fails if the list cannot be resolved
+ */
+async function processBulkDeleteJob(job, { reportProgress }) {
+  const { videoIds, userId, permanent, requester } = job.data;
+
+  reportProgress(1, 'resolving videos');
+  const ids = userId ? await listUserVideoIds(userId) : videoIds;
+  const reports = new Array(ids.length);
+  let next = 0;
+  let processed = 0;
+
+  logger.info(`🗑️ Bulk delete ${job.jobId}: ${ids.length} videos${userId ? ` owned by ${userId}` : ''}${permanent ? ' (permanent)' : ''}`);
+
+  // Bounded pool: each worker takes the next ID until none are left
+  const worker = async () => {
+    while (next < ids.length) {
+      const index = next++;
+      reports[index] = await deleteVideo(ids[index], {
+        user: requester,
+        permanent: permanent,
+        requestedBy: job.data.requestedBy
+      });
+      processed++;
+      reportProgress(5 + (processed / ids.length) * 95, `deleted ${processed}/${ids.length} videos`);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(config.bulkDelete.concurrency, ids.length) }, worker));
+
+  const succeeded = reports.filter(report => report.overallSuccess).length;
+  logger.info(`✅ Bulk delete ${job.jobId} finished: ${succeeded}/${ids.length} videos deleted`);
+
+  return {
+    total: ids.length,
+    succeeded: succeeded,
+    failed: ids.length - succeeded,
+    permanent: permanent,
+    userId: userId || null,
+    reports: reports
+  };
+}
+
+// Per-video failures are in the reports - rerunning the whole batch would not help
+registerJobHandler('video_bulk_delete', processBulkDeleteJob, {
+  idPrefix: 'bulkdel',
+  maxAttempts: 1,
+  defaultPriority: 'normal'
+});
+
+module.exports = {
+  createDeletionReport,
+  deleteVideoPermanently,
+  deleteVideo,
+  listVideoFiles,
+  softDeleteVideo,
+  restoreVideo,
+  purgeDeletedVideo,
+  purgeExpiredDeletes
+};
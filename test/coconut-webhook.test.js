@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./helpers');
+
+useTestEnvironment({ COCONUT_WEBHOOK_SECRET: 'test-webhook-secret' });
+
+const {
+  createNotificationUrl,
+  verifyWebhookToken,
+  recordWebhookEvent,
+  finishWebhookEvent,
+  getWebhookEvents
+} = require('../services/coconut-webhook');
+
+let videoCount = 0;
+
+/**
+ * Start a job for a fresh video
+ * @returns {Object} - { videoId, nonce, token }
+ */
+function startJob(videoId = `video-${++videoCount}`) {
+  const url = new URL(createNotificationUrl('https://api.test/webhooks/coconut', videoId));
+  return { videoId, nonce: url.searchParams.get('nonce'), token: url.searchParams.get('token') };
+}
+
+function progressEvent(progress, jobId = 'job-1') {
+  return { job_id: jobId, event: 'job.progress', data: { progress: `${progress}%` } };
+}
+
+function completedEvent(jobId = 'job-1') {
+  return { job_id: jobId, event: 'job.completed', data: { status: 'job.completed' } };
+}
+
+/**
+ * Record an event and report it processed, like the webhook route does
+ */
+function deliver(job, payload) {
+  const result = recordWebhookEvent(job.videoId, job.nonce, payload);
+  if (result.event) {
+    finishWebhookEvent(job.videoId, result.event);
+  }
+  return result;
+}
+
+test('accepts the token of the current job only', () => {
+  const job = startJob();
+  assert.doesNotThrow(() => verifyWebhookToken(job));
+  assert.throws(() => verifyWebhookToken({ ...job, token: '00'.repeat(32) }), { code: 'INVALID_TOKEN' });
+  assert.throws(() => verifyWebhookToken({ ...job, token: undefined }), { code: 'INVALID_TOKEN' });
+  assert.throws(() => verifyWebhookToken({ ...job, videoId: '../etc' }), { code: 'INVALID_REQUEST' });
+});
+
+test('treats a redelivered event as a duplicate', () => {
+  const job = startJob();
+  assert.ok(deliver(job, progressEvent(10)).event);
+  assert.deepEqual(deliver(job, progressEvent(10)), { duplicate: true });
+
+  // Still being applied by the first delivery
+  const inFlight = recordWebhookEvent(job.videoId, job.nonce, progressEvent(20));
+  assert.ok(inFlight.event);
+  assert.deepEqual(recordWebhookEvent(job.videoId, job.nonce, progressEvent(20)), { duplicate: true });
+
+  assert.equal(getWebhookEvents(job.videoId).events.length, 2);
+});
+
+test('applies a redelivery of an event whose processing failed', () => {
+  const job = startJob();
+  const first = recordWebhookEvent(job.videoId, job.nonce, progressEvent(30));
+  finishWebhookEvent(job.videoId, first.event, new Error('database unavailable'));
+
+  const retry = recordWebhookEvent(job.videoId, job.nonce, progressEvent(30));
+  assert.ok(retry.event);
+  assert.equal(retry.event.outcome, 'processing');
+
+  const outcomes = getWebhookEvents(job.videoId).events.map(event => event.outcome);
+  assert.deepEqual(outcomes, ['failed', 'processing']);
+});
+
+test('rejects events from a previous job of the video as stale', () => {
+  const oldJob = startJob();
+  deliver(oldJob, progressEvent(10, 'job-old'));
+
+  const newJob = startJob(oldJob.videoId);
+  assert.throws(() => recordWebhookEvent(oldJob.videoId, oldJob.nonce, progressEvent(50, 'job-old')), { code: 'STALE_JOB' });
+  assert.ok(deliver(newJob, progressEvent(5, 'job-new')).event);
+
+  // Same nonce, but another Coconut job ID than the one the log started with
+  assert.throws(() => recordWebhookEvent(newJob.videoId, newJob.nonce, progressEvent(60, 'job-other')), { code: 'STALE_JOB' });
+
+  const log = getWebhookEvents(newJob.videoId);
+  assert.equal(log.jobId, 'job-new');
+  assert.deepEqual(log.events.map(event => event.rejected), [null, 'STALE_JOB', null, 'STALE_JOB']);
+});
+
+test('rejects progress that goes backwards and events after the job finished', () => {
+  const job = startJob();
+  deliver(job, progressEvent(50));
+  assert.throws(() => recordWebhookEvent(job.videoId, job.nonce, progressEvent(40)), { code: 'OUT_OF_ORDER' });
+  assert.ok(deliver(job, progressEvent(60)).event);
+
+  deliver(job, completedEvent());
+  assert.equal(getWebhookEvents(job.videoId).terminalEvent, 'job.completed');
+  assert.throws(() => recordWebhookEvent(job.videoId, job.nonce, progressEvent(90)), { code: 'OUT_OF_ORDER' });
+  assert.throws(() => recordWebhookEvent(job.videoId, job.nonce, { job_id: 'job-1', event: 'job.failed', data: {} }), { code: 'OUT_OF_ORDER' });
+
+  // A rejected event is recorded, so its redelivery is a duplicate rather than a second rejection
+  assert.deepEqual(recordWebhookEvent(job.videoId, job.nonce, progressEvent(90)), { duplicate: true });
+});
+
+test('holds back a second final event while the first is being applied', () => {
+  const job = startJob();
+  const completed = recordWebhookEvent(job.videoId, job.nonce, completedEvent());
+  assert.throws(() => recordWebhookEvent(job.videoId, job.nonce, { job_id: 'job-1', event: 'job.failed', data: {} }), { code: 'BUSY' });
+
+  // The first one failed, so the job has not ended and the other final event is accepted
+  finishWebhookEvent(job.videoId, completed.event, new Error('upload of the variant list failed'));
+  assert.equal(getWebhookEvents(job.videoId).terminalEvent, null);
+  assert.ok(recordWebhookEvent(job.videoId, job.nonce, { job_id: 'job-1', event: 'job.failed', data: {} }).event);
+});
+
+test('starts a log when the video has none', () => {
+  const videoId = `video-${++videoCount}`;
+  const result = recordWebhookEvent(videoId, 'nonce-without-log', progressEvent(1));
+  assert.ok(result.event);
+  assert.equal(getWebhookEvents(videoId).nonce, 'nonce-without-log');
+});
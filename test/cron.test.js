@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCronExpression } = require('../utils/cron');
+
+// Local time, like the schedules themselves
+function at(year, month, day, hour, minute) {
+  return new Date(year, month - 1, day, hour, minute);
+}
+
+test('matches a daily schedule to the minute', () => {
+  const schedule = parseCronExpression('0 3 * * *');
+  assert.equal(schedule.matches(at(2026, 10, 19, 3, 0)), true);
+  assert.equal(schedule.matches(at(2026, 10, 19, 3, 1)), false);
+  assert.equal(schedule.matches(at(2026, 10, 19, 4, 0)), false);
+});
+
+test('normalizes whitespace in the expression', () => {
+  assert.equal(parseCronExpression('  0   3 * *  * ').expression, '0 3 * * *');
+});
+
+test('supports steps, ranges and lists', () => {
+  const everyQuarter = parseCronExpression('*/15 * * * *');
+  assert.deepEqual([0, 15, 30, 45, 10].map(minute => everyQuarter.matches(at(2026, 1, 1, 0, minute))), [true, true, true, true, false]);
+
+  const rangeStep = parseCronExpression('0-30/10 9-17 * * *');
+  assert.equal(rangeStep.matches(at(2026, 1, 1, 9, 20)), true);
+  assert.equal(rangeStep.matches(at(2026, 1, 1, 9, 40)), false);
+  assert.equal(rangeStep.matches(at(2026, 1, 1, 18, 0)), false);
+
+  const list = parseCronExpression('0 0 1,15 * *');
+  assert.equal(list.matches(at(2026, 3, 15, 0, 0)), true);
+  assert.equal(list.matches(at(2026, 3, 16, 0, 0)), false);
+
+  const openStep = parseCronExpression('5/20 * * * *');
+  assert.deepEqual([5, 25, 45, 0].map(minute => openStep.matches(at(2026, 1, 1, 0, minute))), [true, true, true, false]);
+});
+
+test('treats day-of-week 0 and 7 as Sunday', () => {
+  // 2026-10-18 is a Sunday
+  assert.equal(parseCronExpression('0 0 * * 0').matches(at(2026, 10, 18, 0, 0)), true);
+  assert.equal(parseCronExpression('0 0 * * 7').matches(at(2026, 10, 18, 0, 0)), true);
+  assert.equal(parseCronExpression('0 0 * * 1-5').matches(at(2026, 10, 18, 0, 0)), false);
+});
+
+test('matches either day field when both are restricted, like cron', () => {
+  // The 1st of the month or any Monday
+  const schedule = parseCronExpression('0 0 1 * 1');
+  assert.equal(schedule.matches(at(2026, 10, 1, 0, 0)), true); // Thursday the 1st
+  assert.equal(schedule.matches(at(2026, 10, 19, 0, 0)), true); // Monday the 19th
+  assert.equal(schedule.matches(at(2026, 10, 20, 0, 0)), false); // Tuesday the 20th
+});
+
+test('requires both day fields when only one is restricted', () => {
+  const schedule = parseCronExpression('0 0 * 10 1');
+  assert.equal(schedule.matches(at(2026, 10, 19, 0, 0)), true);
+  assert.equal(schedule.matches(at(2026, 11, 2, 0, 0)), false); // Monday in November
+});
+
+test('rejects malformed expressions', () => {
+  assert.throws(() => parseCronExpression('0 3 * *'), /expected 5 fields/);
+  assert.throws(() => parseCronExpression(''), /expected 5 fields/);
+  assert.throws(() => parseCronExpression(null), /expected 5 fields/);
+  assert.throws(() => parseCronExpression('60 * * * *'), /minute field/);
+  assert.throws(() => parseCronExpression('* 24 * * *'), /hour field/);
+  assert.throws(() => parseCronExpression('* * 0 * *'), /dayOfMonth field/);
+  assert.throws(() => parseCronExpression('* * * 13 *'), /month field/);
+  assert.throws(() => parseCronExpression('* * * * 8'), /dayOfWeek field/);
+  assert.throws(() => parseCronExpression('10-5 * * * *'), /minute field/);
+  assert.throws(() => parseCronExpression('*/0 * * * *'), /minute field/);
+  assert.throws(() => parseCronExpression('a * * * *'), /minute field/);
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+
+/**
+ * Shared test setup
+ * Config is read once when a module first requires it, so every test file calls
+ * useTestEnvironment() before requiring anything from the app. Each file runs in its own
+ * process (node --test), so the environment and the fake Supabase never leak between files.
+ */
+
+/**
+ * Point the app at a throwaway DATA_DIR with the local storage driver
+ * @param {Object} env - Extra environment variables
+ * @returns {string} - DATA_DIR (removed when the process exits)
+ */
+function useTestEnvironment(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rushes-test-'));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    STORAGE_DRIVER: 'local',
+    AUTH_ENABLED: 'false',
+    LOG_LEVEL: 'error',
+    SUPABASE_URL: '',
+    SUPABASE_SERVICE_ROLE_KEY: ''
+  }, env);
+  // Registered once the tests are done, so it runs after the persistence exit flush
+  after(() => process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true })));
+  return dataDir;
+}
+
+/**
+ * In-memory stand-in for the parts of the Supabase query builder the services use
+ * Install it before requiring the services under test - they take getServiceClient at require time.
+ * @param {Object} tables - { tableName: [rows] }, mutated by update and delete
+ * @returns {Object} - The tables
+ */
+function installFakeSupabase(tables = {}) {
+  const supabase = require('../services/supabase');
+
+  function from(table) {
+    const filters = [];
+    let operation = 'select';
+    let changes = null;
+    let limit = Infinity;
+    let offset = 0;
+
+    function run() {
+      const rows = tables[table] || (tables[table] = []);
+      const matching = rows.filter(row => filters.every(filter => filter(row)));
+      if (operation === 'update') {
+        matching.forEach(row => Object.assign(row, changes));
+      } else if (operation === 'delete') {
+        tables[table] = rows.filter(row => !matching.includes(row));
+      }
+      return { data: matching.slice(offset, offset + limit).map(row => ({ ...row })), error: null };
+    }
+
+    const query = {
+      select: () => query,
+      eq: (column, value) => { filters.push(row => String(row[column]) === String(value)); return query; },
+      neq: (column, value) => { filters.push(row => String(row[column]) !== String(value)); return query; },
+      is: (column, value) => { filters.push(row => (row[column] ?? null) === value); return query; },
+      lt: (column, value) => { filters.push(row => row[column] != null && row[column] < value); return query; },
+      order: () => query,
+      limit: (count) => { limit = count; return query; },
+      range: (from, to) => { offset = from; limit = to - from + 1; return query; },
+      update: (values) => { operation = 'update'; changes = values; return query; },
+      delete: () => { operation = 'delete'; return query; },
+      maybeSingle: async () => ({ data: run().data[0] || null, error: null }),
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+    };
+    return query;
+  }
+
+  supabase.getServiceClient = () => ({ from });
+  return tables;
+}
+
+/**
+ * Set a file's modification time, which the local driver reports as its upload time
+ * @param {string} filePath - File path
+ * @param {number} timestamp - Milliseconds since the epoch
+ */
+function setUploadTime(filePath, timestamp) {
+  const time = new Date(timestamp);
+  fs.utimesSync(filePath, time, time);
+}
+
+module.exports = {
+  useTestEnvironment,
+  installFakeSupabase,
+  setUploadTime
+};
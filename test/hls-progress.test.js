@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment } = require('./helpers');
+
+useTestEnvironment({ STORAGE_LOCAL_PUBLIC_URL: 'http://cdn.test/storage' });
+
+const { parseMasterPlaylist } = require('../services/hls-progress');
+
+const MASTER_PLAYLIST = [
+  '#EXTM3U',
+  '#EXT-X-VERSION:3',
+  '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.4d401e,mp4a.40.2"',
+  '360p/index.m3u8',
+  '#EXT-X-STREAM-INF:BANDWIDTH=2800000,RESOLUTION=1280x720,CODECS="avc1.4d401f,mp4a.40.2"',
+  '720p/index.m3u8',
+  ''
+].join('\n');
+
+test('reads every variant with its attributes', () => {
+  const variants = parseMasterPlaylist(MASTER_PLAYLIST, 'video-1');
+  assert.deepEqual(variants, [
+    {
+      name: '360p',
+      width: 640,
+      height: 360,
+      bandwidth: 800000,
+      codecs: 'avc1.4d401e,mp4a.40.2',
+      playlistUrl: 'http://cdn.test/storage/rushes-hls/video-1/hls/360p/index.m3u8'
+    },
+    {
+      name: '720p',
+      width: 1280,
+      height: 720,
+      bandwidth: 2800000,
+      codecs: 'avc1.4d401f,mp4a.40.2',
+      playlistUrl: 'http://cdn.test/storage/rushes-hls/video-1/hls/720p/index.m3u8'
+    }
+  ]);
+});
+
+test('handles CRLF line endings, comments between tag and URI, and absolute URIs', () => {
+  const body = [
+    '#EXTM3U',
+    '#EXT-X-STREAM-INF:RESOLUTION=1920x1080,BANDWIDTH=5000000',
+    '# a comment',
+    '',
+    'https://other.test/stream_1080p.m3u8'
+  ].join('\r\n');
+
+  const [variant] = parseMasterPlaylist(body, 'video-1');
+  assert.equal(variant.name, '1080p');
+  assert.equal(variant.bandwidth, 5000000);
+  assert.equal(variant.codecs, null);
+  assert.equal(variant.playlistUrl, 'https://other.test/stream_1080p.m3u8');
+});
+
+test('names variants without a resolution in the URI from their short side or directory', () => {
+  const body = [
+    '#EXTM3U',
+    '#EXT-X-STREAM-INF:BANDWIDTH=1200000,RESOLUTION=720x1280',
+    'portrait/index.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=64000,CODECS="mp4a.40.2"',
+    'audio/index.m3u8'
+  ].join('\n');
+
+  const variants = parseMasterPlaylist(body, 'video-1');
+  assert.deepEqual(variants.map(variant => variant.name), ['720p', 'audio']);
+  assert.equal(variants[1].width, null);
+  assert.equal(variants[1].height, null);
+});
+
+test('normalizes relative URIs under the video prefix', () => {
+  const body = '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1\n./renditions/../480p/index.m3u8\n';
+  const [variant] = parseMasterPlaylist(body, 'video-1');
+  assert.equal(variant.playlistUrl, 'http://cdn.test/storage/rushes-hls/video-1/hls/480p/index.m3u8');
+});
+
+test('skips a stream tag with no URI after it and returns nothing for a media playlist', () => {
+  assert.deepEqual(parseMasterPlaylist('#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1\n', 'video-1'), []);
+  assert.deepEqual(parseMasterPlaylist('#EXTM3U\n#EXTINF:6.0,\nsegment_0.ts\n', 'video-1'), []);
+});
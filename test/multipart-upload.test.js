@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { useTestEnvironment } = require('./helpers');
+
+// Ownership checks only run with auth on
+const dataDir = useTestEnvironment({ AUTH_ENABLED: 'true' });
+
+const {
+  initializeMultipartUpload,
+  streamChunkToB2,
+  completeMultipartUpload,
+  resumeMultipartUpload,
+  cancelMultipartUpload,
+  getUploadInfo,
+  getUploadParts
+} = require('../services/multipart-uploader');
+const { getStorage, resolveBucket } = require('../services/storage');
+
+const storage = getStorage();
+const PARTS = [Buffer.from('first part '), Buffer.from('second part '), Buffer.from('third part')];
+
+let uploadCount = 0;
+
+async function startUpload() {
+  const uploadId = `upload_${Date.now()}_${++uploadCount}`;
+  const { b2FileId, fileName } = await initializeMultipartUpload(uploadId, 'clip.mp4', 'video/mp4', null, { userId: 'user-1' });
+  return { uploadId, b2FileId, fileName };
+}
+
+function readObject(fileName) {
+  return fs.readFileSync(path.join(dataDir, 'storage', resolveBucket('video').name, fileName));
+}
+
+test('complete with missing parts keeps the upload resumable', async () => {
+  const { uploadId, b2FileId, fileName } = await startUpload();
+  await streamChunkToB2(uploadId, b2FileId, 1, PARTS[0]);
+  await streamChunkToB2(uploadId, b2FileId, 3, PARTS[2]);
+
+  await assert.rejects(completeMultipartUpload(uploadId, b2FileId, 3, 'clip.mp4'), { code: 'PARTS_MISSING' });
+  assert.ok(getUploadInfo(uploadId), 'session is kept');
+  assert.deepEqual((await storage.listParts(b2FileId)).parts.map(part => part.partNumber), [1, 3]);
+
+  const resumed = await resumeMultipartUpload(uploadId, { b2FileId, totalParts: 3 });
+  assert.deepEqual(resumed.receivedParts.map(part => part.partNumber), [1, 3]);
+  assert.deepEqual(resumed.missingParts, [2]);
+
+  await streamChunkToB2(uploadId, b2FileId, 2, PARTS[1]);
+  const result = await completeMultipartUpload(uploadId, b2FileId, 3, 'clip.mp4');
+  assert.equal(result.success, true);
+  assert.equal(result.fileName, fileName);
+  assert.equal(result.fileSize, Buffer.concat(PARTS).length);
+  assert.deepEqual(readObject(fileName), Buffer.concat(PARTS));
+  assert.equal(getUploadInfo(uploadId), null);
+});
+
+test('resume and complete pick up parts storage has but the session lost', async () => {
+  const { uploadId, b2FileId, fileName } = await startUpload();
+  await streamChunkToB2(uploadId, b2FileId, 1, PARTS[0]);
+
+  // Stored just before a restart, so the session never recorded them
+  for (const partNumber of [2, 3]) {
+    const data = PARTS[partNumber - 1];
+    await storage.uploadPart({ fileId: b2FileId, partNumber, data, sha1: crypto.createHash('sha1').update(data).digest('hex') });
+  }
+  assert.deepEqual(getUploadParts(uploadId).receivedParts.map(part => part.partNumber), [1]);
+
+  const result = await completeMultipartUpload(uploadId, b2FileId, 3, 'clip.mp4');
+  assert.equal(result.success, true);
+  assert.deepEqual(readObject(fileName), Buffer.concat(PARTS));
+});
+
+test('parts and completion are refused for another upload\'s file', async () => {
+  const first = await startUpload();
+  const second = await startUpload();
+
+  await assert.rejects(streamChunkToB2(first.uploadId, second.b2FileId, 1, PARTS[0]), /does not belong to this upload/);
+  await assert.rejects(completeMultipartUpload(first.uploadId, second.b2FileId, 1, 'clip.mp4'), /does not belong to this upload/);
+  await assert.rejects(resumeMultipartUpload(first.uploadId, { b2FileId: second.b2FileId }), /does not match upload session/);
+
+  // A rejected request leaves both uploads in place
+  assert.ok(getUploadInfo(first.uploadId));
+  assert.ok(getUploadInfo(second.uploadId));
+  assert.deepEqual((await storage.listParts(second.b2FileId)).parts, []);
+});
+
+test('cancel is limited to the owner and removes the stored parts', async () => {
+  const { uploadId, b2FileId } = await startUpload();
+  await streamChunkToB2(uploadId, b2FileId, 1, PARTS[0]);
+
+  await assert.rejects(cancelMultipartUpload(uploadId, b2FileId, { userId: 'user-2' }), { name: 'AuthorizationError' });
+  assert.ok(getUploadInfo(uploadId));
+
+  assert.equal(await cancelMultipartUpload(uploadId, b2FileId, { userId: 'user-1' }), true);
+  assert.equal(getUploadInfo(uploadId), null);
+  await assert.rejects(storage.listParts(b2FileId), /Large file not found/);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { useTestEnvironment, installFakeSupabase, setUploadTime } = require('./helpers');
+
+const dataDir = useTestEnvironment({ ORPHAN_GRACE_PERIOD_HOURS: '24' });
+const tables = installFakeSupabase();
+
+const { runOrphanCleanup, getCleanupReport } = require('../services/orphan-cleanup');
+const { getStorage, resolveBucket } = require('../services/storage');
+
+const HOUR = 60 * 60 * 1000;
+const storage = getStorage();
+
+/**
+ * Store an object and backdate it
+ * @returns {Promise<string>} - Public URL
+ */
+async function storeFile(bucket, fileName, ageMs) {
+  const { url } = await storage.uploadBuffer(bucket, fileName, Buffer.from(fileName));
+  setUploadTime(path.join(dataDir, 'storage', resolveBucket(bucket).name, fileName), Date.now() - ageMs);
+  return url;
+}
+
+async function listNames(bucket) {
+  return (await storage.listFiles(bucket)).files.map(file => file.fileName);
+}
+
+test.before(async () => {
+  tables.videos = [{
+    id: 'kept',
+    storage_url: await storeFile('video', 'referenced.mp4', 48 * HOUR),
+    thumbnail_url: await storeFile('thumbnail', 'referenced.jpg', 48 * HOUR),
+    subtitle_url: null
+  }];
+  await storeFile('video', 'old-orphan.mp4', 48 * HOUR);
+  await storeFile('video', 'new-orphan.mp4', 2 * HOUR);
+  await storeFile('thumbnail', 'old-orphan.jpg', 25 * HOUR);
+  await storeFile('hls', 'kept/hls/master.m3u8', 48 * HOUR);
+  await storeFile('hls', 'gone/hls/master.m3u8', 48 * HOUR);
+  await storeFile('hls', 'fresh/hls/master.m3u8', 1 * HOUR);
+});
+
+test('dry run lists only unreferenced files older than the grace period', async () => {
+  const report = await runOrphanCleanup({ dryRun: true, buckets: ['video', 'thumbnail', 'hls'] });
+
+  assert.equal(report.status, 'completed');
+  assert.equal(report.gracePeriodMs, 24 * HOUR);
+  assert.deepEqual(report.buckets.video.candidates.map(file => file.fileName), ['old-orphan.mp4']);
+  assert.equal(report.buckets.video.protectedFiles, 1);
+  assert.deepEqual(report.buckets.thumbnail.candidates.map(file => file.fileName), ['old-orphan.jpg']);
+  assert.deepEqual(report.buckets.hls.candidates.map(file => file.fileName), ['gone/hls/master.m3u8']);
+  assert.equal(report.buckets.hls.protectedFiles, 1);
+  // Each file holds its own name
+  const bytes = ['old-orphan.mp4', 'old-orphan.jpg', 'gone/hls/master.m3u8'].join('').length;
+  assert.deepEqual(report.totals, { totalFiles: 8, orphanedFiles: 3, protectedFiles: 2, deletedFiles: 0, bytesReclaimable: bytes, errors: 0 });
+
+  assert.deepEqual(await listNames('video'), ['new-orphan.mp4', 'old-orphan.mp4', 'referenced.mp4']);
+  assert.deepEqual(getCleanupReport(report.reportId), report);
+});
+
+test('a shorter grace period given for the run exposes younger files', async () => {
+  const report = await runOrphanCleanup({ dryRun: true, gracePeriodMs: HOUR, buckets: ['video'] });
+  assert.deepEqual(report.buckets.video.candidates.map(file => file.fileName).sort(), ['new-orphan.mp4', 'old-orphan.mp4']);
+  assert.equal(report.buckets.video.protectedFiles, 0);
+});
+
+test('a real run deletes the candidates and leaves protected and referenced files', async () => {
+  const report = await runOrphanCleanup({ buckets: ['video', 'thumbnail', 'hls'] });
+
+  assert.equal(report.totals.deletedFiles, 3);
+  assert.deepEqual(await listNames('video'), ['new-orphan.mp4', 'referenced.mp4']);
+  assert.deepEqual(await listNames('thumbnail'), ['referenced.jpg']);
+  assert.deepEqual(await listNames('hls'), ['fresh/hls/master.m3u8', 'kept/hls/master.m3u8']);
+});
+
+test('rejects unknown buckets', async () => {
+  await assert.rejects(runOrphanCleanup({ buckets: ['video', 'profile'] }), /Unknown cleanup buckets: profile/);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment, installFakeSupabase } = require('./helpers');
+
+useTestEnvironment({ SOFT_DELETE_RETENTION_DAYS: '7' });
+const tables = installFakeSupabase({ videos: [] });
+
+const { deleteVideo, restoreVideo, purgeDeletedVideo, purgeExpiredDeletes } = require('../services/video-deletion');
+const { getStorage } = require('../services/storage');
+
+const DAY = 24 * 60 * 60 * 1000;
+const storage = getStorage();
+
+/**
+ * Store a video with a thumbnail and HLS output, and add its row
+ * @param {string} videoId - Video ID
+ * @param {Object} overrides - Row columns to set instead
+ * @returns {Promise<Object>} - Row
+ */
+async function createVideo(videoId, overrides = {}) {
+  const video = await storage.uploadBuffer('video', `${videoId}.mp4`, Buffer.from('video'));
+  const thumbnail = await storage.uploadBuffer('thumbnail', `${videoId}.jpg`, Buffer.from('thumbnail'));
+  await storage.uploadBuffer('hls', `${videoId}/hls/master.m3u8`, Buffer.from('#EXTM3U'));
+  await storage.uploadBuffer('hls', `${videoId}/hls/720p/segment_0.ts`, Buffer.from('segment'));
+
+  const row = {
+    id: videoId,
+    storage_url: video.url,
+    thumbnail_url: thumbnail.url,
+    hls_status: 'ready',
+    deleted_at: null,
+    ...overrides
+  };
+  tables.videos.push(row);
+  return row;
+}
+
+function findRow(videoId) {
+  return tables.videos.find(row => row.id === videoId) || null;
+}
+
+async function isVisible(bucket, fileName) {
+  return (await storage.getFileInfo(bucket, fileName)) !== null;
+}
+
+async function hiddenNames(bucket, prefix = '') {
+  return (await storage.listHiddenFiles(bucket, { prefix })).files.map(file => file.fileName);
+}
+
+test('a delete hides every file and marks the row until it is restored', async () => {
+  await createVideo('restorable');
+
+  const report = await deleteVideo('restorable', { requestedBy: 'test' });
+  assert.equal(report.mode, 'soft');
+  assert.equal(report.overallSuccess, true);
+  assert.equal(report.softDeletion.filesHidden, 4);
+  assert.ok(findRow('restorable').deleted_at);
+  assert.equal(await isVisible('video', 'restorable.mp4'), false);
+  assert.equal(await isVisible('thumbnail', 'restorable.jpg'), false);
+  assert.deepEqual(await hiddenNames('hls', 'restorable/'), ['restorable/hls/720p/segment_0.ts', 'restorable/hls/master.m3u8']);
+
+  const again = await deleteVideo('restorable');
+  assert.equal(again.errorCode, 'ALREADY_DELETED');
+
+  const restored = await restoreVideo('restorable');
+  assert.deepEqual(restored, { videoId: 'restorable', restoredFiles: 4 });
+  assert.equal(findRow('restorable').deleted_at, null);
+  assert.equal(await isVisible('video', 'restorable.mp4'), true);
+  assert.equal(await isVisible('thumbnail', 'restorable.jpg'), true);
+  assert.equal(await isVisible('hls', 'restorable/hls/720p/segment_0.ts'), true);
+  assert.deepEqual(await hiddenNames('hls', 'restorable/'), []);
+});
+
+test('restore refuses videos that are not deleted or whose window has closed', async () => {
+  await createVideo('live');
+  await assert.rejects(restoreVideo('live'), { code: 'NOT_RESTORABLE' });
+  await assert.rejects(restoreVideo('missing'), { code: 'NOT_RESTORABLE' });
+
+  await createVideo('expired');
+  await deleteVideo('expired');
+  findRow('expired').deleted_at = new Date(Date.now() - 8 * DAY).toISOString();
+  await assert.rejects(restoreVideo('expired'), { code: 'RESTORE_WINDOW_CLOSED' });
+});
+
+test('a purge removes the hidden files and then the row', async () => {
+  await createVideo('purged');
+  await deleteVideo('purged');
+
+  const report = await purgeDeletedVideo('purged');
+  assert.equal(report.databaseDeleted, true);
+  assert.equal(report.filesPurged, 4);
+  assert.equal(findRow('purged'), null);
+  assert.deepEqual(await hiddenNames('hls', 'purged/'), []);
+  assert.equal((await hiddenNames('video')).includes('purged.mp4'), false);
+  assert.equal(await isVisible('video', 'purged.mp4'), false);
+
+  assert.deepEqual(await purgeDeletedVideo('purged'), { videoId: 'purged', skipped: 'Video not found (already purged)' });
+  assert.deepEqual(await purgeDeletedVideo('live'), { videoId: 'live', skipped: 'Video is not soft-deleted' });
+});
+
+// 'expired' is left past its window by the restore test above
+test('the sweeper purges only videos past their restore window', async () => {
+  await createVideo('recent');
+  await deleteVideo('recent');
+
+  const result = await purgeExpiredDeletes();
+  assert.deepEqual(result, { due: 1, purged: 1, skipped: 0, errors: [] });
+  assert.equal(findRow('expired'), null);
+  assert.ok(findRow('recent').deleted_at);
+  assert.equal((await hiddenNames('video')).includes('recent.mp4'), true);
+});
+
+test('a purge leaves a file another row still uses', async () => {
+  const original = await createVideo('original');
+  await createVideo('duplicate', { storage_url: original.storage_url });
+
+  const report = await deleteVideo('duplicate');
+  assert.equal(report.overallSuccess, true);
+  assert.equal(await isVisible('video', 'original.mp4'), true);
+
+  const purge = await purgeDeletedVideo('duplicate');
+  assert.equal(purge.filesShared, 1);
+  assert.equal(purge.databaseDeleted, true);
+  assert.equal(await isVisible('video', 'original.mp4'), true);
+  assert.equal(await isVisible('thumbnail', 'duplicate.jpg'), false);
+});
+
+test('a permanent delete of a soft-deleted video purges it at once', async () => {
+  await createVideo('permanent');
+  await deleteVideo('permanent');
+
+  const report = await deleteVideo('permanent', { permanent: true });
+  assert.equal(report.mode, 'purge');
+  assert.equal(report.overallSuccess, true);
+  assert.equal(findRow('permanent'), null);
+  assert.deepEqual(await hiddenNames('hls', 'permanent/'), []);
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { getDataPath } = require('./persistence');
+const logger = require('./logger');
+
+/**
+ * Append-only audit log for admin API key use
+ * One JSON object per line so the file can be tailed, grepped or shipped to a log collector.
+ * Lives in DATA_DIR by default so it survives redeploys alongside the job queue.
+ * Denied requests are logged too, so the file is rotated at auditLogMaxBytes to keep
+ * unauthenticated traffic from filling the disk.
+ */
+
+// Writes are chained so rotation never races an append
+let writeChain = Promise.resolve();
+let currentSize = null;
+
+/**
+ * Resolve the audit log path
+ * @returns {string} - Path to the audit log file
+ */
+function getAuditLogPath() {
+  return config.auth.auditLogFile || getDataPath('admin-audit.log');
+}
+
+/**
+ * Record an audit entry
+ * Failures are logged but never block the request being audited
+ * @param {Object} entry - Audit fields (keyLabel, scope, method, path, ip, outcome, ...)
+ */
+function recordAuditEvent(entry) {
+  const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n';
+  const filePath = getAuditLogPath();
+
+  writeChain = writeChain
+    .then(() => appendLine(filePath, line))
+    .catch(error => {
+      currentSize = null;
+      logger.error(`❌ Failed to write audit log ${filePath}:`, error.message);
+    });
+}
+
+/**
+ * Append a line, first moving a full log to "<file>.1" (replacing the previous one)
+ * @param {string} filePath - Audit log path
+ * @param {string} line - Serialized entry including the newline
+ */
+async function appendLine(filePath, line) {
+  if (currentSize === null) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    currentSize = await fs.promises.stat(filePath).then(stats => stats.size, () => 0);
+  }
+
+  const bytes = Buffer.byteLength(line);
+  if (currentSize > 0 && currentSize + bytes > config.auth.auditLogMaxBytes) {
+    await fs.promises.rename(filePath, `${filePath}.1`);
+    currentSize = 0;
+    logger.info(`🔄 Rotated audit log to ${filePath}.1`);
+  }
+
+  await fs.promises.appendFile(filePath, line, 'utf8');
+  currentSize += bytes;
+}
+
+module.exports = {
+  getAuditLogPath,
+  recordAuditEvent
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+/**
+ * Whole-file SHA-256 helpers shared by the upload pipelines
+ * Per-part SHA1s only protect individual B2 parts; the SHA-256 covers the whole video
+ * and is what we dedupe on.
+ */
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Normalize a client supplied SHA-256 hex digest
+ * @param {string} value - Hex digest (any case, surrounding whitespace allowed)
+ * @returns {string|null} - Lowercase digest, or null if it is not a valid SHA-256
+ */
+function normalizeSha256(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const normalized = value.trim().toLowerCase();
+  return SHA256_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Create an incremental SHA-256 hasher - feed it with update(chunk) as data arrives
+ * @returns {crypto.Hash} - Hash object
+ */
+function createContentHasher() {
+  return crypto.createHash('sha256');
+}
+
+/**
+ * Hash a readable stream without buffering it
+ * @param {stream.Readable} stream - Source stream
+ * @returns {Promise<Object>} - { sha256, bytes }
+ */
+function hashStream(stream) {
+  return new Promise((resolve, reject) => {
+    const hasher = createContentHasher();
+    let bytes = 0;
+
+    stream.on('data', (chunk) => {
+      hasher.update(chunk);
+      bytes += chunk.length;
+    });
+    stream.on('end', () => resolve({ sha256: hasher.digest('hex'), bytes }));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Download a stored file and hash it as it streams in
+ * @param {string} url - File URL (a signed download URL for private buckets)
+ * @returns {Promise<Object>} - { sha256, bytes }
+ */
+async function hashRemoteFile(url) {
+  const response = await fetch(url);
+
+  if (!response.ok || !response.body) {
+    throw new Error(`Failed to download ${url.split('?')[0]} for hashing: HTTP ${response.status}`);
+  }
+
+  return hashStream(Readable.fromWeb(response.body));
+}
+
+module.exports = {
+  normalizeSha256,
+  createContentHasher,
+  hashStream,
+  hashRemoteFile
+};
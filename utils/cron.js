@@ -0,0 +1,88 @@
+/**
+ * Minimal cron expression matcher for in-process schedules
+ * Supports the standard five fields - minute hour day-of-month month day-of-week -
+ * with *, numbers, ranges (1-5), steps (*\/15, 0-30/10) and lists (1,15,30).
+ * Times are matched in the server's local time zone.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+/**
+ * Expand one cron field into the set of values it allows
+ * @param {string} field - Field text
+ * @param {Object} range - { name, min, max }
+ * @returns {Set<number>} - Allowed values
+ */
+function parseField(field, { name, min, max }) {
+  const values = new Set();
+
+  field.split(',').forEach(part => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: "${field}"`);
+    }
+
+    const start = match[1] === '*' ? min : parseInt(match[2]);
+    const end = match[1] === '*' ? max : (match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : start));
+    const step = match[4] ? parseInt(match[4]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name} field: "${field}" (allowed ${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - e.g. "0 3 * * *" (03:00 every day)
+ * @returns {Object} - { expression, matches(date) }
+ */
+function parseCronExpression(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day month weekday)`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  const dayOfMonthRestricted = parts[2] !== '*';
+  const dayOfWeekRestricted = parts[4] !== '*';
+
+  return {
+    expression: parts.join(' '),
+
+    /**
+     * Check whether a time falls on the schedule (to the minute)
+     * @param {Date} date - Time to check
+     * @returns {boolean} - True if the schedule fires in that minute
+     */
+    matches(date) {
+      if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) {
+        return false;
+      }
+
+      // Like cron: when both day fields are restricted, either one may match
+      const dayOfMonthMatches = daysOfMonth.has(date.getDate());
+      const dayOfWeekMatches = daysOfWeek.has(date.getDay());
+      if (dayOfMonthRestricted && dayOfWeekRestricted) {
+        return dayOfMonthMatches || dayOfWeekMatches;
+      }
+      return dayOfMonthMatches && dayOfWeekMatches;
+    }
+  };
+}
+
+module.exports = {
+  parseCronExpression
+};
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const logger = require('./logger');
+
+/**
+ * Small JSON-on-disk persistence helpers
+ * Used for state that must survive a Render redeploy or crash (job queue, upload sessions, ...)
+ * Point DATA_DIR at a mounted persistent disk in production.
+ */
+
+/**
+ * Resolve a file path inside the configured data directory
+ * @param {string} fileName - File name relative to the data directory
+ * @returns {string} - Full path
+ */
+function getDataPath(fileName) {
+  return path.join(config.persistence.dataDir, fileName);
+}
+
+/**
+ * Read and parse a JSON file, returning a fallback if it is missing or unreadable
+ * @param {string} filePath - Path to the JSON file
+ * @param {any} fallback - Value returned when the file cannot be read
+ * @returns {any} - Parsed content or fallback
+ */
+function readJsonFile(filePath, fallback = null) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      return fallback;
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (!content || content.trim().length === 0) {
+      return fallback;
+    }
+
+    return JSON.parse(content);
+  } catch (error) {
+    logger.error(`❌ Failed to read persisted data from ${filePath}:`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Write JSON to disk atomically (temp file + rename) so a crash mid-write
+ * never leaves a truncated file behind
+ * @param {string} filePath - Path to the JSON file
+ * @param {any} data - Serializable data
+ * @returns {boolean} - Success status
+ */
+function writeJsonFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+    return true;
+  } catch (error) {
+    logger.error(`❌ Failed to persist data to ${filePath}:`, error.message);
+
+    if (fs.existsSync(tempPath)) {
+      try {
+        fs.unlinkSync(tempPath);
+      } catch (cleanupError) {
+        // Ignore - temp file will be overwritten on next write
+      }
+    }
+    return false;
+  }
+}
+
+// File stores with a delayed write pending, flushed if the process exits first
+const pendingStores = new Set();
+let exitHookInstalled = false;
+
+function flushPendingStores() {
+  pendingStores.forEach(store => store.flush());
+}
+
+/**
+ * Keyed record store for small persisted collections (job queue, upload sessions)
+ * Every store implements the same interface:
+ *   load()        -> Array of persisted records
+ *   save(record)  -> persist (insert or replace) a record
+ *   remove(key)   -> forget a record
+ *   flush()       -> write pending changes now (no-op for the memory store)
+ *   name          -> store identifier for logging/stats
+ * The file store keeps every record in one JSON file. With flushDelayMs, changes made within that
+ * window are written together instead of rewriting the file on each one; pending changes are
+ * written on process exit.
+ * @param {Object} options - Store options
+ * @param {string} options.type - 'file' or 'memory'
+ * @param {string} options.key - Record property used as the key (e.g. 'jobId')
+ * @param {string} options.collection - Property holding the records in the file (e.g. 'jobs')
+ * @param {string} [options.fileName] - File in DATA_DIR (file store)
+ * @param {string} [options.filePath] - Full path, overrides fileName
+ * @param {Function} [options.isValid] - Filter for records read back from disk
+ * @param {number} [options.flushDelayMs] - Write batching window (default: 0, write on every change)
+ * @param {string} [options.label] - Store description for log messages
+ * @returns {Object} - Record store
+ */
+function createRecordStore(options) {
+  const { type, key, collection, isValid = () => true, flushDelayMs = 0, label = collection } = options;
+  const records = new Map();
+
+  if (type === 'memory') {
+    return {
+      name: 'memory',
+      load: () => Array.from(records.values()),
+      save: (record) => {
+        records.set(record[key], record);
+      },
+      remove: (recordKey) => {
+        records.delete(recordKey);
+      },
+      flush: () => true
+    };
+  }
+
+  if (type !== 'file') {
+    logger.warn(`⚠️ Unknown ${label} store '${type}', falling back to file store`);
+  }
+
+  const filePath = options.filePath || getDataPath(options.fileName);
+  const persisted = readJsonFile(filePath, {});
+  (Array.isArray(persisted[collection]) ? persisted[collection] : [])
+    .filter(record => record && record[key] && isValid(record))
+    .forEach(record => records.set(record[key], record));
+
+  let flushTimer = null;
+
+  const store = {
+    name: 'file',
+    filePath,
+    load: () => Array.from(records.values()),
+    save: (record) => {
+      records.set(record[key], record);
+      scheduleFlush();
+    },
+    remove: (recordKey) => {
+      if (records.delete(recordKey)) {
+        scheduleFlush();
+      }
+    },
+    flush: () => {
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+      }
+      pendingStores.delete(store);
+      return writeJsonFileAtomic(filePath, {
+        version: 1,
+        savedAt: new Date().toISOString(),
+        [collection]: Array.from(records.values())
+      });
+    }
+  };
+
+  function scheduleFlush() {
+    if (flushDelayMs <= 0) {
+      store.flush();
+      return;
+    }
+    if (flushTimer) {
+      return;
+    }
+
+    pendingStores.add(store);
+    if (!exitHookInstalled) {
+      process.on('exit', flushPendingStores);
+      exitHookInstalled = true;
+    }
+    flushTimer = setTimeout(store.flush, flushDelayMs);
+    flushTimer.unref();
+  }
+
+  return store;
+}
+
+module.exports = {
+  getDataPath,
+  readJsonFile,
+  writeJsonFileAtomic,
+  createRecordStore
+};
@@ -38,7 +38,7 @@ const statusUpdateLimiter = {
 // Security: Cleanup interval for rate limiter
 setInterval(() => {
   statusUpdateLimiter.cleanup();
-}, 5 * 60 * 1000); // Every 5 minutes
+}, 5 * 60 * 1000).unref(); // Every 5 minutes
 
 // Set up socket.io for real-time updates
 function setupSocketIO(ioInstance) {
@@ -69,7 +69,7 @@ setInterval(() => {
   if (cleanedCount > 0) {
     logger.info(`🧹 Cleaned up ${cleanedCount} stale upload statuses`);
   }
-}, config.upload.cleanupInterval);
+}, config.upload.cleanupInterval).unref();
 
 // Get status for a specific upload with security filtering
 function getUploadStatus(uploadId) {
@@ -517,7 +517,8 @@ function sanitizeStatusInput(input) {
     'status', 'progress', 'stage', 'uploadMethod', 'fileName', 'fileSize',
     'videoId', 'b2FileId', 'estimatedParts', 'partsUploaded', 'videoUrl',
     'thumbnailUrl', 'backgroundTask', 'publishReady', 'completedAt',
-    'errorDetails', 'uploadComplete', 'metadata', 'fileSizeMB'
+    'errorDetails', 'uploadComplete', 'metadata', 'fileSizeMB', 'contentSha256',
+    'contentVerification'
   ];
   
   allowedFields.forEach(field => {
@@ -637,8 +638,27 @@ function createEmissionSafeStatus(status) {
   };
 }
 
+/**
+ * Emit an event to everyone subscribed to a room (upload ID or video ID)
+ * @param {string} room - Room the clients subscribed to
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+function emitToSubscribers(room, event, data) {
+  if (!io) {
+    logger.warn(`⚠️ Socket.io not initialized, cannot emit ${event} for ${room}`);
+    return;
+  }
+  try {
+    io.to(room).emit(event, data);
+  } catch (error) {
+    logger.error(`❌ Failed to emit ${event} for ${room}:`, error);
+  }
+}
+
 module.exports = {
   setupSocketIO,
+  emitToSubscribers,
   getUploadStatus,
   updateUploadStatus,
   initUploadStatus,
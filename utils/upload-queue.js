@@ -7,18 +7,36 @@ const supabaseService = require('../services/supabase');
 const { generateUniqueFilename, getUploadPath, ensureDirectory } = require('./directory');
 const logger = require('./logger');
 const memoryMonitor = require('./memory-monitor');
+const { config } = require('../config');
+const { createRecordStore } = require('./persistence');
+const { hashRemoteFile } = require('./content-hash');
+const { getStorage, getFileNameFromUrl } = require('../services/storage');
 
 /**
  * Background Upload Processing Queue
- * Handles thumbnail generation and metadata processing for completed uploads
+ * Runs registered job types (thumbnail generation, metadata extraction, ...)
+ * with shared retries, priorities and status tracking
  * Compatible with Gen 7 structure
  */
 
-// In-memory job queue (for simple implementation - can be upgraded to Redis later)
+// Working set of jobs - mirrored to the queue store so they survive restarts
 const jobQueue = [];
 const activeJobs = new Map();
 const completedJobs = new Map();
 
+// Persistent queue store (file-backed by default, see createRecordStore in utils/persistence.js).
+// Status changes are written straight away; progress ticks are batched (a lost tick only costs a stale percentage).
+const PROGRESS_FLUSH_DELAY_MS = 2000;
+let queueStore = createRecordStore({
+  type: config.backgroundProcessing.queueStore,
+  fileName: 'queue-jobs.json',
+  key: 'jobId',
+  collection: 'jobs',
+  flushDelayMs: PROGRESS_FLUSH_DELAY_MS,
+  label: 'queue'
+});
+let rehydrated = false;
+
 // Queue configuration
 const QUEUE_CONFIG = {
   maxConcurrentJobs: 2,           // Process max 2 thumbnails simultaneously
@@ -28,88 +46,312 @@ const QUEUE_CONFIG = {
   processingIntervalMs: 2000      // Check for new jobs every 2 seconds
 };
 
+// Job priorities - lower rank is picked first
+const JOB_PRIORITIES = {
+  high: 0,
+  normal: 1,
+  low: 2
+};
+
+// Registered handlers keyed by job type
+const jobHandlers = new Map();
+const warnedUnhandledTypes = new Set();
+
 /**
- * Add a thumbnail generation job to the queue
- * @param {Object} jobData - Job data containing upload information
+ * Register a handler for a background job type
+ * Services call this at load time; jobs of the type can then be enqueued with addJob()
+ * @param {string} type - Job type (e.g. 'thumbnail_generation')
+ * @param {Function} handler - async (job, { reportProgress, isCancelled }) => result
+ *   Long handlers should check isCancelled() between steps and stop early once it returns true
+ * @param {Object} options - Handler options
+ * @param {string} options.idPrefix - Prefix for generated job IDs (default 'job')
+ * @param {number} options.maxAttempts - Attempts before the job fails permanently
+ * @param {number} options.retryDelayMs - Delay between attempts
+ * @param {string} options.defaultPriority - 'high', 'normal' or 'low'
+ * @param {string} options.estimatedProcessingTime - Human readable estimate returned on enqueue
+ * @param {number} options.maxConcurrent - Run jobs of this type in their own slots (at most this many at once)
+ *   instead of the shared QUEUE_CONFIG.maxConcurrentJobs - for long jobs that would otherwise block the rest
+ * @param {Function} options.onComplete - async (job, result) called after success
+ * @param {Function} options.onFailure - async (job, error) called after the final failed attempt
+ */
+function registerJobHandler(type, handler, options = {}) {
+  if (!type || typeof type !== 'string' || !/^[a-z0-9_]+$/.test(type)) {
+    throw new Error(`Invalid job type '${type}' - use lowercase letters, digits and underscores`);
+  }
+  if (typeof handler !== 'function') {
+    throw new Error(`Handler for job type '${type}' must be a function`);
+  }
+  
+  const defaultPriority = options.defaultPriority || 'normal';
+  if (!(defaultPriority in JOB_PRIORITIES)) {
+    throw new Error(`Invalid default priority '${defaultPriority}' for job type '${type}'`);
+  }
+  
+  if (jobHandlers.has(type)) {
+    logger.warn(`⚠️ Replacing existing handler for job type '${type}'`);
+  }
+  
+  jobHandlers.set(type, {
+    handler,
+    idPrefix: options.idPrefix || 'job',
+    maxAttempts: options.maxAttempts || QUEUE_CONFIG.maxRetryAttempts,
+    retryDelayMs: options.retryDelayMs || QUEUE_CONFIG.retryDelayMs,
+    defaultPriority,
+    estimatedProcessingTime: options.estimatedProcessingTime || null,
+    maxConcurrent: options.maxConcurrent || null,
+    onComplete: options.onComplete || null,
+    onFailure: options.onFailure || null
+  });
+  warnedUnhandledTypes.delete(type);
+  
+  logger.debug(`📋 Registered background job handler: ${type}`);
+}
+
+/**
+ * Add a job of any registered type to the queue
+ * @param {string} type - Registered job type
+ * @param {Object} data - Job payload passed to the handler as job.data
+ * @param {Object} opts - Job options
+ * @param {string} opts.priority - 'high', 'normal' or 'low' (defaults to the handler's priority)
+ * @param {number} opts.maxAttempts - Override the handler's attempt limit
+ * @param {Date|string|number} opts.runAt - Do not start the job before this time
+ * @param {string} opts.ownerId - User the job runs for; only they (or an admin) may read its status
  * @returns {Promise<Object>} - Job creation result
  */
-async function addThumbnailJob(jobData) {
+async function addJob(type, data = {}, opts = {}) {
   try {
-    const jobId = `thumb_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const registration = jobHandlers.get(type);
+    if (!registration) {
+      throw new Error(`No handler registered for job type '${type}'`);
+    }
+    
+    const priority = opts.priority || registration.defaultPriority;
+    if (!(priority in JOB_PRIORITIES)) {
+      throw new Error(`Invalid job priority '${priority}'`);
+    }
+    
+    const jobId = `${registration.idPrefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     const job = {
       jobId: jobId,
-      type: 'thumbnail_generation',
+      type: type,
       status: 'queued',
       data: {
-        uploadId: jobData.uploadId,
-        videoUrl: jobData.videoUrl,
-        originalFileName: jobData.originalFileName,
-        videoId: jobData.videoId,
-        queuedAt: jobData.queuedAt || new Date().toISOString()
+        ...data,
+        queuedAt: data.queuedAt || new Date().toISOString()
       },
       attempts: 0,
-      maxAttempts: QUEUE_CONFIG.maxRetryAttempts,
+      maxAttempts: opts.maxAttempts || registration.maxAttempts,
       createdAt: new Date().toISOString(),
-      priority: jobData.priority || 'normal'
+      priority: priority,
+      ownerId: opts.ownerId || null,
+      progress_percent: 0,
+      // Delayed jobs wait in the queue like a retry that is not due yet
+      ...(opts.runAt && { nextAttemptAt: new Date(opts.runAt).toISOString() })
     };
     
-    // Add job to queue
-    jobQueue.push(job);
+    // Add job to queue behind any jobs of equal or higher priority
+    enqueueJob(job);
+    persistJob(job);
     
-    logger.info(`📋 Added thumbnail job to queue: ${jobId} for upload ${jobData.uploadId}`);
+    logger.info(`📋 Added ${type} job to queue: ${jobId}${data.uploadId ? ` for upload ${data.uploadId}` : ''}`);
     
     // Update upload status to indicate background processing started
-    updateUploadStatus(jobData.uploadId, {
-      backgroundTask: {
-        jobId: jobId,
-        status: 'queued',
-        type: 'thumbnail_generation'
-      }
-    });
+    if (data.uploadId) {
+      updateUploadStatus(data.uploadId, {
+        backgroundTask: {
+          jobId: jobId,
+          status: 'queued',
+          type: type
+        }
+      });
+    }
     
     return {
       jobId: jobId,
+      type: type,
       status: 'queued',
-      estimatedProcessingTime: '1-2 minutes',
-      queuePosition: jobQueue.length
+      priority: priority,
+      estimatedProcessingTime: registration.estimatedProcessingTime,
+      queuePosition: jobQueue.indexOf(job) + 1
     };
     
   } catch (error) {
-    logger.error(`❌ Failed to add thumbnail job:`, error);
+    logger.error(`❌ Failed to add ${type} job:`, error);
     throw error;
   }
 }
 
+/**
+ * Add a thumbnail generation job to the queue
+ * @param {Object} jobData - Job data containing upload information
+ * @returns {Promise<Object>} - Job creation result
+ */
+async function addThumbnailJob(jobData) {
+  return addJob('thumbnail_generation', {
+    uploadId: jobData.uploadId,
+    videoUrl: jobData.videoUrl,
+    originalFileName: jobData.originalFileName,
+    videoId: jobData.videoId,
+    queuedAt: jobData.queuedAt
+  }, {
+    priority: jobData.priority
+  });
+}
+
+/**
+ * Get the numeric rank of a priority (unknown priorities count as normal)
+ * @param {string} priority - Job priority
+ * @returns {number} - Rank, lower runs first
+ */
+function getPriorityRank(priority) {
+  return JOB_PRIORITIES[priority] ?? JOB_PRIORITIES.normal;
+}
+
+/**
+ * Insert a job into the working queue, keeping it ordered by priority
+ * @param {Object} job - Job to enqueue
+ * @param {Object} options - Options
+ * @param {boolean} options.first - Put it at the front of its priority band instead of the back
+ */
+function enqueueJob(job, { first = false } = {}) {
+  const rank = getPriorityRank(job.priority);
+  const insertAt = jobQueue.findIndex(queued => first
+    ? getPriorityRank(queued.priority) >= rank
+    : getPriorityRank(queued.priority) > rank);
+  
+  if (insertAt === -1) {
+    jobQueue.push(job);
+  } else {
+    jobQueue.splice(insertAt, 0, job);
+  }
+}
+
+/**
+ * Whether a job of this type can start now
+ * Types registered with maxConcurrent count against their own limit; every other type shares maxConcurrentJobs
+ * @param {string} type - Registered job type
+ * @returns {boolean} - True if a slot is free
+ */
+function hasFreeSlot(type) {
+  const { maxConcurrent } = jobHandlers.get(type);
+  const running = Array.from(activeJobs.values());
+  
+  if (maxConcurrent) {
+    return running.filter(job => job.type === type).length < maxConcurrent;
+  }
+  
+  const shared = running.filter(job => !(jobHandlers.get(job.type) || {}).maxConcurrent);
+  return shared.length < QUEUE_CONFIG.maxConcurrentJobs;
+}
+
+/**
+ * Find the next job to run: due, handled, a slot free, and highest priority (queue order breaks ties)
+ * @returns {number} - Index into jobQueue or -1
+ */
+function findNextJobIndex() {
+  const now = Date.now();
+  let bestIndex = -1;
+  
+  jobQueue.forEach((queued, index) => {
+    if (queued.nextAttemptAt && new Date(queued.nextAttemptAt).getTime() > now) {
+      return; // Retry not due yet
+    }
+    
+    if (!jobHandlers.has(queued.type)) {
+      // Handler may be registered later during startup - leave the job queued
+      if (!warnedUnhandledTypes.has(queued.type)) {
+        warnedUnhandledTypes.add(queued.type);
+        logger.warn(`⚠️ No handler registered for job type '${queued.type}' - jobs of this type stay queued`);
+      }
+      return;
+    }
+    
+    if (!hasFreeSlot(queued.type)) {
+      return;
+    }
+    
+    if (bestIndex === -1 || getPriorityRank(queued.priority) < getPriorityRank(jobQueue[bestIndex].priority)) {
+      bestIndex = index;
+    }
+  });
+  
+  return bestIndex;
+}
+
+/**
+ * Record progress for a running job and mirror it to the upload status if there is one
+ * @param {Object} job - Running job
+ * @param {number} percent - Progress 0-100
+ * @param {string} stage - Human readable stage description
+ */
+function reportJobProgress(job, percent, stage) {
+  job.progress_percent = Math.max(0, Math.min(100, Math.round(percent)));
+  if (stage) {
+    job.stage = stage;
+  }
+  persistJob(job, { batched: true });
+  
+  if (job.data.uploadId) {
+    updateUploadStatus(job.data.uploadId, {
+      backgroundTask: {
+        jobId: job.jobId,
+        type: job.type,
+        status: 'processing',
+        stage: job.stage,
+        progress: job.progress_percent
+      }
+    });
+  }
+}
+
 /**
  * Process the job queue - called by interval timer
  */
 async function processQueue() {
   try {
-    // Check if we can process more jobs
-    if (activeJobs.size >= QUEUE_CONFIG.maxConcurrentJobs) {
-      return; // Already at max capacity
-    }
-    
-    // Get next job from queue
-    const job = jobQueue.shift();
-    if (!job) {
+    // Get next job that is due (retries wait for their scheduled time) and has a free slot
+    const nextIndex = findNextJobIndex();
+    if (nextIndex === -1) {
       return; // No jobs to process
     }
+    const [job] = jobQueue.splice(nextIndex, 1);
     
     // Mark job as active
     activeJobs.set(job.jobId, job);
     job.status = 'processing';
     job.startedAt = new Date().toISOString();
+    job.nextAttemptAt = null;
+    persistJob(job);
     
-    logger.info(`🔄 Processing thumbnail job: ${job.jobId}`);
+    if (job.attempts > 0) {
+      logger.info(`🔄 Retrying job ${job.jobId} (attempt ${job.attempts + 1}/${job.maxAttempts})`);
+    } else {
+      logger.info(`🔄 Processing ${job.type} job: ${job.jobId}`);
+    }
     
-    // Process the job
+    // Process the job with its registered handler
+    const { handler } = jobHandlers.get(job.type);
+    let result;
     try {
-      await processThumbnailJob(job);
+      result = await handler(job, {
+        reportProgress: (percent, stage) => reportJobProgress(job, percent, stage),
+        isCancelled: () => Boolean(job.cancelRequested)
+      });
     } catch (error) {
-      await handleJobFailure(job, error);
+      if (job.cancelRequested) {
+        finishCancelledJob(job);
+      } else {
+        await handleJobFailure(job, error);
+      }
+      return;
+    }
+    
+    if (job.cancelRequested) {
+      finishCancelledJob(job);
+      return;
     }
+    await completeJob(job, result || {});
     
   } catch (error) {
     logger.error(`❌ Queue processing error:`, error);
@@ -119,6 +361,7 @@ async function processQueue() {
 /**
  * Process a single thumbnail generation job
  * @param {Object} job - The job to process
+ * @returns {Promise<Object>} - Thumbnail and video URLs
  */
 async function processThumbnailJob(job) {
   const { uploadId, videoUrl, originalFileName, videoId } = job.data;
@@ -230,21 +473,206 @@ async function processThumbnailJob(job) {
       }
     }
     
-    // Mark job as complete
-    await completeJob(job, {
-      thumbnailUrl: thumbnailUrl,
-      videoUrl: videoUrl,
-      processingTime: Date.now() - new Date(job.startedAt).getTime()
-    });
-    
     memoryMonitor.logMemoryUsage(`After thumbnail job ${job.jobId}`);
     
+    return {
+      thumbnailUrl: thumbnailUrl,
+      videoUrl: videoUrl
+    };
+    
   } catch (error) {
     logger.error(`❌ Thumbnail job failed for ${uploadId}:`, error);
     throw error;
   }
 }
 
+/**
+ * Finish the upload status once its thumbnail is ready
+ * @param {Object} job - The completed thumbnail job
+ * @param {Object} result - Thumbnail job result
+ */
+async function completeThumbnailUpload(job, result) {
+  completeUploadStatus(job.data.uploadId, {
+    thumbnailUrl: result.thumbnailUrl,
+    videoUrl: result.videoUrl,
+    uploadComplete: true,
+    publishReady: true,
+    processingCompletedAt: job.completedAt,
+    backgroundTask: {
+      jobId: job.jobId,
+      type: job.type,
+      status: 'completed',
+      processingTime: `${Math.floor(job.processingTime / 1000)}s`
+    }
+  });
+}
+
+/**
+ * Record a permanently failed thumbnail job without failing the upload itself
+ * @param {Object} job - The failed thumbnail job
+ * @param {Error} error - The final error
+ */
+async function failThumbnailUpload(job, error) {
+  updateUploadStatus(job.data.uploadId, {
+    backgroundTask: {
+      jobId: job.jobId,
+      type: job.type,
+      status: 'failed',
+      stage: 'thumbnail generation failed after retries',
+      error: error.message,
+      attempts: job.attempts
+    },
+    // Don't fail the entire upload for thumbnail issues
+    thumbnailUrl: null,
+    thumbnailStatus: 'failed'
+  });
+}
+
+/**
+ * Probe a stored video and write its duration/dimensions to the video record
+ * @param {Object} job - Job with data.videoUrl and optional data.videoId
+ * @param {Object} context - Handler context
+ * @returns {Promise<Object>} - Extracted metadata
+ */
+async function processMetadataJob(job, { reportProgress }) {
+  const { videoUrl, videoId } = job.data;
+  
+  if (!videoUrl) {
+    throw new Error('metadata_extraction job requires videoUrl');
+  }
+  
+  reportProgress(10, 'probing video');
+  const metadata = await ffmpegService.extractMetadataFromRemote(videoUrl);
+  
+  if (videoId) {
+    reportProgress(80, 'updating video metadata');
+    
+    const updated = await supabaseService.updateVideoMetadata(videoId, {
+      url: videoUrl,
+      duration: metadata.duration,
+      width: metadata.width,
+      height: metadata.height
+    });
+    
+    if (!updated) {
+      throw new Error(`Failed to update metadata for video ${videoId}`);
+    }
+  }
+  
+  return {
+    videoUrl: videoUrl,
+    metadata: metadata
+  };
+}
+
+/**
+ * Hash a stored video end to end and record the SHA-256 on the video record
+ * Multipart parts arrive out of order (or go straight to B2), so the whole-file hash
+ * can only be computed once the object is assembled in the bucket. The object is read
+ * through a signed URL from the storage adapter, so private buckets work too.
+ * @param {Object} job - Job with data.videoUrl, data.bucket/fileName, optional data.videoId and data.expectedSha256
+ * @param {Object} context - Handler context
+ * @returns {Promise<Object>} - Verification result
+ */
+async function processContentHashJob(job, { reportProgress }) {
+  const { videoUrl, videoId, expectedSha256 } = job.data;
+  const fileName = job.data.fileName || getFileNameFromUrl(videoUrl);
+  
+  if (!fileName) {
+    throw new Error('content_hash_verification job requires fileName or videoUrl');
+  }
+  
+  reportProgress(5, 'hashing stored video');
+  const downloadUrl = await getStorage().getSignedDownloadUrl(job.data.bucket || 'video', fileName, {
+    validDurationInSeconds: 3600
+  });
+  const { sha256, bytes } = await hashRemoteFile(downloadUrl);
+  
+  const verified = expectedSha256 ? sha256 === expectedSha256 : null;
+  if (verified === false) {
+    logger.error(`❌ Content hash mismatch for ${videoUrl}: client sent ${expectedSha256}, stored file is ${sha256}`);
+  }
+  
+  // The stored object's hash is recorded even on a mismatch - it is what later uploads dedupe against
+  let recorded = false;
+  if (videoId) {
+    reportProgress(90, 'recording content hash');
+    recorded = await supabaseService.updateContentHash(videoId, sha256);
+  }
+  
+  return {
+    videoUrl: videoUrl,
+    contentSha256: sha256,
+    expectedSha256: expectedSha256 || null,
+    verified: verified,
+    bytesHashed: bytes,
+    recorded: recorded
+  };
+}
+
+/**
+ * Publish the verification outcome on the upload status
+ * @param {Object} job - The completed content hash job
+ * @param {Object} result - Content hash job result
+ */
+async function completeContentVerification(job, result) {
+  if (!job.data.uploadId) {
+    return;
+  }
+  
+  updateUploadStatus(job.data.uploadId, {
+    contentSha256: result.contentSha256,
+    contentVerification: {
+      jobId: job.jobId,
+      status: result.verified === false ? 'mismatch' : (result.verified ? 'verified' : 'hashed'),
+      expectedSha256: result.expectedSha256,
+      recorded: result.recorded
+    }
+  });
+}
+
+/**
+ * Record a permanently failed content hash job without failing the upload itself
+ * @param {Object} job - The failed content hash job
+ * @param {Error} error - The final error
+ */
+async function failContentVerification(job, error) {
+  if (!job.data.uploadId) {
+    return;
+  }
+  
+  updateUploadStatus(job.data.uploadId, {
+    contentVerification: {
+      jobId: job.jobId,
+      status: 'failed',
+      expectedSha256: job.data.expectedSha256 || null,
+      error: error.message,
+      attempts: job.attempts
+    }
+  });
+}
+
+// Built-in job types - other services register theirs via registerJobHandler()
+registerJobHandler('thumbnail_generation', processThumbnailJob, {
+  idPrefix: 'thumb',
+  estimatedProcessingTime: '1-2 minutes',
+  onComplete: completeThumbnailUpload,
+  onFailure: failThumbnailUpload
+});
+
+registerJobHandler('metadata_extraction', processMetadataJob, {
+  idPrefix: 'meta',
+  estimatedProcessingTime: 'under 1 minute'
+});
+
+registerJobHandler('content_hash_verification', processContentHashJob, {
+  idPrefix: 'hash',
+  defaultPriority: 'low',
+  estimatedProcessingTime: 'depends on file size',
+  onComplete: completeContentVerification,
+  onFailure: failContentVerification
+});
+
 /**
  * Mark a job as successfully completed
  * @param {Object} job - The completed job
@@ -260,30 +688,33 @@ async function completeJob(job, result) {
     // Mark job as complete
     job.status = 'completed';
     job.completedAt = new Date().toISOString();
+    job.processingTime = Date.now() - new Date(job.startedAt).getTime();
+    job.progress_percent = 100;
     job.result = result;
     
     // Store in completed jobs for tracking
     completedJobs.set(job.jobId, job);
+    persistJob(job);
     
-    // Complete the upload status with final data
-    completeUploadStatus(uploadId, {
-      thumbnailUrl: result.thumbnailUrl,
-      videoUrl: result.videoUrl,
-      uploadComplete: true,
-      publishReady: true,
-      processingCompletedAt: job.completedAt,
-      backgroundTask: {
-        jobId: job.jobId,
-        status: 'completed',
-        processingTime: `${Math.floor(result.processingTime / 1000)}s`
-      }
-    });
+    const registration = jobHandlers.get(job.type);
+    if (registration && registration.onComplete) {
+      await registration.onComplete(job, result);
+    } else if (uploadId) {
+      updateUploadStatus(uploadId, {
+        backgroundTask: {
+          jobId: job.jobId,
+          type: job.type,
+          status: 'completed',
+          processingTime: `${Math.floor(job.processingTime / 1000)}s`
+        }
+      });
+    }
     
-    logger.info(`🎉 Thumbnail job completed successfully: ${job.jobId}`);
+    logger.info(`🎉 ${job.type} job completed successfully: ${job.jobId}`);
     
     // Schedule cleanup of completed job info
     setTimeout(() => {
-      completedJobs.delete(job.jobId);
+      forgetJob(job.jobId);
     }, QUEUE_CONFIG.jobRetentionTime);
     
   } catch (error) {
@@ -291,6 +722,55 @@ async function completeJob(job, result) {
   }
 }
 
+/**
+ * Record a job as cancelled - no retry and no onComplete/onFailure callbacks
+ * @param {Object} job - The cancelled job
+ */
+function finishCancelledJob(job) {
+  activeJobs.delete(job.jobId);
+  
+  job.status = 'cancelled';
+  job.completedAt = new Date().toISOString();
+  job.lastError = job.cancelRequested;
+  
+  completedJobs.set(job.jobId, job);
+  persistJob(job);
+  
+  logger.info(`🚫 ${job.type} job cancelled: ${job.jobId} (${job.cancelRequested})`);
+  
+  setTimeout(() => {
+    forgetJob(job.jobId);
+  }, QUEUE_CONFIG.jobRetentionTime);
+}
+
+/**
+ * Cancel a queued or running job
+ * A queued job is dropped straight away; a running job is flagged and stops at its handler's
+ * next isCancelled() check (whatever it returns or throws afterwards is discarded)
+ * @param {string} jobId - Job ID to cancel
+ * @param {string} reason - Recorded as the job's lastError
+ * @returns {boolean} - Whether a queued or running job was found
+ */
+function cancelJob(jobId, reason = 'Cancelled') {
+  const queuedIndex = jobQueue.findIndex(job => job.jobId === jobId);
+  if (queuedIndex !== -1) {
+    const [job] = jobQueue.splice(queuedIndex, 1);
+    job.cancelRequested = reason;
+    finishCancelledJob(job);
+    return true;
+  }
+  
+  const activeJob = activeJobs.get(jobId);
+  if (activeJob) {
+    activeJob.cancelRequested = reason;
+    persistJob(activeJob);
+    logger.info(`🚫 Cancellation requested for running job ${jobId} (${reason})`);
+    return true;
+  }
+  
+  return false;
+}
+
 /**
  * Handle job failure with retry logic
  * @param {Object} job - The failed job
@@ -310,25 +790,28 @@ async function handleJobFailure(job, error) {
     
     logger.warn(`⚠️ Job ${job.jobId} failed (attempt ${job.attempts}/${job.maxAttempts}): ${error.message}`);
     
+    const registration = jobHandlers.get(job.type);
+    const retryDelayMs = registration ? registration.retryDelayMs : QUEUE_CONFIG.retryDelayMs;
+    
     // Check if we should retry
     if (job.attempts < job.maxAttempts) {
-      // Schedule retry
+      // Schedule retry - persisted so the schedule survives a restart
       job.status = 'retry_scheduled';
+      job.nextAttemptAt = new Date(Date.now() + retryDelayMs).toISOString();
+      enqueueJob(job, { first: true }); // Front of its priority band once nextAttemptAt passes
+      persistJob(job);
       
-      updateUploadStatus(uploadId, {
-        backgroundTask: {
-          jobId: job.jobId,
-          status: 'retrying',
-          stage: `retry ${job.attempts}/${job.maxAttempts} in ${QUEUE_CONFIG.retryDelayMs/1000}s`,
-          error: error.message
-        }
-      });
-      
-      setTimeout(() => {
-        job.status = 'queued';
-        jobQueue.unshift(job); // Add to front of queue for retry
-        logger.info(`🔄 Retrying job ${job.jobId} (attempt ${job.attempts + 1}/${job.maxAttempts})`);
-      }, QUEUE_CONFIG.retryDelayMs);
+      if (uploadId) {
+        updateUploadStatus(uploadId, {
+          backgroundTask: {
+            jobId: job.jobId,
+            type: job.type,
+            status: 'retrying',
+            stage: `retry ${job.attempts}/${job.maxAttempts} in ${retryDelayMs/1000}s`,
+            error: error.message
+          }
+        });
+      }
       
     } else {
       // Max retries exceeded - mark as failed
@@ -336,25 +819,28 @@ async function handleJobFailure(job, error) {
       job.failedAt = new Date().toISOString();
       
       completedJobs.set(job.jobId, job);
+      persistJob(job);
       
-      updateUploadStatus(uploadId, {
-        backgroundTask: {
-          jobId: job.jobId,
-          status: 'failed',
-          stage: 'thumbnail generation failed after retries',
-          error: error.message,
-          attempts: job.attempts
-        },
-        // Don't fail the entire upload for thumbnail issues
-        thumbnailUrl: null,
-        thumbnailStatus: 'failed'
-      });
+      if (registration && registration.onFailure) {
+        await registration.onFailure(job, error);
+      } else if (uploadId) {
+        updateUploadStatus(uploadId, {
+          backgroundTask: {
+            jobId: job.jobId,
+            type: job.type,
+            status: 'failed',
+            stage: `${job.type} failed after retries`,
+            error: error.message,
+            attempts: job.attempts
+          }
+        });
+      }
       
       logger.error(`❌ Job ${job.jobId} failed permanently after ${job.attempts} attempts`);
       
       // Schedule cleanup
       setTimeout(() => {
-        completedJobs.delete(job.jobId);
+        forgetJob(job.jobId);
       }, QUEUE_CONFIG.jobRetentionTime);
     }
     
@@ -363,6 +849,110 @@ async function handleJobFailure(job, error) {
   }
 }
 
+/**
+ * Persist the current state of a job to the queue store
+ * @param {Object} job - Job to persist
+ * @param {Object} options - Options
+ * @param {boolean} options.batched - Leave the write to the store's batched flush (progress ticks)
+ */
+function persistJob(job, { batched = false } = {}) {
+  try {
+    queueStore.save(job);
+    if (!batched && typeof queueStore.flush === 'function') {
+      queueStore.flush();
+    }
+  } catch (error) {
+    logger.error(`❌ Failed to persist job ${job.jobId}:`, error.message);
+  }
+}
+
+/**
+ * Drop a finished job from memory and from the queue store
+ * @param {string} jobId - Job ID to forget
+ */
+function forgetJob(jobId) {
+  completedJobs.delete(jobId);
+  try {
+    queueStore.remove(jobId);
+  } catch (error) {
+    logger.error(`❌ Failed to remove job ${jobId} from queue store:`, error.message);
+  }
+}
+
+/**
+ * Reload persisted jobs into the working queue after a restart
+ * Jobs that were 'processing' when the process died count as a failed attempt
+ * so a job that crashes the server cannot loop forever.
+ */
+function rehydrateJobs() {
+  if (rehydrated) {
+    return;
+  }
+  rehydrated = true;
+  
+  // Skip jobs already in memory (e.g. enqueued before initializeQueue() ran)
+  const knownJobIds = new Set([
+    ...jobQueue.map(job => job.jobId),
+    ...activeJobs.keys(),
+    ...completedJobs.keys()
+  ]);
+  const persistedJobs = queueStore.load().filter(job => !knownJobIds.has(job.jobId));
+  if (persistedJobs.length === 0) {
+    return;
+  }
+  
+  const interrupted = [];
+  const pending = [];
+  
+  persistedJobs.forEach(job => {
+    if (job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled') {
+      completedJobs.set(job.jobId, job);
+    } else if (job.status === 'processing' && job.cancelRequested) {
+      // Cancelled while running - don't restart it
+      job.status = 'cancelled';
+      job.completedAt = new Date().toISOString();
+      job.lastError = job.cancelRequested;
+      completedJobs.set(job.jobId, job);
+      persistJob(job);
+    } else if (job.status === 'processing') {
+      job.attempts = (job.attempts || 0) + 1;
+      job.lastError = 'Interrupted by server restart';
+      job.lastAttemptAt = job.startedAt || new Date().toISOString();
+      
+      if (job.attempts >= job.maxAttempts) {
+        job.status = 'failed';
+        job.failedAt = new Date().toISOString();
+        completedJobs.set(job.jobId, job);
+      } else {
+        job.status = 'queued';
+        job.nextAttemptAt = null;
+        interrupted.push(job);
+      }
+      persistJob(job);
+    } else {
+      pending.push(job);
+    }
+  });
+  
+  const byCreatedAt = (a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
+  [...interrupted.sort(byCreatedAt), ...pending.sort(byCreatedAt)].forEach(enqueueJob);
+  
+  logger.info(`♻️ Rehydrated ${persistedJobs.length} jobs from ${queueStore.name} store (${interrupted.length} interrupted, ${pending.length} pending, ${completedJobs.size} finished)`);
+}
+
+/**
+ * Replace the queue store (e.g. with a custom implementation)
+ * Must be called before initializeQueue()
+ * @param {Object} store - Object implementing load/save/remove
+ */
+function setQueueStore(store) {
+  if (!store || typeof store.load !== 'function' || typeof store.save !== 'function' || typeof store.remove !== 'function') {
+    throw new Error('Queue store must implement load(), save() and remove()');
+  }
+  queueStore = store;
+  rehydrated = false;
+}
+
 /**
  * Get job status
  * @param {string} jobId - Job ID to check
@@ -398,15 +988,26 @@ function getQueueStats() {
     active: activeJobs.size,
     completed: completedJobs.size,
     maxConcurrent: QUEUE_CONFIG.maxConcurrentJobs,
+    dedicatedSlots: Object.fromEntries(Array.from(jobHandlers.entries())
+      .filter(([, registration]) => registration.maxConcurrent)
+      .map(([type, registration]) => [type, registration.maxConcurrent])),
+    store: queueStore.name,
+    handlers: Array.from(jobHandlers.keys()),
     queuedJobs: jobQueue.map(job => ({
       jobId: job.jobId,
+      type: job.type,
+      priority: job.priority,
       uploadId: job.data.uploadId,
       queuedAt: job.createdAt,
-      attempts: job.attempts
+      attempts: job.attempts,
+      nextAttemptAt: job.nextAttemptAt || null
     })),
     activeJobs: Array.from(activeJobs.values()).map(job => ({
       jobId: job.jobId,
+      type: job.type,
+      priority: job.priority,
       uploadId: job.data.uploadId,
+      progress_percent: job.progress_percent,
       startedAt: job.startedAt,
       attempts: job.attempts
     }))
@@ -419,6 +1020,9 @@ function getQueueStats() {
 function initializeQueue() {
   logger.info('🚀 Initializing background upload queue processor...');
   
+  // Restore jobs that were queued or in flight before the last restart
+  rehydrateJobs();
+  
   // Start queue processing interval
   const processingInterval = setInterval(processQueue, QUEUE_CONFIG.processingIntervalMs);
   
@@ -435,7 +1039,7 @@ function initializeQueue() {
     }
     
     expiredJobs.forEach(jobId => {
-      completedJobs.delete(jobId);
+      forgetJob(jobId);
     });
     
     if (expiredJobs.length > 0) {
@@ -443,7 +1047,7 @@ function initializeQueue() {
     }
   }, 5 * 60 * 1000); // Cleanup every 5 minutes
   
-  logger.info(`✅ Queue processor initialized (${QUEUE_CONFIG.maxConcurrentJobs} concurrent jobs, ${QUEUE_CONFIG.processingIntervalMs}ms interval)`);
+  logger.info(`✅ Queue processor initialized (${QUEUE_CONFIG.maxConcurrentJobs} concurrent jobs, ${QUEUE_CONFIG.processingIntervalMs}ms interval, ${queueStore.name} store)`);
   
   return {
     stop: () => {
@@ -455,9 +1059,13 @@ function initializeQueue() {
 }
 
 module.exports = {
+  registerJobHandler,
+  addJob,
   addThumbnailJob,
+  cancelJob,
   getJobStatus,
   getQueueStats,
   initializeQueue,
+  setQueueStore,
   QUEUE_CONFIG
 };
\ No newline at end of file